@@ -1,19 +1,390 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
+import * as Params from "./Params.res.js";
+import * as Executor from "./Executor.res.js";
+import * as Workspace from "./Workspace.res.js";
+import * as Nodepath from "node:path";
+import * as Supervisor from "./Supervisor.res.js";
+import * as BuildReport from "./BuildReport.res.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
 
-let standardTools = [
-  "init",
-  "build",
-  "serve",
-  "clean",
-  "version",
-  "new_post",
-  "new_page",
-  "check",
-  "deploy"
+function makeExecutor(handler) {
+  return async params => Executor.resultToJson(await handler(params));
+}
+
+function makeProcessExecutor(handler) {
+  return async params => Supervisor.toJson(await handler(params), undefined);
+}
+
+let outputParams = [
+  "outputDir",
+  "output",
+  "dest",
+  "destination"
+];
+
+function makeBuildExecutor(parser, handler) {
+  return async params => {
+    let started = Date.now();
+    let result = await handler(params);
+    let projectDir = Stdlib_Option.getOr(Params.path(params, "path"), Workspace.defaultRoot());
+    let dir = Stdlib_Array.findMap(outputParams, key => Params.path(params, key));
+    let outputDir = dir !== undefined ? dir : Stdlib_Option.map(parser.defaultOutputDir, dir => Nodepath.resolve(projectDir, dir));
+    let report = BuildReport.make(parser, result, Date.now() - started, outputDir);
+    let obj = Executor.resultToJson(result);
+    if (typeof obj !== "object" || obj === null || Array.isArray(obj)) {
+      return obj;
+    }
+    obj["report"] = BuildReport.toJson(report);
+    return obj;
+  };
+}
+
+function annotationsToJson(a) {
+  return Object.fromEntries([
+    [
+      "readOnlyHint",
+      a.readOnlyHint
+    ],
+    [
+      "destructiveHint",
+      a.destructiveHint
+    ],
+    [
+      "idempotentHint",
+      a.idempotentHint
+    ],
+    [
+      "openWorldHint",
+      a.openWorldHint
+    ]
+  ]);
+}
+
+function schemaType(typeName) {
+  return Object.fromEntries([[
+      "type",
+      typeName
+    ]]);
+}
+
+function objectSchema(properties, required) {
+  return Object.fromEntries([
+    [
+      "type",
+      "object"
+    ],
+    [
+      "properties",
+      Object.fromEntries(properties)
+    ],
+    [
+      "required",
+      required.map(prim => prim)
+    ]
+  ]);
+}
+
+function arraySchema(items) {
+  return Object.fromEntries([
+    [
+      "type",
+      "array"
+    ],
+    [
+      "items",
+      items
+    ]
+  ]);
+}
+
+function nullable(typeName) {
+  return Object.fromEntries([[
+      "type",
+      [
+        typeName,
+        "null"
+      ]
+    ]]);
+}
+
+let commandProperties = [
+  [
+    "success",
+    schemaType("boolean")
+  ],
+  [
+    "code",
+    schemaType("integer")
+  ],
+  [
+    "stdout",
+    schemaType("string")
+  ],
+  [
+    "stderr",
+    schemaType("string")
+  ],
+  [
+    "timedOut",
+    schemaType("boolean")
+  ],
+  [
+    "cancelled",
+    schemaType("boolean")
+  ]
+];
+
+let commandRequired = [
+  "success",
+  "code",
+  "stdout",
+  "stderr"
 ];
 
+let commandOutputSchema = objectSchema(commandProperties, commandRequired);
+
+let diagnostic = objectSchema([
+  [
+    "severity",
+    schemaType("string")
+  ],
+  [
+    "message",
+    schemaType("string")
+  ],
+  [
+    "file",
+    schemaType("string")
+  ],
+  [
+    "line",
+    schemaType("integer")
+  ],
+  [
+    "column",
+    schemaType("integer")
+  ]
+], [
+  "severity",
+  "message"
+]);
+
+let reportSchema = objectSchema([
+  [
+    "success",
+    schemaType("boolean")
+  ],
+  [
+    "pages",
+    nullable("integer")
+  ],
+  [
+    "warnings",
+    arraySchema(diagnostic)
+  ],
+  [
+    "errors",
+    arraySchema(diagnostic)
+  ],
+  [
+    "durationMs",
+    schemaType("number")
+  ],
+  [
+    "outputDir",
+    nullable("string")
+  ]
+], [
+  "success",
+  "pages",
+  "warnings",
+  "errors",
+  "durationMs",
+  "outputDir"
+]);
+
+let buildOutputSchema = objectSchema(commandProperties.concat([[
+    "report",
+    reportSchema
+  ]]), commandRequired);
+
+let processOutputSchema = objectSchema([
+  [
+    "id",
+    schemaType("string")
+  ],
+  [
+    "tool",
+    schemaType("string")
+  ],
+  [
+    "command",
+    schemaType("string")
+  ],
+  [
+    "cwd",
+    schemaType("string")
+  ],
+  [
+    "pid",
+    schemaType("integer")
+  ],
+  [
+    "status",
+    schemaType("string")
+  ],
+  [
+    "exitCode",
+    schemaType("integer")
+  ],
+  [
+    "startedAt",
+    schemaType("string")
+  ],
+  [
+    "restarts",
+    schemaType("integer")
+  ],
+  [
+    "recentOutput",
+    arraySchema(schemaType("string"))
+  ]
+], [
+  "id",
+  "tool",
+  "command",
+  "pid",
+  "status",
+  "startedAt",
+  "restarts"
+]);
+
+let operations = [
+  "Init",
+  "Build",
+  "Serve",
+  "Clean",
+  "Version",
+  "NewPost",
+  "NewPage",
+  "Check",
+  "Deploy"
+];
+
+function operationName(operation) {
+  switch (operation) {
+    case "Init" :
+      return "init";
+    case "Build" :
+      return "build";
+    case "Serve" :
+      return "serve";
+    case "Clean" :
+      return "clean";
+    case "Version" :
+      return "version";
+    case "NewPost" :
+      return "new_post";
+    case "NewPage" :
+      return "new_page";
+    case "Check" :
+      return "check";
+    case "Deploy" :
+      return "deploy";
+  }
+}
+
+let standardTools = operations.map(operationName);
+
+function toolFor(capabilities, operation) {
+  return Stdlib_Option.map(capabilities.find(param => param[0] === operation), param => param[1]);
+}
+
+let readOnly = {
+  readOnlyHint: true,
+  destructiveHint: false,
+  idempotentHint: true,
+  openWorldHint: false
+};
+
+let checks = {
+  readOnlyHint: true,
+  destructiveHint: false,
+  idempotentHint: true,
+  openWorldHint: true
+};
+
+let additive = {
+  readOnlyHint: false,
+  destructiveHint: false,
+  idempotentHint: false,
+  openWorldHint: false
+};
+
+let regenerates = {
+  readOnlyHint: false,
+  destructiveHint: false,
+  idempotentHint: true,
+  openWorldHint: false
+};
+
+let destructive = {
+  readOnlyHint: false,
+  destructiveHint: true,
+  idempotentHint: true,
+  openWorldHint: false
+};
+
+let starts = {
+  readOnlyHint: false,
+  destructiveHint: false,
+  idempotentHint: false,
+  openWorldHint: false
+};
+
+let publishes = {
+  readOnlyHint: false,
+  destructiveHint: true,
+  idempotentHint: true,
+  openWorldHint: true
+};
+
+let runsCode = {
+  readOnlyHint: false,
+  destructiveHint: true,
+  idempotentHint: false,
+  openWorldHint: true
+};
+
 export {
+  makeExecutor,
+  makeProcessExecutor,
+  outputParams,
+  makeBuildExecutor,
+  readOnly,
+  checks,
+  additive,
+  regenerates,
+  destructive,
+  starts,
+  publishes,
+  runsCode,
+  annotationsToJson,
+  schemaType,
+  objectSchema,
+  arraySchema,
+  nullable,
+  commandProperties,
+  commandRequired,
+  commandOutputSchema,
+  reportSchema,
+  buildOutputSchema,
+  processOutputSchema,
+  operations,
+  operationName,
   standardTools,
+  toolFor,
 }
-/* No side effect */
+/* commandProperties Not a pure module */
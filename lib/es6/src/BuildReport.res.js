@@ -0,0 +1,147 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as Stdlib_Int from "@rescript/runtime/lib/es6/Stdlib_Int.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Primitive_option from "@rescript/runtime/lib/es6/Primitive_option.js";
+
+function lines(text) {
+  return text.split("\n").map(prim => prim.trim()).filter(line => line !== "");
+}
+
+function group(result, index) {
+  return Stdlib_Option.flatMap(result.slice(1)[index - 1 | 0], x => x);
+}
+
+function intGroup(result, index) {
+  return Stdlib_Option.flatMap(group(result, index), s => Stdlib_Int.fromString(s, undefined));
+}
+
+function firstInt(text, re) {
+  return Stdlib_Array.findMap(lines(text), line => Stdlib_Option.flatMap(Primitive_option.fromNullable(re.exec(line)), __x => intGroup(__x, 1)));
+}
+
+let locationRe = /([^\s:'\"()]+\.[A-Za-z0-9]+):(\d+)(?::(\d+))?/;
+
+let errorRe = /\b(error|fatal|failed)\b/i;
+
+let warningRe = /\bwarn(ing)?\b/i;
+
+let noneRe = /\b(0|no) (errors?|warnings?)\b/i;
+
+function severityOf(line) {
+  if (noneRe.test(line)) {
+    return;
+  } else if (errorRe.test(line)) {
+    return "Error";
+  } else if (warningRe.test(line)) {
+    return "Warning";
+  } else {
+    return;
+  }
+}
+
+function makeDiagnostic(severity, message) {
+  let m = locationRe.exec(message);
+  if (m == null) {
+    return {
+      severity: severity,
+      message: message,
+      file: undefined,
+      line: undefined,
+      column: undefined
+    };
+  } else {
+    return {
+      severity: severity,
+      message: message,
+      file: group(m, 1),
+      line: intGroup(m, 2),
+      column: intGroup(m, 3)
+    };
+  }
+}
+
+function genericDiagnostics(text) {
+  return Stdlib_Array.filterMap(lines(text), line => Stdlib_Option.map(severityOf(line), severity => makeDiagnostic(severity, line)));
+}
+
+function generic_parse(stdout, stderr) {
+  return {
+    pages: undefined,
+    diagnostics: genericDiagnostics(stdout + "\n" + stderr)
+  };
+}
+
+let generic = {
+  parse: generic_parse,
+  defaultOutputDir: undefined
+};
+
+function severityToString(severity) {
+  if (severity === "Warning") {
+    return "warning";
+  } else {
+    return "error";
+  }
+}
+
+function make(parser, result, durationMs, outputDir) {
+  let match = parser.parse(result.stdout, result.stderr);
+  let diagnostics = match.diagnostics;
+  return {
+    success: result.success,
+    pages: match.pages,
+    warnings: diagnostics.filter(d => d.severity === "Warning"),
+    errors: diagnostics.filter(d => d.severity === "Error"),
+    durationMs: durationMs,
+    outputDir: outputDir
+  };
+}
+
+function diagnosticToJson(d) {
+  let obj = {};
+  obj["severity"] = severityToString(d.severity);
+  obj["message"] = d.message;
+  Stdlib_Option.forEach(d.file, file => {
+    obj["file"] = file;
+  });
+  Stdlib_Option.forEach(d.line, line => {
+    obj["line"] = line;
+  });
+  Stdlib_Option.forEach(d.column, column => {
+    obj["column"] = column;
+  });
+  return obj;
+}
+
+function toJson(report) {
+  let obj = {};
+  obj["success"] = report.success;
+  obj["pages"] = Stdlib_Option.mapOr(report.pages, null, prim => prim);
+  obj["warnings"] = report.warnings.map(diagnosticToJson);
+  obj["errors"] = report.errors.map(diagnosticToJson);
+  obj["durationMs"] = report.durationMs;
+  obj["outputDir"] = Stdlib_Option.mapOr(report.outputDir, null, prim => prim);
+  return obj;
+}
+
+export {
+  lines,
+  group,
+  intGroup,
+  firstInt,
+  locationRe,
+  errorRe,
+  warningRe,
+  noneRe,
+  severityOf,
+  makeDiagnostic,
+  genericDiagnostics,
+  generic,
+  severityToString,
+  make,
+  diagnosticToJson,
+  toJson,
+}
+/* No side effect */
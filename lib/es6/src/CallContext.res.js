@@ -0,0 +1,169 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as Params from "./Params.res.js";
+import * as Protocol from "./Protocol.res.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Stdlib_Promise from "@rescript/runtime/lib/es6/Stdlib_Promise.js";
+import * as Primitive_option from "@rescript/runtime/lib/es6/Primitive_option.js";
+import * as Nodeasync_hooks from "node:async_hooks";
+
+let storage = new Nodeasync_hooks.AsyncLocalStorage();
+
+function current() {
+  return Primitive_option.fromNullable(storage.getStore());
+}
+
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+function timeoutFor(toolDefault, params) {
+  let seconds = Params.int(params, "timeoutSeconds");
+  if (seconds !== undefined) {
+    if (seconds > 0) {
+      return seconds * 1000 | 0;
+    } else {
+      return Params.invalid("timeoutSeconds", "a positive integer");
+    }
+  } else {
+    return Stdlib_Option.getOr(toolDefault, 300000);
+  }
+}
+
+function notification(method, params) {
+  return Object.fromEntries([
+    [
+      "method",
+      method
+    ],
+    [
+      "params",
+      params
+    ]
+  ]);
+}
+
+function outputReporter(tool, request) {
+  let match = request.progressToken;
+  let match$1 = request.sendNotification;
+  if (match === undefined) {
+    return;
+  }
+  if (match$1 === undefined) {
+    return;
+  }
+  let lines = {
+    contents: 0
+  };
+  let pending = [];
+  let omitted = {
+    contents: 0
+  };
+  let timer = {
+    contents: undefined
+  };
+  let withMessage = Protocol.supports(Stdlib_Option.getOr(request.protocolVersion, Protocol.latestVersion), "ProgressMessages");
+  let logs = Stdlib_Option.mapOr(request.logs, true, wants => wants("info"));
+  let deliver = message => {
+    Stdlib_Promise.$$catch(match$1(message), param => Promise.resolve());
+  };
+  let flush = () => {
+    Stdlib_Option.forEach(timer.contents, prim => {
+      clearTimeout(prim);
+    });
+    timer.contents = undefined;
+    let match$2 = pending.at(-1);
+    if (match$2 === undefined) {
+      return;
+    }
+    deliver(notification("notifications/progress", Object.fromEntries([
+      [
+        "progressToken",
+        match
+      ],
+      [
+        "progress",
+        lines.contents
+      ]
+    ].concat(withMessage ? [[
+          "message",
+          match$2[1]
+        ]] : []))));
+    if (logs) {
+      let reported = pending.map(param => Object.fromEntries([
+        [
+          "stream",
+          param[0]
+        ],
+        [
+          "line",
+          param[1]
+        ]
+      ]));
+      let data = Object.fromEntries([[
+          "lines",
+          reported
+        ]]);
+      if (omitted.contents > 0) {
+        data["omitted"] = omitted.contents;
+      }
+      deliver(notification("notifications/message", Object.fromEntries([
+        [
+          "level",
+          "info"
+        ],
+        [
+          "logger",
+          tool
+        ],
+        [
+          "data",
+          data
+        ]
+      ])));
+    }
+    pending.splice(0, pending.length);
+    omitted.contents = 0;
+  };
+  return {
+    onOutput: (stream, line) => {
+      lines.contents = lines.contents + 1 | 0;
+      if (pending.length < 100) {
+        pending.push([
+          stream,
+          line
+        ]);
+      } else {
+        pending[99] = [
+          stream,
+          line
+        ];
+        omitted.contents = omitted.contents + 1 | 0;
+      }
+      if (Stdlib_Option.isNone(timer.contents)) {
+        timer.contents = Primitive_option.some(setTimeout(flush, 250));
+        return;
+      }
+    },
+    flush: flush
+  };
+}
+
+let defaultTimeoutMs = 300000;
+
+let reportIntervalMs = 250;
+
+let maxReportedLines = 100;
+
+export {
+  defaultTimeoutMs,
+  storage,
+  current,
+  run,
+  timeoutFor,
+  notification,
+  reportIntervalMs,
+  maxReportedLines,
+  outputReporter,
+}
+/* storage Not a pure module */
@@ -0,0 +1,72 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+
+function hexEscape(code) {
+  return "\\x" + code.toString(16).padStart(2, "0");
+}
+
+function isControl(code) {
+  if (code < 32) {
+    return true;
+  } else {
+    return code === 127;
+  }
+}
+
+function juliaChar(c) {
+  switch (c) {
+    case "$" :
+      return "\\$";
+    case "\"" :
+      return "\\\"";
+    case "\\" :
+      return "\\\\";
+    case "\n" :
+      return "\\n";
+    case "\r" :
+      return "\\r";
+    case "\t" :
+      return "\\t";
+    default:
+      let code = c.charCodeAt(0);
+      if (isControl(code)) {
+        return hexEscape(code);
+      } else {
+        return c;
+      }
+  }
+}
+
+function julia(value) {
+  return "\"" + value.split("").map(juliaChar).join("") + "\"";
+}
+
+function juliaSymbol(value) {
+  return "Symbol(" + julia(value) + ")";
+}
+
+function lispChar(c) {
+  switch (c) {
+    case "\"" :
+      return "\\\"";
+    case "\\" :
+      return "\\\\";
+    default:
+      return c;
+  }
+}
+
+function lisp(value) {
+  return "\"" + value.split("").map(lispChar).join("") + "\"";
+}
+
+export {
+  hexEscape,
+  isControl,
+  juliaChar,
+  julia,
+  juliaSymbol,
+  lispChar,
+  lisp,
+}
+/* No side effect */
@@ -0,0 +1,274 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as Mcp from "./bindings/Mcp.res.js";
+import * as Params from "./Params.res.js";
+import * as Scopes from "./Scopes.res.js";
+import * as Adapter from "./Adapter.res.js";
+import * as Prompts from "./Prompts.res.js";
+import * as Resources from "./Resources.res.js";
+import * as Workspace from "./Workspace.res.js";
+import * as Nodepath from "node:path";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Primitive_object from "@rescript/runtime/lib/es6/Primitive_object.js";
+
+let pathArguments = [
+  "path",
+  "script"
+].concat(Adapter.outputParams);
+
+function listsPaths(scopes, prompt) {
+  let match = prompt.adapter;
+  if (match !== undefined) {
+    return Scopes.allows(scopes, prompt.adapter, "read");
+  } else {
+    return Scopes.allowsSome(scopes, "read");
+  }
+}
+
+function sourceFor(prompt, argument, scopes) {
+  if (!prompt.arguments.some(arg => arg.name === argument)) {
+    return;
+  }
+  switch (argument) {
+    case "from" :
+    case "ssg" :
+    case "to" :
+      return "SsgNames";
+    default:
+      if (pathArguments.includes(argument) && listsPaths(scopes, prompt)) {
+        return "Paths";
+      } else {
+        return;
+      }
+  }
+}
+
+function pathValues(base, value) {
+  let index = value.lastIndexOf("/");
+  let slash = index !== -1 ? index + 1 | 0 : 0;
+  let typed = value.slice(0, slash);
+  let prefix = value.slice(slash);
+  let dir = Workspace.canonicalize(Nodepath.resolve(base, Workspace.expandHome(typed)));
+  let roots = Workspace.roots();
+  let listed = roots.some(__x => Workspace.contains(__x, dir)) ? Resources.entries(dir).filter(entry => {
+      if (entry.name.startsWith(prefix)) {
+        if (prefix.startsWith(".")) {
+          return true;
+        } else {
+          return !Resources.ignored(entry.name);
+        }
+      } else {
+        return false;
+      }
+    }).map(entry => typed + entry.name + (
+      entry.isDirectory ? "/" : ""
+    )) : [];
+  let towards = roots.filter(root => {
+    if (value !== "" && root.startsWith(value)) {
+      return root !== dir;
+    } else {
+      return false;
+    }
+  });
+  return listed.concat(towards.map(root => root + "/"));
+}
+
+function resourceValues(base, value) {
+  let index = value.lastIndexOf("/");
+  let slash = index !== -1 ? index + 1 | 0 : 0;
+  let typed = value.slice(0, slash);
+  let prefix = value.slice(slash);
+  return Stdlib_Option.mapOr(Resources.within(base, typed), [], dir => Resources.entries(dir).filter(entry => {
+    if (entry.name.startsWith(prefix) && !Resources.ignored(entry.name)) {
+      return !entry.isSymlink;
+    } else {
+      return false;
+    }
+  }).map(entry => typed + entry.name + (
+    entry.isDirectory ? "/" : ""
+  )));
+}
+
+function invalid(message, ref) {
+  return Mcp.throwError(Mcp.ErrorCode.invalidParams, message, Object.fromEntries([[
+      "ref",
+      ref
+    ]]));
+}
+
+function projectDir(context) {
+  let path = context["path"];
+  if (path === undefined) {
+    return Workspace.defaultRoot();
+  }
+  try {
+    return Workspace.resolve(undefined, "path", path);
+  } catch (exn) {
+    return;
+  }
+}
+
+async function candidates(adapters, source, argument, value, context, scopes) {
+  if (typeof source !== "object") {
+    switch (source) {
+      case "SsgNames" :
+        return adapters.map(a => a.name.toLowerCase());
+      case "Paths" :
+        let base = argument === "path" ? Workspace.defaultRoot() : projectDir(context);
+        return Stdlib_Option.mapOr(base, [], base => pathValues(base, value));
+      case "ProjectNames" :
+        return (await Resources.discover()).filter(__x => Resources.readable(scopes, __x)).map(p => p.name);
+    }
+  } else {
+    let name = context["name"];
+    let project = (await Resources.discover()).find(p => {
+      if (Primitive_object.equal(p.name, name)) {
+        return Resources.readable(scopes, p);
+      } else {
+        return false;
+      }
+    });
+    let base$1;
+    if (project !== undefined) {
+      switch (source._0) {
+        case "Config" :
+        case "Source" :
+          base$1 = project.dir;
+          break;
+        case "Output" :
+          base$1 = project.output;
+          break;
+      }
+    } else {
+      base$1 = undefined;
+    }
+    return Stdlib_Option.mapOr(base$1, [], base => resourceValues(base, value));
+  }
+}
+
+function resolveRef(adapters, ref, argument, scopes) {
+  let match = Params.string(ref, "type");
+  let match$1 = Params.string(ref, "name");
+  let match$2 = Params.string(ref, "uri");
+  if (match === undefined) {
+    return invalid("Unsupported reference", ref);
+  }
+  switch (match) {
+    case "ref/prompt" :
+      if (match$1 === undefined) {
+        return invalid("Unsupported reference", ref);
+      }
+      let prompt = Prompts.all(adapters).find(p => {
+        if (p.name === match$1) {
+          return Prompts.allowed(scopes, p);
+        } else {
+          return false;
+        }
+      });
+      if (prompt !== undefined) {
+        return sourceFor(prompt, argument, scopes);
+      } else {
+        return invalid("Unknown prompt: " + match$1, ref);
+      }
+    case "ref/resource" :
+      if (match$2 === undefined) {
+        return invalid("Unsupported reference", ref);
+      }
+      let template = match$2.slice(Resources.scheme.length);
+      let match$3 = match$2.startsWith(Resources.scheme) ? template : "";
+      switch (match$3) {
+        case "{name}/config" :
+          break;
+        case "{name}/output/{path}" :
+          if (argument === "path") {
+            return {
+              TAG: "ProjectFiles",
+              _0: "Output"
+            };
+          }
+          break;
+        case "{name}/source/{path}" :
+          if (argument === "path") {
+            return {
+              TAG: "ProjectFiles",
+              _0: "Source"
+            };
+          }
+          break;
+        default:
+          return invalid("Unknown resource template: " + match$2, ref);
+      }
+      if (argument === "name") {
+        return "ProjectNames";
+      } else {
+        return;
+      }
+      break;
+    default:
+      return invalid("Unsupported reference", ref);
+  }
+}
+
+async function complete(adapters, ref, argument, value, context, scopes) {
+  let source = resolveRef(adapters, ref, argument, scopes);
+  let values;
+  if (source !== undefined) {
+    let all = await candidates(adapters, source, argument, value, context, scopes);
+    let lower = value.toLowerCase();
+    let matching;
+    let exit = 0;
+    if (typeof source !== "object") {
+      switch (source) {
+        case "Paths" :
+          matching = all;
+          break;
+        case "SsgNames" :
+        case "ProjectNames" :
+          exit = 1;
+          break;
+      }
+    } else {
+      matching = all;
+    }
+    if (exit === 1) {
+      matching = all.filter(v => v.toLowerCase().startsWith(lower));
+    }
+    values = matching.filter((v, i) => matching.indexOf(v) === i);
+  } else {
+    values = [];
+  }
+  return Object.fromEntries([[
+      "completion",
+      Object.fromEntries([
+        [
+          "values",
+          values.slice(0, 100).map(prim => prim)
+        ],
+        [
+          "total",
+          values.length
+        ],
+        [
+          "hasMore",
+          values.length > 100
+        ]
+      ])
+    ]]);
+}
+
+let maxValues = 100;
+
+export {
+  pathArguments,
+  listsPaths,
+  sourceFor,
+  maxValues,
+  pathValues,
+  resourceValues,
+  invalid,
+  projectDir,
+  candidates,
+  resolveRef,
+  complete,
+}
+/* pathArguments Not a pure module */
@@ -0,0 +1,187 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as Params from "./Params.res.js";
+import * as Adapter from "./Adapter.res.js";
+import * as Workspace from "./Workspace.res.js";
+import * as Nodepath from "node:path";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Primitive_object from "@rescript/runtime/lib/es6/Primitive_object.js";
+
+let match = Deno.env.get("MCP_CONFIRM_FALLBACK");
+
+let fallback;
+
+if (match !== undefined) {
+  switch (match) {
+    case "allow" :
+      fallback = "Allow";
+      break;
+    case "deny" :
+      fallback = "Deny";
+      break;
+    default:
+      fallback = "RequireArgument";
+  }
+} else {
+  fallback = "RequireArgument";
+}
+
+function countFiles(dir) {
+  let count = {
+    contents: 0
+  };
+  let walk = dir => {
+    Array.from(Deno.readDirSync(dir)).forEach(entry => {
+      if (count.contents >= 10000) {
+        return;
+      }
+      if (!entry.isDirectory) {
+        count.contents = count.contents + 1 | 0;
+        return;
+      }
+      try {
+        return walk(Nodepath.join(dir, entry.name));
+      } catch (exn) {
+        return;
+      }
+    });
+  };
+  try {
+    walk(dir);
+    return count.contents;
+  } catch (exn) {
+    return;
+  }
+}
+
+function describeDir(dir) {
+  let n = countFiles(dir);
+  if (n !== undefined) {
+    if (n !== 1) {
+      if (n >= 10000) {
+        return dir + ` (` + (10000).toString() + `+ files)`;
+      } else {
+        return dir + ` (` + n.toString() + ` files)`;
+      }
+    } else {
+      return dir + " (1 file)";
+    }
+  } else {
+    return dir + " (does not exist)";
+  }
+}
+
+function describe(tool, projectDir, effect) {
+  let dir = target => describeDir(Nodepath.resolve(projectDir, target));
+  switch (effect.TAG) {
+    case "Deletes" :
+      let targets = effect._0;
+      if (targets.length !== 0) {
+        return tool + ` will delete ` + targets.map(dir).join(" and ") + `.`;
+      } else {
+        return tool + ` will delete the build artifacts in ` + projectDir + `.`;
+      }
+    case "Replaces" :
+      return tool + ` will overwrite ` + dir(effect._0) + `.`;
+    case "Publishes" :
+      return tool + ` will publish ` + dir(effect._0) + ` to the site's host.`;
+    case "Stops" :
+      return tool + ` will stop ` + effect._0 + `.`;
+  }
+}
+
+function elicitation(message) {
+  return Object.fromEntries([
+    [
+      "message",
+      message + " Continue?"
+    ],
+    [
+      "requestedSchema",
+      Adapter.objectSchema([[
+          "confirm",
+          Object.fromEntries([
+            [
+              "type",
+              "boolean"
+            ],
+            [
+              "title",
+              "Run it"
+            ],
+            [
+              "default",
+              false
+            ]
+          ])
+        ]], ["confirm"])
+    ]
+  ]);
+}
+
+function accepted(result) {
+  if (Primitive_object.equal(Params.string(result, "action"), "accept")) {
+    return Primitive_object.equal(Stdlib_Option.flatMap(Params.field(result, "content"), __x => Params.bool(__x, "confirm")), true);
+  } else {
+    return false;
+  }
+}
+
+function exists(path) {
+  try {
+    Deno.realPathSync(path);
+    return true;
+  } catch (exn) {
+    return false;
+  }
+}
+
+async function check(tool, params, request) {
+  let projectDir = Stdlib_Option.getOr(Params.path(params, "path"), Workspace.defaultRoot());
+  let effect = Stdlib_Option.flatMap(tool.confirm, effectOf => effectOf(params));
+  if (effect === undefined) {
+    return;
+  }
+  if (effect.TAG === "Deletes") {
+    let targets = effect._0;
+    if (Primitive_object.notequal(targets, []) && !targets.some(t => exists(Nodepath.resolve(projectDir, t)))) {
+      return;
+    }
+  }
+  let message = describe(tool.name, projectDir, effect);
+  let match = request.elicit;
+  if (match !== undefined) {
+    if (accepted(await match(elicitation(message)))) {
+      return;
+    } else {
+      return message + " The user did not confirm it, so it was not run.";
+    }
+  }
+  switch (fallback) {
+    case "Deny" :
+      return message + " This client cannot be asked to confirm it (MCP_CONFIRM_FALLBACK=deny).";
+    case "Allow" :
+      return;
+    case "RequireArgument" :
+      if (Primitive_object.equal(Params.bool(params, "confirm"), true)) {
+        return;
+      } else {
+        return message + " Call it again with confirm: true to proceed.";
+      }
+  }
+}
+
+let countLimit = 10000;
+
+export {
+  fallback,
+  countLimit,
+  countFiles,
+  describeDir,
+  describe,
+  elicitation,
+  accepted,
+  exists,
+  check,
+}
+/* match Not a pure module */
@@ -0,0 +1,156 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as Adapter from "./Adapter.res.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+
+function isError(issue) {
+  let match = issue.kind;
+  switch (match) {
+    case "Missing" :
+    case "Misnamed" :
+      return false;
+    default:
+      return true;
+  }
+}
+
+function kindToString(kind) {
+  switch (kind) {
+    case "Missing" :
+      return "missing";
+    case "Misnamed" :
+      return "misnamed";
+    case "UnknownTool" :
+      return "unknown_tool";
+    case "Duplicate" :
+      return "duplicate";
+    case "Undeclared" :
+      return "undeclared";
+  }
+}
+
+function toolPrefix(tools) {
+  let names = tools.map(t => t.name);
+  if (names.length === 0) {
+    return "";
+  }
+  let first = names[0];
+  let length = {
+    contents: first.length
+  };
+  names.forEach(name => {
+    while (!name.startsWith(first.slice(0, length.contents))) {
+      length.contents = length.contents - 1 | 0;
+    };
+  });
+  let common = first.slice(0, length.contents);
+  return common.slice(0, common.lastIndexOf("_") + 1 | 0);
+}
+
+function standardName(adapter, operation) {
+  return toolPrefix(adapter.tools) + Adapter.operationName(operation);
+}
+
+function check(adapter) {
+  let issues = [];
+  let report = (operation, kind, message) => {
+    issues.push({
+      adapter: adapter.name,
+      operation: operation,
+      kind: kind,
+      message: message
+    });
+  };
+  let exists = name => adapter.tools.some(t => t.name === name);
+  Adapter.operations.forEach(operation => {
+    let standard = standardName(adapter, operation);
+    let declared = adapter.capabilities.filter(param => param[0] === operation);
+    let len = declared.length;
+    if (len !== 1) {
+      if (len === 0) {
+        if (exists(standard)) {
+          return report(operation, "Undeclared", standard + " exists but is not declared as " + Adapter.operationName(operation));
+        } else {
+          return report(operation, "Missing", "no " + Adapter.operationName(operation) + " tool");
+        }
+      }
+      let tools = declared.map(param => param[1]).join(", ");
+      return report(operation, "Duplicate", "declared more than once: " + tools);
+    }
+    let match = declared[0];
+    let tool = match[1];
+    if (exists(tool)) {
+      if (tool !== standard) {
+        if (exists(standard)) {
+          return report(operation, "Undeclared", standard + " exists but " + tool + " is declared");
+        } else {
+          return report(operation, "Misnamed", tool + " (standard name: " + standard + ")");
+        }
+      } else {
+        return;
+      }
+    } else {
+      return report(operation, "UnknownTool", tool + " is declared but not exposed");
+    }
+  });
+  return issues;
+}
+
+function issueToJson(issue) {
+  let obj = {};
+  obj["operation"] = Adapter.operationName(issue.operation);
+  obj["kind"] = kindToString(issue.kind);
+  obj["severity"] = isError(issue) ? "error" : "warning";
+  obj["message"] = issue.message;
+  return obj;
+}
+
+function matrix(adapters) {
+  let rows = adapters.map(adapter => {
+    let tools = {};
+    Adapter.operations.forEach(operation => {
+      tools[Adapter.operationName(operation)] = Stdlib_Option.mapOr(Adapter.toolFor(adapter.capabilities, operation), null, prim => prim);
+    });
+    let problems = check(adapter).filter(issue => issue.kind !== "Missing");
+    let row = {};
+    row["name"] = adapter.name;
+    row["language"] = adapter.language;
+    row["operations"] = tools;
+    row["issues"] = problems.map(issueToJson);
+    return row;
+  });
+  let coverage = {};
+  Adapter.operations.forEach(operation => {
+    let supported = adapters.filter(a => Stdlib_Option.isSome(Adapter.toolFor(a.capabilities, operation)));
+    coverage[Adapter.operationName(operation)] = supported.length;
+  });
+  let result = {};
+  result["operations"] = Adapter.standardTools.map(prim => prim);
+  result["coverage"] = coverage;
+  result["adapters"] = rows;
+  return result;
+}
+
+function report(adapters) {
+  let issues = adapters.flatMap(check);
+  issues.forEach(issue => {
+    console.error((
+      isError(issue) ? "error" : "warning"
+    ) + " " + issue.adapter + " " + Adapter.operationName(issue.operation) + ": " + issue.message);
+  });
+  let errors = issues.filter(isError).length;
+  console.error(adapters.length.toString() + " adapters, " + errors.toString() + " errors, " + (issues.length - errors | 0).toString() + " warnings");
+  return errors;
+}
+
+export {
+  isError,
+  kindToString,
+  toolPrefix,
+  standardName,
+  check,
+  issueToJson,
+  matrix,
+  report,
+}
+/* Adapter Not a pure module */
@@ -1,26 +1,233 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
 
-let allowedCommands = [
-  "init",
-  "new",
-  "create",
-  "build",
-  "serve",
-  "watch",
-  "deploy",
-  "check",
-  "clean",
-  "version",
-  "help",
-  "generate",
-  "preview",
-  "publish",
-  "render"
-];
+function resultToJson(result) {
+  let obj = {};
+  obj["success"] = result.success;
+  obj["code"] = result.code;
+  obj["stdout"] = result.stdout;
+  obj["stderr"] = result.stderr;
+  if (result.timedOut) {
+    obj["timedOut"] = true;
+  }
+  if (result.cancelled) {
+    obj["cancelled"] = true;
+  }
+  return obj;
+}
 
-function sanitizeArg(arg) {
-  return arg.replace(/[;&|`$(){}\\[\\]<>]/g, "");
+function allowedCommands(ssg) {
+  switch (ssg) {
+    case "Zola" :
+      return [
+        "init",
+        "build",
+        "serve",
+        "check",
+        "--version"
+      ];
+    case "Cobalt" :
+      return [
+        "init",
+        "new",
+        "build",
+        "serve",
+        "watch",
+        "clean",
+        "--version"
+      ];
+    case "MdBook" :
+      return [
+        "init",
+        "build",
+        "serve",
+        "watch",
+        "test",
+        "clean",
+        "--version"
+      ];
+    case "Serum" :
+      return [
+        "serum.new",
+        "serum.build",
+        "serum.server",
+        "serum",
+        "--version"
+      ];
+    case "NimblePublisher" :
+      return [
+        "phx.new",
+        "phx.server",
+        "compile",
+        "--version"
+      ];
+    case "Tableau" :
+      return [
+        "tableau.new",
+        "tableau.build",
+        "tableau.server",
+        "--version"
+      ];
+    case "Hakyll" :
+      return [
+        "new",
+        "exec",
+        "--version"
+      ];
+    case "Ema" :
+      return [
+        "run",
+        "gen",
+        "flake",
+        "--version"
+      ];
+    case "YOCaml" :
+      return [
+        "init",
+        "build",
+        "clean",
+        "--version"
+      ];
+    case "Fornax" :
+      return [
+        "new",
+        "build",
+        "watch",
+        "clean",
+        "version"
+      ];
+    case "Publish" :
+      return [
+        "new",
+        "generate",
+        "run",
+        "deploy",
+        "--version"
+      ];
+    case "Coleslaw" :
+      return [
+        "--eval",
+        "--version"
+      ];
+    case "Orchid" :
+      return [
+        "init",
+        "build",
+        "serve",
+        "deploy",
+        "--version"
+      ];
+    case "Cryogen" :
+      return [
+        "new",
+        "run",
+        "ring",
+        "version"
+      ];
+    case "Perun" :
+      return [
+        "new",
+        "build",
+        "dev",
+        "--version"
+      ];
+    case "Babashka" :
+      return [
+        "run",
+        "--file",
+        "tasks",
+        "nrepl-server",
+        "--version"
+      ];
+    case "Laika" :
+      return [
+        "transform",
+        "generate",
+        "preview",
+        "--version"
+      ];
+    case "ScalaTex" :
+      return [
+        "init",
+        "clean",
+        "-w",
+        "--version"
+      ];
+    case "Zotonic" :
+      return [
+        "siteadd",
+        "sitestart",
+        "sitestop",
+        "start",
+        "stop",
+        "compile",
+        "status"
+      ];
+    case "Pollen" :
+      return ["pollen"];
+    case "Frog" :
+      return ["frog"];
+    case "Reggae" :
+      return [
+        "",
+        "--backend=",
+        "build",
+        "clean",
+        "--version"
+      ];
+    case "Wub" :
+      return [
+        "wub.tcl",
+        "-c",
+        "--version"
+      ];
+    case "Marmot" :
+      return [
+        "init",
+        "build",
+        "serve",
+        "watch",
+        "--version"
+      ];
+    case "Nimrod" :
+      return [
+        "init",
+        "build",
+        "serve",
+        "clean",
+        "--version"
+      ];
+    case "Corral" :
+      return [
+        "init",
+        "new",
+        "build",
+        "serve",
+        "check",
+        "clean",
+        "version"
+      ];
+    default:
+      return [
+        "-e",
+        "--project=",
+        "--version"
+      ];
+  }
+}
+
+function acceptsTargets(ssg) {
+  switch (ssg) {
+    case "Perun" :
+    case "ScalaTex" :
+      return true;
+    default:
+      return false;
+  }
+}
+
+function isOptionLike(arg) {
+  return arg.startsWith("-");
 }
 
 function getBinary(ssg) {
@@ -40,13 +247,13 @@ function getBinary(ssg) {
     case "Ema" :
       return "ema";
     case "YOCaml" :
-      return "yocaml";
+      return "dune";
     case "Fornax" :
       return "fornax";
     case "Publish" :
       return "publish";
     case "Coleslaw" :
-      return "coleslaw";
+      return "sbcl";
     case "Orchid" :
       return "orchid";
     case "Franklin" :
@@ -71,7 +278,7 @@ function getBinary(ssg) {
     case "Reggae" :
       return "reggae";
     case "Wub" :
-      return "wub";
+      return "tclsh";
     case "Marmot" :
       return "marmot";
     case "Nimrod" :
@@ -81,6 +288,28 @@ function getBinary(ssg) {
   }
 }
 
+function getBinaries(ssg) {
+  switch (ssg) {
+    case "Ema" :
+      return [
+        "ema",
+        "nix"
+      ];
+    case "YOCaml" :
+      return [
+        "dune",
+        "opam"
+      ];
+    case "Nimrod" :
+      return [
+        "nimrod",
+        "nim"
+      ];
+    default:
+      return [getBinary(ssg)];
+  }
+}
+
 function getLanguage(ssg) {
   switch (ssg) {
     case "Zola" :
@@ -132,9 +361,12 @@ function getLanguage(ssg) {
 }
 
 export {
+  resultToJson,
   allowedCommands,
-  sanitizeArg,
+  acceptsTargets,
+  isOptionLike,
   getBinary,
+  getBinaries,
   getLanguage,
 }
 /* No side effect */
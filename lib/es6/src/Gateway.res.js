@@ -0,0 +1,91 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as $$Deno from "./bindings/Deno.res.js";
+import * as Metrics from "./Metrics.res.js";
+import * as Executor from "./Executor.res.js";
+import * as Workspace from "./Workspace.res.js";
+import * as Resilience from "./Resilience.res.js";
+import * as Supervisor from "./Supervisor.res.js";
+import * as CallContext from "./CallContext.res.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Stdlib_JsError from "@rescript/runtime/lib/es6/Stdlib_JsError.js";
+
+function commandLine(binary, args) {
+  return [binary].concat(args).join(" ");
+}
+
+function deny(binary, args, reason) {
+  console.error("[gateway] denied `" + commandLine(binary, args) + "`: " + reason);
+  return Stdlib_JsError.throwWithMessage("Command denied: " + reason);
+}
+
+function matchesCommand(arg, allowed) {
+  if (arg === allowed) {
+    return true;
+  } else if (allowed.endsWith("=")) {
+    return arg.startsWith(allowed);
+  } else {
+    return false;
+  }
+}
+
+function check(ssg, binary, args, operands) {
+  if (!Executor.getBinaries(ssg).includes(binary)) {
+    deny(binary, args, binary + " is not a " + Executor.getBinary(ssg) + " toolchain binary");
+  }
+  let subcommand = Stdlib_Option.getOr(args[0], "");
+  let isTarget = Executor.acceptsTargets(ssg) && operands.includes(subcommand);
+  if (!isTarget && !Executor.allowedCommands(ssg).some(__x => matchesCommand(subcommand, __x))) {
+    deny(binary, args, "subcommand '" + subcommand + "' is not allowed");
+  }
+  let operand = operands.find(Executor.isOptionLike);
+  if (operand !== undefined) {
+    return deny(binary, args, "argument '" + operand + "' must not start with '-'");
+  }
+}
+
+async function run(ssg, binaryOpt, operandsOpt, args, cwd) {
+  let binary = binaryOpt !== undefined ? binaryOpt : Executor.getBinary(ssg);
+  let operands = operandsOpt !== undefined ? operandsOpt : [];
+  check(ssg, binary, args, operands);
+  let context = CallContext.current();
+  let adapter = Stdlib_Option.flatMap(context, c => c.adapter);
+  let result = await Resilience.guard(binary, adapter, () => $$Deno.Command.run(binary, args, Stdlib_Option.getOr(cwd, Workspace.defaultRoot()), Stdlib_Option.mapOr(context, CallContext.defaultTimeoutMs, c => c.timeoutMs), Stdlib_Option.flatMap(context, c => c.signal), Stdlib_Option.flatMap(context, c => c.onOutput)), __x => Resilience.classify(Stdlib_Option.flatMap(context, c => c.shortened), __x));
+  Metrics.recordExit(adapter, result);
+  return result;
+}
+
+function classifyStart(proc) {
+  let code = proc.status;
+  if (typeof code !== "object") {
+    return "Succeeded";
+  }
+  let code$1 = code._0;
+  if (code$1 >= 126) {
+    return {
+      TAG: "Failed",
+      _0: "exit code " + code$1.toString()
+    };
+  } else {
+    return "Succeeded";
+  }
+}
+
+async function start(ssg, tool, binaryOpt, operandsOpt, args, cwd) {
+  let binary = binaryOpt !== undefined ? binaryOpt : Executor.getBinary(ssg);
+  let operands = operandsOpt !== undefined ? operandsOpt : [];
+  check(ssg, binary, args, operands);
+  let context = CallContext.current();
+  return await Resilience.guard(binary, Stdlib_Option.flatMap(context, c => c.adapter), () => Supervisor.start(tool, Stdlib_Option.flatMap(context, c => c.sessionId), binary, args, Stdlib_Option.getOr(cwd, Workspace.defaultRoot())), classifyStart);
+}
+
+export {
+  commandLine,
+  deny,
+  matchesCommand,
+  check,
+  run,
+  classifyStart,
+  start,
+}
+/* Metrics Not a pure module */
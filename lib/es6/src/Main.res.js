@@ -1,6 +1,7 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
 import * as Server from "./Server.res.js";
+import * as Protocol from "./Protocol.res.js";
 import * as Stdlib_Int from "@rescript/runtime/lib/es6/Stdlib_Int.js";
 import * as Stdlib_JSON from "@rescript/runtime/lib/es6/Stdlib_JSON.js";
 import * as McpJs from "@modelcontextprotocol/sdk/server/mcp.js";
@@ -55,7 +56,7 @@ function createServer(adapters) {
       } else {
         schemaProps = {};
       }
-      server.tool(t.name, t.description, schemaProps, async params => await Server.executeAdapterTool(adapter, t, params));
+      server.tool(t.name, t.description, schemaProps, async params => await Server.executeAdapterTool(adapter, t, params, {}));
     });
   });
   return server;
@@ -138,7 +139,7 @@ async function startHttpMode(adapters) {
       info["name"] = "polyglot-ssg-mcp";
       info["version"] = Server.packageVersion;
       info["protocol"] = "MCP Streamable HTTP";
-      info["protocolVersion"] = "2025-06-18";
+      info["protocolVersion"] = Protocol.latestVersion;
       info["endpoint"] = "/mcp";
       info["ssgs"] = ssgList;
       info["documentation"] = "https://github.com/hyperpolymath/polyglot-ssg-mcp";
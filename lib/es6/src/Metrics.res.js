@@ -0,0 +1,265 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as Resilience from "./Resilience.res.js";
+import * as Supervisor from "./Supervisor.res.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Primitive_option from "@rescript/runtime/lib/es6/Primitive_option.js";
+
+let latencyBuckets = [
+  0.1,
+  0.25,
+  0.5,
+  1.0,
+  2.5,
+  5.0,
+  10.0,
+  30.0,
+  60.0,
+  300.0,
+  900.0
+];
+
+let tools = {};
+
+let exitCodes = {};
+
+function statsFor(tool, adapter) {
+  let stats = tools[tool];
+  if (stats !== undefined) {
+    return stats;
+  }
+  let stats$1 = {
+    adapter: adapter,
+    ok: 0,
+    errors: 0,
+    latency: {
+      counts: Stdlib_Array.make(latencyBuckets.length + 1 | 0, 0),
+      sum: 0.0,
+      count: 0
+    }
+  };
+  tools[tool] = stats$1;
+  return stats$1;
+}
+
+function observe(h, seconds) {
+  let i = latencyBuckets.findIndex(bound => seconds <= bound);
+  let index = i !== -1 ? i : latencyBuckets.length;
+  h.counts[index] = h.counts[index] + 1 | 0;
+  h.sum = h.sum + seconds;
+  h.count = h.count + 1 | 0;
+}
+
+function recordCall(tool, adapter, isError, durationMs) {
+  let stats = statsFor(tool, adapter);
+  if (isError) {
+    stats.errors = stats.errors + 1 | 0;
+  } else {
+    stats.ok = stats.ok + 1 | 0;
+  }
+  observe(stats.latency, durationMs / 1000.0);
+}
+
+function recordExit(adapter, result) {
+  let code = result.timedOut ? "timeout" : (
+      result.cancelled ? "cancelled" : result.code.toString()
+    );
+  let adapter$1 = Stdlib_Option.getOr(adapter, "none");
+  let codes = exitCodes[adapter$1];
+  let codes$1;
+  if (codes !== undefined) {
+    codes$1 = codes;
+  } else {
+    let codes$2 = {};
+    exitCodes[adapter$1] = codes$2;
+    codes$1 = codes$2;
+  }
+  codes$1[code] = Stdlib_Option.getOr(codes$1[code], 0) + 1 | 0;
+}
+
+function escapeLabel(value) {
+  return value.replaceAll("\\", "\\\\").replaceAll("\"", "\\\"").replaceAll("\n", "\\n");
+}
+
+function labels(pairs) {
+  if (pairs.length !== 0) {
+    return "{" + pairs.map(param => param[0] + "=\"" + escapeLabel(param[1]) + "\"").join(",") + "}";
+  } else {
+    return "";
+  }
+}
+
+function sample(name, pairs, value) {
+  return name + labels(pairs) + " " + value;
+}
+
+function header(name, kind, help) {
+  return [
+    "# HELP " + name + " " + help,
+    "# TYPE " + name + " " + kind
+  ];
+}
+
+function family(name, kind, help, samples) {
+  return header(name, kind, help).concat(samples);
+}
+
+function int(prim0, prim1) {
+  return prim0.toString(prim1 !== undefined ? Primitive_option.valFromOption(prim1) : undefined);
+}
+
+function histogramSamples(name, pairs, h) {
+  let cumulative = {
+    contents: 0
+  };
+  let buckets = h.counts.map((count, i) => {
+    cumulative.contents = cumulative.contents + count | 0;
+    let b = latencyBuckets[i];
+    let bound = b !== undefined ? b.toString() : "+Inf";
+    return sample(name + "_bucket", pairs.concat([[
+        "le",
+        bound
+      ]]), cumulative.contents.toString());
+  });
+  return buckets.concat([
+    sample(name + "_sum", pairs, h.sum.toString()),
+    sample(name + "_count", pairs, h.count.toString())
+  ]);
+}
+
+function breakerStateValue(state) {
+  switch (state) {
+    case "Closed" :
+      return 0;
+    case "Open" :
+      return 2;
+    case "HalfOpen" :
+      return 1;
+  }
+}
+
+function breakerSamples(metric, value) {
+  let samples = (kind, registry) => Object.entries(registry).map(param => sample(metric, [
+    [
+      "kind",
+      kind
+    ],
+    [
+      "name",
+      param[0]
+    ]
+  ], value(param[1]).toString()));
+  return samples("adapter", Resilience.adapterBreakers).concat(samples("binary", Resilience.binaryBreakers));
+}
+
+function render() {
+  let toolEntries = Object.entries(tools);
+  let calls = toolEntries.flatMap(param => {
+    let stats = param[1];
+    let tool = param[0];
+    return [
+      sample("ssg_tool_calls_total", [
+        [
+          "tool",
+          tool
+        ],
+        [
+          "adapter",
+          stats.adapter
+        ],
+        [
+          "status",
+          "ok"
+        ]
+      ], stats.ok.toString()),
+      sample("ssg_tool_calls_total", [
+        [
+          "tool",
+          tool
+        ],
+        [
+          "adapter",
+          stats.adapter
+        ],
+        [
+          "status",
+          "error"
+        ]
+      ], stats.errors.toString())
+    ];
+  });
+  let latency = toolEntries.flatMap(param => {
+    let stats = param[1];
+    return histogramSamples("ssg_tool_duration_seconds", [
+      [
+        "tool",
+        param[0]
+      ],
+      [
+        "adapter",
+        stats.adapter
+      ]
+    ], stats.latency);
+  });
+  let exits = Object.entries(exitCodes).flatMap(param => {
+    let adapter = param[0];
+    return Object.entries(param[1]).map(param => sample("ssg_command_exits_total", [
+      [
+        "adapter",
+        adapter
+      ],
+      [
+        "code",
+        param[0]
+      ]
+    ], param[1].toString()));
+  });
+  let bulkheads = Object.entries(Resilience.bulkheads);
+  let processes = Supervisor.list();
+  let processCount = status => processes.filter(p => Supervisor.statusToString(p.status) === status).length;
+  return [
+    family("ssg_tool_calls_total", "counter", "Tool calls by tool and result", calls),
+    family("ssg_tool_duration_seconds", "histogram", "Tool call duration", latency),
+    family("ssg_command_exits_total", "counter", "Foreground commands by adapter and exit code (or timeout, cancelled)", exits),
+    family("ssg_circuit_breaker_state", "gauge", "Circuit breaker state: 0 closed, 1 half-open, 2 open", breakerSamples("ssg_circuit_breaker_state", b => breakerStateValue(b.state))),
+    family("ssg_circuit_breaker_rejections_total", "counter", "Calls rejected by an open circuit breaker", breakerSamples("ssg_circuit_breaker_rejections_total", b => b.rejected)),
+    family("ssg_adapter_running_calls", "gauge", "Tool calls running per adapter", bulkheads.map(param => sample("ssg_adapter_running_calls", [[
+        "adapter",
+        param[0]
+      ]], param[1].running.toString()))),
+    family("ssg_adapter_busy_rejections_total", "counter", "Tool calls rejected because the adapter's concurrency limit was reached", bulkheads.map(param => sample("ssg_adapter_busy_rejections_total", [[
+        "adapter",
+        param[0]
+      ]], param[1].rejected.toString()))),
+    family("ssg_background_processes", "gauge", "Background processes started by *_serve / *_watch tools, by status", [
+      "running",
+      "exited",
+      "stopped"
+    ].map(status => sample("ssg_background_processes", [[
+        "status",
+        status
+      ]], processCount(status).toString())))
+  ].flat().join("\n") + "\n";
+}
+
+export {
+  latencyBuckets,
+  tools,
+  exitCodes,
+  statsFor,
+  observe,
+  recordCall,
+  recordExit,
+  escapeLabel,
+  labels,
+  sample,
+  header,
+  family,
+  int,
+  histogramSamples,
+  breakerStateValue,
+  breakerSamples,
+  render,
+}
+/* Resilience Not a pure module */
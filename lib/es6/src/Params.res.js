@@ -0,0 +1,97 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as Workspace from "./Workspace.res.js";
+import * as Stdlib_JSON from "@rescript/runtime/lib/es6/Stdlib_JSON.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Stdlib_JsError from "@rescript/runtime/lib/es6/Stdlib_JsError.js";
+
+function field(params, key) {
+  let obj = Stdlib_JSON.Decode.object(params);
+  if (obj === undefined) {
+    return;
+  }
+  let value = obj[key];
+  if (value !== undefined && value !== null) {
+    return value;
+  }
+}
+
+function invalid(key, expected) {
+  return Stdlib_JsError.throwWithMessage("Invalid parameter: " + key + " must be " + expected);
+}
+
+function missing(key) {
+  return Stdlib_JsError.throwWithMessage("Missing required parameter: " + key);
+}
+
+function string(params, key) {
+  let match = field(params, key);
+  if (match !== undefined) {
+    if (typeof match === "string") {
+      return match;
+    } else {
+      return invalid(key, "a string");
+    }
+  }
+}
+
+function bool(params, key) {
+  let match = field(params, key);
+  if (match !== undefined) {
+    if (typeof match === "boolean") {
+      return match;
+    } else {
+      return invalid(key, "a boolean");
+    }
+  }
+}
+
+function int(params, key) {
+  let match = field(params, key);
+  if (match !== undefined) {
+    if (typeof match === "number" && (match | 0) === match) {
+      return match | 0;
+    } else {
+      return invalid(key, "an integer");
+    }
+  }
+}
+
+function requireString(params, key) {
+  let s = string(params, key);
+  if (s !== undefined) {
+    return s;
+  } else {
+    return Stdlib_JsError.throwWithMessage("Missing required parameter: " + key);
+  }
+}
+
+function projectBase(params, key) {
+  if (key === "path") {
+    return;
+  } else {
+    return Stdlib_Option.map(string(params, "path"), value => Workspace.resolve(undefined, "path", value));
+  }
+}
+
+function path(params, key) {
+  return Stdlib_Option.map(string(params, key), value => Workspace.resolve(projectBase(params, key), key, value));
+}
+
+function requirePath(params, key) {
+  return Workspace.resolve(projectBase(params, key), key, requireString(params, key));
+}
+
+export {
+  field,
+  invalid,
+  missing,
+  string,
+  bool,
+  int,
+  requireString,
+  projectBase,
+  path,
+  requirePath,
+}
+/* Workspace Not a pure module */
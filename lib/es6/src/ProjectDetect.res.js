@@ -0,0 +1,609 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as Adapter from "./Adapter.res.js";
+import * as Nodepath from "node:path";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+
+let rules = [
+  {
+    ssg: "Zola",
+    clues: [
+      {
+        marker: {
+          TAG: "File",
+          _0: "zola.toml"
+        },
+        weight: 4
+      },
+      {
+        marker: {
+          TAG: "FileContaining",
+          _0: "config.toml",
+          _1: "base_url"
+        },
+        weight: 2
+      },
+      {
+        marker: {
+          TAG: "Directory",
+          _0: "content"
+        },
+        weight: 1
+      },
+      {
+        marker: {
+          TAG: "Directory",
+          _0: "templates"
+        },
+        weight: 1
+      }
+    ]
+  },
+  {
+    ssg: "Cobalt",
+    clues: [{
+        marker: {
+          TAG: "File",
+          _0: "_cobalt.yml"
+        },
+        weight: 4
+      }]
+  },
+  {
+    ssg: "MdBook",
+    clues: [
+      {
+        marker: {
+          TAG: "File",
+          _0: "book.toml"
+        },
+        weight: 4
+      },
+      {
+        marker: {
+          TAG: "File",
+          _0: "src/SUMMARY.md"
+        },
+        weight: 2
+      }
+    ]
+  },
+  {
+    ssg: "Serum",
+    clues: [
+      {
+        marker: {
+          TAG: "FileContaining",
+          _0: "mix.exs",
+          _1: ":serum"
+        },
+        weight: 4
+      },
+      {
+        marker: {
+          TAG: "File",
+          _0: "serum.exs"
+        },
+        weight: 2
+      }
+    ]
+  },
+  {
+    ssg: "NimblePublisher",
+    clues: [{
+        marker: {
+          TAG: "FileContaining",
+          _0: "mix.exs",
+          _1: ":nimble_publisher"
+        },
+        weight: 4
+      }]
+  },
+  {
+    ssg: "Tableau",
+    clues: [{
+        marker: {
+          TAG: "FileContaining",
+          _0: "mix.exs",
+          _1: ":tableau"
+        },
+        weight: 4
+      }]
+  },
+  {
+    ssg: "Hakyll",
+    clues: [
+      {
+        marker: {
+          TAG: "File",
+          _0: "site.hs"
+        },
+        weight: 4
+      },
+      {
+        marker: {
+          TAG: "FileContaining",
+          _0: "package.yaml",
+          _1: "hakyll"
+        },
+        weight: 3
+      },
+      {
+        marker: {
+          TAG: "File",
+          _0: "stack.yaml"
+        },
+        weight: 1
+      }
+    ]
+  },
+  {
+    ssg: "Ema",
+    clues: [{
+        marker: {
+          TAG: "FileContaining",
+          _0: "flake.nix",
+          _1: "srid/ema"
+        },
+        weight: 4
+      }]
+  },
+  {
+    ssg: "YOCaml",
+    clues: [
+      {
+        marker: {
+          TAG: "FileContaining",
+          _0: "dune",
+          _1: "yocaml"
+        },
+        weight: 4
+      },
+      {
+        marker: {
+          TAG: "File",
+          _0: "dune-project"
+        },
+        weight: 1
+      }
+    ]
+  },
+  {
+    ssg: "Fornax",
+    clues: [
+      {
+        marker: {
+          TAG: "File",
+          _0: "config.fsx"
+        },
+        weight: 3
+      },
+      {
+        marker: {
+          TAG: "Directory",
+          _0: "loaders"
+        },
+        weight: 1
+      },
+      {
+        marker: {
+          TAG: "Directory",
+          _0: "generators"
+        },
+        weight: 1
+      }
+    ]
+  },
+  {
+    ssg: "Publish",
+    clues: [{
+        marker: {
+          TAG: "FileContaining",
+          _0: "Package.swift",
+          _1: "JohnSundell/Publish"
+        },
+        weight: 4
+      }]
+  },
+  {
+    ssg: "Coleslaw",
+    clues: [{
+        marker: {
+          TAG: "File",
+          _0: ".coleslawrc"
+        },
+        weight: 4
+      }]
+  },
+  {
+    ssg: "Orchid",
+    clues: [
+      {
+        marker: {
+          TAG: "FileContaining",
+          _0: "build.gradle",
+          _1: "orchid"
+        },
+        weight: 4
+      },
+      {
+        marker: {
+          TAG: "FileContaining",
+          _0: "build.gradle.kts",
+          _1: "orchid"
+        },
+        weight: 4
+      }
+    ]
+  },
+  {
+    ssg: "Franklin",
+    clues: [
+      {
+        marker: {
+          TAG: "FileContaining",
+          _0: "Project.toml",
+          _1: "Franklin"
+        },
+        weight: 3
+      },
+      {
+        marker: {
+          TAG: "File",
+          _0: "config.md"
+        },
+        weight: 2
+      },
+      {
+        marker: {
+          TAG: "File",
+          _0: "index.md"
+        },
+        weight: 1
+      }
+    ]
+  },
+  {
+    ssg: "StaticWebPages",
+    clues: [{
+        marker: {
+          TAG: "FileContaining",
+          _0: "Project.toml",
+          _1: "StaticWebPages"
+        },
+        weight: 4
+      }]
+  },
+  {
+    ssg: "Documenter",
+    clues: [
+      {
+        marker: {
+          TAG: "FileContaining",
+          _0: "docs/make.jl",
+          _1: "makedocs"
+        },
+        weight: 4
+      },
+      {
+        marker: {
+          TAG: "FileContaining",
+          _0: "make.jl",
+          _1: "makedocs"
+        },
+        weight: 4
+      },
+      {
+        marker: {
+          TAG: "File",
+          _0: "docs/Project.toml"
+        },
+        weight: 1
+      }
+    ]
+  },
+  {
+    ssg: "Cryogen",
+    clues: [
+      {
+        marker: {
+          TAG: "FileContaining",
+          _0: "project.clj",
+          _1: "cryogen"
+        },
+        weight: 4
+      },
+      {
+        marker: {
+          TAG: "File",
+          _0: "content/config.edn"
+        },
+        weight: 2
+      }
+    ]
+  },
+  {
+    ssg: "Perun",
+    clues: [{
+        marker: {
+          TAG: "FileContaining",
+          _0: "build.boot",
+          _1: "perun"
+        },
+        weight: 4
+      }]
+  },
+  {
+    ssg: "Babashka",
+    clues: [{
+        marker: {
+          TAG: "File",
+          _0: "bb.edn"
+        },
+        weight: 4
+      }]
+  },
+  {
+    ssg: "Laika",
+    clues: [{
+        marker: {
+          TAG: "FileContaining",
+          _0: "build.sbt",
+          _1: "laika"
+        },
+        weight: 4
+      }]
+  },
+  {
+    ssg: "ScalaTex",
+    clues: [{
+        marker: {
+          TAG: "FileContaining",
+          _0: "build.sbt",
+          _1: "scalatex"
+        },
+        weight: 4
+      }]
+  },
+  {
+    ssg: "Zotonic",
+    clues: [{
+        marker: {
+          TAG: "FileContaining",
+          _0: "rebar.config",
+          _1: "zotonic"
+        },
+        weight: 4
+      }]
+  },
+  {
+    ssg: "Pollen",
+    clues: [{
+        marker: {
+          TAG: "File",
+          _0: "pollen.rkt"
+        },
+        weight: 4
+      }]
+  },
+  {
+    ssg: "Frog",
+    clues: [
+      {
+        marker: {
+          TAG: "File",
+          _0: ".frogrc"
+        },
+        weight: 4
+      },
+      {
+        marker: {
+          TAG: "File",
+          _0: "frog.rkt"
+        },
+        weight: 4
+      }
+    ]
+  },
+  {
+    ssg: "Reggae",
+    clues: [
+      {
+        marker: {
+          TAG: "File",
+          _0: "reggaefile.d"
+        },
+        weight: 4
+      },
+      {
+        marker: {
+          TAG: "File",
+          _0: "reggaefile.py"
+        },
+        weight: 4
+      }
+    ]
+  },
+  {
+    ssg: "Wub",
+    clues: [{
+        marker: {
+          TAG: "File",
+          _0: "wub.tcl"
+        },
+        weight: 4
+      }]
+  },
+  {
+    ssg: "Marmot",
+    clues: [{
+        marker: {
+          TAG: "FileContaining",
+          _0: "shard.yml",
+          _1: "marmot"
+        },
+        weight: 4
+      }]
+  },
+  {
+    ssg: "Nimrod",
+    clues: [{
+        marker: {
+          TAG: "FileContaining",
+          _0: "config.nims",
+          _1: "nimrod"
+        },
+        weight: 3
+      }]
+  },
+  {
+    ssg: "Corral",
+    clues: [{
+        marker: {
+          TAG: "File",
+          _0: "corral.json"
+        },
+        weight: 4
+      }]
+  }
+];
+
+function describe(marker) {
+  switch (marker.TAG) {
+    case "File" :
+      return marker._0;
+    case "Directory" :
+      return marker._0 + "/";
+    case "FileContaining" :
+      return marker._0 + " mentions " + marker._1;
+  }
+}
+
+async function stat(path) {
+  try {
+    return await Deno.stat(path);
+  } catch (exn) {
+    return;
+  }
+}
+
+async function matches(dir, marker) {
+  switch (marker.TAG) {
+    case "File" :
+      return Stdlib_Option.mapOr(await stat(Nodepath.join(dir, marker._0)), false, info => info.isFile);
+    case "Directory" :
+      return Stdlib_Option.mapOr(await stat(Nodepath.join(dir, marker._0)), false, info => info.isDirectory);
+    case "FileContaining" :
+      try {
+        let content = await Deno.readTextFile(Nodepath.join(dir, marker._0));
+        return content.toLowerCase().includes(marker._1.toLowerCase());
+      } catch (exn) {
+        return false;
+      }
+  }
+}
+
+async function score(dir, rule) {
+  let evidence = [];
+  let total = 0;
+  for (let i = 0, i_finish = rule.clues.length; i < i_finish; ++i) {
+    let clue = rule.clues[i];
+    if (await matches(dir, clue.marker)) {
+      total = total + clue.weight | 0;
+      evidence.push(describe(clue.marker));
+    }
+  }
+  return {
+    ssg: rule.ssg,
+    score: total,
+    evidence: evidence
+  };
+}
+
+async function candidates(dir) {
+  let found = [];
+  for (let i = 0, i_finish = rules.length; i < i_finish; ++i) {
+    let candidate = await score(dir, rules[i]);
+    if (candidate.score > 0) {
+      found.push(candidate);
+    }
+  }
+  return found.toSorted((a, b) => b.score - a.score | 0);
+}
+
+function confidence(candidate) {
+  return Math.min(1.0, candidate.score / 4);
+}
+
+function identify(found) {
+  let len = found.length;
+  if (len !== 1) {
+    if (len === 0) {
+      return;
+    }
+    let best = found[0];
+    let runnerUp = found[1];
+    if (confidence(best) >= 0.5 && best.score > runnerUp.score) {
+      return best;
+    } else {
+      return;
+    }
+  }
+  let best$1 = found[0];
+  if (confidence(best$1) >= 0.5) {
+    return best$1;
+  }
+}
+
+function toolFor(adapter, operation) {
+  let match = adapter.name;
+  if (match === "Babashka") {
+    let exit = 0;
+    switch (operation) {
+      case "Build" :
+      case "Serve" :
+      case "Clean" :
+        exit = 2;
+        break;
+    }
+    if (exit === 2) {
+      let task = Adapter.operationName(operation);
+      return [
+        "bb_task",
+        [[
+            "task",
+            task
+          ]]
+      ];
+    }
+  }
+  return Stdlib_Option.map(Adapter.toolFor(adapter.capabilities, operation), tool => [
+    tool,
+    []
+  ]);
+}
+
+function candidateToJson(candidate) {
+  let obj = {};
+  obj["ssg"] = candidate.ssg;
+  obj["confidence"] = confidence(candidate);
+  obj["evidence"] = candidate.evidence.map(prim => prim);
+  return obj;
+}
+
+let decisive = 4;
+
+export {
+  decisive,
+  rules,
+  describe,
+  stat,
+  matches,
+  score,
+  candidates,
+  confidence,
+  identify,
+  toolFor,
+  candidateToJson,
+}
+/* Adapter Not a pure module */
@@ -0,0 +1,432 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as Mcp from "./bindings/Mcp.res.js";
+import * as Scopes from "./Scopes.res.js";
+import * as Adapter from "./Adapter.res.js";
+import * as Stdlib_JSON from "@rescript/runtime/lib/es6/Stdlib_JSON.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Primitive_object from "@rescript/runtime/lib/es6/Primitive_object.js";
+
+let pathArgument = {
+  name: "path",
+  description: "Project directory",
+  required: false
+};
+
+function toolArguments(tool) {
+  let schema = Stdlib_Option.getOr(Stdlib_JSON.Decode.object(tool.inputSchema), {});
+  let match = schema["required"];
+  let required = match !== undefined ? (
+      Array.isArray(match) ? Stdlib_Array.filterMap(match, Stdlib_JSON.Decode.string) : []
+    ) : [];
+  let match$1 = schema["properties"];
+  if (match$1 !== undefined) {
+    if (typeof match$1 === "object" && match$1 !== null && !Array.isArray(match$1)) {
+      return Stdlib_Array.filterMap(Object.entries(match$1), param => {
+        let prop = param[1];
+        let name = param[0];
+        if (typeof prop !== "object" || prop === null || Array.isArray(prop)) {
+          return;
+        }
+        if (!Primitive_object.equal(prop["type"], "string")) {
+          return;
+        }
+        let match = prop["description"];
+        let description = typeof match === "string" ? match : name;
+        return {
+          name: name,
+          description: description,
+          required: required.includes(name)
+        };
+      });
+    } else {
+      return [];
+    }
+  } else {
+    return [];
+  }
+}
+
+function mergeArguments(lists) {
+  let merged = [];
+  lists.flat().forEach(arg => {
+    if (!merged.some(a => a.name === arg.name)) {
+      merged.push(arg);
+      return;
+    }
+  });
+  return merged;
+}
+
+function findTool(adapter, toolName) {
+  return adapter.tools.find(t => t.name === toolName);
+}
+
+function operationTool(adapter, operation) {
+  return Stdlib_Option.flatMap(Adapter.toolFor(adapter.capabilities, operation), __x => findTool(adapter, __x));
+}
+
+function call(tool, args) {
+  let taken = Stdlib_Array.filterMap(toolArguments(tool), a => Stdlib_Option.map(args[a.name], v => [
+    a.name,
+    v
+  ]));
+  if (taken.length !== 0) {
+    return "`" + tool.name + "` with " + JSON.stringify(Object.fromEntries(taken));
+  } else {
+    return "`" + tool.name + "`";
+  }
+}
+
+function inProject(args) {
+  let path = args["path"];
+  if (path !== undefined) {
+    return "the project at " + path;
+  } else {
+    return "the project in the workspace root";
+  }
+}
+
+function numbered(steps) {
+  return steps.map((step, i) => (i + 1 | 0).toString() + ". " + step).join("\n");
+}
+
+function slug(adapter) {
+  return adapter.name.toLowerCase();
+}
+
+function categoryOf(adapter, tool) {
+  return Scopes.toolCategory(adapter, tool.name);
+}
+
+function buildStep(adapter, args) {
+  return Stdlib_Option.map(operationTool(adapter, "Build"), build => "Build with " + call(build, args) + " and fix any error or warning in its report.");
+}
+
+function newPost(adapter) {
+  let tool = operationTool(adapter, "NewPost");
+  let native = tool !== undefined ? tool : operationTool(adapter, "NewPage");
+  let base = [
+    pathArgument,
+    {
+      name: "title",
+      description: "Title of the post",
+      required: true
+    }
+  ];
+  let topic = {
+    name: "topic",
+    description: "What the post is about",
+    required: false
+  };
+  let render = args => {
+    let title = Stdlib_Option.getOr(args["title"], "");
+    let about = Stdlib_Option.mapOr(args["topic"], "", t => " about " + t);
+    let create = native !== undefined ? "Create the post with " + call(native, args) + "." : adapter.name + " has no tool for new content, so create the file yourself next to the existing posts.";
+    let steps = [
+      "Look at a few existing posts in " + inProject(args) + " (they are readable as ssg://project/.../source/... resources) to learn where posts live and which front matter fields they use.",
+      create,
+      "Fill in the front matter: the title \"" + title + "\", today's date, and the same fields (tags, categories, draft flag, ...) other posts use.",
+      "Write the body" + about + ".",
+      buildStep(adapter, args)
+    ];
+    return "Draft a new " + adapter.name + " post titled \"" + title + "\"" + about + ".\n\n" + numbered(Stdlib_Array.filterMap(steps, s => s));
+  };
+  let match = operationTool(adapter, "Build");
+  if (native !== undefined) {
+    return {
+      name: adapter.name.toLowerCase() + "_new_post",
+      description: "Draft a new " + adapter.name + " post with front matter using " + native.name,
+      arguments: mergeArguments([
+        base,
+        toolArguments(native),
+        [topic]
+      ]),
+      adapter: adapter.name,
+      category: Scopes.toolCategory(adapter, native.name),
+      render: render
+    };
+  } else if (match !== undefined) {
+    return {
+      name: adapter.name.toLowerCase() + "_new_post",
+      description: "Draft a new " + adapter.name + " post with front matter and check it with " + match.name,
+      arguments: mergeArguments([
+        base,
+        [topic]
+      ]),
+      adapter: adapter.name,
+      category: "content",
+      render: render
+    };
+  } else {
+    return;
+  }
+}
+
+function fixErrors(adapter) {
+  let tool = operationTool(adapter, "Check");
+  let checker = tool !== undefined ? tool : operationTool(adapter, "Build");
+  return Stdlib_Option.map(checker, tool => ({
+    name: adapter.name.toLowerCase() + "_fix_errors",
+    description: "Fix the broken links and other errors reported by " + tool.name,
+    arguments: [pathArgument],
+    adapter: adapter.name,
+    category: Scopes.toolCategory(adapter, tool.name),
+    render: args => "Fix every problem " + tool.name + " reports for " + inProject(args) + ".\n\n" + numbered([
+      "Run " + call(tool, args) + ".",
+      "For each error and warning in the result's report (file, line and column are given when the tool names a location), such as a broken link or a missing template, fix the source file it points to. Do not silence a check to make it pass.",
+      "Run " + tool.name + " again and repeat until it reports no errors.",
+      "Summarise what you changed, file by file."
+    ])
+  }));
+}
+
+function publish(adapter) {
+  return Stdlib_Option.map(operationTool(adapter, "Deploy"), deploy => ({
+    name: adapter.name.toLowerCase() + "_publish",
+    description: "Build, check and deploy a " + adapter.name + " site with " + deploy.name,
+    arguments: mergeArguments([
+      [pathArgument],
+      toolArguments(deploy)
+    ]),
+    adapter: adapter.name,
+    category: Scopes.toolCategory(adapter, deploy.name),
+    render: args => {
+      let steps = [
+        buildStep(adapter, args),
+        Stdlib_Option.map(operationTool(adapter, "Check"), check => "Check the site with " + call(check, args) + "."),
+        "Stop and report if a step above failed; never deploy a broken site. Otherwise deploy with " + call(deploy, args) + ".",
+        "Report where the site was published."
+      ];
+      return "Publish " + inProject(args) + ".\n\n" + numbered(Stdlib_Array.filterMap(steps, s => s));
+    }
+  }));
+}
+
+function findAdapter(adapters, name) {
+  return adapters.find(a => a.name.toLowerCase() === name.toLowerCase());
+}
+
+function unknownSsg(adapters, argument, name) {
+  return Mcp.throwError(Mcp.ErrorCode.invalidParams, "Unknown SSG for " + argument + ": " + name, Object.fromEntries([
+    [
+      "argument",
+      argument
+    ],
+    [
+      "available",
+      adapters.map(a => a.name)
+    ]
+  ]));
+}
+
+function migrate(adapters) {
+  return {
+    name: "ssg_migrate",
+    description: "Migrate a site from one static site generator to another",
+    arguments: [
+      pathArgument,
+      {
+        name: "to",
+        description: "SSG to migrate to, e.g. Zola",
+        required: true
+      },
+      {
+        name: "from",
+        description: "Current SSG (detected when omitted), e.g. Cryogen",
+        required: false
+      }
+    ],
+    adapter: undefined,
+    category: "init",
+    render: args => {
+      let lookup = (argument, name) => {
+        let adapter = findAdapter(adapters, name);
+        if (adapter !== undefined) {
+          return adapter;
+        } else {
+          return unknownSsg(adapters, argument, name);
+        }
+      };
+      let target = lookup("to", Stdlib_Option.getOr(args["to"], ""));
+      let source = Stdlib_Option.map(args["from"], __x => lookup("from", __x));
+      let tool = operation => Stdlib_Option.map(operationTool(target, operation), t => "`" + t.name + "`");
+      let identify = source !== undefined ? "The site uses " + source.name + " (" + source.description + "). Read" : "Find out which SSG the site uses with `ssg_identify`, then read";
+      let init = tool("Init");
+      let steps = [
+        identify + " its configuration, content, templates and static files; the ssg://project/{name}/config and source resources list them.",
+        init !== undefined ? "Create the " + target.name + " project in a new directory with " + init + "." : "Set up the " + target.name + " project layout by hand in a new directory.",
+        "Port the site configuration (title, base URL, taxonomies, feeds) to " + target.name + "'s configuration.",
+        "Move every post and page, converting front matter to the fields " + target.name + " expects" + Stdlib_Option.mapOr(tool("NewPost"), "", t => " (" + t + " shows the layout of a new post)") + ". Keep the published URLs stable.",
+        "Port templates, styles and static files.",
+        Stdlib_Option.map(tool("Build"), build => "Build with " + build + Stdlib_Option.mapOr(tool("Check"), "", check => " and check with " + check) + "; the page count in the build report should match the original site."),
+        "List anything that could not be migrated automatically."
+      ];
+      return "Migrate " + inProject(args) + " to " + target.name + " (" + target.description + ").\n\n" + numbered(Stdlib_Array.filterMap(steps, s => s));
+    }
+  };
+}
+
+let diagnose_arguments = [pathArgument];
+
+function diagnose_render(args) {
+  return "Find out why " + inProject(args) + " does not build.\n\n" + numbered([
+    "Identify its SSG with `ssg_identify`; if detection is unsure, say which markers conflict.",
+    "Check with `ssg_detect` that the SSG's toolchain is installed, and with `ssg_health` that its circuit breaker is not open.",
+    "Build with `ssg_build` and read the report's errors and warnings.",
+    "Explain the cause and propose a fix; apply it only if it is confined to the project's files."
+  ]);
+}
+
+let diagnose = {
+  name: "ssg_diagnose",
+  description: "Find out why a site project does not build",
+  arguments: diagnose_arguments,
+  adapter: undefined,
+  category: "build",
+  render: diagnose_render
+};
+
+function all(adapters) {
+  return adapters.flatMap(adapter => Stdlib_Array.filterMap([
+    newPost(adapter),
+    fixErrors(adapter),
+    publish(adapter)
+  ], p => p)).concat([
+    migrate(adapters),
+    diagnose
+  ]);
+}
+
+function allowed(scopes, prompt) {
+  return Scopes.allows(scopes, prompt.adapter, prompt.category);
+}
+
+function argumentToJson(arg) {
+  return Object.fromEntries([
+    [
+      "name",
+      arg.name
+    ],
+    [
+      "description",
+      arg.description
+    ],
+    [
+      "required",
+      arg.required
+    ]
+  ]);
+}
+
+function list(adapters, scopes) {
+  let prompts = all(adapters).filter(__x => allowed(scopes, __x)).map(p => Object.fromEntries([
+    [
+      "name",
+      p.name
+    ],
+    [
+      "description",
+      p.description
+    ],
+    [
+      "arguments",
+      p.arguments.map(argumentToJson)
+    ]
+  ]));
+  return Object.fromEntries([[
+      "prompts",
+      prompts
+    ]]);
+}
+
+function get(adapters, name, args, scopes) {
+  let invalid = (message, data) => Mcp.throwError(Mcp.ErrorCode.invalidParams, message, Object.fromEntries(data));
+  let prompt = all(adapters).find(p => {
+    if (p.name === name) {
+      return allowed(scopes, p);
+    } else {
+      return false;
+    }
+  });
+  let prompt$1 = prompt !== undefined ? prompt : invalid("Unknown prompt: " + name, [[
+        "prompt",
+        name
+      ]]);
+  let missing = prompt$1.arguments.filter(a => {
+    if (a.required) {
+      return Stdlib_Option.mapOr(args[a.name], true, v => v === "");
+    } else {
+      return false;
+    }
+  }).map(a => a.name);
+  if (missing.length !== 0) {
+    invalid("Missing arguments for prompt " + name + ": " + missing.join(", "), [
+      [
+        "prompt",
+        name
+      ],
+      [
+        "missing",
+        missing.map(prim => prim)
+      ]
+    ]);
+  }
+  let message = Object.fromEntries([
+    [
+      "role",
+      "user"
+    ],
+    [
+      "content",
+      Object.fromEntries([
+        [
+          "type",
+          "text"
+        ],
+        [
+          "text",
+          prompt$1.render(args)
+        ]
+      ])
+    ]
+  ]);
+  return Object.fromEntries([
+    [
+      "description",
+      prompt$1.description
+    ],
+    [
+      "messages",
+      [message]
+    ]
+  ]);
+}
+
+export {
+  pathArgument,
+  toolArguments,
+  mergeArguments,
+  findTool,
+  operationTool,
+  call,
+  inProject,
+  numbered,
+  slug,
+  categoryOf,
+  buildStep,
+  newPost,
+  fixErrors,
+  publish,
+  findAdapter,
+  unknownSsg,
+  migrate,
+  diagnose,
+  all,
+  allowed,
+  argumentToJson,
+  list,
+  get,
+}
+/* Mcp Not a pure module */
@@ -0,0 +1,69 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+
+let supportedVersions = [
+  "2025-06-18",
+  "2025-03-26",
+  "2024-11-05"
+];
+
+let latestVersion = "2025-06-18";
+
+function isSupported(version) {
+  return supportedVersions.includes(version);
+}
+
+function negotiate(requested) {
+  if (requested !== undefined) {
+    return Stdlib_Option.getOr(supportedVersions.find(supported => supported <= requested), latestVersion);
+  } else {
+    return latestVersion;
+  }
+}
+
+function supports(version, feature) {
+  switch (feature) {
+    case "Batching" :
+      return version < "2025-06-18";
+    case "StructuredContent" :
+    case "Elicitation" :
+      return version >= "2025-06-18";
+    default:
+      return version >= "2025-03-26";
+  }
+}
+
+function featureOfString(name) {
+  switch (name) {
+    case "batching" :
+      return "Batching";
+    case "completions" :
+      return "Completions";
+    case "elicitation" :
+      return "Elicitation";
+    case "progressMessages" :
+      return "ProgressMessages";
+    case "structuredContent" :
+      return "StructuredContent";
+    case "toolAnnotations" :
+      return "ToolAnnotations";
+    default:
+      return;
+  }
+}
+
+function supportsFeature(version, name) {
+  return Stdlib_Option.mapOr(featureOfString(name), false, __x => supports(version, __x));
+}
+
+export {
+  supportedVersions,
+  latestVersion,
+  isSupported,
+  negotiate,
+  supports,
+  featureOfString,
+  supportsFeature,
+}
+/* No side effect */
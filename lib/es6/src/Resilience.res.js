@@ -0,0 +1,294 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as Stdlib_Int from "@rescript/runtime/lib/es6/Stdlib_Int.js";
+import * as Stdlib_JsExn from "@rescript/runtime/lib/es6/Stdlib_JsExn.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Stdlib_JsError from "@rescript/runtime/lib/es6/Stdlib_JsError.js";
+import * as Primitive_exceptions from "@rescript/runtime/lib/es6/Primitive_exceptions.js";
+
+function envInt(name, $$default) {
+  return Stdlib_Option.getOr(Stdlib_Option.flatMap(Deno.env.get(name), s => Stdlib_Int.fromString(s, undefined)), $$default);
+}
+
+let failureThreshold = envInt("MCP_BREAKER_FAILURES", 5);
+
+let resetTimeoutMs = envInt("MCP_BREAKER_RESET_SECONDS", 30) * 1000 | 0;
+
+let maxConcurrent = envInt("MCP_ADAPTER_CONCURRENCY", 4);
+
+let adapterBreakers = {};
+
+let binaryBreakers = {};
+
+let bulkheads = {};
+
+function breakerFor(registry, name) {
+  let b = registry[name];
+  if (b !== undefined) {
+    return b;
+  }
+  let b$1 = {
+    name: name,
+    state: "Closed",
+    failures: 0,
+    openedAt: 0.0,
+    trialRunning: false,
+    totalFailures: 0,
+    totalSuccesses: 0,
+    rejected: 0,
+    lastFailure: undefined
+  };
+  registry[name] = b$1;
+  return b$1;
+}
+
+function adapterBreaker(adapter) {
+  return breakerFor(adapterBreakers, adapter);
+}
+
+function binaryBreaker(binary) {
+  return breakerFor(binaryBreakers, binary);
+}
+
+function classify(shortenedOpt, result) {
+  let shortened = shortenedOpt !== undefined ? shortenedOpt : false;
+  if (result.cancelled) {
+    return "Neutral";
+  } else if (result.timedOut) {
+    if (shortened) {
+      return "Neutral";
+    } else {
+      return {
+        TAG: "Failed",
+        _0: "timed out"
+      };
+    }
+  } else if (result.code >= 126) {
+    return {
+      TAG: "Failed",
+      _0: "exit code " + result.code.toString()
+    };
+  } else {
+    return "Succeeded";
+  }
+}
+
+function admit(b, kind) {
+  let now = Date.now();
+  let match = b.state;
+  switch (match) {
+    case "Closed" :
+      return {
+        TAG: "Ok",
+        _0: false
+      };
+    case "Open" :
+      if (now - b.openedAt >= resetTimeoutMs) {
+        b.state = "HalfOpen";
+        b.trialRunning = true;
+        return {
+          TAG: "Ok",
+          _0: true
+        };
+      }
+      break;
+    case "HalfOpen" :
+      if (!b.trialRunning) {
+        b.trialRunning = true;
+        return {
+          TAG: "Ok",
+          _0: true
+        };
+      }
+      break;
+  }
+  b.rejected = b.rejected + 1 | 0;
+  let retryIn = Math.max(Math.ceil((b.openedAt + resetTimeoutMs - now) / 1000.0), 1.0);
+  return {
+    TAG: "Error",
+    _0: kind + " " + b.name + " is failing (" + Stdlib_Option.getOr(b.lastFailure, "unknown error") + "); circuit open, retry in " + retryIn.toString() + "s"
+  };
+}
+
+function record(b, outcome) {
+  if (typeof outcome !== "object") {
+    if (outcome !== "Succeeded") {
+      b.trialRunning = false;
+      return;
+    }
+    b.state = "Closed";
+    b.failures = 0;
+    b.trialRunning = false;
+    b.totalSuccesses = b.totalSuccesses + 1 | 0;
+    return;
+  } else {
+    b.failures = b.failures + 1 | 0;
+    b.totalFailures = b.totalFailures + 1 | 0;
+    b.lastFailure = outcome._0;
+    b.trialRunning = false;
+    if (b.state === "HalfOpen" || b.failures >= failureThreshold) {
+      b.state = "Open";
+      b.openedAt = Date.now();
+      return;
+    } else {
+      return;
+    }
+  }
+}
+
+function release(b) {
+  if (b.state === "HalfOpen") {
+    b.trialRunning = false;
+    return;
+  }
+}
+
+async function guard(binary, adapter, run, classifyResult) {
+  let breakers = [breakerFor(binaryBreakers, binary)].concat(Stdlib_Option.mapOr(adapter, [], a => [breakerFor(adapterBreakers, a)]));
+  let message = admit(breakerFor(binaryBreakers, binary), "Binary");
+  if (message.TAG !== "Ok") {
+    Stdlib_JsError.throwWithMessage(message._0);
+  }
+  let result;
+  try {
+    result = await run();
+  } catch (raw_e) {
+    let e = Primitive_exceptions.internalToException(raw_e);
+    let reason = e.RE_EXN_ID === "JsExn" ? Stdlib_Option.getOr(Stdlib_JsExn.message(e._1), "could not start") : "could not start";
+    breakers.forEach(__x => record(__x, {
+      TAG: "Failed",
+      _0: reason
+    }));
+    throw e;
+  }
+  let outcome = classifyResult(result);
+  breakers.forEach(__x => record(__x, outcome));
+  return result;
+}
+
+function bulkheadFor(adapter) {
+  let b = bulkheads[adapter];
+  if (b !== undefined) {
+    return b;
+  }
+  let b$1 = {
+    running: 0,
+    peak: 0,
+    rejected: 0
+  };
+  bulkheads[adapter] = b$1;
+  return b$1;
+}
+
+function enter(adapter) {
+  let b = bulkheadFor(adapter);
+  if (b.running >= maxConcurrent) {
+    b.rejected = b.rejected + 1 | 0;
+    return {
+      TAG: "Error",
+      _0: adapter + " is busy: " + b.running.toString() + " calls running (limit " + maxConcurrent.toString() + "); try again when one finishes"
+    };
+  } else {
+    b.running = b.running + 1 | 0;
+    b.peak = Math.max(b.peak, b.running);
+    return {
+      TAG: "Ok",
+      _0: undefined
+    };
+  }
+}
+
+function leave(adapter) {
+  let b = bulkheadFor(adapter);
+  b.running = Math.max(0, b.running - 1 | 0);
+}
+
+function stateToString(state) {
+  switch (state) {
+    case "Closed" :
+      return "closed";
+    case "Open" :
+      return "open";
+    case "HalfOpen" :
+      return "half_open";
+  }
+}
+
+function breakerToJson(b) {
+  let obj = {};
+  obj["state"] = stateToString(b.state);
+  obj["consecutiveFailures"] = b.failures;
+  obj["failures"] = b.totalFailures;
+  obj["successes"] = b.totalSuccesses;
+  obj["rejected"] = b.rejected;
+  obj["lastFailure"] = Stdlib_Option.mapOr(b.lastFailure, null, prim => prim);
+  if (b.state === "Open") {
+    let retryAt = new Date(b.openedAt + resetTimeoutMs).toISOString();
+    obj["retryAt"] = retryAt;
+  }
+  return obj;
+}
+
+function bulkheadToJson(b) {
+  let obj = {};
+  obj["running"] = b.running;
+  obj["limit"] = maxConcurrent;
+  obj["peak"] = b.peak;
+  obj["rejected"] = b.rejected;
+  return obj;
+}
+
+function registryToJson(registry, toJson) {
+  return Object.fromEntries(Object.entries(registry).map(param => [
+    param[0],
+    toJson(param[1])
+  ]));
+}
+
+function openCircuits() {
+  return Object.values(adapterBreakers).concat(Object.values(binaryBreakers)).filter(b => b.state !== "Closed").length;
+}
+
+function toJson() {
+  let obj = {};
+  let degraded = openCircuits();
+  obj["status"] = degraded > 0 ? "degraded" : "healthy";
+  obj["openCircuits"] = degraded;
+  let config = {};
+  config["failureThreshold"] = failureThreshold;
+  config["resetTimeoutMs"] = resetTimeoutMs;
+  config["maxConcurrent"] = maxConcurrent;
+  obj["config"] = config;
+  obj["adapters"] = registryToJson(adapterBreakers, breakerToJson);
+  obj["binaries"] = registryToJson(binaryBreakers, breakerToJson);
+  obj["bulkheads"] = registryToJson(bulkheads, bulkheadToJson);
+  return obj;
+}
+
+export {
+  envInt,
+  failureThreshold,
+  resetTimeoutMs,
+  maxConcurrent,
+  adapterBreakers,
+  binaryBreakers,
+  bulkheads,
+  breakerFor,
+  adapterBreaker,
+  binaryBreaker,
+  classify,
+  admit,
+  record,
+  release,
+  guard,
+  bulkheadFor,
+  enter,
+  leave,
+  stateToString,
+  breakerToJson,
+  bulkheadToJson,
+  registryToJson,
+  openCircuits,
+  toJson,
+}
+/* failureThreshold Not a pure module */
@@ -0,0 +1,780 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as Mcp from "./bindings/Mcp.res.js";
+import * as Scopes from "./Scopes.res.js";
+import * as Workspace from "./Workspace.res.js";
+import * as Nodepath from "node:path";
+import * as Stdlib_Int from "@rescript/runtime/lib/es6/Stdlib_Int.js";
+import * as Stdlib_Dict from "@rescript/runtime/lib/es6/Stdlib_Dict.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
+import * as Stdlib_JsExn from "@rescript/runtime/lib/es6/Stdlib_JsExn.js";
+import * as ProjectDetect from "./ProjectDetect.res.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Primitive_option from "@rescript/runtime/lib/es6/Primitive_option.js";
+import * as Primitive_string from "@rescript/runtime/lib/es6/Primitive_string.js";
+import * as Primitive_exceptions from "@rescript/runtime/lib/es6/Primitive_exceptions.js";
+
+let scheme = "ssg://project/";
+
+let outputDirs = Object.fromEntries([
+  [
+    "Zola",
+    "public"
+  ],
+  [
+    "Cobalt",
+    "_site"
+  ],
+  [
+    "MdBook",
+    "book"
+  ],
+  [
+    "Serum",
+    "site"
+  ],
+  [
+    "Tableau",
+    "_site"
+  ],
+  [
+    "Hakyll",
+    "_site"
+  ],
+  [
+    "Fornax",
+    "_public"
+  ],
+  [
+    "Publish",
+    "Output"
+  ],
+  [
+    "Franklin",
+    "__site"
+  ],
+  [
+    "Documenter",
+    "docs/build"
+  ],
+  [
+    "Cryogen",
+    "public"
+  ],
+  [
+    "Laika",
+    "target/docs/site"
+  ],
+  [
+    "Frog",
+    "."
+  ]
+]);
+
+function ignored(name) {
+  if (name.startsWith(".")) {
+    return true;
+  } else {
+    return name === "node_modules";
+  }
+}
+
+function entries(dir) {
+  try {
+    return Array.from(Deno.readDirSync(dir)).toSorted((a, b) => Primitive_string.compare(a.name, b.name));
+  } catch (exn) {
+    return [];
+  }
+}
+
+async function configFile(dir, ssg) {
+  let rule = ProjectDetect.rules.find(rule => rule.ssg === ssg);
+  if (rule === undefined) {
+    return;
+  }
+  let found;
+  for (let i = 0, i_finish = rule.clues.length; i < i_finish; ++i) {
+    let marker = rule.clues[i].marker;
+    let match = found;
+    if (match === undefined) {
+      let exit = 0;
+      switch (marker.TAG) {
+        case "Directory" :
+          break;
+        case "File" :
+        case "FileContaining" :
+          exit = 1;
+          break;
+      }
+      if (exit === 1 && await ProjectDetect.matches(dir, marker)) {
+        found = Nodepath.join(dir, marker._0);
+      }
+    }
+  }
+  return found;
+}
+
+async function scan() {
+  let dirs = [];
+  Workspace.roots().forEach(root => {
+    let subdirectories = entries(root).filter(entry => {
+      if (entry.isDirectory) {
+        return !ignored(entry.name);
+      } else {
+        return false;
+      }
+    }).map(entry => Nodepath.join(root, entry.name));
+    [root].concat(subdirectories).forEach(dir => {
+      if (!dirs.includes(dir)) {
+        dirs.push(dir);
+        return;
+      }
+    });
+  });
+  let projects = [];
+  for (let i = 0, i_finish = dirs.length; i < i_finish; ++i) {
+    let dir = dirs[i];
+    let best = ProjectDetect.identify(await ProjectDetect.candidates(dir));
+    if (best !== undefined) {
+      let base = Nodepath.basename(dir);
+      let name = {
+        contents: base
+      };
+      let suffix = 2;
+      while (projects.some(p => p.name === name.contents)) {
+        name.contents = base + "-" + suffix.toString();
+        suffix = suffix + 1 | 0;
+      };
+      projects.push({
+        name: name.contents,
+        ssg: best.ssg,
+        dir: dir,
+        config: await configFile(dir, best.ssg),
+        output: Stdlib_Option.map(outputDirs[best.ssg], out => Nodepath.resolve(dir, out))
+      });
+    }
+  }
+  return projects;
+}
+
+let discovered = {
+  contents: undefined
+};
+
+function discover() {
+  let match = discovered.contents;
+  if (match !== undefined && Date.now() - match[0] < 2000.0) {
+    return match[1];
+  }
+  let projects = scan();
+  discovered.contents = [
+    Date.now(),
+    projects
+  ];
+  return projects;
+}
+
+function kindName(kind) {
+  switch (kind) {
+    case "Config" :
+      return "config";
+    case "Source" :
+      return "source";
+    case "Output" :
+      return "output";
+  }
+}
+
+function uri(project, kind, relative) {
+  let base = scheme + encodeURIComponent(project.name) + "/" + kindName(kind);
+  switch (kind) {
+    case "Config" :
+      return base;
+    case "Source" :
+    case "Output" :
+      break;
+  }
+  return base + "/" + relative.split("/").map(prim => encodeURIComponent(prim)).join("/");
+}
+
+function decode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (exn) {
+    return;
+  }
+}
+
+function parse(uri) {
+  if (!uri.startsWith(scheme)) {
+    return;
+  }
+  let segments = uri.slice(scheme.length).split("/");
+  let decoded = Stdlib_Array.filterMap(segments, decode);
+  if (decoded.length !== segments.length) {
+    return;
+  }
+  let relative = decoded.slice(2).join("/");
+  let match = decoded[0];
+  let match$1 = decoded[1];
+  if (match === undefined) {
+    return;
+  }
+  if (match$1 === undefined) {
+    return;
+  }
+  switch (match$1) {
+    case "config" :
+      if (decoded.length === 2) {
+        return [
+          match,
+          "Config",
+          ""
+        ];
+      } else {
+        return;
+      }
+    case "output" :
+      if (relative !== "") {
+        return [
+          match,
+          "Output",
+          relative
+        ];
+      } else {
+        return;
+      }
+    case "source" :
+      if (relative !== "") {
+        return [
+          match,
+          "Source",
+          relative
+        ];
+      } else {
+        return;
+      }
+    default:
+      return;
+  }
+}
+
+function notFound(uri) {
+  return Mcp.throwError(Mcp.ErrorCode.resourceNotFound, "Resource not found: " + uri, Object.fromEntries([[
+      "uri",
+      uri
+    ]]));
+}
+
+function readable(scopes, project) {
+  return Scopes.allows(scopes, project.ssg, "read");
+}
+
+function within(base, relative) {
+  let base$1 = Workspace.canonicalize(base);
+  let path = Workspace.canonicalize(Nodepath.resolve(base$1, relative));
+  let hidden = segment => {
+    if (segment !== "." && segment !== "..") {
+      return ignored(segment);
+    } else {
+      return false;
+    }
+  };
+  let segments = relative.split("/").concat(Nodepath.relative(base$1, path).split(Nodepath.sep));
+  if (Workspace.contains(base$1, path) && !segments.some(hidden)) {
+    return path;
+  }
+}
+
+async function find(uri, scopes) {
+  let projects = await discover();
+  let located = Stdlib_Option.flatMap(parse(uri), param => {
+    let relative = param[2];
+    let kind = param[1];
+    let name = param[0];
+    return Stdlib_Option.flatMap(projects.find(p => p.name === name), project => {
+      let path;
+      switch (kind) {
+        case "Config" :
+          path = project.config;
+          break;
+        case "Source" :
+          path = within(project.dir, relative);
+          break;
+        case "Output" :
+          path = Stdlib_Option.flatMap(project.output, __x => within(__x, relative));
+          break;
+      }
+      return Stdlib_Option.map(path, path => ({
+        project: project,
+        kind: kind,
+        path: path
+      }));
+    });
+  });
+  if (located !== undefined) {
+    if (readable(scopes, located.project)) {
+      return located;
+    } else {
+      return Mcp.throwError(Mcp.ErrorCode.invalidRequest, "The access token does not grant reading " + uri, Object.fromEntries([
+        [
+          "uri",
+          uri
+        ],
+        [
+          "requiredScope",
+          Scopes.required(located.project.ssg, "read")
+        ]
+      ]));
+    }
+  } else {
+    return notFound(uri);
+  }
+}
+
+let mimeTypes = Object.fromEntries([
+  [
+    ".md",
+    "text/markdown"
+  ],
+  [
+    ".markdown",
+    "text/markdown"
+  ],
+  [
+    ".html",
+    "text/html"
+  ],
+  [
+    ".htm",
+    "text/html"
+  ],
+  [
+    ".css",
+    "text/css"
+  ],
+  [
+    ".js",
+    "text/javascript"
+  ],
+  [
+    ".json",
+    "application/json"
+  ],
+  [
+    ".toml",
+    "application/toml"
+  ],
+  [
+    ".yaml",
+    "application/yaml"
+  ],
+  [
+    ".yml",
+    "application/yaml"
+  ],
+  [
+    ".xml",
+    "application/xml"
+  ],
+  [
+    ".svg",
+    "image/svg+xml"
+  ],
+  [
+    ".txt",
+    "text/plain"
+  ],
+  [
+    ".png",
+    "image/png"
+  ],
+  [
+    ".jpg",
+    "image/jpeg"
+  ],
+  [
+    ".jpeg",
+    "image/jpeg"
+  ],
+  [
+    ".gif",
+    "image/gif"
+  ],
+  [
+    ".webp",
+    "image/webp"
+  ],
+  [
+    ".ico",
+    "image/x-icon"
+  ],
+  [
+    ".pdf",
+    "application/pdf"
+  ],
+  [
+    ".woff",
+    "font/woff"
+  ],
+  [
+    ".woff2",
+    "font/woff2"
+  ]
+]);
+
+function mimeType(path) {
+  return mimeTypes[Nodepath.extname(path).toLowerCase()];
+}
+
+function files(dir, skip) {
+  let found = [];
+  let walk = (current, prefix) => {
+    entries(current).forEach(entry => {
+      if (!(found.length < 1000 && !ignored(entry.name))) {
+        return;
+      }
+      let path = Nodepath.join(current, entry.name);
+      let relative = prefix === "" ? entry.name : prefix + "/" + entry.name;
+      if (entry.isDirectory) {
+        if (!skip.includes(path)) {
+          return walk(path, relative);
+        } else {
+          return;
+        }
+      } else if (entry.isFile) {
+        found.push(relative);
+        return;
+      } else {
+        return;
+      }
+    });
+  };
+  walk(dir, "");
+  return found;
+}
+
+function resourceJson(uri, name, description, path) {
+  let obj = {};
+  obj["uri"] = uri;
+  obj["name"] = name;
+  Stdlib_Option.forEach(description, d => {
+    obj["description"] = d;
+  });
+  Stdlib_Option.forEach(mimeType(path), m => {
+    obj["mimeType"] = m;
+  });
+  return obj;
+}
+
+function projectResources(project) {
+  let path = project.config;
+  let config = path !== undefined ? [resourceJson(uri(project, "Config", ""), project.name + "/config", project.ssg + " configuration (" + Nodepath.basename(path) + ")", path)] : [];
+  let tree = (kind, dir, skip) => files(dir, skip).map(relative => resourceJson(uri(project, kind, relative), project.name + "/" + kindName(kind) + "/" + relative, undefined, relative));
+  let output = Stdlib_Option.filter(project.output, out => out !== project.dir);
+  return [
+    config,
+    tree("Source", project.dir, Stdlib_Option.mapOr(output, [], out => [out])),
+    Stdlib_Option.mapOr(output, [], out => tree("Output", out, []))
+  ].flat();
+}
+
+async function list(cursor, scopes) {
+  let offset;
+  if (cursor !== undefined) {
+    let n = Stdlib_Int.fromString(cursor, undefined);
+    let exit = 0;
+    if (n !== undefined && n >= 0) {
+      offset = n;
+    } else {
+      exit = 1;
+    }
+    if (exit === 1) {
+      offset = Mcp.throwError(Mcp.ErrorCode.invalidParams, "Invalid cursor: " + cursor, Object.fromEntries([[
+          "cursor",
+          cursor
+        ]]));
+    }
+  } else {
+    offset = 0;
+  }
+  let all = (await discover()).filter(__x => readable(scopes, __x)).flatMap(projectResources);
+  let result = {};
+  result["resources"] = all.slice(offset, offset + 200 | 0);
+  if ((offset + 200 | 0) < all.length) {
+    result["nextCursor"] = (offset + 200 | 0).toString();
+  }
+  return result;
+}
+
+function templates() {
+  let template = (uriTemplate, name, description) => Object.fromEntries([
+    [
+      "uriTemplate",
+      uriTemplate
+    ],
+    [
+      "name",
+      name
+    ],
+    [
+      "description",
+      description
+    ]
+  ]);
+  return Object.fromEntries([[
+      "resourceTemplates",
+      [
+        template(scheme + "{name}/config", "config", "Configuration file of a site project"),
+        template(scheme + "{name}/source/{path}", "source", "File in a site project, by path relative to the project directory"),
+        template(scheme + "{name}/output/{path}", "output", "File of a project's built site, by path relative to the output directory")
+      ]
+    ]]);
+}
+
+let maxReadBytes = 10.0 * 1024.0 * 1024.0;
+
+async function read(uri, scopes) {
+  let target = await find(uri, scopes);
+  let info = await ProjectDetect.stat(target.path);
+  if (info === undefined) {
+    return notFound(uri);
+  }
+  if (!info.isFile) {
+    return notFound(uri);
+  }
+  if (info.size > maxReadBytes) {
+    Mcp.throwError(Mcp.ErrorCode.invalidRequest, "Resource too large to read: " + info.size.toString() + " bytes", Object.fromEntries([
+      [
+        "uri",
+        uri
+      ],
+      [
+        "size",
+        info.size
+      ],
+      [
+        "limit",
+        maxReadBytes
+      ]
+    ]));
+  }
+  let bytes = await Deno.readFile(target.path);
+  let content = {};
+  content["uri"] = uri;
+  let text;
+  try {
+    text = new (globalThis.TextDecoder)("utf-8", {
+      fatal: true
+    }).decode(bytes);
+  } catch (exn) {
+    text = undefined;
+  }
+  if (text !== undefined) {
+    content["mimeType"] = Stdlib_Option.getOr(mimeType(target.path), "text/plain");
+    content["text"] = text;
+  } else {
+    content["mimeType"] = Stdlib_Option.getOr(mimeType(target.path), "application/octet-stream");
+    content["blob"] = bytes.toBase64();
+  }
+  return Object.fromEntries([[
+      "contents",
+      [content]
+    ]]);
+}
+
+let subscribers = new Set();
+
+function schedule(subscriber, uri) {
+  if (!subscriber.pending.includes(uri)) {
+    subscriber.pending.push(uri);
+  }
+  if (Stdlib_Option.isNone(subscriber.timer)) {
+    subscriber.timer = Primitive_option.some(setTimeout(() => {
+      let uris = subscriber.pending;
+      subscriber.pending = [];
+      subscriber.timer = undefined;
+      uris.forEach(subscriber.notify);
+    }, 200));
+    return;
+  }
+}
+
+function changed(path) {
+  subscribers.forEach(subscriber => Stdlib_Dict.forEachWithKey(subscriber.subscriptions, (s, uri) => {
+    if (Workspace.contains(path, s.path)) {
+      return schedule(subscriber, uri);
+    }
+  }));
+}
+
+function buildFinished(dir) {
+  let dir$1 = Workspace.canonicalize(dir);
+  subscribers.forEach(subscriber => Stdlib_Dict.forEachWithKey(subscriber.subscriptions, (s, uri) => {
+    if (s.kind === "Output" && s.projectDir === dir$1) {
+      return schedule(subscriber, uri);
+    }
+  }));
+}
+
+let watchers = {};
+
+async function pump(handle) {
+  try {
+    let finished = false;
+    while (!finished) {
+      let next = await handle.next();
+      let event = next.value;
+      if (event !== undefined && !next.done) {
+        event.paths.forEach(changed);
+      } else {
+        finished = true;
+      }
+    };
+    return;
+  } catch (raw_e) {
+    let e = Primitive_exceptions.internalToException(raw_e);
+    if (e.RE_EXN_ID === "JsExn") {
+      console.error("[resources] watcher stopped: " + Stdlib_Option.getOr(Stdlib_JsExn.message(e._1), "unknown error"));
+      return;
+    }
+    throw e;
+  }
+}
+
+function watch(dir) {
+  let w = watchers[dir];
+  if (w !== undefined) {
+    w.users = w.users + 1 | 0;
+    return;
+  }
+  try {
+    let handle = Deno.watchFs([dir], {
+      recursive: true
+    });
+    watchers[dir] = {
+      handle: handle,
+      users: 1
+    };
+    pump(handle);
+    return;
+  } catch (raw_e) {
+    let e = Primitive_exceptions.internalToException(raw_e);
+    if (e.RE_EXN_ID === "JsExn") {
+      console.error("[resources] cannot watch " + dir + ": " + Stdlib_Option.getOr(Stdlib_JsExn.message(e._1), ""));
+      return;
+    }
+    throw e;
+  }
+}
+
+function unwatch(dir) {
+  let w = watchers[dir];
+  if (w !== undefined) {
+    if (w.users > 1) {
+      w.users = w.users - 1 | 0;
+      return;
+    } else {
+      w.handle.close();
+      return Stdlib_Dict.$$delete(watchers, dir);
+    }
+  }
+}
+
+function makeSubscriber(notify) {
+  let subscriber = {
+    subscriptions: {},
+    pending: [],
+    timer: undefined,
+    notify: notify
+  };
+  subscribers.add(subscriber);
+  return subscriber;
+}
+
+async function subscribe(subscriber, uri, scopes) {
+  let target = await find(uri, scopes);
+  if (Stdlib_Option.isNone(subscriber.subscriptions[uri])) {
+    let projectDir = Workspace.canonicalize(target.project.dir);
+    subscriber.subscriptions[uri] = {
+      kind: target.kind,
+      path: target.path,
+      projectDir: projectDir
+    };
+    watch(projectDir);
+  }
+  return {};
+}
+
+function unsubscribe(subscriber, uri) {
+  let s = subscriber.subscriptions[uri];
+  if (s !== undefined) {
+    Stdlib_Dict.$$delete(subscriber.subscriptions, uri);
+    unwatch(s.projectDir);
+  }
+  return {};
+}
+
+function release(subscriber) {
+  Object.keys(subscriber.subscriptions).forEach(uri => {
+    unsubscribe(subscriber, uri);
+  });
+  Stdlib_Option.forEach(subscriber.timer, prim => {
+    clearTimeout(prim);
+  });
+  subscriber.timer = undefined;
+  subscribers.delete(subscriber);
+}
+
+let discoveryTtlMs = 2000.0;
+
+let maxListedFiles = 1000;
+
+let pageSize = 200;
+
+let updateDelayMs = 200;
+
+export {
+  scheme,
+  outputDirs,
+  ignored,
+  entries,
+  configFile,
+  scan,
+  discoveryTtlMs,
+  discovered,
+  discover,
+  kindName,
+  uri,
+  decode,
+  parse,
+  notFound,
+  readable,
+  within,
+  find,
+  mimeTypes,
+  mimeType,
+  maxListedFiles,
+  pageSize,
+  files,
+  resourceJson,
+  projectResources,
+  list,
+  templates,
+  maxReadBytes,
+  read,
+  subscribers,
+  updateDelayMs,
+  schedule,
+  changed,
+  buildFinished,
+  watchers,
+  pump,
+  watch,
+  unwatch,
+  makeSubscriber,
+  subscribe,
+  unsubscribe,
+  release,
+}
+/* outputDirs Not a pure module */
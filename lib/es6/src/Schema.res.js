@@ -0,0 +1,258 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as Stdlib_Dict from "@rescript/runtime/lib/es6/Stdlib_Dict.js";
+import * as Stdlib_JSON from "@rescript/runtime/lib/es6/Stdlib_JSON.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
+
+function pointer(path, key) {
+  return path + "/" + key.replaceAll("~", "~0").replaceAll("/", "~1");
+}
+
+function keyword(schema, name) {
+  return schema[name];
+}
+
+function number(schema, name) {
+  let match = schema[name];
+  if (typeof match === "number") {
+    return match;
+  }
+}
+
+function isInteger(n) {
+  if (isFinite(n)) {
+    return Math.floor(n) === n;
+  } else {
+    return false;
+  }
+}
+
+function hasType(value, typeName) {
+  switch (typeName) {
+    case "array" :
+      return Array.isArray(value);
+    case "boolean" :
+      return typeof value === "boolean";
+    case "integer" :
+      if (typeof value === "number") {
+        return isInteger(value);
+      } else {
+        return false;
+      }
+    case "null" :
+      return value === null;
+    case "number" :
+      return typeof value === "number";
+    case "object" :
+      return typeof value === "object" && value !== null && !Array.isArray(value);
+    case "string" :
+      return typeof value === "string";
+    default:
+      return false;
+  }
+}
+
+function typeNames(schema) {
+  let match = schema["type"];
+  if (match === undefined) {
+    return [];
+  }
+  if (Array.isArray(match)) {
+    return Stdlib_Array.filterMap(match, Stdlib_JSON.Decode.string);
+  }
+  switch (typeof match) {
+    case "string" :
+      return [match];
+    default:
+      return [];
+  }
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function check(schema, value, path, violations) {
+  if (typeof schema !== "object" || schema === null || Array.isArray(schema)) {
+    return;
+  }
+  let fail = message => {
+    violations.push({
+      path: path,
+      message: message
+    });
+  };
+  let types = typeNames(schema);
+  if (types.length !== 0 && !types.some(__x => hasType(value, __x))) {
+    return fail("must be " + types.join(" or "));
+  }
+  let match = schema["enum"];
+  if (Array.isArray(match)) {
+    if (!match.some(__x => sameJson(value, __x))) {
+      fail("must be one of " + match.map(a => JSON.stringify(a)).join(", "));
+    }
+  }
+  let expected = schema["const"];
+  if (expected !== undefined && !sameJson(value, expected)) {
+    fail("must be " + JSON.stringify(expected));
+  }
+  if (value === null) {
+    return;
+  }
+  if (Array.isArray(value)) {
+    return checkArray(schema, value, path, violations, fail);
+  }
+  switch (typeof value) {
+    case "boolean" :
+      return;
+    case "string" :
+      return checkString(schema, value, fail);
+    case "number" :
+      return checkNumber(schema, value, fail);
+    case "object" :
+      return checkObject(schema, value, path, violations);
+  }
+}
+
+function checkString(schema, s, fail) {
+  let length = s.length;
+  let min = number(schema, "minLength");
+  if (min !== undefined && length < min) {
+    fail("must be at least " + min.toString() + " characters");
+  }
+  let max = number(schema, "maxLength");
+  if (max !== undefined && length > max) {
+    fail("must be at most " + max.toString() + " characters");
+  }
+  let match = schema["pattern"];
+  if (match !== undefined && typeof match === "string" && !new RegExp(match, "u").test(s)) {
+    return fail("must match " + match);
+  }
+}
+
+function checkNumber(schema, n, fail) {
+  let bound = (name, ok, relation) => {
+    let limit = number(schema, name);
+    if (limit !== undefined && !ok(n, limit)) {
+      return fail("must be " + relation + " " + limit.toString());
+    }
+  };
+  bound("minimum", (n, l) => n >= l, ">=");
+  bound("maximum", (n, l) => n <= l, "<=");
+  bound("exclusiveMinimum", (n, l) => n > l, ">");
+  bound("exclusiveMaximum", (n, l) => n < l, "<");
+}
+
+function checkArray(schema, items, path, violations, fail) {
+  let count = items.length;
+  let min = number(schema, "minItems");
+  if (min !== undefined && count < min) {
+    fail("must have at least " + min.toString() + " items");
+  }
+  let max = number(schema, "maxItems");
+  if (max !== undefined && count > max) {
+    fail("must have at most " + max.toString() + " items");
+  }
+  let itemSchema = schema["items"];
+  if (itemSchema !== undefined) {
+    items.forEach((item, i) => check(itemSchema, item, pointer(path, i.toString()), violations));
+    return;
+  }
+}
+
+function checkObject(schema, obj, path, violations) {
+  let match = schema["required"];
+  let required = match !== undefined ? (
+      Array.isArray(match) ? Stdlib_Array.filterMap(match, Stdlib_JSON.Decode.string) : []
+    ) : [];
+  let match$1 = schema["properties"];
+  let properties = match$1 !== undefined ? (
+      typeof match$1 === "object" && match$1 !== null && !Array.isArray(match$1) ? match$1 : ({})
+    ) : ({});
+  required.forEach(name => {
+    let match = obj[name];
+    if (match !== undefined && match !== null) {
+      return;
+    }
+    violations.push({
+      path: pointer(path, name),
+      message: "is required"
+    });
+  });
+  Stdlib_Dict.forEachWithKey(obj, (value, name) => {
+    let match = properties[name];
+    if (value === null && !required.includes(name)) {
+      return;
+    }
+    if (match !== undefined) {
+      return check(match, value, pointer(path, name), violations);
+    }
+    let extra = schema["additionalProperties"];
+    if (extra === undefined) {
+      return;
+    }
+    if (extra === null || Array.isArray(extra)) {
+      return;
+    }
+    switch (typeof extra) {
+      case "boolean" :
+        if (extra) {
+          return;
+        } else {
+          violations.push({
+            path: pointer(path, name),
+            message: "is not allowed"
+          });
+          return;
+        }
+      case "object" :
+        return check(extra, value, pointer(path, name), violations);
+      default:
+        return;
+    }
+  });
+}
+
+function validate(schema, value) {
+  let violations = [];
+  check(schema, value, "", violations);
+  return violations;
+}
+
+function violationToJson(v) {
+  return Object.fromEntries([
+    [
+      "path",
+      v.path
+    ],
+    [
+      "message",
+      v.message
+    ]
+  ]);
+}
+
+function describe(violations) {
+  return violations.map(v => (
+    v.path === "" ? "arguments" : v.path
+  ) + " " + v.message).join("; ");
+}
+
+export {
+  pointer,
+  keyword,
+  number,
+  isInteger,
+  hasType,
+  typeNames,
+  sameJson,
+  check,
+  checkString,
+  checkNumber,
+  checkArray,
+  checkObject,
+  validate,
+  violationToJson,
+  describe,
+}
+/* No side effect */
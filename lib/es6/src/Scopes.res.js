@@ -0,0 +1,206 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+
+let prefix = "ssg";
+
+let categories = [
+  "read",
+  "init",
+  "build",
+  "serve",
+  "deploy",
+  "content",
+  "exec"
+];
+
+function operationCategory(operation) {
+  switch (operation) {
+    case "Init" :
+      return "init";
+    case "Serve" :
+      return "serve";
+    case "Version" :
+      return "read";
+    case "NewPost" :
+    case "NewPage" :
+      return "content";
+    case "Deploy" :
+      return "deploy";
+    default:
+      return "build";
+  }
+}
+
+function suffixCategory(toolName) {
+  let match = Stdlib_Option.getOr(toolName.split("_").at(-1), "");
+  switch (match) {
+    case "deploy" :
+    case "publish" :
+      return "deploy";
+    case "init" :
+    case "new" :
+    case "siteadd" :
+      return "init";
+    case "run" :
+    case "task" :
+      return "exec";
+    case "tasks" :
+    case "version" :
+      return "read";
+    case "dev" :
+    case "nrepl" :
+    case "preview" :
+    case "server" :
+    case "sitestart" :
+    case "sitestop" :
+    case "start" :
+    case "stop" :
+    case "watch" :
+      return "serve";
+    default:
+      return "build";
+  }
+}
+
+function toolCategory(adapter, toolName) {
+  let match = adapter.capabilities.find(param => param[1] === toolName);
+  if (match !== undefined) {
+    return operationCategory(match[0]);
+  } else {
+    return suffixCategory(toolName);
+  }
+}
+
+function grants(scope, adapter, category) {
+  let forAdapter = name => Stdlib_Option.mapOr(adapter, false, adapter => adapter.toLowerCase() === name);
+  let match = scope.split(":");
+  let len = match.length;
+  if (len >= 4) {
+    return false;
+  }
+  switch (len) {
+    case 0 :
+      return false;
+    case 1 :
+      let p = match[0];
+      return p === prefix;
+    case 2 :
+      let p$1 = match[0];
+      let part = match[1];
+      if (part === "*") {
+        return p$1 === prefix;
+      } else if (categories.includes(part)) {
+        if (p$1 === prefix) {
+          return part === category;
+        } else {
+          return false;
+        }
+      } else if (p$1 === prefix) {
+        return forAdapter(part);
+      } else {
+        return false;
+      }
+    case 3 :
+      let p$2 = match[0];
+      let name = match[1];
+      let part$1 = match[2];
+      if (p$2 === prefix && forAdapter(name)) {
+        if (part$1 === category) {
+          return true;
+        } else {
+          return part$1 === "*";
+        }
+      } else {
+        return false;
+      }
+  }
+}
+
+function allows(scopes, adapter, category) {
+  if (scopes !== undefined) {
+    return scopes.some(__x => grants(__x, adapter, category));
+  } else {
+    return true;
+  }
+}
+
+function allowsSome(scopes, category) {
+  if (scopes !== undefined) {
+    return scopes.some(scope => {
+      let match = scope.split(":");
+      let len = match.length;
+      if (len >= 4) {
+        return false;
+      }
+      switch (len) {
+        case 0 :
+          return false;
+        case 1 :
+          let p = match[0];
+          return p === prefix;
+        case 2 :
+          let p$1 = match[0];
+          let part = match[1];
+          if (part === "*" || !categories.includes(part)) {
+            return p$1 === prefix;
+          } else if (p$1 === prefix) {
+            return part === category;
+          } else {
+            return false;
+          }
+        case 3 :
+          let p$2 = match[0];
+          let part$1 = match[2];
+          if (p$2 === prefix) {
+            if (part$1 === category) {
+              return true;
+            } else {
+              return part$1 === "*";
+            }
+          } else {
+            return false;
+          }
+      }
+    });
+  } else {
+    return true;
+  }
+}
+
+function required(adapter, category) {
+  if (adapter !== undefined) {
+    return prefix + ":" + adapter.toLowerCase() + ":" + category;
+  } else {
+    return prefix + ":" + category;
+  }
+}
+
+function deniedToJson(tool, adapter, category) {
+  let obj = {};
+  obj["error"] = "insufficient_scope";
+  obj["message"] = "The access token does not grant " + tool + " (" + category + ")";
+  obj["tool"] = tool;
+  obj["category"] = category;
+  obj["requiredScope"] = required(adapter, category);
+  return obj;
+}
+
+function supported(adapterNames) {
+  return [prefix].concat(categories.map(c => prefix + ":" + c).concat(adapterNames.map(name => prefix + ":" + name.toLowerCase())));
+}
+
+export {
+  prefix,
+  categories,
+  operationCategory,
+  suffixCategory,
+  toolCategory,
+  grants,
+  allows,
+  allowsSome,
+  required,
+  deniedToJson,
+  supported,
+}
+/* No side effect */
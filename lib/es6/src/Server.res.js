@@ -1,103 +1,33 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
 import * as Mcp from "./bindings/Mcp.res.js";
+import * as $$Deno from "./bindings/Deno.res.js";
+import * as Params from "./Params.res.js";
+import * as Schema from "./Schema.res.js";
+import * as Scopes from "./Scopes.res.js";
+import * as Adapter from "./Adapter.res.js";
+import * as Confirm from "./Confirm.res.js";
+import * as Metrics from "./Metrics.res.js";
+import * as Protocol from "./Protocol.res.js";
+import * as Resources from "./Resources.res.js";
+import * as Workspace from "./Workspace.res.js";
+import * as Resilience from "./Resilience.res.js";
+import * as Supervisor from "./Supervisor.res.js";
+import * as CallContext from "./CallContext.res.js";
+import * as Conformance from "./Conformance.res.js";
+import * as Stdlib_Dict from "@rescript/runtime/lib/es6/Stdlib_Dict.js";
 import * as Stdlib_JSON from "@rescript/runtime/lib/es6/Stdlib_JSON.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
 import * as Stdlib_JsExn from "@rescript/runtime/lib/es6/Stdlib_JsExn.js";
+import * as ProjectDetect from "./ProjectDetect.res.js";
 import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
 import * as Primitive_object from "@rescript/runtime/lib/es6/Primitive_object.js";
 import * as Primitive_exceptions from "@rescript/runtime/lib/es6/Primitive_exceptions.js";
-import EmaResJs from "./adapters/Ema.res.js";
-import WubResJs from "./adapters/Wub.res.js";
-import FrogResJs from "./adapters/Frog.res.js";
-import ZolaResJs from "./adapters/Zola.res.js";
-import LaikaResJs from "./adapters/Laika.res.js";
-import PerunResJs from "./adapters/Perun.res.js";
-import SerumResJs from "./adapters/Serum.res.js";
-import CobaltResJs from "./adapters/Cobalt.res.js";
-import CorralResJs from "./adapters/Corral.res.js";
-import FornaxResJs from "./adapters/Fornax.res.js";
-import HakyllResJs from "./adapters/Hakyll.res.js";
-import MarmotResJs from "./adapters/Marmot.res.js";
-import MdbookResJs from "./adapters/Mdbook.res.js";
-import NimrodResJs from "./adapters/Nimrod.res.js";
-import OrchidResJs from "./adapters/Orchid.res.js";
-import PollenResJs from "./adapters/Pollen.res.js";
-import ReggaeResJs from "./adapters/Reggae.res.js";
-import YocamlResJs from "./adapters/Yocaml.res.js";
-import CryogenResJs from "./adapters/Cryogen.res.js";
-import PublishResJs from "./adapters/Publish.res.js";
-import TableauResJs from "./adapters/Tableau.res.js";
-import ZotonicResJs from "./adapters/Zotonic.res.js";
-import BabashkaResJs from "./adapters/Babashka.res.js";
-import ColeslawResJs from "./adapters/Coleslaw.res.js";
-import FranklinResJs from "./adapters/Franklin.res.js";
-import ScalatexResJs from "./adapters/Scalatex.res.js";
-import DocumenterResJs from "./adapters/Documenter.res.js";
-import StaticwebpagesResJs from "./adapters/Staticwebpages.res.js";
-import NimblePublisherResJs from "./adapters/NimblePublisher.res.js";
 
 let packageVersion = "1.1.0";
 
 let feedbackUrl = "https://github.com/hyperpolymath/polyglot-ssg-mcp/issues";
 
-let zolaAdapter = ZolaResJs;
-
-let cobaltAdapter = CobaltResJs;
-
-let mdbookAdapter = MdbookResJs;
-
-let serumAdapter = SerumResJs;
-
-let nimblePublisherAdapter = NimblePublisherResJs;
-
-let tableauAdapter = TableauResJs;
-
-let hakyllAdapter = HakyllResJs;
-
-let emaAdapter = EmaResJs;
-
-let yocamlAdapter = YocamlResJs;
-
-let fornaxAdapter = FornaxResJs;
-
-let publishAdapter = PublishResJs;
-
-let coleslawAdapter = ColeslawResJs;
-
-let orchidAdapter = OrchidResJs;
-
-let franklinAdapter = FranklinResJs;
-
-let staticwebpagesAdapter = StaticwebpagesResJs;
-
-let documenterAdapter = DocumenterResJs;
-
-let cryogenAdapter = CryogenResJs;
-
-let perunAdapter = PerunResJs;
-
-let babashkaAdapter = BabashkaResJs;
-
-let laikaAdapter = LaikaResJs;
-
-let scalatexAdapter = ScalatexResJs;
-
-let zotonicAdapter = ZotonicResJs;
-
-let pollenAdapter = PollenResJs;
-
-let frogAdapter = FrogResJs;
-
-let reggaeAdapter = ReggaeResJs;
-
-let wubAdapter = WubResJs;
-
-let marmotAdapter = MarmotResJs;
-
-let nimrodAdapter = NimrodResJs;
-
-let corralAdapter = CorralResJs;
-
 let adapters = [];
 
 function initAdapters() {
@@ -157,7 +87,7 @@ function ssgListTool(adapters) {
     result["languages"] = keys.length;
     result["byLanguage"] = byLangJson;
     result["ssgs"] = list;
-    return Mcp.makeJsonResult(result);
+    return Mcp.makeJsonResult(result, undefined);
   };
 }
 
@@ -216,7 +146,7 @@ function ssgDetectTool(adapters) {
     result["available"] = available$1;
     result["unavailable"] = unavailable;
     result["details"] = results;
-    return Mcp.makeJsonResult(result);
+    return Mcp.makeJsonResult(result, undefined);
   };
 }
 
@@ -231,7 +161,7 @@ function ssgHelpTool(adapters) {
       ssgName = undefined;
     }
     if (ssgName === undefined) {
-      return Mcp.makeToolResult("Missing required parameter: ssg", true);
+      return Mcp.makeJsonResult(Conformance.matrix(adapters), undefined);
     }
     let adapter = findAdapter(adapters, ssgName);
     if (adapter !== undefined) {
@@ -247,7 +177,12 @@ function ssgHelpTool(adapters) {
       result["description"] = adapter.description;
       result["connected"] = adapter.isConnected();
       result["tools"] = tools;
-      return Mcp.makeJsonResult(result);
+      result["capabilities"] = Object.fromEntries(adapter.capabilities.map(param => [
+        Adapter.operationName(param[0]),
+        param[1]
+      ]));
+      result["conformance"] = Conformance.check(adapter).map(Conformance.issueToJson);
+      return Mcp.makeJsonResult(result, undefined);
     }
     let availableList = adapters.map(a => "  - " + a.name + " (" + a.language + ")");
     return Mcp.makeToolResult("Unknown SSG: " + ssgName + "\n\nAvailable SSGs:\n" + availableList.join("\n"), true);
@@ -265,15 +200,19 @@ function ssgVersionTool(adapters) {
     result["runtime"] = "Deno";
     result["core"] = "ReScript";
     result["feedback"] = feedbackUrl;
-    return Mcp.makeJsonResult(result);
+    return Mcp.makeJsonResult(result, undefined);
   };
 }
 
+async function ssgHealthTool() {
+  return Mcp.makeJsonResult(Resilience.toJson(), undefined);
+}
+
 function isServerlessEnvironment() {
   if (Stdlib_Option.isSome(Deno.env.get("DENO_DEPLOYMENT_ID")) || Primitive_object.equal(Deno.env.get("MCP_HTTP_MODE"), "true")) {
     return true;
   } else {
-    return Deno.args().includes("--http");
+    return $$Deno.Args.get().includes("--http");
   }
 }
 
@@ -294,28 +233,45 @@ function logStartup(mode, adapters) {
   console.error("Feedback: " + feedbackUrl);
 }
 
-async function executeAdapterTool(adapter, tool, params) {
+function commandFailed(result) {
+  if (typeof result === "object" && result !== null && !Array.isArray(result)) {
+    return Primitive_object.equal(result["success"], false);
+  } else {
+    return false;
+  }
+}
+
+async function runTool(tool, params) {
+  let executeFn = tool.execute;
+  if (executeFn === undefined) {
+    return Mcp.makeToolResult("Tool execution not implemented", true);
+  }
+  let result = await executeFn(params);
+  return Mcp.makeStructuredResult(result, commandFailed(result));
+}
+
+async function connectAndRun(adapter, tool, params, context) {
+  let run = () => CallContext.run(context, () => runTool(tool, params));
+  if (adapter.isConnected()) {
+    return await run();
+  }
+  let newrecord = {...context};
+  let connected = await CallContext.run((newrecord.onOutput = undefined, newrecord), adapter.connect);
+  if (connected) {
+    return await run();
+  } else {
+    return Mcp.makeToolResult(adapter.name + " is not available. Please install " + adapter.name + " (" + adapter.language + ").", true);
+  }
+}
+
+async function reportErrors(run) {
   try {
-    if (adapter.isConnected()) {
-      let executeFn = tool.execute;
-      if (executeFn !== undefined) {
-        return Mcp.makeJsonResult(await executeFn(params));
-      } else {
-        return Mcp.makeToolResult("Tool execution not implemented", true);
-      }
-    }
-    let connected = await adapter.connect();
-    if (!connected) {
-      return Mcp.makeToolResult(adapter.name + " is not available. Please install " + adapter.name + " (" + adapter.language + ").", true);
-    }
-    let executeFn$1 = tool.execute;
-    if (executeFn$1 !== undefined) {
-      return Mcp.makeJsonResult(await executeFn$1(params));
-    } else {
-      return Mcp.makeToolResult("Tool execution not implemented", true);
-    }
+    return await run();
   } catch (raw_e) {
     let e = Primitive_exceptions.internalToException(raw_e);
+    if (e.RE_EXN_ID === Workspace.OutsideWorkspace) {
+      return Mcp.makeJsonResult(Workspace.errorToJson(e.parameter, e.value, e.resolved, e.roots), true);
+    }
     if (e.RE_EXN_ID === "JsExn") {
       let m = Stdlib_JsExn.message(e._1);
       let msg = m !== undefined ? m : "Unknown error";
@@ -325,38 +281,586 @@ async function executeAdapterTool(adapter, tool, params) {
   }
 }
 
+function checkScope(request, tool, adapter, category) {
+  if (Scopes.allows(request.scopes, adapter, category)) {
+    return;
+  } else {
+    return Mcp.makeJsonResult(Scopes.deniedToJson(tool, adapter, category), true);
+  }
+}
+
+async function runAdmitted(adapter, tool, params, request) {
+  let breaker = Resilience.adapterBreaker(adapter.name);
+  let message = Resilience.admit(breaker, "Adapter");
+  if (message.TAG !== "Ok") {
+    return Mcp.makeToolResult(message._0, true);
+  }
+  let isTrial = message._0;
+  let endTrial = () => {
+    if (isTrial) {
+      return Resilience.release(breaker);
+    }
+  };
+  let message$1 = Resilience.enter(adapter.name);
+  if (message$1.TAG === "Ok") {
+    let reporter = CallContext.outputReporter(tool.name, request);
+    let result = await reportErrors(async () => {
+      let timeoutMs = CallContext.timeoutFor(tool.timeoutMs, params);
+      let context_adapter = adapter.name;
+      let context_shortened = timeoutMs < Stdlib_Option.getOr(tool.timeoutMs, CallContext.defaultTimeoutMs);
+      let context_signal = request.signal;
+      let context_onOutput = Stdlib_Option.map(reporter, r => r.onOutput);
+      let context_sessionId = request.sessionId;
+      let context = {
+        adapter: context_adapter,
+        timeoutMs: timeoutMs,
+        shortened: context_shortened,
+        signal: context_signal,
+        onOutput: context_onOutput,
+        sessionId: context_sessionId
+      };
+      let result = await connectAndRun(adapter, tool, params, context);
+      if (Primitive_object.equal(Adapter.toolFor(adapter.capabilities, "Build"), tool.name)) {
+        Resources.buildFinished(Stdlib_Option.getOr(Params.path(params, "path"), Workspace.defaultRoot()));
+      }
+      return result;
+    });
+    Stdlib_Option.forEach(reporter, r => r.flush());
+    Resilience.leave(adapter.name);
+    endTrial();
+    return result;
+  }
+  endTrial();
+  return Mcp.makeToolResult(message$1._0, true);
+}
+
+async function executeAdapterTool(adapter, tool, params, request) {
+  let denied = checkScope(request, tool.name, adapter.name, Scopes.toolCategory(adapter, tool.name));
+  if (denied !== undefined) {
+    return denied;
+  } else {
+    return await reportErrors(async () => {
+      let refused = await Confirm.check(tool, params, request);
+      if (refused !== undefined) {
+        return Mcp.makeToolResult(refused, true);
+      } else {
+        return await runAdmitted(adapter, tool, params, request);
+      }
+    });
+  }
+}
+
+function findAdapterTool(adapters, name) {
+  let found = {
+    contents: undefined
+  };
+  adapters.forEach(a => {
+    if (!Stdlib_Option.isNone(found.contents)) {
+      return;
+    }
+    let t = a.tools.find(t => t.name === name);
+    if (t !== undefined) {
+      found.contents = [
+        a,
+        t
+      ];
+      return;
+    }
+  });
+  return found.contents;
+}
+
+function processAdapter(adapters, proc) {
+  return Stdlib_Option.map(findAdapterTool(adapters, proc.tool), param => param[0].name);
+}
+
+async function withProcess(adapters, params, request, tool, category, action) {
+  let id = Params.string(params, "id");
+  if (id === undefined) {
+    return Mcp.makeToolResult("Missing required parameter: id", true);
+  }
+  let proc = Supervisor.get(id);
+  if (proc === undefined) {
+    return Mcp.makeToolResult("Unknown process: " + id, true);
+  }
+  let denied = checkScope(request, tool, processAdapter(adapters, proc), category);
+  if (denied !== undefined) {
+    return denied;
+  } else {
+    return await action(proc);
+  }
+}
+
+async function ssgProcessListTool(adapters, request) {
+  let list = Supervisor.list().filter(proc => Scopes.allows(request.scopes, processAdapter(adapters, proc), "read")).map(proc => Supervisor.toJson(proc, 0));
+  let result = {};
+  result["total"] = list.length;
+  result["processes"] = list;
+  return Mcp.makeJsonResult(result, undefined);
+}
+
+function ssgProcessLogsTool(adapters, params, request) {
+  return withProcess(adapters, params, request, "ssg_process_logs", "read", async proc => {
+    let lines = Stdlib_Option.getOr(Params.int(params, "lines"), 100);
+    let entries = Supervisor.logs(proc, lines, Params.string(params, "stream"));
+    let result = {};
+    result["id"] = proc.id;
+    result["status"] = Supervisor.statusToString(proc.status);
+    result["droppedLines"] = proc.droppedLines;
+    result["logs"] = entries.map(e => {
+      let item = {};
+      item["stream"] = e.stream;
+      item["text"] = e.text;
+      return item;
+    });
+    return Mcp.makeJsonResult(result, undefined);
+  });
+}
+
+function ssgProcessStopTool(adapters, params, request) {
+  return withProcess(adapters, params, request, "ssg_process_stop", "serve", async proc => {
+    await Supervisor.stop(proc);
+    return Mcp.makeJsonResult(Supervisor.toJson(proc, undefined), undefined);
+  });
+}
+
+function ssgProcessRestartTool(adapters, params, request) {
+  return withProcess(adapters, params, request, "ssg_process_restart", "serve", async proc => {
+    await Supervisor.restart(proc);
+    return Mcp.makeJsonResult(Supervisor.toJson(proc, undefined), undefined);
+  });
+}
+
+function projectDir(params) {
+  return Stdlib_Option.getOr(Params.path(params, "path"), Workspace.defaultRoot());
+}
+
+async function ssgIdentifyTool(params) {
+  let dir = projectDir(params);
+  let found = await ProjectDetect.candidates(dir);
+  let result = {};
+  result["path"] = dir;
+  let best = ProjectDetect.identify(found);
+  if (best !== undefined) {
+    result["detected"] = best.ssg;
+    result["confidence"] = ProjectDetect.confidence(best);
+  } else {
+    result["detected"] = null;
+    result["confidence"] = 0.0;
+  }
+  result["candidates"] = found.map(ProjectDetect.candidateToJson);
+  return Mcp.makeStructuredResult(result, undefined);
+}
+
+async function resolveSsg(params, dir) {
+  let name = Params.string(params, "ssg");
+  if (name !== undefined) {
+    return {
+      TAG: "Ok",
+      _0: [
+        name,
+        "ssg parameter"
+      ]
+    };
+  }
+  let found = await ProjectDetect.candidates(dir);
+  let best = ProjectDetect.identify(found);
+  if (best !== undefined) {
+    return {
+      TAG: "Ok",
+      _0: [
+        best.ssg,
+        "detected from " + best.evidence.join(", ")
+      ]
+    };
+  }
+  if (found.length === 0) {
+    return {
+      TAG: "Error",
+      _0: "No SSG project found in " + dir
+    };
+  }
+  let names = found.map(c => c.ssg).join(", ");
+  return {
+    TAG: "Error",
+    _0: "Cannot tell which SSG " + dir + " uses (candidates: " + names + "); pass ssg"
+  };
+}
+
+function ssgActionTool(operation) {
+  return async (adapters, params, request) => {
+    let dir = projectDir(params);
+    let message = await resolveSsg(params, dir);
+    if (message.TAG !== "Ok") {
+      return Mcp.makeToolResult(message._0, true);
+    }
+    let match = message._0;
+    let name = match[0];
+    let native = Stdlib_Option.flatMap(findAdapter(adapters, name), __x => ProjectDetect.toolFor(__x, operation));
+    let match$1 = Stdlib_Option.flatMap(native, param => {
+      let fixed = param[1];
+      return Stdlib_Option.map(findAdapterTool(adapters, param[0]), found => [
+        found,
+        fixed
+      ]);
+    });
+    if (match$1 === undefined) {
+      return Mcp.makeToolResult(name + " has no " + Adapter.operationName(operation) + " tool", true);
+    }
+    let match$2 = match$1[0];
+    let tool = match$2[1];
+    let adapter = match$2[0];
+    let args;
+    args = typeof params === "object" && params !== null && !Array.isArray(params) ? Object.assign({}, params) : ({});
+    Stdlib_Dict.$$delete(args, "ssg");
+    args["path"] = dir;
+    match$1[1].forEach(param => {
+      args[param[0]] = param[1];
+    });
+    let note = adapter.name + " (" + match[1] + "): " + tool.name;
+    let violations = Schema.validate(tool.inputSchema, args);
+    if (violations.length !== 0) {
+      return Mcp.makeToolResult(note + "\nInvalid arguments: " + Schema.describe(violations), true);
+    }
+    let result = await executeAdapterTool(adapter, tool, args, request);
+    let newrecord = {...result};
+    newrecord.content = [Mcp.makeTextContent(note)].concat(result.content);
+    return newrecord;
+  };
+}
+
+function makeObjectSchema(props, required) {
+  let schema = {};
+  schema["type"] = "object";
+  schema["properties"] = props;
+  if (required.length !== 0) {
+    schema["required"] = required.map(prim => prim);
+  }
+  return schema;
+}
+
+function makeProp(typeName, desc) {
+  return Object.fromEntries([
+    [
+      "type",
+      typeName
+    ],
+    [
+      "description",
+      desc
+    ]
+  ]);
+}
+
+let projectActionSchema = makeObjectSchema(Object.fromEntries([
+  [
+    "path",
+    makeProp("string", "Project directory (default: workspace root)")
+  ],
+  [
+    "ssg",
+    makeProp("string", "SSG to use instead of auto-detection (e.g., 'zola')")
+  ]
+]), []);
+
+let identifyOutputSchema = Adapter.objectSchema([
+  [
+    "path",
+    Adapter.schemaType("string")
+  ],
+  [
+    "detected",
+    Adapter.nullable("string")
+  ],
+  [
+    "confidence",
+    Adapter.schemaType("number")
+  ],
+  [
+    "candidates",
+    Adapter.arraySchema(Adapter.objectSchema([
+      [
+        "ssg",
+        Adapter.schemaType("string")
+      ],
+      [
+        "confidence",
+        Adapter.schemaType("number")
+      ],
+      [
+        "evidence",
+        Adapter.arraySchema(Adapter.schemaType("string"))
+      ]
+    ], [
+      "ssg",
+      "confidence",
+      "evidence"
+    ]))
+  ]
+], [
+  "path",
+  "detected",
+  "confidence",
+  "candidates"
+]);
+
+let metaTools = [
+  {
+    name: "ssg_list",
+    description: "List all available SSG adapters with their languages and connection status",
+    inputSchema: makeObjectSchema({}, []),
+    category: "read",
+    annotations: Adapter.readOnly,
+    outputSchema: undefined,
+    handler: (adapters, param, param$1) => ssgListTool(adapters)()
+  },
+  {
+    name: "ssg_detect",
+    description: "Auto-detect which SSGs are installed on the system",
+    inputSchema: makeObjectSchema({}, []),
+    category: "read",
+    annotations: Adapter.readOnly,
+    outputSchema: undefined,
+    handler: (adapters, param, param$1) => ssgDetectTool(adapters)()
+  },
+  {
+    name: "ssg_help",
+    description: "Get help for a specific SSG, or without ssg a capability matrix of standard operations across all SSGs",
+    inputSchema: makeObjectSchema(Object.fromEntries([[
+        "ssg",
+        makeProp("string", "SSG name (e.g., 'zola', 'hakyll', 'franklin')")
+      ]]), []),
+    category: "read",
+    annotations: Adapter.readOnly,
+    outputSchema: undefined,
+    handler: (adapters, params, param) => ssgHelpTool(adapters)(params)
+  },
+  {
+    name: "ssg_version",
+    description: "Get version information for polyglot-ssg-mcp",
+    inputSchema: makeObjectSchema({}, []),
+    category: "read",
+    annotations: Adapter.readOnly,
+    outputSchema: undefined,
+    handler: (adapters, param, param$1) => ssgVersionTool(adapters)()
+  },
+  {
+    name: "ssg_health",
+    description: "Circuit breaker state per SSG and binary, and running calls per SSG against its concurrency limit",
+    inputSchema: makeObjectSchema({}, []),
+    category: "read",
+    annotations: Adapter.readOnly,
+    outputSchema: undefined,
+    handler: (param, param$1, param$2) => ssgHealthTool()
+  },
+  {
+    name: "ssg_identify",
+    description: "Identify which SSG a project uses from its marker files, with confidence and evidence",
+    inputSchema: makeObjectSchema(Object.fromEntries([[
+        "path",
+        makeProp("string", "Project directory (default: workspace root)")
+      ]]), []),
+    category: "read",
+    annotations: Adapter.readOnly,
+    outputSchema: identifyOutputSchema,
+    handler: (param, params, param$1) => ssgIdentifyTool(params)
+  },
+  {
+    name: "ssg_build",
+    description: "Build a project with whichever SSG it uses (auto-detected)",
+    inputSchema: projectActionSchema,
+    category: "build",
+    byAdapter: true,
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    handler: ssgActionTool("Build")
+  },
+  {
+    name: "ssg_serve",
+    description: "Start the dev server of a project's SSG (auto-detected)",
+    inputSchema: projectActionSchema,
+    category: "serve",
+    byAdapter: true,
+    annotations: Adapter.starts,
+    outputSchema: undefined,
+    handler: ssgActionTool("Serve")
+  },
+  {
+    name: "ssg_clean",
+    description: "Remove build artifacts of a project with its SSG (auto-detected)",
+    inputSchema: projectActionSchema,
+    category: "build",
+    byAdapter: true,
+    annotations: Adapter.destructive,
+    outputSchema: Adapter.buildOutputSchema,
+    handler: ssgActionTool("Clean")
+  },
+  {
+    name: "ssg_process_list",
+    description: "List background dev-server and watch processes started by *_serve / *_watch tools",
+    inputSchema: makeObjectSchema({}, []),
+    category: "read",
+    byAdapter: true,
+    annotations: Adapter.readOnly,
+    outputSchema: undefined,
+    handler: (adapters, param, request) => ssgProcessListTool(adapters, request)
+  },
+  {
+    name: "ssg_process_logs",
+    description: "Get buffered stdout/stderr of a background process",
+    inputSchema: makeObjectSchema(Object.fromEntries([
+      [
+        "id",
+        makeProp("string", "Process handle ID (e.g., 'proc-1')")
+      ],
+      [
+        "lines",
+        makeProp("number", "Number of most recent lines to return (default: 100)")
+      ],
+      [
+        "stream",
+        makeProp("string", "Filter by stream: 'stdout', 'stderr' or 'all' (default)")
+      ]
+    ]), ["id"]),
+    category: "read",
+    byAdapter: true,
+    annotations: Adapter.readOnly,
+    outputSchema: undefined,
+    handler: ssgProcessLogsTool
+  },
+  {
+    name: "ssg_process_stop",
+    description: "Stop a background process",
+    inputSchema: makeObjectSchema(Object.fromEntries([[
+        "id",
+        makeProp("string", "Process handle ID")
+      ]]), ["id"]),
+    category: "serve",
+    byAdapter: true,
+    annotations: Adapter.destructive,
+    outputSchema: undefined,
+    handler: ssgProcessStopTool
+  },
+  {
+    name: "ssg_process_restart",
+    description: "Restart a background process with the same command",
+    inputSchema: makeObjectSchema(Object.fromEntries([[
+        "id",
+        makeProp("string", "Process handle ID")
+      ]]), ["id"]),
+    category: "serve",
+    byAdapter: true,
+    annotations: Adapter.starts,
+    outputSchema: undefined,
+    handler: ssgProcessRestartTool
+  }
+];
+
+function metaAllowed(scopes, meta) {
+  if (Primitive_object.equal(meta.byAdapter, true)) {
+    return Scopes.allowsSome(scopes, meta.category);
+  } else {
+    return Scopes.allows(scopes, undefined, meta.category);
+  }
+}
+
+function toolInfo(name, description, inputSchema, annotations, outputSchema, protocolVersion) {
+  let item = {};
+  item["name"] = name;
+  item["description"] = description;
+  item["inputSchema"] = inputSchema;
+  if (Protocol.supports(protocolVersion, "ToolAnnotations")) {
+    item["annotations"] = Adapter.annotationsToJson(annotations);
+  }
+  if (outputSchema !== undefined && Protocol.supports(protocolVersion, "StructuredContent")) {
+    item["outputSchema"] = outputSchema;
+  }
+  return item;
+}
+
+function longestTimeoutMs(adapters) {
+  return Stdlib_Array.reduce(adapters, CallContext.defaultTimeoutMs, (longest, adapter) => Stdlib_Array.reduce(adapter.tools, longest, (longest, tool) => Math.max(longest, Stdlib_Option.getOr(tool.timeoutMs, CallContext.defaultTimeoutMs))));
+}
+
+function withCallParams(tool) {
+  let schema = tool.inputSchema;
+  if (typeof schema !== "object" || schema === null || Array.isArray(schema)) {
+    return tool.inputSchema;
+  }
+  let match = schema["properties"];
+  let props = match !== undefined ? (
+      typeof match === "object" && match !== null && !Array.isArray(match) ? Object.assign({}, match) : ({})
+    ) : ({});
+  let defaultSeconds = Stdlib_Option.getOr(tool.timeoutMs, CallContext.defaultTimeoutMs) / 1000 | 0;
+  props["timeoutSeconds"] = makeProp("integer", "Kill the command after this many seconds (default " + defaultSeconds.toString() + ")");
+  if (Stdlib_Option.isSome(tool.confirm)) {
+    props["confirm"] = makeProp("boolean", "Run this destructive call without asking (clients without elicitation)");
+  }
+  let extended = Object.assign({}, schema);
+  extended["properties"] = props;
+  return extended;
+}
+
+function listTools(adapters, scopes, protocolVersion) {
+  let protocolVersion$1 = Stdlib_Option.getOr(protocolVersion, Protocol.latestVersion);
+  let metaInfo = metaTools.filter(__x => metaAllowed(scopes, __x)).map(t => toolInfo(t.name, t.description, t.inputSchema, t.annotations, t.outputSchema, protocolVersion$1));
+  let adapterInfo = adapters.flatMap(a => a.tools.filter(t => Scopes.allows(scopes, a.name, Scopes.toolCategory(a, t.name))).map(t => toolInfo(t.name, t.description, withCallParams(t), t.annotations, t.outputSchema, protocolVersion$1)));
+  return metaInfo.concat(adapterInfo);
+}
+
+function checkArguments(name, schema, params) {
+  let violations = Schema.validate(schema, params);
+  if (violations.length !== 0) {
+    return Mcp.throwError(Mcp.ErrorCode.invalidParams, "Invalid arguments for tool " + name + ": " + Schema.describe(violations), Object.fromEntries([
+      [
+        "tool",
+        name
+      ],
+      [
+        "violations",
+        violations.map(Schema.violationToJson)
+      ]
+    ]));
+  }
+}
+
+async function callTool(adapters, name, params, request) {
+  let startedAt = Date.now();
+  let structured = Protocol.supports(Stdlib_Option.getOr(request.protocolVersion, Protocol.latestVersion), "StructuredContent");
+  let record = (adapter, result) => {
+    Metrics.recordCall(name, adapter, Stdlib_Option.getOr(result.isError, false), Date.now() - startedAt);
+    if (structured) {
+      return result;
+    }
+    let newrecord = {...result};
+    newrecord.structuredContent = undefined;
+    return newrecord;
+  };
+  let meta = metaTools.find(t => t.name === name);
+  if (meta !== undefined) {
+    checkArguments(name, meta.inputSchema, params);
+    if (metaAllowed(request.scopes, meta)) {
+      return record("meta", await reportErrors(() => meta.handler(adapters, params, request)));
+    }
+    let denied = Scopes.deniedToJson(name, undefined, meta.category);
+    return record("meta", Mcp.makeJsonResult(denied, true));
+  }
+  let match = findAdapterTool(adapters, name);
+  if (match === undefined) {
+    return Mcp.throwError(Mcp.ErrorCode.invalidParams, "Unknown tool: " + name, Object.fromEntries([[
+        "tool",
+        name
+      ]]));
+  }
+  let t = match[1];
+  let adapter = match[0];
+  checkArguments(name, withCallParams(t), params);
+  return record(adapter.name, await executeAdapterTool(adapter, t, params, request));
+}
+
 export {
   packageVersion,
   feedbackUrl,
-  zolaAdapter,
-  cobaltAdapter,
-  mdbookAdapter,
-  serumAdapter,
-  nimblePublisherAdapter,
-  tableauAdapter,
-  hakyllAdapter,
-  emaAdapter,
-  yocamlAdapter,
-  fornaxAdapter,
-  publishAdapter,
-  coleslawAdapter,
-  orchidAdapter,
-  franklinAdapter,
-  staticwebpagesAdapter,
-  documenterAdapter,
-  cryogenAdapter,
-  perunAdapter,
-  babashkaAdapter,
-  laikaAdapter,
-  scalatexAdapter,
-  zotonicAdapter,
-  pollenAdapter,
-  frogAdapter,
-  reggaeAdapter,
-  wubAdapter,
-  marmotAdapter,
-  nimrodAdapter,
-  corralAdapter,
   adapters,
   initAdapters,
   getUniqueLanguages,
@@ -366,9 +870,39 @@ export {
   ssgDetectTool,
   ssgHelpTool,
   ssgVersionTool,
+  ssgHealthTool,
   isServerlessEnvironment,
   detectMode,
   logStartup,
+  commandFailed,
+  runTool,
+  connectAndRun,
+  reportErrors,
+  checkScope,
+  runAdmitted,
   executeAdapterTool,
+  findAdapterTool,
+  processAdapter,
+  withProcess,
+  ssgProcessListTool,
+  ssgProcessLogsTool,
+  ssgProcessStopTool,
+  ssgProcessRestartTool,
+  projectDir,
+  ssgIdentifyTool,
+  resolveSsg,
+  ssgActionTool,
+  makeObjectSchema,
+  makeProp,
+  projectActionSchema,
+  identifyOutputSchema,
+  metaTools,
+  metaAllowed,
+  toolInfo,
+  longestTimeoutMs,
+  withCallParams,
+  listTools,
+  checkArguments,
+  callTool,
 }
-/* zolaAdapter Not a pure module */
+/* projectActionSchema Not a pure module */
@@ -0,0 +1,256 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as $$Deno from "./bindings/Deno.res.js";
+import * as Stdlib_Dict from "@rescript/runtime/lib/es6/Stdlib_Dict.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Primitive_object from "@rescript/runtime/lib/es6/Primitive_object.js";
+
+let finishedRetentionMs = 10.0 * 60.0 * 1000.0;
+
+let processes = {};
+
+let counter = {
+  contents: 0
+};
+
+function appendLog(proc, stream, text) {
+  proc.logs.push({
+    stream: stream,
+    text: text,
+    timestamp: Date.now()
+  });
+  if (proc.logs.length > 1000) {
+    proc.logs.shift();
+    proc.droppedLines = proc.droppedLines + 1 | 0;
+    return;
+  }
+}
+
+function statusToString(status) {
+  if (typeof status !== "object") {
+    if (status === "Running") {
+      return "running";
+    } else {
+      return "stopped";
+    }
+  } else {
+    return "exited";
+  }
+}
+
+function attach(proc) {
+  let child = proc.child;
+  $$Deno.Stream.readLines(undefined, child.stdout, line => appendLog(proc, "stdout", line));
+  $$Deno.Stream.readLines(undefined, child.stderr, line => appendLog(proc, "stderr", line));
+  child.status.then(result => {
+    if (proc.child === child && proc.status === "Running") {
+      proc.status = {
+        TAG: "Exited",
+        _0: result.code
+      };
+      proc.endedAt = Date.now();
+      return appendLog(proc, "system", "process exited with code " + result.code.toString());
+    }
+  });
+}
+
+function spawnInto(proc) {
+  let child = $$Deno.Command.spawn(proc.binary, proc.args, proc.cwd);
+  proc.child = child;
+  proc.pid = child.pid;
+  proc.status = "Running";
+  proc.startedAt = Date.now();
+  proc.endedAt = undefined;
+  attach(proc);
+}
+
+function sleep(ms) {
+  return new Promise((resolve, param) => {
+    setTimeout(() => resolve(), ms);
+  });
+}
+
+function lastN(entries, n) {
+  return entries.slice(Math.max(0, entries.length - n | 0));
+}
+
+function toJson(proc, tailOpt) {
+  let tail = tailOpt !== undefined ? tailOpt : 20;
+  let obj = {};
+  obj["id"] = proc.id;
+  obj["tool"] = proc.tool;
+  obj["command"] = [proc.binary].concat(proc.args).join(" ");
+  let dir = proc.cwd;
+  if (dir !== undefined) {
+    obj["cwd"] = dir;
+  }
+  let id = proc.session;
+  if (id !== undefined) {
+    obj["session"] = id;
+  }
+  obj["pid"] = proc.pid;
+  obj["status"] = statusToString(proc.status);
+  let code = proc.status;
+  if (typeof code !== "object") {
+    code === "Running";
+  } else {
+    obj["exitCode"] = code._0;
+  }
+  obj["startedAt"] = new Date(proc.startedAt).toISOString();
+  obj["restarts"] = proc.restarts;
+  if (tail > 0) {
+    let recent = lastN(proc.logs, tail).map(e => e.text);
+    obj["recentOutput"] = recent;
+  }
+  return obj;
+}
+
+function prune() {
+  let now = Date.now();
+  let finished = Stdlib_Array.filterMap(Object.values(processes), proc => Stdlib_Option.map(proc.endedAt, at => [
+    at,
+    proc
+  ])).toSorted((param, param$1) => param[0] - param$1[0]);
+  let excess = finished.length - 20 | 0;
+  finished.forEach((param, i) => {
+    if (i < excess || now - param[0] > finishedRetentionMs) {
+      return Stdlib_Dict.$$delete(processes, param[1].id);
+    }
+  });
+}
+
+async function start(tool, session, binary, args, cwd) {
+  prune();
+  counter.contents = counter.contents + 1 | 0;
+  let id = "proc-" + counter.contents.toString();
+  let child = $$Deno.Command.spawn(binary, args, cwd);
+  let proc = {
+    id: id,
+    tool: tool,
+    binary: binary,
+    args: args,
+    cwd: cwd,
+    session: session,
+    child: child,
+    pid: child.pid,
+    status: "Running",
+    startedAt: Date.now(),
+    endedAt: undefined,
+    restarts: 0,
+    logs: [],
+    droppedLines: 0
+  };
+  processes[id] = proc;
+  attach(proc);
+  await sleep(1000);
+  return proc;
+}
+
+function get(id) {
+  return processes[id];
+}
+
+function list() {
+  prune();
+  return Object.values(processes);
+}
+
+function logs(proc, lines, stream) {
+  let selected = stream !== undefined && stream !== "all" ? proc.logs.filter(e => {
+      if (e.stream === stream) {
+        return true;
+      } else {
+        return e.stream === "system";
+      }
+    }) : proc.logs;
+  return lastN(selected, lines);
+}
+
+async function stop(proc) {
+  if (proc.status !== "Running") {
+    return;
+  }
+  proc.status = "Stopped";
+  $$Deno.Command.killTree(proc.child, "SIGTERM");
+  let exited = proc.child.status.then(param => true);
+  let exitWithin = ms => Promise.race([
+    exited,
+    sleep(ms).then(() => false)
+  ]);
+  if (!await exitWithin($$Deno.Command.killGraceMs)) {
+    appendLog(proc, "system", "process ignored SIGTERM, killing it");
+  }
+  $$Deno.Command.killTree(proc.child, "SIGKILL");
+  await exitWithin(1000);
+  proc.endedAt = Date.now();
+  return appendLog(proc, "system", "process stopped");
+}
+
+async function restart(proc) {
+  await stop(proc);
+  proc.restarts = proc.restarts + 1 | 0;
+  appendLog(proc, "system", "process restarted");
+  spawnInto(proc);
+  return await sleep(1000);
+}
+
+async function stopAll() {
+  await Promise.all((prune(), Object.values(processes)).map(stop));
+}
+
+async function stopSession(session) {
+  let owned = Object.values(processes).filter(proc => Primitive_object.equal(proc.session, session));
+  await Promise.all(owned.map(stop));
+  owned.forEach(proc => Stdlib_Dict.$$delete(processes, proc.id));
+}
+
+function shutdown() {
+  stopAll().then(() => {
+    Deno.exit(0);
+  });
+}
+
+function installShutdownHooks() {
+  Deno.addSignalListener("SIGINT", shutdown);
+  try {
+    Deno.addSignalListener("SIGTERM", shutdown);
+    return;
+  } catch (exn) {
+    return;
+  }
+}
+
+let logCapacity = 1000;
+
+let startupGraceMs = 1000;
+
+let finishedCapacity = 20;
+
+export {
+  logCapacity,
+  startupGraceMs,
+  finishedRetentionMs,
+  finishedCapacity,
+  processes,
+  counter,
+  appendLog,
+  statusToString,
+  attach,
+  spawnInto,
+  sleep,
+  lastN,
+  toJson,
+  prune,
+  start,
+  get,
+  list,
+  logs,
+  stop,
+  restart,
+  stopAll,
+  stopSession,
+  shutdown,
+  installShutdownHooks,
+}
+/* No side effect */
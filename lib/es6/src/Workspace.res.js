@@ -0,0 +1,128 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+import * as $$Deno from "./bindings/Deno.res.js";
+import * as Nodepath from "node:path";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Primitive_exceptions from "@rescript/runtime/lib/es6/Primitive_exceptions.js";
+
+let OutsideWorkspace = /* @__PURE__ */Primitive_exceptions.create("Workspace.OutsideWorkspace");
+
+let envVar = "MCP_WORKSPACE_ROOTS";
+
+let flag = "--workspace-root";
+
+function flagValues(args) {
+  let values = [];
+  args.forEach((arg, i) => {
+    if (arg !== flag) {
+      if (arg.startsWith(flag + "=")) {
+        values.push(arg.slice(flag.length + 1 | 0));
+        return;
+      } else {
+        return;
+      }
+    }
+    let dir = args[i + 1 | 0];
+    if (dir !== undefined) {
+      values.push(dir);
+      return;
+    }
+  });
+  return values;
+}
+
+function canonicalize(path) {
+  try {
+    return Deno.realPathSync(path);
+  } catch (exn) {
+    let parent = Nodepath.dirname(path);
+    if (parent === path) {
+      return path;
+    } else {
+      return Nodepath.join(canonicalize(parent), Nodepath.basename(path));
+    }
+  }
+}
+
+let configured = {
+  contents: undefined
+};
+
+function roots() {
+  let dirs = configured.contents;
+  if (dirs !== undefined) {
+    return dirs;
+  }
+  let list = Deno.env.get(envVar);
+  let fromEnv = list !== undefined ? list.split(Nodepath.delimiter).filter(dir => dir !== "") : [];
+  let dirs$1 = fromEnv.concat(flagValues($$Deno.Args.get()));
+  let dirs$2 = dirs$1.length !== 0 ? dirs$1 : [Deno.cwd()];
+  let dirs$3 = dirs$2.map(dir => canonicalize(Nodepath.resolve(dir)));
+  configured.contents = dirs$3;
+  return dirs$3;
+}
+
+function defaultRoot() {
+  return roots()[0];
+}
+
+function contains(root, path) {
+  if (path === root) {
+    return true;
+  } else {
+    return path.startsWith(root.endsWith(Nodepath.sep) ? root : root + Nodepath.sep);
+  }
+}
+
+function expandHome(value) {
+  let home = Deno.env.get("HOME");
+  if (home !== undefined && (value === "~" || value.startsWith("~/"))) {
+    return home + value.slice(1);
+  } else {
+    return value;
+  }
+}
+
+function resolve(base, parameter, value) {
+  let base$1 = Stdlib_Option.getOr(base, roots()[0]);
+  let resolved = canonicalize(Nodepath.resolve(base$1, expandHome(value)));
+  let allowed = roots();
+  if (!allowed.some(__x => contains(__x, resolved))) {
+    throw {
+      RE_EXN_ID: OutsideWorkspace,
+      parameter: parameter,
+      value: value,
+      resolved: resolved,
+      roots: allowed,
+      Error: new Error()
+    };
+  }
+  return resolved;
+}
+
+function errorToJson(parameter, value, resolved, roots) {
+  let obj = {};
+  obj["error"] = "path_outside_workspace";
+  obj["message"] = "Parameter " + parameter + " resolves outside the workspace roots";
+  obj["parameter"] = parameter;
+  obj["value"] = value;
+  obj["resolved"] = resolved;
+  obj["roots"] = roots.map(prim => prim);
+  return obj;
+}
+
+export {
+  OutsideWorkspace,
+  envVar,
+  flag,
+  flagValues,
+  canonicalize,
+  configured,
+  roots,
+  defaultRoot,
+  contains,
+  expandHome,
+  resolve,
+  errorToJson,
+}
+/* node:path Not a pure module */
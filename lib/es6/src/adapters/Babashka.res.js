@@ -1,6 +1,8 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +11,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("bb", ["--version"], undefined);
+    let result = await Gateway.run("Babashka", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,6 +51,36 @@ function makeProp(typeName, desc) {
   ]);
 }
 
+async function executeRun(script, path, args) {
+  let cmdArgs = [
+    "--file",
+    script
+  ];
+  let cmdArgs$1 = args !== undefined ? cmdArgs.concat([args]) : cmdArgs;
+  return await Gateway.run("Babashka", undefined, [script], cmdArgs$1, path);
+}
+
+async function executeTasks(path) {
+  return await Gateway.run("Babashka", undefined, undefined, ["tasks"], path);
+}
+
+async function executeTask(task, path) {
+  return await Gateway.run("Babashka", undefined, [task], [
+    "run",
+    task
+  ], path);
+}
+
+async function executeNrepl(port, path) {
+  let args = ["nrepl-server"];
+  let args$1 = port !== undefined ? args.concat([port.toString()]) : args;
+  return await Gateway.start("Babashka", "bb_nrepl", undefined, undefined, args$1, path);
+}
+
+async function executeVersion() {
+  return await Gateway.run("Babashka", undefined, undefined, ["--version"], undefined);
+}
+
 let props = {};
 
 let props$1 = {};
@@ -61,53 +93,49 @@ let tools = [
   {
     name: "bb_run",
     description: "Run a Babashka script",
-    inputSchema: (props["script"] = makeProp("string", "Script file to run"), props["path"] = makeProp("string", "Working directory"), props["args"] = makeProp("string", "Arguments to pass"), makeSchema(props, ["script"]))
+    inputSchema: (props["script"] = makeProp("string", "Script file to run"), props["path"] = makeProp("string", "Working directory"), props["args"] = makeProp("string", "Arguments to pass"), makeSchema(props, ["script"])),
+    annotations: Adapter.runsCode,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeRun(Params.requirePath(params, "script"), Params.path(params, "path"), Params.string(params, "args")))
   },
   {
     name: "bb_tasks",
     description: "List available bb.edn tasks",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), makeSchema(props$1, []))
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), makeSchema(props$1, [])),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeTasks(Params.path(params, "path")))
   },
   {
     name: "bb_task",
     description: "Run a bb.edn task",
-    inputSchema: (props$2["task"] = makeProp("string", "Task name"), props$2["path"] = makeProp("string", "Path to project root"), makeSchema(props$2, ["task"]))
+    inputSchema: (props$2["task"] = makeProp("string", "Task name"), props$2["path"] = makeProp("string", "Path to project root"), makeSchema(props$2, ["task"])),
+    annotations: Adapter.runsCode,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeTask(Params.requireString(params, "task"), Params.path(params, "path")))
   },
   {
     name: "bb_nrepl",
     description: "Start nREPL server",
-    inputSchema: (props$3["port"] = makeProp("number", "nREPL port"), props$3["path"] = makeProp("string", "Working directory"), makeSchema(props$3, []))
+    inputSchema: (props$3["port"] = makeProp("number", "nREPL port"), props$3["path"] = makeProp("string", "Working directory"), makeSchema(props$3, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeNrepl(Params.int(params, "port"), Params.path(params, "path")))
   },
   {
     name: "bb_version",
     description: "Get Babashka version",
-    inputSchema: makeSchema({}, [])
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
   }
 ];
 
-async function executeRun(script, path, args) {
-  let cmdArgs = [script];
-  let cmdArgs$1 = args !== undefined ? cmdArgs.concat([args]) : cmdArgs;
-  return await $$Deno.Command.run("bb", cmdArgs$1, path);
-}
-
-async function executeTasks(path) {
-  return await $$Deno.Command.run("bb", ["tasks"], path);
-}
-
-async function executeTask(task, path) {
-  return await $$Deno.Command.run("bb", [task], path);
-}
-
-async function executeNrepl(port, path) {
-  let args = ["nrepl-server"];
-  let args$1 = port !== undefined ? args.concat([port.toString()]) : args;
-  return await $$Deno.Command.run("bb", args$1, path);
-}
-
-async function executeVersion() {
-  return await $$Deno.Command.run("bb", ["--version"], undefined);
-}
+let capabilities = [[
+    "Version",
+    "bb_version"
+  ]];
 
 let name = "Babashka";
 
@@ -115,21 +143,25 @@ let language = "Clojure";
 
 let description = "Fast native Clojure scripting runtime for static site tasks";
 
+let ssg = "Babashka";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeRun,
   executeTasks,
   executeTask,
   executeNrepl,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
@@ -1,6 +1,10 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
 
 let state = {
   connected: false,
@@ -9,7 +13,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("cobalt", ["--version"], undefined);
+    let result = await Gateway.run("Cobalt", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,6 +53,55 @@ function makeProp(typeName, desc) {
   ]);
 }
 
+async function executeInit(path) {
+  let args = ["init"];
+  let args$1 = path !== undefined ? args.concat([path]) : args;
+  return await Gateway.run("Cobalt", undefined, Stdlib_Array.keepSome([path]), args$1, undefined);
+}
+
+async function executeBuild(path, destination, drafts) {
+  let args = ["build"];
+  let args$1 = destination !== undefined ? args.concat([
+      "--destination",
+      destination
+    ]) : args;
+  let args$2 = drafts !== undefined && drafts ? args$1.concat(["--drafts"]) : args$1;
+  return await Gateway.run("Cobalt", undefined, undefined, args$2, path);
+}
+
+async function executeServe(path, port, host, drafts) {
+  let args = ["serve"];
+  let args$1 = port !== undefined ? args.concat([
+      "--port",
+      port.toString()
+    ]) : args;
+  let args$2 = host !== undefined ? args$1.concat([
+      "--host",
+      host
+    ]) : args$1;
+  let args$3 = drafts !== undefined && drafts ? args$2.concat(["--drafts"]) : args$2;
+  return await Gateway.start("Cobalt", "cobalt_serve", undefined, undefined, args$3, path);
+}
+
+async function executeWatch(path) {
+  return await Gateway.start("Cobalt", "cobalt_watch", undefined, undefined, ["watch"], path);
+}
+
+async function executeClean(path) {
+  return await Gateway.run("Cobalt", undefined, undefined, ["clean"], path);
+}
+
+async function executeNew(path, title) {
+  return await Gateway.run("Cobalt", undefined, [title], [
+    "new",
+    title
+  ], path);
+}
+
+async function executeVersion() {
+  return await Gateway.run("Cobalt", undefined, undefined, ["--version"], undefined);
+}
+
 let props = {};
 
 let props$1 = {};
@@ -65,88 +118,91 @@ let tools = [
   {
     name: "cobalt_init",
     description: "Initialize a new Cobalt site",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new site"), makeSchema(props, []))
+    inputSchema: (props["path"] = makeProp("string", "Path for the new site"), makeSchema(props, [])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.path(params, "path")))
   },
   {
     name: "cobalt_build",
     description: "Build the Cobalt site",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), props$1["destination"] = makeProp("string", "Output directory"), props$1["drafts"] = makeProp("boolean", "Include drafts"), makeSchema(props$1, []))
+    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), props$1["destination"] = makeProp("string", "Output directory"), props$1["drafts"] = makeProp("boolean", "Include drafts"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path"), Params.path(params, "destination"), Params.bool(params, "drafts")))
   },
   {
     name: "cobalt_serve",
     description: "Start Cobalt development server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["port"] = makeProp("number", "Port number"), props$2["host"] = makeProp("string", "Host to bind to"), props$2["drafts"] = makeProp("boolean", "Include drafts"), makeSchema(props$2, []))
+    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["port"] = makeProp("number", "Port number"), props$2["host"] = makeProp("string", "Host to bind to"), props$2["drafts"] = makeProp("boolean", "Include drafts"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeServe(Params.path(params, "path"), Params.int(params, "port"), Params.string(params, "host"), Params.bool(params, "drafts")))
   },
   {
     name: "cobalt_watch",
     description: "Watch for changes and rebuild",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), makeSchema(props$3, []))
+    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), makeSchema(props$3, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeWatch(Params.path(params, "path")))
   },
   {
     name: "cobalt_clean",
     description: "Clean the build directory",
-    inputSchema: (props$4["path"] = makeProp("string", "Path to site root"), makeSchema(props$4, []))
+    inputSchema: (props$4["path"] = makeProp("string", "Path to site root"), makeSchema(props$4, [])),
+    annotations: Adapter.destructive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeClean(Params.path(params, "path"))),
+    confirm: param => ({
+      TAG: "Deletes",
+      _0: ["_site"]
+    })
   },
   {
     name: "cobalt_new",
     description: "Create a new post",
-    inputSchema: (props$5["path"] = makeProp("string", "Path to site root"), props$5["title"] = makeProp("string", "Post title"), makeSchema(props$5, ["title"]))
+    inputSchema: (props$5["path"] = makeProp("string", "Path to site root"), props$5["title"] = makeProp("string", "Post title"), makeSchema(props$5, ["title"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeNew(Params.path(params, "path"), Params.requireString(params, "title")))
   },
   {
     name: "cobalt_version",
     description: "Get Cobalt version",
-    inputSchema: makeSchema({}, [])
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
   }
 ];
 
-async function executeInit(path) {
-  let args = ["init"];
-  let args$1 = path !== undefined ? args.concat([path]) : args;
-  return await $$Deno.Command.run("cobalt", args$1, undefined);
-}
-
-async function executeBuild(path, destination, drafts) {
-  let args = ["build"];
-  let args$1 = destination !== undefined ? args.concat([
-      "--destination",
-      destination
-    ]) : args;
-  let args$2 = drafts !== undefined && drafts ? args$1.concat(["--drafts"]) : args$1;
-  return await $$Deno.Command.run("cobalt", args$2, path);
-}
-
-async function executeServe(path, port, host, drafts) {
-  let args = ["serve"];
-  let args$1 = port !== undefined ? args.concat([
-      "--port",
-      port.toString()
-    ]) : args;
-  let args$2 = host !== undefined ? args$1.concat([
-      "--host",
-      host
-    ]) : args$1;
-  let args$3 = drafts !== undefined && drafts ? args$2.concat(["--drafts"]) : args$2;
-  return await $$Deno.Command.run("cobalt", args$3, path);
-}
-
-async function executeWatch(path) {
-  return await $$Deno.Command.run("cobalt", ["watch"], path);
-}
-
-async function executeClean(path) {
-  return await $$Deno.Command.run("cobalt", ["clean"], path);
-}
-
-async function executeNew(path, title) {
-  return await $$Deno.Command.run("cobalt", [
-    "new",
-    title
-  ], path);
-}
-
-async function executeVersion() {
-  return await $$Deno.Command.run("cobalt", ["--version"], undefined);
-}
+let capabilities = [
+  [
+    "Init",
+    "cobalt_init"
+  ],
+  [
+    "Build",
+    "cobalt_build"
+  ],
+  [
+    "Serve",
+    "cobalt_serve"
+  ],
+  [
+    "Clean",
+    "cobalt_clean"
+  ],
+  [
+    "Version",
+    "cobalt_version"
+  ],
+  [
+    "NewPost",
+    "cobalt_new"
+  ]
+];
 
 let name = "Cobalt";
 
@@ -154,17 +210,19 @@ let language = "Rust";
 
 let description = "Straightforward static site generator written in Rust";
 
+let ssg = "Cobalt";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeServe,
@@ -172,5 +230,7 @@ export {
   executeClean,
   executeNew,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
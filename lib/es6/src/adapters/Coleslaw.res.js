@@ -1,6 +1,10 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
+import * as CodeLiteral from "../CodeLiteral.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +13,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("sbcl", ["--version"], undefined);
+    let result = await Gateway.run("Coleslaw", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,55 +53,19 @@ function makeProp(typeName, desc) {
   ]);
 }
 
-let props = {};
-
-let props$1 = {};
-
-let props$2 = {};
-
-let props$3 = {};
-
-let tools = [
-  {
-    name: "coleslaw_init",
-    description: "Initialize a new Coleslaw blog",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new blog"), makeSchema(props, ["path"]))
-  },
-  {
-    name: "coleslaw_build",
-    description: "Build the Coleslaw blog",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to blog root"), makeSchema(props$1, []))
-  },
-  {
-    name: "coleslaw_preview",
-    description: "Preview the blog locally",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to blog root"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, []))
-  },
-  {
-    name: "coleslaw_new_post",
-    description: "Create a new blog post",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to blog root"), props$3["title"] = makeProp("string", "Post title"), makeSchema(props$3, ["title"]))
-  },
-  {
-    name: "coleslaw_version",
-    description: "Get SBCL version",
-    inputSchema: makeSchema({}, [])
-  }
-];
-
 async function executeInit(path) {
-  return await $$Deno.Command.run("sbcl", [
+  return await Gateway.run("Coleslaw", undefined, undefined, [
     "--eval",
     "(ql:quickload :coleslaw)",
     "--eval",
-    `(coleslaw:setup "` + path + `")`,
+    `(coleslaw:setup ` + CodeLiteral.lisp(path) + `)`,
     "--quit"
   ], undefined);
 }
 
 async function executeBuild(path) {
-  let evalArg = path !== undefined ? `(coleslaw:main "` + path + `")` : "(coleslaw:main)";
-  return await $$Deno.Command.run("sbcl", [
+  let evalArg = path !== undefined ? `(coleslaw:main ` + CodeLiteral.lisp(path) + `)` : "(coleslaw:main)";
+  return await Gateway.run("Coleslaw", undefined, undefined, [
     "--eval",
     "(ql:quickload :coleslaw)",
     "--eval",
@@ -108,8 +76,8 @@ async function executeBuild(path) {
 
 async function executePreview(path, port) {
   let portStr = port !== undefined ? port.toString() : "8000";
-  let evalArg = path !== undefined ? `(coleslaw:preview "` + path + `" :port ` + portStr + `)` : `(coleslaw:preview :port ` + portStr + `)`;
-  return await $$Deno.Command.run("sbcl", [
+  let evalArg = path !== undefined ? `(coleslaw:preview ` + CodeLiteral.lisp(path) + ` :port ` + portStr + `)` : `(coleslaw:preview :port ` + portStr + `)`;
+  return await Gateway.start("Coleslaw", "coleslaw_preview", undefined, undefined, [
     "--eval",
     "(ql:quickload :coleslaw)",
     "--eval",
@@ -118,8 +86,8 @@ async function executePreview(path, port) {
 }
 
 async function executeNewPost(path, title) {
-  let evalArg = path !== undefined ? `(coleslaw:new-post "` + path + `" :title "` + title + `")` : `(coleslaw:new-post :title "` + title + `")`;
-  return await $$Deno.Command.run("sbcl", [
+  let evalArg = path !== undefined ? `(coleslaw:new-post ` + CodeLiteral.lisp(path) + ` :title ` + CodeLiteral.lisp(title) + `)` : `(coleslaw:new-post :title ` + CodeLiteral.lisp(title) + `)`;
+  return await Gateway.run("Coleslaw", undefined, undefined, [
     "--eval",
     "(ql:quickload :coleslaw)",
     "--eval",
@@ -129,30 +97,108 @@ async function executeNewPost(path, title) {
 }
 
 async function executeVersion() {
-  return await $$Deno.Command.run("sbcl", ["--version"], undefined);
+  return await Gateway.run("Coleslaw", undefined, undefined, ["--version"], undefined);
 }
 
+let props = {};
+
+let props$1 = {};
+
+let props$2 = {};
+
+let props$3 = {};
+
+let tools = [
+  {
+    name: "coleslaw_init",
+    description: "Initialize a new Coleslaw blog",
+    inputSchema: (props["path"] = makeProp("string", "Path for the new blog"), makeSchema(props, ["path"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.requirePath(params, "path")))
+  },
+  {
+    name: "coleslaw_build",
+    description: "Build the Coleslaw blog",
+    inputSchema: (props$1["path"] = makeProp("string", "Path to blog root"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path")))
+  },
+  {
+    name: "coleslaw_preview",
+    description: "Preview the blog locally",
+    inputSchema: (props$2["path"] = makeProp("string", "Path to blog root"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executePreview(Params.path(params, "path"), Params.int(params, "port")))
+  },
+  {
+    name: "coleslaw_new_post",
+    description: "Create a new blog post",
+    inputSchema: (props$3["path"] = makeProp("string", "Path to blog root"), props$3["title"] = makeProp("string", "Post title"), makeSchema(props$3, ["title"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeNewPost(Params.path(params, "path"), Params.requireString(params, "title")))
+  },
+  {
+    name: "coleslaw_version",
+    description: "Get SBCL version",
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
+  }
+];
+
+let capabilities = [
+  [
+    "Init",
+    "coleslaw_init"
+  ],
+  [
+    "Build",
+    "coleslaw_build"
+  ],
+  [
+    "Serve",
+    "coleslaw_preview"
+  ],
+  [
+    "Version",
+    "coleslaw_version"
+  ],
+  [
+    "NewPost",
+    "coleslaw_new_post"
+  ]
+];
+
 let name = "Coleslaw";
 
 let language = "Common Lisp";
 
 let description = "Flexible static blog generator written in Common Lisp";
 
+let ssg = "Coleslaw";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executePreview,
   executeNewPost,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
@@ -1,6 +1,9 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +12,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("corral", ["version"], undefined);
+    let result = await Gateway.run("Corral", undefined, undefined, ["version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,56 +52,6 @@ function makeProp(typeName, desc) {
   ]);
 }
 
-let props = {};
-
-let props$1 = {};
-
-let props$2 = {};
-
-let props$3 = {};
-
-let props$4 = {};
-
-let props$5 = {};
-
-let tools = [
-  {
-    name: "corral_init",
-    description: "Initialize a new Pony site project with Corral package manager",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new site"), props["template"] = makeProp("string", "Template to use (blog, docs, portfolio)"), makeSchema(props, ["path"]))
-  },
-  {
-    name: "corral_build",
-    description: "Build the Pony static site",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), props$1["outputDir"] = makeProp("string", "Output directory for built site"), props$1["release"] = makeProp("boolean", "Build in release mode with optimizations"), makeSchema(props$1, []))
-  },
-  {
-    name: "corral_serve",
-    description: "Start Pony development server with live reload",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["port"] = makeProp("number", "Port number (default: 8080)"), props$2["host"] = makeProp("string", "Host to bind to (default: 127.0.0.1)"), makeSchema(props$2, []))
-  },
-  {
-    name: "corral_clean",
-    description: "Clean build artifacts from the Pony site",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), makeSchema(props$3, []))
-  },
-  {
-    name: "corral_version",
-    description: "Get Corral and Pony version information",
-    inputSchema: makeSchema({}, [])
-  },
-  {
-    name: "corral_new_post",
-    description: "Create a new blog post or content page",
-    inputSchema: (props$4["path"] = makeProp("string", "Path to site root"), props$4["title"] = makeProp("string", "Title of the new post"), props$4["draft"] = makeProp("boolean", "Mark as draft"), makeSchema(props$4, ["title"]))
-  },
-  {
-    name: "corral_check",
-    description: "Check and validate the site configuration and content",
-    inputSchema: (props$5["path"] = makeProp("string", "Path to site root"), makeSchema(props$5, []))
-  }
-];
-
 async function executeInit(path, template) {
   let args = [
     "init",
@@ -108,7 +61,7 @@ async function executeInit(path, template) {
       "--template",
       template
     ]) : args;
-  return await $$Deno.Command.run("corral", args$1, undefined);
+  return await Gateway.run("Corral", undefined, [path], args$1, undefined);
 }
 
 async function executeBuild(path, outputDir, release) {
@@ -118,7 +71,7 @@ async function executeBuild(path, outputDir, release) {
       outputDir
     ]) : args;
   let args$2 = release !== undefined && release ? args$1.concat(["--release"]) : args$1;
-  return await $$Deno.Command.run("corral", args$2, path);
+  return await Gateway.run("Corral", undefined, undefined, args$2, path);
 }
 
 async function executeServe(path, port, host) {
@@ -131,15 +84,15 @@ async function executeServe(path, port, host) {
       "--host",
       host
     ]) : args$1;
-  return await $$Deno.Command.run("corral", args$2, path);
+  return await Gateway.start("Corral", "corral_serve", undefined, undefined, args$2, path);
 }
 
 async function executeClean(path) {
-  return await $$Deno.Command.run("corral", ["clean"], path);
+  return await Gateway.run("Corral", undefined, undefined, ["clean"], path);
 }
 
 async function executeVersion() {
-  return await $$Deno.Command.run("corral", ["version"], undefined);
+  return await Gateway.run("Corral", undefined, undefined, ["version"], undefined);
 }
 
 async function executeNewPost(path, title, draft) {
@@ -149,30 +102,138 @@ async function executeNewPost(path, title, draft) {
     title
   ];
   let args$1 = draft !== undefined && draft ? args.concat(["--draft"]) : args;
-  return await $$Deno.Command.run("corral", args$1, path);
+  return await Gateway.run("Corral", undefined, [title], args$1, path);
 }
 
 async function executeCheck(path) {
-  return await $$Deno.Command.run("corral", ["check"], path);
+  return await Gateway.run("Corral", undefined, undefined, ["check"], path);
 }
 
+let props = {};
+
+let props$1 = {};
+
+let props$2 = {};
+
+let props$3 = {};
+
+let props$4 = {};
+
+let props$5 = {};
+
+let tools = [
+  {
+    name: "corral_init",
+    description: "Initialize a new Pony site project with Corral package manager",
+    inputSchema: (props["path"] = makeProp("string", "Path for the new site"), props["template"] = makeProp("string", "Template to use (blog, docs, portfolio)"), makeSchema(props, ["path"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.requirePath(params, "path"), Params.string(params, "template")))
+  },
+  {
+    name: "corral_build",
+    description: "Build the Pony static site",
+    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), props$1["outputDir"] = makeProp("string", "Output directory for built site"), props$1["release"] = makeProp("boolean", "Build in release mode with optimizations"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path"), Params.path(params, "outputDir"), Params.bool(params, "release")))
+  },
+  {
+    name: "corral_serve",
+    description: "Start Pony development server with live reload",
+    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["port"] = makeProp("number", "Port number (default: 8080)"), props$2["host"] = makeProp("string", "Host to bind to (default: 127.0.0.1)"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeServe(Params.path(params, "path"), Params.int(params, "port"), Params.string(params, "host")))
+  },
+  {
+    name: "corral_clean",
+    description: "Clean build artifacts from the Pony site",
+    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), makeSchema(props$3, [])),
+    annotations: Adapter.destructive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeClean(Params.path(params, "path"))),
+    confirm: param => ({
+      TAG: "Deletes",
+      _0: []
+    })
+  },
+  {
+    name: "corral_version",
+    description: "Get Corral and Pony version information",
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
+  },
+  {
+    name: "corral_new_post",
+    description: "Create a new blog post or content page",
+    inputSchema: (props$4["path"] = makeProp("string", "Path to site root"), props$4["title"] = makeProp("string", "Title of the new post"), props$4["draft"] = makeProp("boolean", "Mark as draft"), makeSchema(props$4, ["title"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeNewPost(Params.path(params, "path"), Params.requireString(params, "title"), Params.bool(params, "draft")))
+  },
+  {
+    name: "corral_check",
+    description: "Check and validate the site configuration and content",
+    inputSchema: (props$5["path"] = makeProp("string", "Path to site root"), makeSchema(props$5, [])),
+    annotations: Adapter.checks,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeCheck(Params.path(params, "path")))
+  }
+];
+
+let capabilities = [
+  [
+    "Init",
+    "corral_init"
+  ],
+  [
+    "Build",
+    "corral_build"
+  ],
+  [
+    "Serve",
+    "corral_serve"
+  ],
+  [
+    "Clean",
+    "corral_clean"
+  ],
+  [
+    "Version",
+    "corral_version"
+  ],
+  [
+    "NewPost",
+    "corral_new_post"
+  ],
+  [
+    "Check",
+    "corral_check"
+  ]
+];
+
 let name = "Corral";
 
 let language = "Pony";
 
 let description = "Static site generator written in Pony with capability-based security and actor-model concurrency";
 
+let ssg = "Corral";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeServe,
@@ -180,5 +241,7 @@ export {
   executeVersion,
   executeNewPost,
   executeCheck,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
@@ -1,6 +1,9 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +12,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("lein", ["version"], undefined);
+    let result = await Gateway.run("Cryogen", undefined, undefined, ["version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,6 +52,40 @@ function makeProp(typeName, desc) {
   ]);
 }
 
+async function executeNew(name, path) {
+  return await Gateway.run("Cryogen", undefined, [name], [
+    "new",
+    "cryogen",
+    name
+  ], path);
+}
+
+async function executeBuild(path) {
+  return await Gateway.run("Cryogen", undefined, undefined, ["run"], path);
+}
+
+async function executeServe(path, port) {
+  let args = [
+    "ring",
+    "server"
+  ];
+  let args$1 = port !== undefined ? args.concat([port.toString()]) : args;
+  return await Gateway.start("Cryogen", "cryogen_serve", undefined, undefined, args$1, path);
+}
+
+async function executeNewPost(path, title) {
+  return await Gateway.run("Cryogen", undefined, [title], [
+    "run",
+    "-m",
+    "cryogen.core/new-post!",
+    title
+  ], path);
+}
+
+async function executeVersion() {
+  return await Gateway.run("Cryogen", undefined, undefined, ["version"], undefined);
+}
+
 let props = {};
 
 let props$1 = {};
@@ -61,63 +98,68 @@ let tools = [
   {
     name: "cryogen_new",
     description: "Create a new Cryogen site",
-    inputSchema: (props["name"] = makeProp("string", "Project name"), props["path"] = makeProp("string", "Path for the project"), makeSchema(props, ["name"]))
+    inputSchema: (props["name"] = makeProp("string", "Project name"), props["path"] = makeProp("string", "Path for the project"), makeSchema(props, ["name"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeNew(Params.requireString(params, "name"), Params.path(params, "path")))
   },
   {
     name: "cryogen_build",
     description: "Build the Cryogen site",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), makeSchema(props$1, []))
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path"))),
+    timeoutMs: 900000
   },
   {
     name: "cryogen_serve",
     description: "Start Cryogen development server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number (default: 3000)"), makeSchema(props$2, []))
+    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number (default: 3000)"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeServe(Params.path(params, "path"), Params.int(params, "port")))
   },
   {
     name: "cryogen_new_post",
     description: "Create a new blog post",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to project root"), props$3["title"] = makeProp("string", "Post title"), makeSchema(props$3, ["title"]))
+    inputSchema: (props$3["path"] = makeProp("string", "Path to project root"), props$3["title"] = makeProp("string", "Post title"), makeSchema(props$3, ["title"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeNewPost(Params.path(params, "path"), Params.requireString(params, "title")))
   },
   {
     name: "cryogen_version",
     description: "Get Leiningen version",
-    inputSchema: makeSchema({}, [])
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
   }
 ];
 
-async function executeNew(name, path) {
-  return await $$Deno.Command.run("lein", [
-    "new",
-    "cryogen",
-    name
-  ], path);
-}
-
-async function executeBuild(path) {
-  return await $$Deno.Command.run("lein", ["run"], path);
-}
-
-async function executeServe(path, port) {
-  let args = [
-    "ring",
-    "server"
-  ];
-  let args$1 = port !== undefined ? args.concat([port.toString()]) : args;
-  return await $$Deno.Command.run("lein", args$1, path);
-}
-
-async function executeNewPost(path, title) {
-  return await $$Deno.Command.run("lein", [
-    "run",
-    "-m",
-    "cryogen.core/new-post!",
-    title
-  ], path);
-}
-
-async function executeVersion() {
-  return await $$Deno.Command.run("lein", ["version"], undefined);
-}
+let capabilities = [
+  [
+    "Init",
+    "cryogen_new"
+  ],
+  [
+    "Build",
+    "cryogen_build"
+  ],
+  [
+    "Serve",
+    "cryogen_serve"
+  ],
+  [
+    "Version",
+    "cryogen_version"
+  ],
+  [
+    "NewPost",
+    "cryogen_new_post"
+  ]
+];
 
 let name = "Cryogen";
 
@@ -125,21 +167,25 @@ let language = "Clojure";
 
 let description = "Simple static site generator using Clojure and Leiningen";
 
+let ssg = "Cryogen";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeNew,
   executeBuild,
   executeServe,
   executeNewPost,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
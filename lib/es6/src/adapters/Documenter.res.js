@@ -1,6 +1,12 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as Nodepath from "node:path";
+import * as BuildReport from "../BuildReport.res.js";
+import * as CodeLiteral from "../CodeLiteral.res.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
 
 let state = {
   connected: false,
@@ -9,7 +15,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("julia", ["--version"], undefined);
+    let result = await Gateway.run("Documenter", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,52 +55,16 @@ function makeProp(typeName, desc) {
   ]);
 }
 
-let props = {};
-
-let props$1 = {};
-
-let props$2 = {};
-
-let props$3 = {};
-
-let tools = [
-  {
-    name: "documenter_init",
-    description: "Initialize Documenter for a Julia package",
-    inputSchema: (props["path"] = makeProp("string", "Path to Julia package"), makeSchema(props, ["path"]))
-  },
-  {
-    name: "documenter_build",
-    description: "Build documentation",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to docs/ directory"), props$1["strict"] = makeProp("boolean", "Strict mode (fail on warnings)"), makeSchema(props$1, []))
-  },
-  {
-    name: "documenter_serve",
-    description: "Serve documentation locally",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to docs/build/ directory"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, []))
-  },
-  {
-    name: "documenter_deploy",
-    description: "Deploy documentation to GitHub Pages",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to docs/ directory"), makeSchema(props$3, []))
-  },
-  {
-    name: "documenter_version",
-    description: "Get Documenter version",
-    inputSchema: makeSchema({}, [])
-  }
-];
-
 async function executeInit(path) {
-  return await $$Deno.Command.run("julia", [
+  return await Gateway.run("Documenter", undefined, undefined, [
     "-e",
-    `using DocumenterTools; DocumenterTools.generate("` + path + `")`
+    `using DocumenterTools; DocumenterTools.generate(` + CodeLiteral.julia(path) + `)`
   ], undefined);
 }
 
 async function executeBuild(path, _strict) {
   let docsPath = path !== undefined ? path : "docs";
-  return await $$Deno.Command.run("julia", [
+  return await Gateway.run("Documenter", undefined, [docsPath], [
     "--project=" + docsPath,
     docsPath + "/make.jl"
   ], undefined);
@@ -103,15 +73,15 @@ async function executeBuild(path, _strict) {
 async function executeServe(path, port) {
   let portArg = port !== undefined ? port.toString() : "8000";
   let buildPath = path !== undefined ? path : "docs/build";
-  return await $$Deno.Command.run("julia", [
+  return await Gateway.start("Documenter", "documenter_serve", undefined, undefined, [
     "-e",
-    `using LiveServer; serve(dir="` + buildPath + `", port=` + portArg + `)`
+    `using LiveServer; serve(dir=` + CodeLiteral.julia(buildPath) + `, port=` + portArg + `)`
   ], undefined);
 }
 
 async function executeDeploy(path) {
   let docsPath = path !== undefined ? path : "docs";
-  return await $$Deno.Command.run("julia", [
+  return await Gateway.run("Documenter", undefined, [docsPath], [
     "--project=" + docsPath,
     docsPath + "/make.jl",
     "--deploy"
@@ -119,33 +89,117 @@ async function executeDeploy(path) {
 }
 
 async function executeVersion() {
-  return await $$Deno.Command.run("julia", [
+  return await Gateway.run("Documenter", undefined, undefined, [
     "-e",
     "using Documenter; println(Documenter.DOCUMENTER_VERSION)"
   ], undefined);
 }
 
+let props = {};
+
+let props$1 = {};
+
+let props$2 = {};
+
+let props$3 = {};
+
+let tools = [
+  {
+    name: "documenter_init",
+    description: "Initialize Documenter for a Julia package",
+    inputSchema: (props["path"] = makeProp("string", "Path to Julia package"), makeSchema(props, ["path"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.requirePath(params, "path")))
+  },
+  {
+    name: "documenter_build",
+    description: "Build documentation",
+    inputSchema: (props$1["path"] = makeProp("string", "Path to docs/ directory"), props$1["strict"] = makeProp("boolean", "Strict mode (fail on warnings)"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path"), Params.bool(params, "strict"))),
+    timeoutMs: 900000
+  },
+  {
+    name: "documenter_serve",
+    description: "Serve documentation locally",
+    inputSchema: (props$2["path"] = makeProp("string", "Path to docs/build/ directory"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeServe(Params.path(params, "path"), Params.int(params, "port")))
+  },
+  {
+    name: "documenter_deploy",
+    description: "Deploy documentation to GitHub Pages",
+    inputSchema: (props$3["path"] = makeProp("string", "Path to docs/ directory"), makeSchema(props$3, [])),
+    annotations: Adapter.publishes,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeDeploy(Params.path(params, "path"))),
+    confirm: params => ({
+      TAG: "Publishes",
+      _0: Stdlib_Option.mapOr(Params.path(params, "path"), "docs/build", docs => Nodepath.join(docs, "build"))
+    }),
+    timeoutMs: 900000
+  },
+  {
+    name: "documenter_version",
+    description: "Get Documenter version",
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
+  }
+];
+
+let capabilities = [
+  [
+    "Init",
+    "documenter_init"
+  ],
+  [
+    "Build",
+    "documenter_build"
+  ],
+  [
+    "Serve",
+    "documenter_serve"
+  ],
+  [
+    "Version",
+    "documenter_version"
+  ],
+  [
+    "Deploy",
+    "documenter_deploy"
+  ]
+];
+
 let name = "Documenter";
 
 let language = "Julia";
 
 let description = "Documentation generator for Julia packages";
 
+let ssg = "Documenter";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeServe,
   executeDeploy,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
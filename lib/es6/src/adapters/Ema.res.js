@@ -1,6 +1,9 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +12,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("ema", ["--version"], undefined);
+    let result = await Gateway.run("Ema", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,37 +52,8 @@ function makeProp(typeName, desc) {
   ]);
 }
 
-let props = {};
-
-let props$1 = {};
-
-let props$2 = {};
-
-let tools = [
-  {
-    name: "ema_init",
-    description: "Initialize a new Ema project",
-    inputSchema: (props["name"] = makeProp("string", "Project name"), props["path"] = makeProp("string", "Path for the project"), makeSchema(props, ["name"]))
-  },
-  {
-    name: "ema_build",
-    description: "Build the Ema site (generate static files)",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["output"] = makeProp("string", "Output directory"), makeSchema(props$1, []))
-  },
-  {
-    name: "ema_run",
-    description: "Start Ema development server with hot reload",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number"), props$2["host"] = makeProp("string", "Host to bind to"), makeSchema(props$2, []))
-  },
-  {
-    name: "ema_version",
-    description: "Get Ema version",
-    inputSchema: makeSchema({}, [])
-  }
-];
-
 async function executeInit(name, path) {
-  return await $$Deno.Command.run("nix", [
+  return await Gateway.run("Ema", "nix", [name], [
     "flake",
     "init",
     "-t",
@@ -94,7 +68,7 @@ async function executeBuild(path, output) {
       "--dest",
       output
     ]) : args;
-  return await $$Deno.Command.run("ema", args$1, path);
+  return await Gateway.run("Ema", undefined, undefined, args$1, path);
 }
 
 async function executeRun(path, port, host) {
@@ -107,33 +81,99 @@ async function executeRun(path, port, host) {
       "--host",
       host
     ]) : args$1;
-  return await $$Deno.Command.run("ema", args$2, path);
+  return await Gateway.start("Ema", "ema_run", undefined, undefined, args$2, path);
 }
 
 async function executeVersion() {
-  return await $$Deno.Command.run("ema", ["--version"], undefined);
+  return await Gateway.run("Ema", undefined, undefined, ["--version"], undefined);
 }
 
+let props = {};
+
+let props$1 = {};
+
+let props$2 = {};
+
+let tools = [
+  {
+    name: "ema_init",
+    description: "Initialize a new Ema project",
+    inputSchema: (props["name"] = makeProp("string", "Project name"), props["path"] = makeProp("string", "Path for the project"), makeSchema(props, ["name"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.requireString(params, "name"), Params.path(params, "path"))),
+    timeoutMs: 900000
+  },
+  {
+    name: "ema_build",
+    description: "Build the Ema site (generate static files)",
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["output"] = makeProp("string", "Output directory"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path"), Params.path(params, "output"))),
+    timeoutMs: 900000
+  },
+  {
+    name: "ema_run",
+    description: "Start Ema development server with hot reload",
+    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number"), props$2["host"] = makeProp("string", "Host to bind to"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeRun(Params.path(params, "path"), Params.int(params, "port"), Params.string(params, "host")))
+  },
+  {
+    name: "ema_version",
+    description: "Get Ema version",
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
+  }
+];
+
+let capabilities = [
+  [
+    "Init",
+    "ema_init"
+  ],
+  [
+    "Build",
+    "ema_build"
+  ],
+  [
+    "Serve",
+    "ema_run"
+  ],
+  [
+    "Version",
+    "ema_version"
+  ]
+];
+
 let name = "Ema";
 
 let language = "Haskell";
 
 let description = "Static site generator in Haskell with hot reload and Nix support";
 
+let ssg = "Ema";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeRun,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
@@ -1,6 +1,10 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
 
 let state = {
   connected: false,
@@ -9,7 +13,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("fornax", ["version"], undefined);
+    let result = await Gateway.run("Fornax", undefined, undefined, ["version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,6 +53,33 @@ function makeProp(typeName, desc) {
   ]);
 }
 
+async function executeNew(path) {
+  let args = ["new"];
+  let args$1 = path !== undefined ? args.concat([path]) : args;
+  return await Gateway.run("Fornax", undefined, Stdlib_Array.keepSome([path]), args$1, undefined);
+}
+
+async function executeBuild(path) {
+  return await Gateway.run("Fornax", undefined, undefined, ["build"], path);
+}
+
+async function executeWatch(path, port) {
+  let args = ["watch"];
+  let args$1 = port !== undefined ? args.concat([
+      "--port",
+      port.toString()
+    ]) : args;
+  return await Gateway.start("Fornax", "fornax_watch", undefined, undefined, args$1, path);
+}
+
+async function executeClean(path) {
+  return await Gateway.run("Fornax", undefined, undefined, ["clean"], path);
+}
+
+async function executeVersion() {
+  return await Gateway.run("Fornax", undefined, undefined, ["version"], undefined);
+}
+
 let props = {};
 
 let props$1 = {};
@@ -61,56 +92,71 @@ let tools = [
   {
     name: "fornax_new",
     description: "Create a new Fornax project",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new project"), makeSchema(props, []))
+    inputSchema: (props["path"] = makeProp("string", "Path for the new project"), makeSchema(props, [])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeNew(Params.path(params, "path")))
   },
   {
     name: "fornax_build",
     description: "Build the Fornax site",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), makeSchema(props$1, []))
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path")))
   },
   {
     name: "fornax_watch",
     description: "Start Fornax watch server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number (default: 8080)"), makeSchema(props$2, []))
+    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number (default: 8080)"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeWatch(Params.path(params, "path"), Params.int(params, "port")))
   },
   {
     name: "fornax_clean",
     description: "Clean build output",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to project root"), makeSchema(props$3, []))
+    inputSchema: (props$3["path"] = makeProp("string", "Path to project root"), makeSchema(props$3, [])),
+    annotations: Adapter.destructive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeClean(Params.path(params, "path"))),
+    confirm: param => ({
+      TAG: "Deletes",
+      _0: ["_public"]
+    })
   },
   {
     name: "fornax_version",
     description: "Get Fornax version",
-    inputSchema: makeSchema({}, [])
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
   }
 ];
 
-async function executeNew(path) {
-  let args = ["new"];
-  let args$1 = path !== undefined ? args.concat([path]) : args;
-  return await $$Deno.Command.run("fornax", args$1, undefined);
-}
-
-async function executeBuild(path) {
-  return await $$Deno.Command.run("fornax", ["build"], path);
-}
-
-async function executeWatch(path, port) {
-  let args = ["watch"];
-  let args$1 = port !== undefined ? args.concat([
-      "--port",
-      port.toString()
-    ]) : args;
-  return await $$Deno.Command.run("fornax", args$1, path);
-}
-
-async function executeClean(path) {
-  return await $$Deno.Command.run("fornax", ["clean"], path);
-}
-
-async function executeVersion() {
-  return await $$Deno.Command.run("fornax", ["version"], undefined);
-}
+let capabilities = [
+  [
+    "Init",
+    "fornax_new"
+  ],
+  [
+    "Build",
+    "fornax_build"
+  ],
+  [
+    "Serve",
+    "fornax_watch"
+  ],
+  [
+    "Clean",
+    "fornax_clean"
+  ],
+  [
+    "Version",
+    "fornax_version"
+  ]
+];
 
 let name = "Fornax";
 
@@ -118,21 +164,25 @@ let language = "F#";
 
 let description = "Static site generator using type-safe F# DSL";
 
+let ssg = "Fornax";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeNew,
   executeBuild,
   executeWatch,
   executeClean,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
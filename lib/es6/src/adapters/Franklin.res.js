@@ -1,6 +1,9 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as CodeLiteral from "../CodeLiteral.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +12,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("julia", ["--version"], undefined);
+    let result = await Gateway.run("Franklin", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,56 +52,20 @@ function makeProp(typeName, desc) {
   ]);
 }
 
-let props = {};
-
-let props$1 = {};
-
-let props$2 = {};
-
-let props$3 = {};
-
-let tools = [
-  {
-    name: "franklin_new",
-    description: "Create a new Franklin site",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new site"), props["template"] = makeProp("string", "Template name"), makeSchema(props, ["path"]))
-  },
-  {
-    name: "franklin_serve",
-    description: "Start Franklin development server",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), props$1["port"] = makeProp("number", "Port number (default: 8000)"), props$1["host"] = makeProp("string", "Host to bind to"), props$1["clear"] = makeProp("boolean", "Clear cache before serving"), makeSchema(props$1, []))
-  },
-  {
-    name: "franklin_optimize",
-    description: "Optimize the site for production",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["minify"] = makeProp("boolean", "Minify HTML/CSS/JS"), props$2["prerender"] = makeProp("boolean", "Pre-render pages"), makeSchema(props$2, []))
-  },
-  {
-    name: "franklin_publish",
-    description: "Publish site to GitHub Pages",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), makeSchema(props$3, []))
-  },
-  {
-    name: "franklin_version",
-    description: "Get Julia/Franklin version",
-    inputSchema: makeSchema({}, [])
-  }
-];
-
 async function executeNew(path, template) {
-  let templateArg = template !== undefined ? `, template="` + template + `"` : "";
-  return await $$Deno.Command.run("julia", [
+  let templateArg = template !== undefined ? ", template=" + CodeLiteral.julia(template) : "";
+  return await Gateway.run("Franklin", undefined, undefined, [
     "-e",
-    `using Franklin; newsite("` + path + `"` + templateArg + `)`
+    `using Franklin; newsite(` + CodeLiteral.julia(path) + templateArg + `)`
   ], undefined);
 }
 
 async function executeServe(path, port, host, clear) {
   let portArg = port !== undefined ? `, port=` + port.toString() : "";
-  let hostArg = host !== undefined ? `, host="` + host + `"` : "";
+  let hostArg = host !== undefined ? ", host=" + CodeLiteral.julia(host) : "";
   let clearArg = clear !== undefined && clear ? ", clear=true" : "";
-  let dir = path !== undefined ? `cd("` + path + `"); ` : "";
-  return await $$Deno.Command.run("julia", [
+  let dir = path !== undefined ? `cd(` + CodeLiteral.julia(path) + `); ` : "";
+  return await Gateway.start("Franklin", "franklin_serve", undefined, undefined, [
     "-e",
     `using Franklin; ` + dir + `serve(` + portArg + hostArg + clearArg + `)`
   ], undefined);
@@ -107,49 +74,132 @@ async function executeServe(path, port, host, clear) {
 async function executeOptimize(path, minify, prerender) {
   let minifyArg = minify !== undefined && minify ? ", minify=true" : "";
   let prerenderArg = prerender !== undefined && prerender ? ", prerender=true" : "";
-  let dir = path !== undefined ? `cd("` + path + `"); ` : "";
-  return await $$Deno.Command.run("julia", [
+  let dir = path !== undefined ? `cd(` + CodeLiteral.julia(path) + `); ` : "";
+  return await Gateway.run("Franklin", undefined, undefined, [
     "-e",
     `using Franklin; ` + dir + `optimize(` + minifyArg + prerenderArg + `)`
   ], undefined);
 }
 
 async function executePublish(path) {
-  let dir = path !== undefined ? `cd("` + path + `"); ` : "";
-  return await $$Deno.Command.run("julia", [
+  let dir = path !== undefined ? `cd(` + CodeLiteral.julia(path) + `); ` : "";
+  return await Gateway.run("Franklin", undefined, undefined, [
     "-e",
     `using Franklin; ` + dir + `publish()`
   ], undefined);
 }
 
 async function executeVersion() {
-  return await $$Deno.Command.run("julia", [
+  return await Gateway.run("Franklin", undefined, undefined, [
     "-e",
     "using Franklin; println(Franklin.FRANKLIN_VERSION)"
   ], undefined);
 }
 
+let props = {};
+
+let props$1 = {};
+
+let props$2 = {};
+
+let props$3 = {};
+
+let tools = [
+  {
+    name: "franklin_new",
+    description: "Create a new Franklin site",
+    inputSchema: (props["path"] = makeProp("string", "Path for the new site"), props["template"] = makeProp("string", "Template name"), makeSchema(props, ["path"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeNew(Params.requirePath(params, "path"), Params.string(params, "template")))
+  },
+  {
+    name: "franklin_serve",
+    description: "Start Franklin development server",
+    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), props$1["port"] = makeProp("number", "Port number (default: 8000)"), props$1["host"] = makeProp("string", "Host to bind to"), props$1["clear"] = makeProp("boolean", "Clear cache before serving"), makeSchema(props$1, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeServe(Params.path(params, "path"), Params.int(params, "port"), Params.string(params, "host"), Params.bool(params, "clear")))
+  },
+  {
+    name: "franklin_optimize",
+    description: "Optimize the site for production",
+    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["minify"] = makeProp("boolean", "Minify HTML/CSS/JS"), props$2["prerender"] = makeProp("boolean", "Pre-render pages"), makeSchema(props$2, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeOptimize(Params.path(params, "path"), Params.bool(params, "minify"), Params.bool(params, "prerender"))),
+    timeoutMs: 900000
+  },
+  {
+    name: "franklin_publish",
+    description: "Publish site to GitHub Pages",
+    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), makeSchema(props$3, [])),
+    annotations: Adapter.publishes,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executePublish(Params.path(params, "path"))),
+    confirm: param => ({
+      TAG: "Publishes",
+      _0: "__site"
+    })
+  },
+  {
+    name: "franklin_version",
+    description: "Get Julia/Franklin version",
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
+  }
+];
+
+let capabilities = [
+  [
+    "Init",
+    "franklin_new"
+  ],
+  [
+    "Build",
+    "franklin_optimize"
+  ],
+  [
+    "Serve",
+    "franklin_serve"
+  ],
+  [
+    "Version",
+    "franklin_version"
+  ],
+  [
+    "Deploy",
+    "franklin_publish"
+  ]
+];
+
 let name = "Franklin";
 
 let language = "Julia";
 
 let description = "Static site generator for technical blogging in Julia";
 
+let ssg = "Franklin";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeNew,
   executeServe,
   executeOptimize,
   executePublish,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
@@ -1,6 +1,9 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +12,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("raco", [
+    let result = await Gateway.run("Frog", undefined, undefined, [
       "frog",
       "--help"
     ], undefined);
@@ -52,58 +55,15 @@ function makeProp(typeName, desc) {
   ]);
 }
 
-let props = {};
-
-let props$1 = {};
-
-let props$2 = {};
-
-let props$3 = {};
-
-let props$4 = {};
-
-let tools = [
-  {
-    name: "frog_init",
-    description: "Initialize a new Frog blog",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new blog"), makeSchema(props, []))
-  },
-  {
-    name: "frog_build",
-    description: "Build the Frog blog",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to blog root"), makeSchema(props$1, []))
-  },
-  {
-    name: "frog_preview",
-    description: "Start Frog preview server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to blog root"), props$2["port"] = makeProp("number", "Port number (default: 3000)"), makeSchema(props$2, []))
-  },
-  {
-    name: "frog_new",
-    description: "Create a new blog post",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to blog root"), props$3["title"] = makeProp("string", "Post title"), makeSchema(props$3, ["title"]))
-  },
-  {
-    name: "frog_clean",
-    description: "Clean generated files",
-    inputSchema: (props$4["path"] = makeProp("string", "Path to blog root"), makeSchema(props$4, []))
-  },
-  {
-    name: "frog_version",
-    description: "Get Frog version",
-    inputSchema: makeSchema({}, [])
-  }
-];
-
 async function executeInit(path) {
-  return await $$Deno.Command.run("raco", [
+  return await Gateway.run("Frog", undefined, undefined, [
     "frog",
     "--init"
   ], path);
 }
 
 async function executeBuild(path) {
-  return await $$Deno.Command.run("raco", [
+  return await Gateway.run("Frog", undefined, undefined, [
     "frog",
     "-b"
   ], path);
@@ -118,11 +78,11 @@ async function executePreview(path, port) {
       "--port",
       port.toString()
     ]) : args;
-  return await $$Deno.Command.run("raco", args$1, path);
+  return await Gateway.start("Frog", "frog_preview", undefined, undefined, args$1, path);
 }
 
 async function executeNew(path, title) {
-  return await $$Deno.Command.run("raco", [
+  return await Gateway.run("Frog", undefined, undefined, [
     "frog",
     "-n",
     title
@@ -130,41 +90,156 @@ async function executeNew(path, title) {
 }
 
 async function executeClean(path) {
-  return await $$Deno.Command.run("raco", [
+  return await Gateway.run("Frog", undefined, undefined, [
     "frog",
     "--clean"
   ], path);
 }
 
 async function executeVersion() {
-  return await $$Deno.Command.run("raco", [
+  return await Gateway.run("Frog", undefined, undefined, [
     "frog",
     "--version"
   ], undefined);
 }
 
+let wroteRe = /^(Wrote|Generated) /;
+
+function outputParser_parse(stdout, stderr) {
+  let written = BuildReport.lines(stdout).filter(line => wroteRe.test(line));
+  return {
+    pages: written.length !== 0 ? written.length : undefined,
+    diagnostics: BuildReport.genericDiagnostics(stdout + "\n" + stderr)
+  };
+}
+
+let outputParser_defaultOutputDir = ".";
+
+let outputParser = {
+  parse: outputParser_parse,
+  defaultOutputDir: outputParser_defaultOutputDir
+};
+
+let props = {};
+
+let props$1 = {};
+
+let props$2 = {};
+
+let props$3 = {};
+
+let props$4 = {};
+
+let tools = [
+  {
+    name: "frog_init",
+    description: "Initialize a new Frog blog",
+    inputSchema: (props["path"] = makeProp("string", "Path for the new blog"), makeSchema(props, [])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.path(params, "path")))
+  },
+  {
+    name: "frog_build",
+    description: "Build the Frog blog",
+    inputSchema: (props$1["path"] = makeProp("string", "Path to blog root"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(outputParser, params => executeBuild(Params.path(params, "path")))
+  },
+  {
+    name: "frog_preview",
+    description: "Start Frog preview server",
+    inputSchema: (props$2["path"] = makeProp("string", "Path to blog root"), props$2["port"] = makeProp("number", "Port number (default: 3000)"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executePreview(Params.path(params, "path"), Params.int(params, "port")))
+  },
+  {
+    name: "frog_new",
+    description: "Create a new blog post",
+    inputSchema: (props$3["path"] = makeProp("string", "Path to blog root"), props$3["title"] = makeProp("string", "Post title"), makeSchema(props$3, ["title"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeNew(Params.path(params, "path"), Params.requireString(params, "title")))
+  },
+  {
+    name: "frog_clean",
+    description: "Clean generated files",
+    inputSchema: (props$4["path"] = makeProp("string", "Path to blog root"), makeSchema(props$4, [])),
+    annotations: Adapter.destructive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeClean(Params.path(params, "path"))),
+    confirm: param => ({
+      TAG: "Deletes",
+      _0: []
+    })
+  },
+  {
+    name: "frog_version",
+    description: "Get Frog version",
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
+  }
+];
+
+let capabilities = [
+  [
+    "Init",
+    "frog_init"
+  ],
+  [
+    "Build",
+    "frog_build"
+  ],
+  [
+    "Serve",
+    "frog_preview"
+  ],
+  [
+    "Clean",
+    "frog_clean"
+  ],
+  [
+    "Version",
+    "frog_version"
+  ],
+  [
+    "NewPost",
+    "frog_new"
+  ]
+];
+
 let name = "Frog";
 
 let language = "Racket";
 
 let description = "Static blog generator using Racket with Markdown and Pygments";
 
+let ssg = "Frog";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executePreview,
   executeNew,
   executeClean,
   executeVersion,
+  wroteRe,
+  outputParser,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
@@ -1,6 +1,12 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Primitive_option from "@rescript/runtime/lib/es6/Primitive_option.js";
 
 let state = {
   connected: false,
@@ -9,7 +15,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("stack", ["--version"], undefined);
+    let result = await Gateway.run("Hakyll", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,65 +55,8 @@ function makeProp(typeName, desc) {
   ]);
 }
 
-let props = {};
-
-let props$1 = {};
-
-let props$2 = {};
-
-let props$3 = {};
-
-let props$4 = {};
-
-let props$5 = {};
-
-let props$6 = {};
-
-let tools = [
-  {
-    name: "hakyll_init",
-    description: "Initialize a new Hakyll site (using stack template)",
-    inputSchema: (props["name"] = makeProp("string", "Project name"), props["path"] = makeProp("string", "Path for the project"), makeSchema(props, ["name"]))
-  },
-  {
-    name: "hakyll_build",
-    description: "Build the Hakyll site",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), makeSchema(props$1, []))
-  },
-  {
-    name: "hakyll_watch",
-    description: "Start Hakyll watch server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["port"] = makeProp("number", "Port number"), props$2["host"] = makeProp("string", "Host to bind to"), makeSchema(props$2, []))
-  },
-  {
-    name: "hakyll_clean",
-    description: "Clean the build cache",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), makeSchema(props$3, []))
-  },
-  {
-    name: "hakyll_rebuild",
-    description: "Clean and rebuild the site",
-    inputSchema: (props$4["path"] = makeProp("string", "Path to site root"), makeSchema(props$4, []))
-  },
-  {
-    name: "hakyll_check",
-    description: "Check for broken links",
-    inputSchema: (props$5["path"] = makeProp("string", "Path to site root"), props$5["internal"] = makeProp("boolean", "Check internal links only"), makeSchema(props$5, []))
-  },
-  {
-    name: "hakyll_deploy",
-    description: "Deploy the site",
-    inputSchema: (props$6["path"] = makeProp("string", "Path to site root"), makeSchema(props$6, []))
-  },
-  {
-    name: "hakyll_version",
-    description: "Get Stack/Hakyll version",
-    inputSchema: makeSchema({}, [])
-  }
-];
-
 async function runSiteCommand(args, path) {
-  return await $$Deno.Command.run("stack", [
+  return await Gateway.run("Hakyll", undefined, undefined, [
     "exec",
     "site",
     "--"
@@ -115,7 +64,7 @@ async function runSiteCommand(args, path) {
 }
 
 async function executeInit(name, path) {
-  return await $$Deno.Command.run("stack", [
+  return await Gateway.run("Hakyll", undefined, [name], [
     "new",
     name,
     "hakyll-template"
@@ -136,7 +85,11 @@ async function executeWatch(path, port, host) {
       "--host",
       host
     ]) : args$1;
-  return await runSiteCommand(args$2, path);
+  return await Gateway.start("Hakyll", "hakyll_watch", undefined, undefined, [
+    "exec",
+    "site",
+    "--"
+  ].concat(args$2), path);
 }
 
 async function executeClean(path) {
@@ -158,26 +111,174 @@ async function executeDeploy(path) {
 }
 
 async function executeVersion() {
-  return await $$Deno.Command.run("stack", ["--version"], undefined);
+  return await Gateway.run("Hakyll", undefined, undefined, ["--version"], undefined);
 }
 
+let updatedRe = /^updated /;
+
+let hakyllErrorRe = /\[ERROR\] (.*)$/;
+
+function outputParser_parse(stdout, stderr) {
+  let output = BuildReport.lines(stdout + "\n" + stderr);
+  let updated = output.filter(line => updatedRe.test(line));
+  return {
+    pages: updated.length !== 0 ? updated.length : undefined,
+    diagnostics: Stdlib_Array.filterMap(output, line => Stdlib_Option.map(Primitive_option.fromNullable(hakyllErrorRe.exec(line)), m => BuildReport.makeDiagnostic("Error", Stdlib_Option.getOr(BuildReport.group(m, 1), line))))
+  };
+}
+
+let outputParser_defaultOutputDir = "_site";
+
+let outputParser = {
+  parse: outputParser_parse,
+  defaultOutputDir: outputParser_defaultOutputDir
+};
+
+let props = {};
+
+let props$1 = {};
+
+let props$2 = {};
+
+let props$3 = {};
+
+let props$4 = {};
+
+let props$5 = {};
+
+let props$6 = {};
+
+let tools = [
+  {
+    name: "hakyll_init",
+    description: "Initialize a new Hakyll site (using stack template)",
+    inputSchema: (props["name"] = makeProp("string", "Project name"), props["path"] = makeProp("string", "Path for the project"), makeSchema(props, ["name"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.requireString(params, "name"), Params.path(params, "path"))),
+    timeoutMs: 900000
+  },
+  {
+    name: "hakyll_build",
+    description: "Build the Hakyll site",
+    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(outputParser, params => executeBuild(Params.path(params, "path"))),
+    timeoutMs: 900000
+  },
+  {
+    name: "hakyll_watch",
+    description: "Start Hakyll watch server",
+    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["port"] = makeProp("number", "Port number"), props$2["host"] = makeProp("string", "Host to bind to"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeWatch(Params.path(params, "path"), Params.int(params, "port"), Params.string(params, "host")))
+  },
+  {
+    name: "hakyll_clean",
+    description: "Clean the build cache",
+    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), makeSchema(props$3, [])),
+    annotations: Adapter.destructive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeClean(Params.path(params, "path"))),
+    confirm: param => ({
+      TAG: "Deletes",
+      _0: [
+        "_site",
+        "_cache"
+      ]
+    })
+  },
+  {
+    name: "hakyll_rebuild",
+    description: "Clean and rebuild the site",
+    inputSchema: (props$4["path"] = makeProp("string", "Path to site root"), makeSchema(props$4, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(outputParser, params => executeRebuild(Params.path(params, "path"))),
+    timeoutMs: 900000
+  },
+  {
+    name: "hakyll_check",
+    description: "Check for broken links",
+    inputSchema: (props$5["path"] = makeProp("string", "Path to site root"), props$5["internal"] = makeProp("boolean", "Check internal links only"), makeSchema(props$5, [])),
+    annotations: Adapter.checks,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(outputParser, params => executeCheck(Params.path(params, "path"), Params.bool(params, "internal")))
+  },
+  {
+    name: "hakyll_deploy",
+    description: "Deploy the site",
+    inputSchema: (props$6["path"] = makeProp("string", "Path to site root"), makeSchema(props$6, [])),
+    annotations: Adapter.publishes,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeDeploy(Params.path(params, "path"))),
+    confirm: param => ({
+      TAG: "Publishes",
+      _0: "_site"
+    })
+  },
+  {
+    name: "hakyll_version",
+    description: "Get Stack/Hakyll version",
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
+  }
+];
+
+let capabilities = [
+  [
+    "Init",
+    "hakyll_init"
+  ],
+  [
+    "Build",
+    "hakyll_build"
+  ],
+  [
+    "Serve",
+    "hakyll_watch"
+  ],
+  [
+    "Clean",
+    "hakyll_clean"
+  ],
+  [
+    "Version",
+    "hakyll_version"
+  ],
+  [
+    "Check",
+    "hakyll_check"
+  ],
+  [
+    "Deploy",
+    "hakyll_deploy"
+  ]
+];
+
 let name = "Hakyll";
 
 let language = "Haskell";
 
 let description = "Haskell library for generating static sites with Pandoc support";
 
+let ssg = "Hakyll";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   runSiteCommand,
   executeInit,
   executeBuild,
@@ -187,5 +288,10 @@ export {
   executeCheck,
   executeDeploy,
   executeVersion,
+  updatedRe,
+  hakyllErrorRe,
+  outputParser,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
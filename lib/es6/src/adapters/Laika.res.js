@@ -1,6 +1,9 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +12,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("laika", ["--version"], undefined);
+    let result = await Gateway.run("Laika", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,38 +52,6 @@ function makeProp(typeName, desc) {
   ]);
 }
 
-let props = {};
-
-let props$1 = {};
-
-let props$2 = {};
-
-let tools = [
-  {
-    name: "laika_transform",
-    description: "Transform markup files",
-    inputSchema: (props["input"] = makeProp("string", "Input directory or file"), props["output"] = makeProp("string", "Output directory"), props["format"] = makeProp("string", "Output format (html, epub, pdf, ast)"), makeSchema(props, [
-      "input",
-      "output"
-    ]))
-  },
-  {
-    name: "laika_generate",
-    description: "Generate a site from markup",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["output"] = makeProp("string", "Output directory"), makeSchema(props$1, []))
-  },
-  {
-    name: "laika_preview",
-    description: "Start preview server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, []))
-  },
-  {
-    name: "laika_version",
-    description: "Get Laika version",
-    inputSchema: makeSchema({}, [])
-  }
-];
-
 async function executeTransform(input, output, format) {
   let args = [
     "transform",
@@ -91,7 +62,10 @@ async function executeTransform(input, output, format) {
       "--format",
       format
     ]) : args;
-  return await $$Deno.Command.run("laika", args$1, undefined);
+  return await Gateway.run("Laika", undefined, [
+    input,
+    output
+  ], args$1, undefined);
 }
 
 async function executeGenerate(path, output) {
@@ -100,7 +74,7 @@ async function executeGenerate(path, output) {
       "--output",
       output
     ]) : args;
-  return await $$Deno.Command.run("laika", args$1, path);
+  return await Gateway.run("Laika", undefined, undefined, args$1, path);
 }
 
 async function executePreview(path, port) {
@@ -109,33 +83,96 @@ async function executePreview(path, port) {
       "--port",
       port.toString()
     ]) : args;
-  return await $$Deno.Command.run("laika", args$1, path);
+  return await Gateway.start("Laika", "laika_preview", undefined, undefined, args$1, path);
 }
 
 async function executeVersion() {
-  return await $$Deno.Command.run("laika", ["--version"], undefined);
+  return await Gateway.run("Laika", undefined, undefined, ["--version"], undefined);
 }
 
+let props = {};
+
+let props$1 = {};
+
+let props$2 = {};
+
+let tools = [
+  {
+    name: "laika_transform",
+    description: "Transform markup files",
+    inputSchema: (props["input"] = makeProp("string", "Input directory or file"), props["output"] = makeProp("string", "Output directory"), props["format"] = makeProp("string", "Output format (html, epub, pdf, ast)"), makeSchema(props, [
+      "input",
+      "output"
+    ])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeTransform(Params.requirePath(params, "input"), Params.requirePath(params, "output"), Params.string(params, "format")))
+  },
+  {
+    name: "laika_generate",
+    description: "Generate a site from markup",
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["output"] = makeProp("string", "Output directory"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeGenerate(Params.path(params, "path"), Params.path(params, "output")))
+  },
+  {
+    name: "laika_preview",
+    description: "Start preview server",
+    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executePreview(Params.path(params, "path"), Params.int(params, "port")))
+  },
+  {
+    name: "laika_version",
+    description: "Get Laika version",
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
+  }
+];
+
+let capabilities = [
+  [
+    "Build",
+    "laika_generate"
+  ],
+  [
+    "Serve",
+    "laika_preview"
+  ],
+  [
+    "Version",
+    "laika_version"
+  ]
+];
+
 let name = "Laika";
 
 let language = "Scala";
 
 let description = "Customizable text markup transformer and site generator in Scala";
 
+let ssg = "Laika";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeTransform,
   executeGenerate,
   executePreview,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
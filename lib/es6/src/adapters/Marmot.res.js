@@ -1,6 +1,10 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
 
 let state = {
   connected: false,
@@ -9,7 +13,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("marmot", ["--version"], undefined);
+    let result = await Gateway.run("Marmot", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,6 +53,38 @@ function makeProp(typeName, desc) {
   ]);
 }
 
+async function executeInit(path) {
+  let args = ["init"];
+  let args$1 = path !== undefined ? args.concat([path]) : args;
+  return await Gateway.run("Marmot", undefined, Stdlib_Array.keepSome([path]), args$1, undefined);
+}
+
+async function executeBuild(path, output) {
+  let args = ["build"];
+  let args$1 = output !== undefined ? args.concat([
+      "--output",
+      output
+    ]) : args;
+  return await Gateway.run("Marmot", undefined, undefined, args$1, path);
+}
+
+async function executeServe(path, port) {
+  let args = ["serve"];
+  let args$1 = port !== undefined ? args.concat([
+      "--port",
+      port.toString()
+    ]) : args;
+  return await Gateway.start("Marmot", "marmot_serve", undefined, undefined, args$1, path);
+}
+
+async function executeWatch(path) {
+  return await Gateway.start("Marmot", "marmot_watch", undefined, undefined, ["watch"], path);
+}
+
+async function executeVersion() {
+  return await Gateway.run("Marmot", undefined, undefined, ["--version"], undefined);
+}
+
 let props = {};
 
 let props$1 = {};
@@ -61,61 +97,63 @@ let tools = [
   {
     name: "marmot_init",
     description: "Initialize a new Marmot site",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new site"), makeSchema(props, []))
+    inputSchema: (props["path"] = makeProp("string", "Path for the new site"), makeSchema(props, [])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.path(params, "path")))
   },
   {
     name: "marmot_build",
     description: "Build the Marmot site",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), props$1["output"] = makeProp("string", "Output directory"), makeSchema(props$1, []))
+    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), props$1["output"] = makeProp("string", "Output directory"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path"), Params.path(params, "output")))
   },
   {
     name: "marmot_serve",
     description: "Start Marmot development server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, []))
+    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeServe(Params.path(params, "path"), Params.int(params, "port")))
   },
   {
     name: "marmot_watch",
     description: "Watch for changes and rebuild",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), makeSchema(props$3, []))
+    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), makeSchema(props$3, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeWatch(Params.path(params, "path")))
   },
   {
     name: "marmot_version",
     description: "Get Marmot version",
-    inputSchema: makeSchema({}, [])
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
   }
 ];
 
-async function executeInit(path) {
-  let args = ["init"];
-  let args$1 = path !== undefined ? args.concat([path]) : args;
-  return await $$Deno.Command.run("marmot", args$1, undefined);
-}
-
-async function executeBuild(path, output) {
-  let args = ["build"];
-  let args$1 = output !== undefined ? args.concat([
-      "--output",
-      output
-    ]) : args;
-  return await $$Deno.Command.run("marmot", args$1, path);
-}
-
-async function executeServe(path, port) {
-  let args = ["serve"];
-  let args$1 = port !== undefined ? args.concat([
-      "--port",
-      port.toString()
-    ]) : args;
-  return await $$Deno.Command.run("marmot", args$1, path);
-}
-
-async function executeWatch(path) {
-  return await $$Deno.Command.run("marmot", ["watch"], path);
-}
-
-async function executeVersion() {
-  return await $$Deno.Command.run("marmot", ["--version"], undefined);
-}
+let capabilities = [
+  [
+    "Init",
+    "marmot_init"
+  ],
+  [
+    "Build",
+    "marmot_build"
+  ],
+  [
+    "Serve",
+    "marmot_serve"
+  ],
+  [
+    "Version",
+    "marmot_version"
+  ]
+];
 
 let name = "Marmot";
 
@@ -123,21 +161,25 @@ let language = "Crystal";
 
 let description = "Fast static site generator written in Crystal";
 
+let ssg = "Marmot";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeServe,
   executeWatch,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
@@ -1,6 +1,13 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Primitive_object from "@rescript/runtime/lib/es6/Primitive_object.js";
+import * as Primitive_option from "@rescript/runtime/lib/es6/Primitive_option.js";
 
 let state = {
   connected: false,
@@ -9,7 +16,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("mdbook", ["--version"], undefined);
+    let result = await Gateway.run("MdBook", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,56 +56,6 @@ function makeProp(typeName, desc) {
   ]);
 }
 
-let props = {};
-
-let props$1 = {};
-
-let props$2 = {};
-
-let props$3 = {};
-
-let props$4 = {};
-
-let props$5 = {};
-
-let tools = [
-  {
-    name: "mdbook_init",
-    description: "Initialize a new mdBook",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new book"), props["title"] = makeProp("string", "Book title"), props["theme"] = makeProp("boolean", "Copy default theme"), makeSchema(props, []))
-  },
-  {
-    name: "mdbook_build",
-    description: "Build the mdBook",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to book root"), props$1["dest"] = makeProp("string", "Output directory"), props$1["open"] = makeProp("boolean", "Open in browser after build"), makeSchema(props$1, []))
-  },
-  {
-    name: "mdbook_serve",
-    description: "Start mdBook development server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to book root"), props$2["port"] = makeProp("number", "Port number (default: 3000)"), props$2["hostname"] = makeProp("string", "Hostname to bind to"), props$2["open"] = makeProp("boolean", "Open in browser"), makeSchema(props$2, []))
-  },
-  {
-    name: "mdbook_watch",
-    description: "Watch for changes and rebuild",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to book root"), props$3["dest"] = makeProp("string", "Output directory"), makeSchema(props$3, []))
-  },
-  {
-    name: "mdbook_clean",
-    description: "Clean the build directory",
-    inputSchema: (props$4["path"] = makeProp("string", "Path to book root"), makeSchema(props$4, []))
-  },
-  {
-    name: "mdbook_test",
-    description: "Test Rust code samples in the book",
-    inputSchema: (props$5["path"] = makeProp("string", "Path to book root"), props$5["chapter"] = makeProp("string", "Specific chapter to test"), makeSchema(props$5, []))
-  },
-  {
-    name: "mdbook_version",
-    description: "Get mdBook version",
-    inputSchema: makeSchema({}, [])
-  }
-];
-
 async function executeInit(path, title, theme) {
   let args = ["init"];
   let args$1 = path !== undefined ? args.concat([path]) : args;
@@ -107,7 +64,7 @@ async function executeInit(path, title, theme) {
       title
     ]) : args$1;
   let args$3 = theme !== undefined && theme ? args$2.concat(["--theme"]) : args$2;
-  return await $$Deno.Command.run("mdbook", args$3, undefined);
+  return await Gateway.run("MdBook", undefined, Stdlib_Array.keepSome([path]), args$3, undefined);
 }
 
 async function executeBuild(path, dest, open_) {
@@ -117,7 +74,7 @@ async function executeBuild(path, dest, open_) {
       dest
     ]) : args;
   let args$2 = open_ !== undefined && open_ ? args$1.concat(["--open"]) : args$1;
-  return await $$Deno.Command.run("mdbook", args$2, path);
+  return await Gateway.run("MdBook", undefined, undefined, args$2, path);
 }
 
 async function executeServe(path, port, hostname, open_) {
@@ -131,7 +88,7 @@ async function executeServe(path, port, hostname, open_) {
       hostname
     ]) : args$1;
   let args$3 = open_ !== undefined && open_ ? args$2.concat(["--open"]) : args$2;
-  return await $$Deno.Command.run("mdbook", args$3, path);
+  return await Gateway.start("MdBook", "mdbook_serve", undefined, undefined, args$3, path);
 }
 
 async function executeWatch(path, dest) {
@@ -140,11 +97,11 @@ async function executeWatch(path, dest) {
       "--dest-dir",
       dest
     ]) : args;
-  return await $$Deno.Command.run("mdbook", args$1, path);
+  return await Gateway.start("MdBook", "mdbook_watch", undefined, undefined, args$1, path);
 }
 
 async function executeClean(path) {
-  return await $$Deno.Command.run("mdbook", ["clean"], path);
+  return await Gateway.run("MdBook", undefined, undefined, ["clean"], path);
 }
 
 async function executeTest(path, chapter) {
@@ -153,30 +110,170 @@ async function executeTest(path, chapter) {
       "--chapter",
       chapter
     ]) : args;
-  return await $$Deno.Command.run("mdbook", args$1, path);
+  return await Gateway.run("MdBook", undefined, undefined, args$1, path);
 }
 
 async function executeVersion() {
-  return await $$Deno.Command.run("mdbook", ["--version"], undefined);
+  return await Gateway.run("MdBook", undefined, undefined, ["--version"], undefined);
+}
+
+let logRe = /\[?(WARN|ERROR)\]? \(([^)]*)\): (.*)$/;
+
+let doctestRe = /^---- (\S+) - .* \(line (\d+)\) stdout ----$/;
+
+function parseLine(line) {
+  let m = logRe.exec(line);
+  if (m == null) {
+    return Stdlib_Option.map(Primitive_option.fromNullable(doctestRe.exec(line)), m => {
+      let init = BuildReport.makeDiagnostic("Error", line);
+      return {
+        severity: init.severity,
+        message: init.message,
+        file: BuildReport.group(m, 1),
+        line: BuildReport.intGroup(m, 2),
+        column: init.column
+      };
+    });
+  }
+  let severity = Primitive_object.equal(BuildReport.group(m, 1), "ERROR") ? "Error" : "Warning";
+  return BuildReport.makeDiagnostic(severity, Stdlib_Option.getOr(BuildReport.group(m, 3), line));
 }
 
+function outputParser_parse(stdout, stderr) {
+  return {
+    pages: undefined,
+    diagnostics: Stdlib_Array.filterMap(BuildReport.lines(stdout + "\n" + stderr), parseLine)
+  };
+}
+
+let outputParser_defaultOutputDir = "book";
+
+let outputParser = {
+  parse: outputParser_parse,
+  defaultOutputDir: outputParser_defaultOutputDir
+};
+
+let props = {};
+
+let props$1 = {};
+
+let props$2 = {};
+
+let props$3 = {};
+
+let props$4 = {};
+
+let props$5 = {};
+
+let tools = [
+  {
+    name: "mdbook_init",
+    description: "Initialize a new mdBook",
+    inputSchema: (props["path"] = makeProp("string", "Path for the new book"), props["title"] = makeProp("string", "Book title"), props["theme"] = makeProp("boolean", "Copy default theme"), makeSchema(props, [])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.path(params, "path"), Params.string(params, "title"), Params.bool(params, "theme")))
+  },
+  {
+    name: "mdbook_build",
+    description: "Build the mdBook",
+    inputSchema: (props$1["path"] = makeProp("string", "Path to book root"), props$1["dest"] = makeProp("string", "Output directory"), props$1["open"] = makeProp("boolean", "Open in browser after build"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(outputParser, params => executeBuild(Params.path(params, "path"), Params.path(params, "dest"), Params.bool(params, "open")))
+  },
+  {
+    name: "mdbook_serve",
+    description: "Start mdBook development server",
+    inputSchema: (props$2["path"] = makeProp("string", "Path to book root"), props$2["port"] = makeProp("number", "Port number (default: 3000)"), props$2["hostname"] = makeProp("string", "Hostname to bind to"), props$2["open"] = makeProp("boolean", "Open in browser"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeServe(Params.path(params, "path"), Params.int(params, "port"), Params.string(params, "hostname"), Params.bool(params, "open")))
+  },
+  {
+    name: "mdbook_watch",
+    description: "Watch for changes and rebuild",
+    inputSchema: (props$3["path"] = makeProp("string", "Path to book root"), props$3["dest"] = makeProp("string", "Output directory"), makeSchema(props$3, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeWatch(Params.path(params, "path"), Params.path(params, "dest")))
+  },
+  {
+    name: "mdbook_clean",
+    description: "Clean the build directory",
+    inputSchema: (props$4["path"] = makeProp("string", "Path to book root"), makeSchema(props$4, [])),
+    annotations: Adapter.destructive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeClean(Params.path(params, "path"))),
+    confirm: param => ({
+      TAG: "Deletes",
+      _0: ["book"]
+    })
+  },
+  {
+    name: "mdbook_test",
+    description: "Test Rust code samples in the book",
+    inputSchema: (props$5["path"] = makeProp("string", "Path to book root"), props$5["chapter"] = makeProp("string", "Specific chapter to test"), makeSchema(props$5, [])),
+    annotations: Adapter.checks,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(outputParser, params => executeTest(Params.path(params, "path"), Params.string(params, "chapter")))
+  },
+  {
+    name: "mdbook_version",
+    description: "Get mdBook version",
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
+  }
+];
+
+let capabilities = [
+  [
+    "Init",
+    "mdbook_init"
+  ],
+  [
+    "Build",
+    "mdbook_build"
+  ],
+  [
+    "Serve",
+    "mdbook_serve"
+  ],
+  [
+    "Clean",
+    "mdbook_clean"
+  ],
+  [
+    "Version",
+    "mdbook_version"
+  ],
+  [
+    "Check",
+    "mdbook_test"
+  ]
+];
+
 let name = "MdBook";
 
 let language = "Rust";
 
 let description = "Create books from Markdown files using Rust";
 
+let ssg = "MdBook";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeServe,
@@ -184,5 +281,11 @@ export {
   executeClean,
   executeTest,
   executeVersion,
+  logRe,
+  doctestRe,
+  parseLine,
+  outputParser,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
@@ -1,6 +1,9 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +12,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("mix", ["--version"], undefined);
+    let result = await Gateway.run("NimblePublisher", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,6 +52,26 @@ function makeProp(typeName, desc) {
   ]);
 }
 
+async function executeInit(name, path) {
+  return await Gateway.run("NimblePublisher", undefined, [name], [
+    "phx.new",
+    name
+  ], path);
+}
+
+async function executeBuild(path) {
+  return await Gateway.run("NimblePublisher", undefined, undefined, ["compile"], path);
+}
+
+async function executeServer(path, port) {
+  let args = ["phx.server"];
+  return await Gateway.start("NimblePublisher", "nimble_publisher_server", undefined, undefined, args, path);
+}
+
+async function executeVersion() {
+  return await Gateway.run("NimblePublisher", undefined, undefined, ["--version"], undefined);
+}
+
 let props = {};
 
 let props$1 = {};
@@ -59,44 +82,55 @@ let tools = [
   {
     name: "nimble_publisher_init",
     description: "Initialize a new Phoenix project with NimblePublisher",
-    inputSchema: (props["name"] = makeProp("string", "Project name"), props["path"] = makeProp("string", "Path for the project"), makeSchema(props, ["name"]))
+    inputSchema: (props["name"] = makeProp("string", "Project name"), props["path"] = makeProp("string", "Path for the project"), makeSchema(props, ["name"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.requireString(params, "name"), Params.path(params, "path")))
   },
   {
     name: "nimble_publisher_build",
     description: "Compile the Phoenix project",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), makeSchema(props$1, []))
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path")))
   },
   {
     name: "nimble_publisher_server",
     description: "Start Phoenix development server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number (default: 4000)"), makeSchema(props$2, []))
+    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number (default: 4000)"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeServer(Params.path(params, "path"), Params.int(params, "port")))
   },
   {
     name: "nimble_publisher_version",
     description: "Get Mix/Elixir version",
-    inputSchema: makeSchema({}, [])
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
   }
 ];
 
-async function executeInit(name, path) {
-  return await $$Deno.Command.run("mix", [
-    "phx.new",
-    name
-  ], path);
-}
-
-async function executeBuild(path) {
-  return await $$Deno.Command.run("mix", ["compile"], path);
-}
-
-async function executeServer(path, port) {
-  let args = ["phx.server"];
-  return await $$Deno.Command.run("mix", args, path);
-}
-
-async function executeVersion() {
-  return await $$Deno.Command.run("mix", ["--version"], undefined);
-}
+let capabilities = [
+  [
+    "Init",
+    "nimble_publisher_init"
+  ],
+  [
+    "Build",
+    "nimble_publisher_build"
+  ],
+  [
+    "Serve",
+    "nimble_publisher_server"
+  ],
+  [
+    "Version",
+    "nimble_publisher_version"
+  ]
+];
 
 let name = "NimblePublisher";
 
@@ -104,20 +138,24 @@ let language = "Elixir";
 
 let description = "Markdown-based publishing library for Elixir/Phoenix";
 
+let ssg = "NimblePublisher";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeServer,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
@@ -1,6 +1,9 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +12,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("nim", ["--version"], undefined);
+    let result = await Gateway.run("Nimrod", "nim", undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,6 +52,41 @@ function makeProp(typeName, desc) {
   ]);
 }
 
+async function executeInit(path, template) {
+  let args = [
+    "init",
+    path
+  ];
+  let args$1 = template !== undefined ? args.concat([
+      "--template",
+      template
+    ]) : args;
+  return await Gateway.run("Nimrod", undefined, [path], args$1, undefined);
+}
+
+async function executeBuild(path, release) {
+  let args = ["build"];
+  let args$1 = release !== undefined && release ? args.concat(["--release"]) : args;
+  return await Gateway.run("Nimrod", undefined, undefined, args$1, path);
+}
+
+async function executeServe(path, port) {
+  let args = ["serve"];
+  let args$1 = port !== undefined ? args.concat([
+      "--port",
+      port.toString()
+    ]) : args;
+  return await Gateway.start("Nimrod", "nimrod_serve", undefined, undefined, args$1, path);
+}
+
+async function executeClean(path) {
+  return await Gateway.run("Nimrod", undefined, undefined, ["clean"], path);
+}
+
+async function executeVersion() {
+  return await Gateway.run("Nimrod", "nim", undefined, ["--version"], undefined);
+}
+
 let props = {};
 
 let props$1 = {};
@@ -61,64 +99,71 @@ let tools = [
   {
     name: "nimrod_init",
     description: "Initialize a new Nimrod site",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new site"), props["template"] = makeProp("string", "Template to use"), makeSchema(props, ["path"]))
+    inputSchema: (props["path"] = makeProp("string", "Path for the new site"), props["template"] = makeProp("string", "Template to use"), makeSchema(props, ["path"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.requirePath(params, "path"), Params.string(params, "template")))
   },
   {
     name: "nimrod_build",
     description: "Build the Nimrod site",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), props$1["release"] = makeProp("boolean", "Build in release mode"), makeSchema(props$1, []))
+    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), props$1["release"] = makeProp("boolean", "Build in release mode"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path"), Params.bool(params, "release")))
   },
   {
     name: "nimrod_serve",
     description: "Start Nimrod development server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, []))
+    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeServe(Params.path(params, "path"), Params.int(params, "port")))
   },
   {
     name: "nimrod_clean",
     description: "Clean build artifacts",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), makeSchema(props$3, []))
+    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), makeSchema(props$3, [])),
+    annotations: Adapter.destructive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeClean(Params.path(params, "path"))),
+    confirm: param => ({
+      TAG: "Deletes",
+      _0: []
+    })
   },
   {
     name: "nimrod_version",
     description: "Get Nim version",
-    inputSchema: makeSchema({}, [])
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
   }
 ];
 
-async function executeInit(path, template) {
-  let args = [
-    "init",
-    path
-  ];
-  let args$1 = template !== undefined ? args.concat([
-      "--template",
-      template
-    ]) : args;
-  return await $$Deno.Command.run("nimrod", args$1, undefined);
-}
-
-async function executeBuild(path, release) {
-  let args = ["build"];
-  let args$1 = release !== undefined && release ? args.concat(["--release"]) : args;
-  return await $$Deno.Command.run("nimrod", args$1, path);
-}
-
-async function executeServe(path, port) {
-  let args = ["serve"];
-  let args$1 = port !== undefined ? args.concat([
-      "--port",
-      port.toString()
-    ]) : args;
-  return await $$Deno.Command.run("nimrod", args$1, path);
-}
-
-async function executeClean(path) {
-  return await $$Deno.Command.run("nimrod", ["clean"], path);
-}
-
-async function executeVersion() {
-  return await $$Deno.Command.run("nim", ["--version"], undefined);
-}
+let capabilities = [
+  [
+    "Init",
+    "nimrod_init"
+  ],
+  [
+    "Build",
+    "nimrod_build"
+  ],
+  [
+    "Serve",
+    "nimrod_serve"
+  ],
+  [
+    "Clean",
+    "nimrod_clean"
+  ],
+  [
+    "Version",
+    "nimrod_version"
+  ]
+];
 
 let name = "Nimrod";
 
@@ -126,21 +171,25 @@ let language = "Nim";
 
 let description = "Static site generator written in Nim";
 
+let ssg = "Nimrod";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeServe,
   executeClean,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
@@ -1,6 +1,10 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
 
 let state = {
   connected: false,
@@ -9,7 +13,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("orchid", ["--version"], undefined);
+    let result = await Gateway.run("Orchid", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,42 +53,6 @@ function makeProp(typeName, desc) {
   ]);
 }
 
-let props = {};
-
-let props$1 = {};
-
-let props$2 = {};
-
-let props$3 = {};
-
-let tools = [
-  {
-    name: "orchid_init",
-    description: "Initialize a new Orchid project",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new project"), props["theme"] = makeProp("string", "Theme to use (Editorial, Copper, etc.)"), makeSchema(props, []))
-  },
-  {
-    name: "orchid_build",
-    description: "Build the Orchid site",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["environment"] = makeProp("string", "Build environment (debug, production)"), makeSchema(props$1, []))
-  },
-  {
-    name: "orchid_serve",
-    description: "Start Orchid development server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number (default: 8080)"), makeSchema(props$2, []))
-  },
-  {
-    name: "orchid_deploy",
-    description: "Deploy the Orchid site",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to project root"), props$3["destination"] = makeProp("string", "Deploy destination"), makeSchema(props$3, []))
-  },
-  {
-    name: "orchid_version",
-    description: "Get Orchid version",
-    inputSchema: makeSchema({}, [])
-  }
-];
-
 async function executeInit(path, theme) {
   let args = ["init"];
   let args$1 = path !== undefined ? args.concat([path]) : args;
@@ -92,7 +60,7 @@ async function executeInit(path, theme) {
       "--theme",
       theme
     ]) : args$1;
-  return await $$Deno.Command.run("orchid", args$2, undefined);
+  return await Gateway.run("Orchid", undefined, Stdlib_Array.keepSome([path]), args$2, undefined);
 }
 
 async function executeBuild(path, environment) {
@@ -101,7 +69,7 @@ async function executeBuild(path, environment) {
       "--environment",
       environment
     ]) : args;
-  return await $$Deno.Command.run("orchid", args$1, path);
+  return await Gateway.run("Orchid", undefined, undefined, args$1, path);
 }
 
 async function executeServe(path, port) {
@@ -110,7 +78,7 @@ async function executeServe(path, port) {
       "--port",
       port.toString()
     ]) : args;
-  return await $$Deno.Command.run("orchid", args$1, path);
+  return await Gateway.start("Orchid", "orchid_serve", undefined, undefined, args$1, path);
 }
 
 async function executeDeploy(path, destination) {
@@ -119,34 +87,116 @@ async function executeDeploy(path, destination) {
       "--destination",
       destination
     ]) : args;
-  return await $$Deno.Command.run("orchid", args$1, path);
+  return await Gateway.run("Orchid", undefined, undefined, args$1, path);
 }
 
 async function executeVersion() {
-  return await $$Deno.Command.run("orchid", ["--version"], undefined);
+  return await Gateway.run("Orchid", undefined, undefined, ["--version"], undefined);
 }
 
+let props = {};
+
+let props$1 = {};
+
+let props$2 = {};
+
+let props$3 = {};
+
+let tools = [
+  {
+    name: "orchid_init",
+    description: "Initialize a new Orchid project",
+    inputSchema: (props["path"] = makeProp("string", "Path for the new project"), props["theme"] = makeProp("string", "Theme to use (Editorial, Copper, etc.)"), makeSchema(props, [])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.path(params, "path"), Params.string(params, "theme")))
+  },
+  {
+    name: "orchid_build",
+    description: "Build the Orchid site",
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["environment"] = makeProp("string", "Build environment (debug, production)"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path"), Params.string(params, "environment")))
+  },
+  {
+    name: "orchid_serve",
+    description: "Start Orchid development server",
+    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number (default: 8080)"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeServe(Params.path(params, "path"), Params.int(params, "port")))
+  },
+  {
+    name: "orchid_deploy",
+    description: "Deploy the Orchid site",
+    inputSchema: (props$3["path"] = makeProp("string", "Path to project root"), props$3["destination"] = makeProp("string", "Deploy destination"), makeSchema(props$3, [])),
+    annotations: Adapter.publishes,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeDeploy(Params.path(params, "path"), Params.path(params, "destination"))),
+    confirm: param => ({
+      TAG: "Publishes",
+      _0: "build/docs/orchid"
+    })
+  },
+  {
+    name: "orchid_version",
+    description: "Get Orchid version",
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
+  }
+];
+
+let capabilities = [
+  [
+    "Init",
+    "orchid_init"
+  ],
+  [
+    "Build",
+    "orchid_build"
+  ],
+  [
+    "Serve",
+    "orchid_serve"
+  ],
+  [
+    "Version",
+    "orchid_version"
+  ],
+  [
+    "Deploy",
+    "orchid_deploy"
+  ]
+];
+
 let name = "Orchid";
 
 let language = "Kotlin";
 
 let description = "Powerful static site generator in Kotlin with plugin system";
 
+let ssg = "Orchid";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeServe,
   executeDeploy,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
@@ -1,6 +1,10 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
 
 let state = {
   connected: false,
@@ -9,7 +13,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("boot", ["--version"], undefined);
+    let result = await Gateway.run("Perun", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,6 +53,32 @@ function makeProp(typeName, desc) {
   ]);
 }
 
+async function executeInit(path) {
+  return await Gateway.run("Perun", undefined, [path], [
+    "new",
+    "perun",
+    path
+  ], undefined);
+}
+
+async function executeBuild(path, target) {
+  let args = target !== undefined ? [target] : ["build"];
+  return await Gateway.run("Perun", undefined, Stdlib_Array.keepSome([target]), args, path);
+}
+
+async function executeDev(path, port) {
+  let args = ["dev"];
+  let args$1 = port !== undefined ? args.concat([
+      "-p",
+      port.toString()
+    ]) : args;
+  return await Gateway.start("Perun", "perun_dev", undefined, undefined, args$1, path);
+}
+
+async function executeVersion() {
+  return await Gateway.run("Perun", undefined, undefined, ["--version"], undefined);
+}
+
 let props = {};
 
 let props$1 = {};
@@ -59,50 +89,56 @@ let tools = [
   {
     name: "perun_init",
     description: "Initialize a new Perun project",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new project"), makeSchema(props, ["path"]))
+    inputSchema: (props["path"] = makeProp("string", "Path for the new project"), makeSchema(props, ["path"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.requirePath(params, "path")))
   },
   {
     name: "perun_build",
     description: "Build the Perun site",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["target"] = makeProp("string", "Build target"), makeSchema(props$1, []))
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["target"] = makeProp("string", "Build target"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path"), Params.string(params, "target"))),
+    timeoutMs: 900000
   },
   {
     name: "perun_dev",
     description: "Start development mode with watch",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, []))
+    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeDev(Params.path(params, "path"), Params.int(params, "port")))
   },
   {
     name: "perun_version",
     description: "Get Boot version",
-    inputSchema: makeSchema({}, [])
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
   }
 ];
 
-async function executeInit(path) {
-  return await $$Deno.Command.run("boot", [
-    "new",
-    "perun",
-    path
-  ], undefined);
-}
-
-async function executeBuild(path, target) {
-  let args = target !== undefined ? [target] : ["build"];
-  return await $$Deno.Command.run("boot", args, path);
-}
-
-async function executeDev(path, port) {
-  let args = ["dev"];
-  let args$1 = port !== undefined ? args.concat([
-      "-p",
-      port.toString()
-    ]) : args;
-  return await $$Deno.Command.run("boot", args$1, path);
-}
-
-async function executeVersion() {
-  return await $$Deno.Command.run("boot", ["--version"], undefined);
-}
+let capabilities = [
+  [
+    "Init",
+    "perun_init"
+  ],
+  [
+    "Build",
+    "perun_build"
+  ],
+  [
+    "Serve",
+    "perun_dev"
+  ],
+  [
+    "Version",
+    "perun_version"
+  ]
+];
 
 let name = "Perun";
 
@@ -110,20 +146,24 @@ let language = "Clojure";
 
 let description = "Composable static site generator using Boot build tool";
 
+let ssg = "Perun";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeDev,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
@@ -1,6 +1,11 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as Workspace from "../Workspace.res.js";
+import * as BuildReport from "../BuildReport.res.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
 
 let state = {
   connected: false,
@@ -9,7 +14,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("raco", [
+    let result = await Gateway.run("Pollen", undefined, undefined, [
       "pollen",
       "version"
     ], undefined);
@@ -52,49 +57,13 @@ function makeProp(typeName, desc) {
   ]);
 }
 
-let props = {};
-
-let props$1 = {};
-
-let props$2 = {};
-
-let props$3 = {};
-
-let tools = [
-  {
-    name: "pollen_start",
-    description: "Start Pollen project server",
-    inputSchema: (props["path"] = makeProp("string", "Path to project root"), props["port"] = makeProp("number", "Port number (default: 8080)"), makeSchema(props, []))
-  },
-  {
-    name: "pollen_render",
-    description: "Render Pollen source files",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["parallel"] = makeProp("boolean", "Render in parallel"), makeSchema(props$1, []))
-  },
-  {
-    name: "pollen_publish",
-    description: "Publish rendered files to output directory",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["output"] = makeProp("string", "Output directory"), makeSchema(props$2, []))
-  },
-  {
-    name: "pollen_reset",
-    description: "Reset Pollen cache",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to project root"), makeSchema(props$3, []))
-  },
-  {
-    name: "pollen_version",
-    description: "Get Pollen version",
-    inputSchema: makeSchema({}, [])
-  }
-];
-
 async function executeStart(path, port) {
   let args = [
     "pollen",
     "start"
   ];
   let args$1 = port !== undefined ? args.concat([port.toString()]) : args;
-  return await $$Deno.Command.run("raco", args$1, path);
+  return await Gateway.start("Pollen", "pollen_start", undefined, undefined, args$1, path);
 }
 
 async function executeRender(path, parallel) {
@@ -103,53 +72,144 @@ async function executeRender(path, parallel) {
     "render"
   ];
   let args$1 = parallel !== undefined && parallel ? args.concat(["-p"]) : args;
-  return await $$Deno.Command.run("raco", args$1, path);
+  return await Gateway.run("Pollen", undefined, undefined, args$1, path);
 }
 
 async function executePublish(path, output) {
-  let args = [
+  let source = Stdlib_Option.getOr(path, Workspace.defaultRoot());
+  return await Gateway.run("Pollen", undefined, [
+    source,
+    output
+  ], [
     "pollen",
-    "publish"
-  ];
-  let args$1 = output !== undefined ? args.concat([output]) : args;
-  return await $$Deno.Command.run("raco", args$1, path);
+    "publish",
+    source,
+    output
+  ], path);
 }
 
 async function executeReset(path) {
-  return await $$Deno.Command.run("raco", [
+  return await Gateway.run("Pollen", undefined, undefined, [
     "pollen",
     "reset"
   ], path);
 }
 
 async function executeVersion() {
-  return await $$Deno.Command.run("raco", [
+  return await Gateway.run("Pollen", undefined, undefined, [
     "pollen",
     "version"
   ], undefined);
 }
 
+let props = {};
+
+let props$1 = {};
+
+let props$2 = {};
+
+let props$3 = {};
+
+let tools = [
+  {
+    name: "pollen_start",
+    description: "Start Pollen project server",
+    inputSchema: (props["path"] = makeProp("string", "Path to project root"), props["port"] = makeProp("number", "Port number (default: 8080)"), makeSchema(props, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeStart(Params.path(params, "path"), Params.int(params, "port")))
+  },
+  {
+    name: "pollen_render",
+    description: "Render Pollen source files",
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["parallel"] = makeProp("boolean", "Render in parallel"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeRender(Params.path(params, "path"), Params.bool(params, "parallel")))
+  },
+  {
+    name: "pollen_publish",
+    description: "Publish rendered files to output directory",
+    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["output"] = makeProp("string", "Output directory"), makeSchema(props$2, ["output"])),
+    annotations: {
+      readOnlyHint: Adapter.regenerates.readOnlyHint,
+      destructiveHint: true,
+      idempotentHint: Adapter.regenerates.idempotentHint,
+      openWorldHint: Adapter.regenerates.openWorldHint
+    },
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executePublish(Params.path(params, "path"), Params.requirePath(params, "output"))),
+    confirm: params => Stdlib_Option.map(Params.path(params, "output"), dir => ({
+      TAG: "Replaces",
+      _0: dir
+    }))
+  },
+  {
+    name: "pollen_reset",
+    description: "Reset Pollen cache",
+    inputSchema: (props$3["path"] = makeProp("string", "Path to project root"), makeSchema(props$3, [])),
+    annotations: Adapter.destructive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeReset(Params.path(params, "path"))),
+    confirm: param => ({
+      TAG: "Deletes",
+      _0: []
+    })
+  },
+  {
+    name: "pollen_version",
+    description: "Get Pollen version",
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
+  }
+];
+
+let capabilities = [
+  [
+    "Build",
+    "pollen_render"
+  ],
+  [
+    "Serve",
+    "pollen_start"
+  ],
+  [
+    "Clean",
+    "pollen_reset"
+  ],
+  [
+    "Version",
+    "pollen_version"
+  ]
+];
+
 let name = "Pollen";
 
 let language = "Racket";
 
 let description = "Programmable publishing system for making books in Racket";
 
+let ssg = "Pollen";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeStart,
   executeRender,
   executePublish,
   executeReset,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
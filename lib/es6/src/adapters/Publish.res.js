@@ -1,6 +1,10 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
 
 let state = {
   connected: false,
@@ -9,7 +13,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("publish", ["--version"], undefined);
+    let result = await Gateway.run("Publish", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,6 +53,35 @@ function makeProp(typeName, desc) {
   ]);
 }
 
+async function executeNew(path) {
+  let args = ["new"];
+  let args$1 = path !== undefined ? args.concat([path]) : args;
+  return await Gateway.run("Publish", undefined, Stdlib_Array.keepSome([path]), args$1, undefined);
+}
+
+async function executeGenerate(path) {
+  return await Gateway.run("Publish", undefined, undefined, ["generate"], path);
+}
+
+async function executeRun(path, port) {
+  let args = ["run"];
+  let args$1 = port !== undefined ? args.concat([
+      "--port",
+      port.toString()
+    ]) : args;
+  return await Gateway.start("Publish", "publish_run", undefined, undefined, args$1, path);
+}
+
+async function executeDeploy(path, method) {
+  let args = ["deploy"];
+  let args$1 = method !== undefined ? args.concat(["--" + method]) : args;
+  return await Gateway.run("Publish", undefined, undefined, args$1, path);
+}
+
+async function executeVersion() {
+  return await Gateway.run("Publish", undefined, undefined, ["--version"], undefined);
+}
+
 let props = {};
 
 let props$1 = {};
@@ -61,58 +94,71 @@ let tools = [
   {
     name: "publish_new",
     description: "Create a new Publish site",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new site"), makeSchema(props, []))
+    inputSchema: (props["path"] = makeProp("string", "Path for the new site"), makeSchema(props, [])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeNew(Params.path(params, "path")))
   },
   {
     name: "publish_generate",
     description: "Generate the Publish site",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), makeSchema(props$1, []))
+    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeGenerate(Params.path(params, "path")))
   },
   {
     name: "publish_run",
     description: "Run the Publish development server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["port"] = makeProp("number", "Port number (default: 8000)"), makeSchema(props$2, []))
+    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["port"] = makeProp("number", "Port number (default: 8000)"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeRun(Params.path(params, "path"), Params.int(params, "port")))
   },
   {
     name: "publish_deploy",
     description: "Deploy the site",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), props$3["method"] = makeProp("string", "Deploy method (git, github)"), makeSchema(props$3, []))
+    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), props$3["method"] = makeProp("string", "Deploy method (git, github)"), makeSchema(props$3, [])),
+    annotations: Adapter.publishes,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeDeploy(Params.path(params, "path"), Params.string(params, "method"))),
+    confirm: param => ({
+      TAG: "Publishes",
+      _0: "Output"
+    })
   },
   {
     name: "publish_version",
     description: "Get Publish version",
-    inputSchema: makeSchema({}, [])
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
   }
 ];
 
-async function executeNew(path) {
-  let args = ["new"];
-  let args$1 = path !== undefined ? args.concat([path]) : args;
-  return await $$Deno.Command.run("publish", args$1, undefined);
-}
-
-async function executeGenerate(path) {
-  return await $$Deno.Command.run("publish", ["generate"], path);
-}
-
-async function executeRun(path, port) {
-  let args = ["run"];
-  let args$1 = port !== undefined ? args.concat([
-      "--port",
-      port.toString()
-    ]) : args;
-  return await $$Deno.Command.run("publish", args$1, path);
-}
-
-async function executeDeploy(path, method) {
-  let args = ["deploy"];
-  let args$1 = method !== undefined ? args.concat(["--" + method]) : args;
-  return await $$Deno.Command.run("publish", args$1, path);
-}
-
-async function executeVersion() {
-  return await $$Deno.Command.run("publish", ["--version"], undefined);
-}
+let capabilities = [
+  [
+    "Init",
+    "publish_new"
+  ],
+  [
+    "Build",
+    "publish_generate"
+  ],
+  [
+    "Serve",
+    "publish_run"
+  ],
+  [
+    "Version",
+    "publish_version"
+  ],
+  [
+    "Deploy",
+    "publish_deploy"
+  ]
+];
 
 let name = "Publish";
 
@@ -120,21 +166,25 @@ let language = "Swift";
 
 let description = "Static site generator for Swift developers";
 
+let ssg = "Publish";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeNew,
   executeGenerate,
   executeRun,
   executeDeploy,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
@@ -1,6 +1,9 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +12,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("reggae", ["--version"], undefined);
+    let result = await Gateway.run("Reggae", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,6 +52,28 @@ function makeProp(typeName, desc) {
   ]);
 }
 
+async function executeInit(path, backend) {
+  let args = backend !== undefined ? ["--backend=" + backend] : [];
+  return await Gateway.run("Reggae", undefined, undefined, args, path);
+}
+
+async function executeBuild(path, jobs) {
+  let args = ["build"];
+  let args$1 = jobs !== undefined ? args.concat([
+      "-j",
+      jobs.toString()
+    ]) : args;
+  return await Gateway.run("Reggae", undefined, undefined, args$1, path);
+}
+
+async function executeClean(path) {
+  return await Gateway.run("Reggae", undefined, undefined, ["clean"], path);
+}
+
+async function executeVersion() {
+  return await Gateway.run("Reggae", undefined, undefined, ["--version"], undefined);
+}
+
 let props = {};
 
 let props$1 = {};
@@ -59,46 +84,59 @@ let tools = [
   {
     name: "reggae_init",
     description: "Initialize a Reggae build",
-    inputSchema: (props["path"] = makeProp("string", "Path to project root"), props["backend"] = makeProp("string", "Build backend (make, ninja, tup)"), makeSchema(props, []))
+    inputSchema: (props["path"] = makeProp("string", "Path to project root"), props["backend"] = makeProp("string", "Build backend (make, ninja, tup)"), makeSchema(props, [])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.path(params, "path"), Params.string(params, "backend")))
   },
   {
     name: "reggae_build",
     description: "Build the project",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["jobs"] = makeProp("number", "Number of parallel jobs"), makeSchema(props$1, []))
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["jobs"] = makeProp("number", "Number of parallel jobs"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path"), Params.int(params, "jobs")))
   },
   {
     name: "reggae_clean",
     description: "Clean build artifacts",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), makeSchema(props$2, []))
+    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), makeSchema(props$2, [])),
+    annotations: Adapter.destructive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeClean(Params.path(params, "path"))),
+    confirm: param => ({
+      TAG: "Deletes",
+      _0: []
+    })
   },
   {
     name: "reggae_version",
     description: "Get Reggae version",
-    inputSchema: makeSchema({}, [])
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
   }
 ];
 
-async function executeInit(path, backend) {
-  let args = backend !== undefined ? ["--backend=" + backend] : [];
-  return await $$Deno.Command.run("reggae", args, path);
-}
-
-async function executeBuild(path, jobs) {
-  let args = ["build"];
-  let args$1 = jobs !== undefined ? args.concat([
-      "-j",
-      jobs.toString()
-    ]) : args;
-  return await $$Deno.Command.run("reggae", args$1, path);
-}
-
-async function executeClean(path) {
-  return await $$Deno.Command.run("reggae", ["clean"], path);
-}
-
-async function executeVersion() {
-  return await $$Deno.Command.run("reggae", ["--version"], undefined);
-}
+let capabilities = [
+  [
+    "Init",
+    "reggae_init"
+  ],
+  [
+    "Build",
+    "reggae_build"
+  ],
+  [
+    "Clean",
+    "reggae_clean"
+  ],
+  [
+    "Version",
+    "reggae_version"
+  ]
+];
 
 let name = "Reggae";
 
@@ -106,20 +144,24 @@ let language = "D";
 
 let description = "Build system generator written in D for static sites";
 
+let ssg = "Reggae";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeClean,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
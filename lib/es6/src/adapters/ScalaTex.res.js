@@ -1,6 +1,9 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +12,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("mill", ["--version"], undefined);
+    let result = await Gateway.run("ScalaTex", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,6 +52,33 @@ function makeProp(typeName, desc) {
   ]);
 }
 
+async function executeInit(name, path) {
+  return await Gateway.run("ScalaTex", undefined, [name], [
+    "init",
+    name
+  ], path);
+}
+
+async function executeBuild(path, target) {
+  let targetName = target !== undefined ? target : "compile";
+  return await Gateway.run("ScalaTex", undefined, [targetName], [targetName], path);
+}
+
+async function executeWatch(path) {
+  return await Gateway.start("ScalaTex", "scalatex_watch", undefined, undefined, [
+    "-w",
+    "compile"
+  ], path);
+}
+
+async function executeClean(path) {
+  return await Gateway.run("ScalaTex", undefined, undefined, ["clean"], path);
+}
+
+async function executeVersion() {
+  return await Gateway.run("ScalaTex", undefined, undefined, ["--version"], undefined);
+}
+
 let props = {};
 
 let props$1 = {};
@@ -61,56 +91,72 @@ let tools = [
   {
     name: "scalatex_init",
     description: "Initialize a new ScalaTex project",
-    inputSchema: (props["name"] = makeProp("string", "Project name"), props["path"] = makeProp("string", "Path for the project"), makeSchema(props, ["name"]))
+    inputSchema: (props["name"] = makeProp("string", "Project name"), props["path"] = makeProp("string", "Path for the project"), makeSchema(props, ["name"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.requireString(params, "name"), Params.path(params, "path")))
   },
   {
     name: "scalatex_build",
     description: "Build the ScalaTex document/site",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["target"] = makeProp("string", "Build target (html, pdf)"), makeSchema(props$1, []))
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["target"] = makeProp("string", "Build target (html, pdf)"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path"), Params.string(params, "target"))),
+    timeoutMs: 900000
   },
   {
     name: "scalatex_watch",
     description: "Watch and rebuild on changes",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), makeSchema(props$2, []))
+    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeWatch(Params.path(params, "path")))
   },
   {
     name: "scalatex_clean",
     description: "Clean build artifacts",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to project root"), makeSchema(props$3, []))
+    inputSchema: (props$3["path"] = makeProp("string", "Path to project root"), makeSchema(props$3, [])),
+    annotations: Adapter.destructive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeClean(Params.path(params, "path"))),
+    confirm: param => ({
+      TAG: "Deletes",
+      _0: []
+    })
   },
   {
     name: "scalatex_version",
     description: "Get Mill/Scala version",
-    inputSchema: makeSchema({}, [])
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
   }
 ];
 
-async function executeInit(name, path) {
-  return await $$Deno.Command.run("mill", [
-    "init",
-    name
-  ], path);
-}
-
-async function executeBuild(path, target) {
-  let targetName = target !== undefined ? target : "compile";
-  return await $$Deno.Command.run("mill", [targetName], path);
-}
-
-async function executeWatch(path) {
-  return await $$Deno.Command.run("mill", [
-    "-w",
-    "compile"
-  ], path);
-}
-
-async function executeClean(path) {
-  return await $$Deno.Command.run("mill", ["clean"], path);
-}
-
-async function executeVersion() {
-  return await $$Deno.Command.run("mill", ["--version"], undefined);
-}
+let capabilities = [
+  [
+    "Init",
+    "scalatex_init"
+  ],
+  [
+    "Build",
+    "scalatex_build"
+  ],
+  [
+    "Serve",
+    "scalatex_watch"
+  ],
+  [
+    "Clean",
+    "scalatex_clean"
+  ],
+  [
+    "Version",
+    "scalatex_version"
+  ]
+];
 
 let name = "ScalaTex";
 
@@ -118,21 +164,25 @@ let language = "Scala";
 
 let description = "Document and site generation using Scala with LaTeX support";
 
+let ssg = "ScalaTex";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeWatch,
   executeClean,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
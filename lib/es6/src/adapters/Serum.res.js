@@ -1,6 +1,9 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +12,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("mix", ["--version"], undefined);
+    let result = await Gateway.run("Serum", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,37 +52,8 @@ function makeProp(typeName, desc) {
   ]);
 }
 
-let props = {};
-
-let props$1 = {};
-
-let props$2 = {};
-
-let tools = [
-  {
-    name: "serum_init",
-    description: "Initialize a new Serum project",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new project"), makeSchema(props, ["path"]))
-  },
-  {
-    name: "serum_build",
-    description: "Build the Serum site",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["output"] = makeProp("string", "Output directory"), makeSchema(props$1, []))
-  },
-  {
-    name: "serum_server",
-    description: "Start Serum development server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number (default: 8080)"), makeSchema(props$2, []))
-  },
-  {
-    name: "serum_version",
-    description: "Get Serum version",
-    inputSchema: makeSchema({}, [])
-  }
-];
-
 async function executeInit(path) {
-  return await $$Deno.Command.run("mix", [
+  return await Gateway.run("Serum", undefined, [path], [
     "serum.new",
     path
   ], undefined);
@@ -91,7 +65,7 @@ async function executeBuild(path, output) {
       "--output",
       output
     ]) : args;
-  return await $$Deno.Command.run("mix", args$1, path);
+  return await Gateway.run("Serum", undefined, undefined, args$1, path);
 }
 
 async function executeServer(path, port) {
@@ -100,36 +74,100 @@ async function executeServer(path, port) {
       "--port",
       port.toString()
     ]) : args;
-  return await $$Deno.Command.run("mix", args$1, path);
+  return await Gateway.start("Serum", "serum_server", undefined, undefined, args$1, path);
 }
 
 async function executeVersion() {
-  return await $$Deno.Command.run("mix", [
+  return await Gateway.run("Serum", undefined, undefined, [
     "serum",
     "--version"
   ], undefined);
 }
 
+let props = {};
+
+let props$1 = {};
+
+let props$2 = {};
+
+let tools = [
+  {
+    name: "serum_init",
+    description: "Initialize a new Serum project",
+    inputSchema: (props["path"] = makeProp("string", "Path for the new project"), makeSchema(props, ["path"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.requirePath(params, "path")))
+  },
+  {
+    name: "serum_build",
+    description: "Build the Serum site",
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["output"] = makeProp("string", "Output directory"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path"), Params.path(params, "output")))
+  },
+  {
+    name: "serum_server",
+    description: "Start Serum development server",
+    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number (default: 8080)"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeServer(Params.path(params, "path"), Params.int(params, "port")))
+  },
+  {
+    name: "serum_version",
+    description: "Get Serum version",
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
+  }
+];
+
+let capabilities = [
+  [
+    "Init",
+    "serum_init"
+  ],
+  [
+    "Build",
+    "serum_build"
+  ],
+  [
+    "Serve",
+    "serum_server"
+  ],
+  [
+    "Version",
+    "serum_version"
+  ]
+];
+
 let name = "Serum";
 
 let language = "Elixir";
 
 let description = "Simple static website generator written in Elixir";
 
+let ssg = "Serum";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeServer,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
@@ -1,6 +1,10 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
+import * as CodeLiteral from "../CodeLiteral.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +13,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("julia", ["--version"], undefined);
+    let result = await Gateway.run("StaticWebPages", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,6 +53,36 @@ function makeProp(typeName, desc) {
   ]);
 }
 
+async function executeInit(path, template) {
+  let templateArg = template !== undefined ? ", template=" + CodeLiteral.juliaSymbol(template) : "";
+  return await Gateway.run("StaticWebPages", undefined, undefined, [
+    "-e",
+    `using StaticWebPages; init(` + CodeLiteral.julia(path) + templateArg + `)`
+  ], undefined);
+}
+
+async function executeBuild(path, output) {
+  let outputArg = output !== undefined ? ", output=" + CodeLiteral.julia(output) : "";
+  let dir = path !== undefined ? `cd(` + CodeLiteral.julia(path) + `); ` : "";
+  return await Gateway.run("StaticWebPages", undefined, undefined, [
+    "-e",
+    `using StaticWebPages; ` + dir + `build(` + outputArg + `)`
+  ], undefined);
+}
+
+async function executeServe(path, port) {
+  let portArg = port !== undefined ? `, port=` + port.toString() : "";
+  let dir = path !== undefined ? `cd(` + CodeLiteral.julia(path) + `); ` : "";
+  return await Gateway.start("StaticWebPages", "staticwebpages_serve", undefined, undefined, [
+    "-e",
+    `using StaticWebPages; ` + dir + `serve(` + portArg + `)`
+  ], undefined);
+}
+
+async function executeVersion() {
+  return await Gateway.run("StaticWebPages", undefined, undefined, ["--version"], undefined);
+}
+
 let props = {};
 
 let props$1 = {};
@@ -59,54 +93,55 @@ let tools = [
   {
     name: "staticwebpages_init",
     description: "Initialize a new StaticWebPages project",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new project"), props["template"] = makeProp("string", "Template (academic, portfolio)"), makeSchema(props, ["path"]))
+    inputSchema: (props["path"] = makeProp("string", "Path for the new project"), props["template"] = makeProp("string", "Template (academic, portfolio)"), makeSchema(props, ["path"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.requirePath(params, "path"), Params.string(params, "template")))
   },
   {
     name: "staticwebpages_build",
     description: "Build the static website",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["output"] = makeProp("string", "Output directory"), makeSchema(props$1, []))
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["output"] = makeProp("string", "Output directory"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path"), Params.path(params, "output")))
   },
   {
     name: "staticwebpages_serve",
     description: "Start local development server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, []))
+    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeServe(Params.path(params, "path"), Params.int(params, "port")))
   },
   {
     name: "staticwebpages_version",
     description: "Get Julia version",
-    inputSchema: makeSchema({}, [])
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
   }
 ];
 
-async function executeInit(path, template) {
-  let templateArg = template !== undefined ? `, template=:` + template : "";
-  return await $$Deno.Command.run("julia", [
-    "-e",
-    `using StaticWebPages; init("` + path + `"` + templateArg + `)`
-  ], undefined);
-}
-
-async function executeBuild(path, output) {
-  let outputArg = output !== undefined ? `, output="` + output + `"` : "";
-  let dir = path !== undefined ? `cd("` + path + `"); ` : "";
-  return await $$Deno.Command.run("julia", [
-    "-e",
-    `using StaticWebPages; ` + dir + `build(` + outputArg + `)`
-  ], undefined);
-}
-
-async function executeServe(path, port) {
-  let portArg = port !== undefined ? `, port=` + port.toString() : "";
-  let dir = path !== undefined ? `cd("` + path + `"); ` : "";
-  return await $$Deno.Command.run("julia", [
-    "-e",
-    `using StaticWebPages; ` + dir + `serve(` + portArg + `)`
-  ], undefined);
-}
-
-async function executeVersion() {
-  return await $$Deno.Command.run("julia", ["--version"], undefined);
-}
+let capabilities = [
+  [
+    "Init",
+    "staticwebpages_init"
+  ],
+  [
+    "Build",
+    "staticwebpages_build"
+  ],
+  [
+    "Serve",
+    "staticwebpages_serve"
+  ],
+  [
+    "Version",
+    "staticwebpages_version"
+  ]
+];
 
 let name = "StaticWebPages";
 
@@ -114,20 +149,24 @@ let language = "Julia";
 
 let description = "Static website generator for academics in Julia";
 
+let ssg = "StaticWebPages";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeServe,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
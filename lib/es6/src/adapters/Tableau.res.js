@@ -1,6 +1,9 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +12,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("mix", ["--version"], undefined);
+    let result = await Gateway.run("Tableau", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,6 +52,25 @@ function makeProp(typeName, desc) {
   ]);
 }
 
+async function executeInit(name, path) {
+  return await Gateway.run("Tableau", undefined, [name], [
+    "tableau.new",
+    name
+  ], path);
+}
+
+async function executeBuild(path) {
+  return await Gateway.run("Tableau", undefined, undefined, ["tableau.build"], path);
+}
+
+async function executeServer(path, _port) {
+  return await Gateway.start("Tableau", "tableau_server", undefined, undefined, ["tableau.server"], path);
+}
+
+async function executeVersion() {
+  return await Gateway.run("Tableau", undefined, undefined, ["--version"], undefined);
+}
+
 let props = {};
 
 let props$1 = {};
@@ -59,43 +81,55 @@ let tools = [
   {
     name: "tableau_init",
     description: "Initialize a new Tableau project",
-    inputSchema: (props["name"] = makeProp("string", "Project name"), props["path"] = makeProp("string", "Path for the project"), makeSchema(props, ["name"]))
+    inputSchema: (props["name"] = makeProp("string", "Project name"), props["path"] = makeProp("string", "Path for the project"), makeSchema(props, ["name"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.requireString(params, "name"), Params.path(params, "path")))
   },
   {
     name: "tableau_build",
     description: "Build the Tableau site",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), makeSchema(props$1, []))
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path")))
   },
   {
     name: "tableau_server",
     description: "Start Tableau development server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, []))
+    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["port"] = makeProp("number", "Port number"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeServer(Params.path(params, "path"), Params.int(params, "port")))
   },
   {
     name: "tableau_version",
     description: "Get Mix/Elixir version",
-    inputSchema: makeSchema({}, [])
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
   }
 ];
 
-async function executeInit(name, path) {
-  return await $$Deno.Command.run("mix", [
-    "tableau.new",
-    name
-  ], path);
-}
-
-async function executeBuild(path) {
-  return await $$Deno.Command.run("mix", ["tableau.build"], path);
-}
-
-async function executeServer(path, _port) {
-  return await $$Deno.Command.run("mix", ["tableau.server"], path);
-}
-
-async function executeVersion() {
-  return await $$Deno.Command.run("mix", ["--version"], undefined);
-}
+let capabilities = [
+  [
+    "Init",
+    "tableau_init"
+  ],
+  [
+    "Build",
+    "tableau_build"
+  ],
+  [
+    "Serve",
+    "tableau_server"
+  ],
+  [
+    "Version",
+    "tableau_version"
+  ]
+];
 
 let name = "Tableau";
 
@@ -103,20 +137,24 @@ let language = "Elixir";
 
 let description = "Static site generator for Elixir with LiveView support";
 
+let ssg = "Tableau";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeServer,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
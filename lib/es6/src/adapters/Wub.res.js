@@ -1,6 +1,9 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +12,7 @@ let state = {
 
 async function connect() {
   try {
-    await $$Deno.Command.run("tclsh", ["--version"], undefined);
+    await Gateway.run("Wub", undefined, undefined, ["--version"], undefined);
     state.connected = true;
     return true;
   } catch (exn) {
@@ -49,37 +52,8 @@ function makeProp(typeName, desc) {
   ]);
 }
 
-let props = {};
-
-let props$1 = {};
-
-let props$2 = {};
-
-let tools = [
-  {
-    name: "wub_init",
-    description: "Initialize a new Wub project",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new project"), makeSchema(props, ["path"]))
-  },
-  {
-    name: "wub_serve",
-    description: "Start Wub server",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["port"] = makeProp("number", "Port number (default: 8080)"), makeSchema(props$1, []))
-  },
-  {
-    name: "wub_generate",
-    description: "Generate static files",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["output"] = makeProp("string", "Output directory"), makeSchema(props$2, []))
-  },
-  {
-    name: "wub_version",
-    description: "Get Tcl version",
-    inputSchema: makeSchema({}, [])
-  }
-];
-
 async function executeInit(path) {
-  return await $$Deno.Command.run("tclsh", [
+  return await Gateway.run("Wub", undefined, [path], [
     "wub.tcl",
     "init",
     path
@@ -95,7 +69,7 @@ async function executeServe(path, port) {
       "-port",
       port.toString()
     ]) : args;
-  return await $$Deno.Command.run("tclsh", args$1, path);
+  return await Gateway.start("Wub", "wub_serve", undefined, undefined, args$1, path);
 }
 
 async function executeGenerate(path, output) {
@@ -107,36 +81,100 @@ async function executeGenerate(path, output) {
       "-output",
       output
     ]) : args;
-  return await $$Deno.Command.run("tclsh", args$1, path);
+  return await Gateway.run("Wub", undefined, undefined, args$1, path);
 }
 
 async function executeVersion() {
-  return await $$Deno.Command.run("tclsh", [
+  return await Gateway.run("Wub", undefined, undefined, [
     "-c",
     "puts [info patchlevel]"
   ], undefined);
 }
 
+let props = {};
+
+let props$1 = {};
+
+let props$2 = {};
+
+let tools = [
+  {
+    name: "wub_init",
+    description: "Initialize a new Wub project",
+    inputSchema: (props["path"] = makeProp("string", "Path for the new project"), makeSchema(props, ["path"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.requirePath(params, "path")))
+  },
+  {
+    name: "wub_serve",
+    description: "Start Wub server",
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), props$1["port"] = makeProp("number", "Port number (default: 8080)"), makeSchema(props$1, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeServe(Params.path(params, "path"), Params.int(params, "port")))
+  },
+  {
+    name: "wub_generate",
+    description: "Generate static files",
+    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), props$2["output"] = makeProp("string", "Output directory"), makeSchema(props$2, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeGenerate(Params.path(params, "path"), Params.path(params, "output")))
+  },
+  {
+    name: "wub_version",
+    description: "Get Tcl version",
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
+  }
+];
+
+let capabilities = [
+  [
+    "Init",
+    "wub_init"
+  ],
+  [
+    "Build",
+    "wub_generate"
+  ],
+  [
+    "Serve",
+    "wub_serve"
+  ],
+  [
+    "Version",
+    "wub_version"
+  ]
+];
+
 let name = "Wub";
 
 let language = "Tcl";
 
 let description = "Web application framework and static site generator in Tcl";
 
+let ssg = "Wub";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeServe,
   executeGenerate,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
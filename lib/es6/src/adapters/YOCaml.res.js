@@ -1,6 +1,9 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +12,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("opam", ["--version"], undefined);
+    let result = await Gateway.run("YOCaml", "opam", undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,6 +52,33 @@ function makeProp(typeName, desc) {
   ]);
 }
 
+async function executeInit(name, path) {
+  return await Gateway.run("YOCaml", undefined, [name], [
+    "init",
+    "project",
+    name
+  ], path);
+}
+
+async function executeBuild(path) {
+  return await Gateway.run("YOCaml", undefined, undefined, ["build"], path);
+}
+
+async function executeWatch(path) {
+  return await Gateway.start("YOCaml", "yocaml_watch", undefined, undefined, [
+    "build",
+    "--watch"
+  ], path);
+}
+
+async function executeClean(path) {
+  return await Gateway.run("YOCaml", undefined, undefined, ["clean"], path);
+}
+
+async function executeVersion() {
+  return await Gateway.run("YOCaml", "opam", undefined, ["--version"], undefined);
+}
+
 let props = {};
 
 let props$1 = {};
@@ -61,56 +91,71 @@ let tools = [
   {
     name: "yocaml_init",
     description: "Initialize a new YOCaml project",
-    inputSchema: (props["name"] = makeProp("string", "Project name"), props["path"] = makeProp("string", "Path for the project"), makeSchema(props, ["name"]))
+    inputSchema: (props["name"] = makeProp("string", "Project name"), props["path"] = makeProp("string", "Path for the project"), makeSchema(props, ["name"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.requireString(params, "name"), Params.path(params, "path")))
   },
   {
     name: "yocaml_build",
     description: "Build the YOCaml site",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), makeSchema(props$1, []))
+    inputSchema: (props$1["path"] = makeProp("string", "Path to project root"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeBuild(Params.path(params, "path")))
   },
   {
     name: "yocaml_watch",
     description: "Watch and rebuild on changes",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), makeSchema(props$2, []))
+    inputSchema: (props$2["path"] = makeProp("string", "Path to project root"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeWatch(Params.path(params, "path")))
   },
   {
     name: "yocaml_clean",
     description: "Clean build artifacts",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to project root"), makeSchema(props$3, []))
+    inputSchema: (props$3["path"] = makeProp("string", "Path to project root"), makeSchema(props$3, [])),
+    annotations: Adapter.destructive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeClean(Params.path(params, "path"))),
+    confirm: param => ({
+      TAG: "Deletes",
+      _0: []
+    })
   },
   {
     name: "yocaml_version",
     description: "Get opam/OCaml version",
-    inputSchema: makeSchema({}, [])
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
   }
 ];
 
-async function executeInit(name, path) {
-  return await $$Deno.Command.run("dune", [
-    "init",
-    "project",
-    name
-  ], path);
-}
-
-async function executeBuild(path) {
-  return await $$Deno.Command.run("dune", ["build"], path);
-}
-
-async function executeWatch(path) {
-  return await $$Deno.Command.run("dune", [
-    "build",
-    "--watch"
-  ], path);
-}
-
-async function executeClean(path) {
-  return await $$Deno.Command.run("dune", ["clean"], path);
-}
-
-async function executeVersion() {
-  return await $$Deno.Command.run("opam", ["--version"], undefined);
-}
+let capabilities = [
+  [
+    "Init",
+    "yocaml_init"
+  ],
+  [
+    "Build",
+    "yocaml_build"
+  ],
+  [
+    "Serve",
+    "yocaml_watch"
+  ],
+  [
+    "Clean",
+    "yocaml_clean"
+  ],
+  [
+    "Version",
+    "yocaml_version"
+  ]
+];
 
 let name = "YOCaml";
 
@@ -118,21 +163,25 @@ let language = "OCaml";
 
 let description = "Static site generator in OCaml with composable build rules";
 
+let ssg = "YOCaml";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeWatch,
   executeClean,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
@@ -1,6 +1,13 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
+import * as Stdlib_Array from "@rescript/runtime/lib/es6/Stdlib_Array.js";
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Primitive_object from "@rescript/runtime/lib/es6/Primitive_object.js";
+import * as Primitive_option from "@rescript/runtime/lib/es6/Primitive_option.js";
 
 let state = {
   connected: false,
@@ -9,7 +16,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("zola", ["--version"], undefined);
+    let result = await Gateway.run("Zola", undefined, undefined, ["--version"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,49 +56,13 @@ function makeProp(typeName, desc) {
   ]);
 }
 
-let props = {};
-
-let props$1 = {};
-
-let props$2 = {};
-
-let props$3 = {};
-
-let tools = [
-  {
-    name: "zola_init",
-    description: "Initialize a new Zola site",
-    inputSchema: (props["path"] = makeProp("string", "Path for the new site"), props["force"] = makeProp("boolean", "Overwrite existing directory"), makeSchema(props, ["path"]))
-  },
-  {
-    name: "zola_build",
-    description: "Build the Zola site",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), props$1["baseUrl"] = makeProp("string", "Base URL for the site"), props$1["outputDir"] = makeProp("string", "Output directory"), props$1["drafts"] = makeProp("boolean", "Include drafts"), makeSchema(props$1, []))
-  },
-  {
-    name: "zola_serve",
-    description: "Start Zola development server",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["port"] = makeProp("number", "Port number (default: 1111)"), props$2["interface"] = makeProp("string", "Interface to bind to"), props$2["drafts"] = makeProp("boolean", "Include drafts"), props$2["openBrowser"] = makeProp("boolean", "Open browser automatically"), makeSchema(props$2, []))
-  },
-  {
-    name: "zola_check",
-    description: "Check the site for errors",
-    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), props$3["drafts"] = makeProp("boolean", "Include drafts"), makeSchema(props$3, []))
-  },
-  {
-    name: "zola_version",
-    description: "Get Zola version",
-    inputSchema: makeSchema({}, [])
-  }
-];
-
 async function executeInit(path, force) {
   let args = [
     "init",
     path
   ];
   let args$1 = force !== undefined && force ? args.concat(["--force"]) : args;
-  return await $$Deno.Command.run("zola", args$1, undefined);
+  return await Gateway.run("Zola", undefined, [path], args$1, undefined);
 }
 
 async function executeBuild(path, baseUrl, outputDir, drafts) {
@@ -105,7 +76,7 @@ async function executeBuild(path, baseUrl, outputDir, drafts) {
       outputDir
     ]) : args$1;
   let args$3 = drafts !== undefined && drafts ? args$2.concat(["--drafts"]) : args$2;
-  return await $$Deno.Command.run("zola", args$3, path);
+  return await Gateway.run("Zola", undefined, undefined, args$3, path);
 }
 
 async function executeServe(path, port, iface, drafts, openBrowser) {
@@ -120,40 +91,160 @@ async function executeServe(path, port, iface, drafts, openBrowser) {
     ]) : args$1;
   let args$3 = drafts !== undefined && drafts ? args$2.concat(["--drafts"]) : args$2;
   let args$4 = openBrowser !== undefined && openBrowser ? args$3.concat(["--open"]) : args$3;
-  return await $$Deno.Command.run("zola", args$4, path);
+  return await Gateway.start("Zola", "zola_serve", undefined, undefined, args$4, path);
 }
 
 async function executeCheck(path, drafts) {
   let args = ["check"];
   let args$1 = drafts !== undefined && drafts ? args.concat(["--drafts"]) : args;
-  return await $$Deno.Command.run("zola", args$1, path);
+  return await Gateway.run("Zola", undefined, undefined, args$1, path);
 }
 
 async function executeVersion() {
-  return await $$Deno.Command.run("zola", ["--version"], undefined);
+  return await Gateway.run("Zola", undefined, undefined, ["--version"], undefined);
 }
 
+let deadLinkRe = /^(?:Dead|Broken) link in (\S+) to /;
+
+function outputParser_parse(stdout, stderr) {
+  let output = stdout + "\n" + stderr;
+  let deadLinks = Stdlib_Array.filterMap(BuildReport.lines(output), line => Stdlib_Option.map(Primitive_option.fromNullable(deadLinkRe.exec(line)), m => {
+    let init = BuildReport.makeDiagnostic("Error", line);
+    return {
+      severity: init.severity,
+      message: init.message,
+      file: BuildReport.group(m, 1),
+      line: init.line,
+      column: init.column
+    };
+  }));
+  return {
+    pages: BuildReport.firstInt(stdout, /Creating (\d+) pages?/),
+    diagnostics: BuildReport.genericDiagnostics(output).concat(deadLinks)
+  };
+}
+
+let outputParser_defaultOutputDir = "public";
+
+let outputParser = {
+  parse: outputParser_parse,
+  defaultOutputDir: outputParser_defaultOutputDir
+};
+
+let props = {};
+
+let props$1 = {};
+
+let props$2 = {};
+
+let props$3 = {};
+
+let tools = [
+  {
+    name: "zola_init",
+    description: "Initialize a new Zola site",
+    inputSchema: (props["path"] = makeProp("string", "Path for the new site"), props["force"] = makeProp("boolean", "Overwrite existing directory"), makeSchema(props, ["path"])),
+    annotations: {
+      readOnlyHint: Adapter.additive.readOnlyHint,
+      destructiveHint: true,
+      idempotentHint: Adapter.additive.idempotentHint,
+      openWorldHint: Adapter.additive.openWorldHint
+    },
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeInit(Params.requirePath(params, "path"), Params.bool(params, "force"))),
+    confirm: params => {
+      if (Primitive_object.equal(Params.bool(params, "force"), true)) {
+        return {
+          TAG: "Replaces",
+          _0: "."
+        };
+      }
+    }
+  },
+  {
+    name: "zola_build",
+    description: "Build the Zola site",
+    inputSchema: (props$1["path"] = makeProp("string", "Path to site root"), props$1["baseUrl"] = makeProp("string", "Base URL for the site"), props$1["outputDir"] = makeProp("string", "Output directory"), props$1["drafts"] = makeProp("boolean", "Include drafts"), makeSchema(props$1, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(outputParser, params => executeBuild(Params.path(params, "path"), Params.string(params, "baseUrl"), Params.path(params, "outputDir"), Params.bool(params, "drafts")))
+  },
+  {
+    name: "zola_serve",
+    description: "Start Zola development server",
+    inputSchema: (props$2["path"] = makeProp("string", "Path to site root"), props$2["port"] = makeProp("number", "Port number (default: 1111)"), props$2["interface"] = makeProp("string", "Interface to bind to"), props$2["drafts"] = makeProp("boolean", "Include drafts"), props$2["openBrowser"] = makeProp("boolean", "Open browser automatically"), makeSchema(props$2, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.processOutputSchema,
+    execute: Adapter.makeProcessExecutor(params => executeServe(Params.path(params, "path"), Params.int(params, "port"), Params.string(params, "interface"), Params.bool(params, "drafts"), Params.bool(params, "openBrowser")))
+  },
+  {
+    name: "zola_check",
+    description: "Check the site for errors",
+    inputSchema: (props$3["path"] = makeProp("string", "Path to site root"), props$3["drafts"] = makeProp("boolean", "Include drafts"), makeSchema(props$3, [])),
+    annotations: Adapter.checks,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(outputParser, params => executeCheck(Params.path(params, "path"), Params.bool(params, "drafts")))
+  },
+  {
+    name: "zola_version",
+    description: "Get Zola version",
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
+  }
+];
+
+let capabilities = [
+  [
+    "Init",
+    "zola_init"
+  ],
+  [
+    "Build",
+    "zola_build"
+  ],
+  [
+    "Serve",
+    "zola_serve"
+  ],
+  [
+    "Version",
+    "zola_version"
+  ],
+  [
+    "Check",
+    "zola_check"
+  ]
+];
+
 let name = "Zola";
 
 let language = "Rust";
 
 let description = "Fast static site generator written in Rust with built-in Sass compilation and syntax highlighting";
 
+let ssg = "Zola";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeInit,
   executeBuild,
   executeServe,
   executeCheck,
   executeVersion,
+  deadLinkRe,
+  outputParser,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
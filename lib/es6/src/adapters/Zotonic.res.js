@@ -1,6 +1,9 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
-import * as $$Deno from "../bindings/Deno.res.js";
+import * as Params from "../Params.res.js";
+import * as Adapter from "../Adapter.res.js";
+import * as Gateway from "../Gateway.res.js";
+import * as BuildReport from "../BuildReport.res.js";
 
 let state = {
   connected: false,
@@ -9,7 +12,7 @@ let state = {
 
 async function connect() {
   try {
-    let result = await $$Deno.Command.run("zotonic", ["status"], undefined);
+    let result = await Gateway.run("Zotonic", undefined, undefined, ["status"], undefined);
     state.connected = result.success;
     return result.success;
   } catch (exn) {
@@ -49,6 +52,48 @@ function makeProp(typeName, desc) {
   ]);
 }
 
+async function executeSiteadd(name, hostname) {
+  let args = [
+    "siteadd",
+    name
+  ];
+  let args$1 = hostname !== undefined ? args.concat([
+      "-h",
+      hostname
+    ]) : args;
+  return await Gateway.run("Zotonic", undefined, [name], args$1, undefined);
+}
+
+async function executeStart(path) {
+  return await Gateway.run("Zotonic", undefined, undefined, ["start"], path);
+}
+
+async function executeStop(path) {
+  return await Gateway.run("Zotonic", undefined, undefined, ["stop"], path);
+}
+
+async function executeSitestart(name) {
+  return await Gateway.run("Zotonic", undefined, [name], [
+    "sitestart",
+    name
+  ], undefined);
+}
+
+async function executeSitestop(name) {
+  return await Gateway.run("Zotonic", undefined, [name], [
+    "sitestop",
+    name
+  ], undefined);
+}
+
+async function executeCompile(path) {
+  return await Gateway.run("Zotonic", undefined, undefined, ["compile"], path);
+}
+
+async function executeVersion() {
+  return await Gateway.run("Zotonic", undefined, undefined, ["status"], undefined);
+}
+
 let props = {};
 
 let props$1 = {};
@@ -65,81 +110,83 @@ let tools = [
   {
     name: "zotonic_siteadd",
     description: "Add a new Zotonic site",
-    inputSchema: (props["name"] = makeProp("string", "Site name"), props["hostname"] = makeProp("string", "Site hostname"), makeSchema(props, ["name"]))
+    inputSchema: (props["name"] = makeProp("string", "Site name"), props["hostname"] = makeProp("string", "Site hostname"), makeSchema(props, ["name"])),
+    annotations: Adapter.additive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeSiteadd(Params.requireString(params, "name"), Params.string(params, "hostname")))
   },
   {
     name: "zotonic_start",
     description: "Start Zotonic",
-    inputSchema: (props$1["path"] = makeProp("string", "Path to Zotonic installation"), makeSchema(props$1, []))
+    inputSchema: (props$1["path"] = makeProp("string", "Path to Zotonic installation"), makeSchema(props$1, [])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeStart(Params.path(params, "path")))
   },
   {
     name: "zotonic_stop",
     description: "Stop Zotonic",
-    inputSchema: (props$2["path"] = makeProp("string", "Path to Zotonic installation"), makeSchema(props$2, []))
+    inputSchema: (props$2["path"] = makeProp("string", "Path to Zotonic installation"), makeSchema(props$2, [])),
+    annotations: Adapter.destructive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeStop(Params.path(params, "path"))),
+    confirm: param => ({
+      TAG: "Stops",
+      _0: "the Zotonic server"
+    })
   },
   {
     name: "zotonic_sitestart",
     description: "Start a specific site",
-    inputSchema: (props$3["name"] = makeProp("string", "Site name"), makeSchema(props$3, ["name"]))
+    inputSchema: (props$3["name"] = makeProp("string", "Site name"), makeSchema(props$3, ["name"])),
+    annotations: Adapter.starts,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeSitestart(Params.requireString(params, "name")))
   },
   {
     name: "zotonic_sitestop",
     description: "Stop a specific site",
-    inputSchema: (props$4["name"] = makeProp("string", "Site name"), makeSchema(props$4, ["name"]))
+    inputSchema: (props$4["name"] = makeProp("string", "Site name"), makeSchema(props$4, ["name"])),
+    annotations: Adapter.destructive,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(params => executeSitestop(Params.requireString(params, "name"))),
+    confirm: params => ({
+      TAG: "Stops",
+      _0: "the Zotonic site " + Params.requireString(params, "name")
+    })
   },
   {
     name: "zotonic_compile",
     description: "Compile Zotonic",
-    inputSchema: (props$5["path"] = makeProp("string", "Path to Zotonic installation"), makeSchema(props$5, []))
+    inputSchema: (props$5["path"] = makeProp("string", "Path to Zotonic installation"), makeSchema(props$5, [])),
+    annotations: Adapter.regenerates,
+    outputSchema: Adapter.buildOutputSchema,
+    execute: Adapter.makeBuildExecutor(BuildReport.generic, params => executeCompile(Params.path(params, "path")))
   },
   {
     name: "zotonic_version",
     description: "Get Zotonic version",
-    inputSchema: makeSchema({}, [])
+    inputSchema: makeSchema({}, []),
+    annotations: Adapter.readOnly,
+    outputSchema: Adapter.commandOutputSchema,
+    execute: Adapter.makeExecutor(param => executeVersion())
   }
 ];
 
-async function executeSiteadd(name, hostname) {
-  let args = [
-    "siteadd",
-    name
-  ];
-  let args$1 = hostname !== undefined ? args.concat([
-      "-h",
-      hostname
-    ]) : args;
-  return await $$Deno.Command.run("zotonic", args$1, undefined);
-}
-
-async function executeStart(path) {
-  return await $$Deno.Command.run("zotonic", ["start"], path);
-}
-
-async function executeStop(path) {
-  return await $$Deno.Command.run("zotonic", ["stop"], path);
-}
-
-async function executeSitestart(name) {
-  return await $$Deno.Command.run("zotonic", [
-    "sitestart",
-    name
-  ], undefined);
-}
-
-async function executeSitestop(name) {
-  return await $$Deno.Command.run("zotonic", [
-    "sitestop",
-    name
-  ], undefined);
-}
-
-async function executeCompile(path) {
-  return await $$Deno.Command.run("zotonic", ["compile"], path);
-}
-
-async function executeVersion() {
-  return await $$Deno.Command.run("zotonic", ["status"], undefined);
-}
+let capabilities = [
+  [
+    "Init",
+    "zotonic_siteadd"
+  ],
+  [
+    "Build",
+    "zotonic_compile"
+  ],
+  [
+    "Version",
+    "zotonic_version"
+  ]
+];
 
 let name = "Zotonic";
 
@@ -147,17 +194,19 @@ let language = "Erlang";
 
 let description = "Content management system and web framework in Erlang";
 
+let ssg = "Zotonic";
+
 export {
   name,
   language,
   description,
+  ssg,
   state,
   connect,
   disconnect,
   isConnected,
   makeSchema,
   makeProp,
-  tools,
   executeSiteadd,
   executeStart,
   executeStop,
@@ -165,5 +214,7 @@ export {
   executeSitestop,
   executeCompile,
   executeVersion,
+  tools,
+  capabilities,
 }
 /* tools Not a pure module */
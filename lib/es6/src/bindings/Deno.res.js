@@ -1,32 +1,156 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
+import * as Stdlib_Option from "@rescript/runtime/lib/es6/Stdlib_Option.js";
+import * as Primitive_option from "@rescript/runtime/lib/es6/Primitive_option.js";
 
 let TextDecoder = {};
 
 let Env = {};
 
-let Args = {};
+function get() {
+  return Deno.args;
+}
+
+let Args = {
+  get: get
+};
 
-let Fs = {};
+let AbortSignal = {};
 
-async function run(binary, args, cwdPath) {
-  let cmd = new (Deno.Command)(binary, {
+async function readLines(collectOpt, stream, onLine) {
+  let collect = collectOpt !== undefined ? collectOpt : false;
+  let reader = stream.pipeThrough(new (globalThis.TextDecoderStream)()).getReader();
+  let chunks = [];
+  let partial = "";
+  let finished = false;
+  while (!finished) {
+    let chunk = await reader.read();
+    if (chunk.done) {
+      finished = true;
+      if (partial !== "") {
+        onLine(partial);
+      }
+    } else {
+      let text = Stdlib_Option.getOr(chunk.value, "");
+      if (collect) {
+        chunks.push(text);
+      }
+      let lines = (partial + text).split("\n");
+      partial = Stdlib_Option.getOr(lines.pop(), "");
+      lines.forEach(onLine);
+    }
+  };
+  return chunks.join("");
+}
+
+let Stream = {
+  readLines: readLines
+};
+
+let Watcher = {};
+
+let Fs = {
+  Watcher: Watcher
+};
+
+let Child = {};
+
+function spawn(binary, args, cwdPath) {
+  return new (Deno.Command)(binary, {
     args: args,
     cwd: cwdPath !== undefined ? cwdPath : Deno.cwd(),
+    stdin: "null",
     stdout: "piped",
-    stderr: "piped"
+    stderr: "piped",
+    detached: true
+  }).spawn();
+}
+
+function killTree(child, signal) {
+  try {
+    Deno.kill(-child.pid | 0, signal);
+    return;
+  } catch (exn) {
+    try {
+      child.kill(signal);
+      return;
+    } catch (exn$1) {
+      return;
+    }
+  }
+}
+
+async function run(binary, args, cwdPath, timeoutMs, signal, onLine) {
+  let child = new (Deno.Command)(binary, {
+    args: args,
+    cwd: cwdPath !== undefined ? cwdPath : Deno.cwd(),
+    stdin: "null",
+    stdout: "piped",
+    stderr: "piped",
+    detached: true
+  }).spawn();
+  let timedOut = {
+    contents: false
+  };
+  let cancelled = {
+    contents: false
+  };
+  let escalation = {
+    contents: undefined
+  };
+  let abort = () => {
+    killTree(child, "SIGTERM");
+    escalation.contents = Primitive_option.some(setTimeout(() => killTree(child, "SIGKILL"), 5000));
+  };
+  let timer = Stdlib_Option.map(timeoutMs, ms => setTimeout(() => {
+    timedOut.contents = true;
+    abort();
+  }, ms));
+  if (signal !== undefined) {
+    let s = Primitive_option.valFromOption(signal);
+    let onAbort = () => {
+      if (!timedOut.contents && !cancelled.contents) {
+        cancelled.contents = true;
+        return abort();
+      }
+    };
+    if (s.aborted) {
+      onAbort();
+    } else {
+      s.addEventListener("abort", onAbort);
+    }
+  }
+  let emit = (stream, line) => {
+    if (onLine !== undefined) {
+      return onLine(stream, line);
+    }
+  };
+  let stdout = readLines(true, child.stdout, __x => emit("stdout", __x));
+  let stderr = readLines(true, child.stderr, __x => emit("stderr", __x));
+  let result = await child.status;
+  let stdout$1 = await stdout;
+  let stderr$1 = await stderr;
+  Stdlib_Option.forEach(timer, prim => {
+    clearTimeout(prim);
+  });
+  Stdlib_Option.forEach(escalation.contents, prim => {
+    clearTimeout(prim);
   });
-  let result = await cmd.output();
-  let decoder = new TextDecoder();
   return {
-    success: result.success,
-    stdout: decoder.decode(result.stdout),
-    stderr: decoder.decode(result.stderr),
-    code: result.code
+    success: result.success && !timedOut.contents && !cancelled.contents,
+    stdout: stdout$1,
+    stderr: stderr$1,
+    code: result.code,
+    timedOut: timedOut.contents,
+    cancelled: cancelled.contents
   };
 }
 
 let Command = {
+  Child: Child,
+  spawn: spawn,
+  killGraceMs: 5000,
+  killTree: killTree,
   run: run
 };
 
@@ -34,6 +158,8 @@ export {
   TextDecoder,
   Env,
   Args,
+  AbortSignal,
+  Stream,
   Fs,
   Command,
 }
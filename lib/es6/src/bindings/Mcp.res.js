@@ -1,5 +1,6 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
+import * as TypesJs from "@modelcontextprotocol/sdk/types.js";
 
 function makeTextContent(text) {
   return {
@@ -19,18 +20,43 @@ function makeToolResult(text, isErrorOpt) {
   };
 }
 
-function makeJsonResult(data) {
+function makeJsonResult(data, isErrorOpt) {
+  let isError = isErrorOpt !== undefined ? isErrorOpt : false;
   return {
     content: [{
         type: "text",
         text: JSON.stringify(data, undefined, 2)
-      }]
+      }],
+    isError: isError ? true : undefined
   };
 }
 
+function makeStructuredResult(data, isErrorOpt) {
+  let isError = isErrorOpt !== undefined ? isErrorOpt : false;
+  let newrecord = {...makeJsonResult(data, isError)};
+  newrecord.structuredContent = data;
+  return newrecord;
+}
+
+let ErrorCode = {
+  parseError: -32700,
+  invalidRequest: -32600,
+  methodNotFound: -32601,
+  invalidParams: -32602,
+  internalError: -32603,
+  resourceNotFound: -32002
+};
+
+function throwError(code, message, data) {
+  throw new TypesJs.McpError(code, message, data);
+}
+
 export {
   makeTextContent,
   makeToolResult,
   makeJsonResult,
+  makeStructuredResult,
+  ErrorCode,
+  throwError,
 }
-/* No side effect */
+/* @modelcontextprotocol/sdk/types.js Not a pure module */
@@ -1,11 +1,10 @@
 // Generated by ReScript, PLEASE EDIT WITH CARE
 
 import * as Http from "../bindings/Http.res.js";
+import * as Protocol from "../Protocol.res.js";
 import * as Stdlib_Dict from "@rescript/runtime/lib/es6/Stdlib_Dict.js";
 import * as Primitive_option from "@rescript/runtime/lib/es6/Primitive_option.js";
 
-let protocolVersion = "2025-06-18";
-
 let LogLevel = {
   debug: 0,
   info: 1,
@@ -326,7 +325,7 @@ function jsonResponse(transport, data, statusOpt, sessionIdOpt) {
   let sessionId = sessionIdOpt !== undefined ? Primitive_option.valFromOption(sessionIdOpt) : undefined;
   let headers = {};
   headers["Content-Type"] = "application/json";
-  headers["MCP-Protocol-Version"] = protocolVersion;
+  headers["MCP-Protocol-Version"] = Protocol.latestVersion;
   if (sessionId !== undefined) {
     headers["Mcp-Session-Id"] = sessionId;
   }
@@ -344,7 +343,7 @@ function jsonResponse(transport, data, statusOpt, sessionIdOpt) {
 function acceptedResponse(transport, sessionIdOpt) {
   let sessionId = sessionIdOpt !== undefined ? Primitive_option.valFromOption(sessionIdOpt) : undefined;
   let headers = {};
-  headers["MCP-Protocol-Version"] = protocolVersion;
+  headers["MCP-Protocol-Version"] = Protocol.latestVersion;
   if (sessionId !== undefined) {
     headers["Mcp-Session-Id"] = sessionId;
   }
@@ -365,7 +364,7 @@ function sseResponse(transport, session, messages) {
   headers["Content-Type"] = "text/event-stream";
   headers["Cache-Control"] = "no-cache";
   headers["Mcp-Session-Id"] = session.id;
-  headers["MCP-Protocol-Version"] = protocolVersion;
+  headers["MCP-Protocol-Version"] = Protocol.latestVersion;
   if (transport.options.enableCors) {
     headers["Access-Control-Allow-Origin"] = "*";
     headers["Access-Control-Expose-Headers"] = "Mcp-Session-Id, MCP-Protocol-Version";
@@ -419,6 +418,8 @@ function getHealth(transport) {
   return result;
 }
 
+let protocolVersion = Protocol.latestVersion;
+
 export {
   protocolVersion,
   LogLevel,
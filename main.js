@@ -5,6 +5,36 @@
 
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import {
+  CallToolRequestSchema,
+  CompleteRequestSchema,
+  ElicitResultSchema,
+  GetPromptRequestSchema,
+  InitializeRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  LoggingLevelSchema,
+  ReadResourceRequestSchema,
+  SetLevelRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import process from "node:process";
+import { StreamableHttpTransport } from "./transport/streamable-http.js";
+import { createAuth, loadAuthConfig, METADATA_PATH } from "./transport/auth.js";
+import { KvSessionStore } from "./transport/session-store.js";
+import * as Server from "./lib/es6/src/Server.res.js";
+import * as Supervisor from "./lib/es6/src/Supervisor.res.js";
+import * as Conformance from "./lib/es6/src/Conformance.res.js";
+import * as Scopes from "./lib/es6/src/Scopes.res.js";
+import * as Resilience from "./lib/es6/src/Resilience.res.js";
+import * as Metrics from "./lib/es6/src/Metrics.res.js";
+import * as Protocol from "./lib/es6/src/Protocol.res.js";
+import * as Prompts from "./lib/es6/src/Prompts.res.js";
+import * as Resources from "./lib/es6/src/Resources.res.js";
+import * as Completion from "./lib/es6/src/Completion.res.js";
 
 // Import all adapters from compiled ReScript
 import * as Zola from "./lib/es6/src/adapters/Zola.res.js";
@@ -58,135 +88,279 @@ const adapters = [
   Corral,
 ];
 
+// `deno task conformance`: report adapters whose declared capabilities do not
+// match their tools, without starting the server
+if (Deno.args.includes("--conformance")) {
+  Deno.exit(Conformance.report(adapters) > 0 ? 1 : 0);
+}
+
 const PACKAGE_VERSION = "1.1.0";
-const FEEDBACK_URL = "https://github.com/hyperpolymath/polyglot-ssg-mcp/issues";
-
-// Create MCP server
-const server = new McpServer({
-  name: "polyglot-ssg-mcp",
-  version: PACKAGE_VERSION,
-  description: "Unified MCP server for 29 static site generators across 20 languages",
-});
-
-// Meta tools
-server.tool("ssg_list", "List all available SSG adapters", {}, async () => {
-  const list = adapters.map(a => ({
-    name: a.name,
-    language: a.language,
-    description: a.description,
-    connected: a.isConnected(),
-    toolCount: a.tools.length,
-  }));
-  return { content: [{ type: "text", text: JSON.stringify(list, null, 2) }] };
-});
-
-server.tool("ssg_detect", "Auto-detect installed SSGs", {}, async () => {
-  const results = [];
-  for (const a of adapters) {
-    try {
-      const connected = await a.connect();
-      results.push({ name: a.name, language: a.language, available: connected });
-    } catch {
-      results.push({ name: a.name, language: a.language, available: false });
-    }
-  }
-  const available = results.filter(r => r.available);
-  return {
-    content: [{
-      type: "text",
-      text: JSON.stringify({
-        summary: `${available.length}/${results.length} SSGs available`,
-        available: available.map(r => `${r.name} (${r.language})`),
-        details: results,
-      }, null, 2),
-    }],
+
+// How long a confirmation question waits for the user
+const ELICIT_TIMEOUT_MS = 10 * 60 * 1000;
+
+const languages = [...new Set(adapters.map((a) => a.language))];
+
+// Tools are listed and dispatched by the ReScript registry (Server.res) with
+// their JSON Schema input definitions, so arguments reach each adapter's
+// typed execute handler unchanged. STDIO uses one server; HTTP builds one
+// per session, so both modes behave identically.
+function createMcpServer() {
+  const serverInfo = {
+    name: "polyglot-ssg-mcp",
+    version: PACKAGE_VERSION,
+    description: "Unified MCP server for 29 static site generators across 20 languages",
+  };
+  const capabilities = {
+    tools: { listChanged: true },
+    resources: { subscribe: true },
+    prompts: {},
+    completions: {},
+    logging: {},
   };
-});
+  const server = new McpServer(serverInfo, { capabilities });
 
-server.tool("ssg_help", "Get help for a specific SSG", {
-  ssg: { type: "string", description: "SSG name" },
-}, async ({ ssg }) => {
-  const adapter = adapters.find(a => a.name.toLowerCase() === ssg.toLowerCase());
-  if (!adapter) {
+  // Answered here rather than by the SDK, which accepts any revision it
+  // knows: only those Protocol.res supports are offered. Only public SDK
+  // API is used, so an SDK update cannot silently bypass this.
+  let protocolVersion = Protocol.latestVersion;
+  let clientCapabilities = {};
+  server.server.setRequestHandler(InitializeRequestSchema, (request) => {
+    protocolVersion = Protocol.negotiate(request.params.protocolVersion);
+    clientCapabilities = request.params.capabilities;
+    // Completions became a declared capability in 2025-03-26; older clients
+    // may still send completion/complete
+    const { completions: _completions, ...older } = capabilities;
     return {
-      content: [{ type: "text", text: `Unknown SSG: ${ssg}` }],
-      isError: true,
+      protocolVersion,
+      capabilities: Protocol.supportsFeature(protocolVersion, "completions") ? capabilities : older,
+      serverInfo,
     };
+  });
+
+  // Lowest level of log messages the client wants (logging/setLevel); every
+  // server serves one client, so one level suffices
+  let logLevel;
+  const severity = (level) => LoggingLevelSchema.options.indexOf(level);
+  server.server.setRequestHandler(SetLevelRequestSchema, (request) => {
+    logLevel = request.params.level;
+    return {};
+  });
+
+  // extra.authInfo is set in HTTP mode with auth; its scopes limit the tools
+  // listed and callable. Annotations and output schemas are only listed for
+  // protocol revisions that define them.
+  server.server.setRequestHandler(ListToolsRequestSchema, (_request, extra) => ({
+    tools: Server.listTools(adapters, extra.authInfo?.scopes, protocolVersion),
+  }));
+
+  // extra.signal is aborted by notifications/cancelled for this request; with a
+  // progressToken, command output is streamed back as progress notifications
+  // and, down to the level set with logging/setLevel, log messages.
+  // Destructive tools ask the user through elicitation when the client
+  // supports it (Confirm.res).
+  // HTTP session this server belongs to, for stopping its background
+  // processes when it ends (extra.sessionId is unset over STDIO)
+  let sessionId;
+  server.server.setRequestHandler(CallToolRequestSchema, (request, extra) => {
+    sessionId = extra.sessionId;
+    const canElicit = clientCapabilities.elicitation &&
+      Protocol.supportsFeature(protocolVersion, "elicitation");
+    return Server.callTool(adapters, request.params.name, request.params.arguments ?? {}, {
+      signal: extra.signal,
+      progressToken: request.params._meta?.progressToken,
+      sendNotification: extra.sendNotification,
+      elicit: canElicit
+        ? (params) =>
+          extra.sendRequest({ method: "elicitation/create", params }, ElicitResultSchema, {
+            signal: extra.signal,
+            timeout: ELICIT_TIMEOUT_MS,
+          })
+        : undefined,
+      scopes: extra.authInfo?.scopes,
+      protocolVersion,
+      sessionId: extra.sessionId,
+      logs: (level) => logLevel === undefined || severity(level) >= severity(logLevel),
+    });
+  });
+
+  // Publishing workflows built from the adapters' tools (Prompts.res)
+  server.server.setRequestHandler(ListPromptsRequestSchema, (_request, extra) =>
+    Prompts.list(adapters, extra.authInfo?.scopes)
+  );
+  server.server.setRequestHandler(GetPromptRequestSchema, (request, extra) =>
+    Prompts.get(adapters, request.params.name, request.params.arguments ?? {}, extra.authInfo?.scopes)
+  );
+
+  // Suggestions for prompt arguments and resource template variables
+  // (Completion.res)
+  server.server.setRequestHandler(CompleteRequestSchema, (request, extra) =>
+    Completion.complete(
+      adapters,
+      request.params.ref,
+      request.params.argument.name,
+      request.params.argument.value,
+      request.params.context?.arguments ?? {},
+      extra.authInfo?.scopes,
+    )
+  );
+
+  // Site projects as ssg://project/... resources (Resources.res); updates to
+  // subscribed ones are sent until the server closes
+  const subscriber = Resources.makeSubscriber((uri) =>
+    server.server.sendResourceUpdated({ uri }).catch(() => {})
+  );
+  server.server.onclose = () => {
+    Resources.release(subscriber);
+    if (sessionId) {
+      Supervisor.stopSession(sessionId);
+    }
+  };
+  server.server.setRequestHandler(ListResourcesRequestSchema, (request, extra) =>
+    Resources.list(request.params?.cursor, extra.authInfo?.scopes)
+  );
+  server.server.setRequestHandler(ListResourceTemplatesRequestSchema, () => Resources.templates());
+  server.server.setRequestHandler(ReadResourceRequestSchema, (request, extra) =>
+    Resources.read(request.params.uri, extra.authInfo?.scopes)
+  );
+  server.server.setRequestHandler(SubscribeRequestSchema, (request, extra) =>
+    Resources.subscribe(subscriber, request.params.uri, extra.authInfo?.scopes)
+  );
+  server.server.setRequestHandler(UnsubscribeRequestSchema, (request) =>
+    Resources.unsubscribe(subscriber, request.params.uri)
+  );
+
+  return server;
+}
+
+async function startStdioMode() {
+  const server = createMcpServer();
+  // Background dev servers must not outlive the MCP session
+  process.stdin.on("end", Supervisor.shutdown);
+  const release = server.server.onclose;
+  server.server.onclose = () => {
+    release();
+    Supervisor.shutdown();
+  };
+  await server.connect(new StdioServerTransport());
+}
+
+async function startHttpMode() {
+  const port = parseInt(Deno.env.get("PORT") || "8000");
+  const host = Deno.env.get("HOST") || "0.0.0.0";
+
+  // Bearer token / JWT auth from the file named by MCP_AUTH_CONFIG
+  const authConfigPath = Deno.env.get("MCP_AUTH_CONFIG");
+  const auth = authConfigPath
+    ? await createAuth(await loadAuthConfig(authConfigPath), {
+      scopesSupported: Scopes.supported(adapters.map((a) => a.name)),
+    })
+    : null;
+  if (!auth) {
+    console.error("Warning: HTTP mode without authentication; set MCP_AUTH_CONFIG to require tokens");
   }
-  return {
-    content: [{
-      type: "text",
-      text: JSON.stringify({
-        name: adapter.name,
-        language: adapter.language,
-        description: adapter.description,
-        tools: adapter.tools.map(t => ({ name: t.name, description: t.description })),
-      }, null, 2),
-    }],
+
+  // Limits set in the environment; the transport has defaults for the rest
+  const limits = {};
+  const envLimit = (option, name, scale = 1) => {
+    const value = parseInt(Deno.env.get(name) ?? "");
+    if (value > 0) {
+      limits[option] = value * scale;
+    }
   };
-});
-
-server.tool("ssg_version", "Get version information", {}, async () => {
-  const languages = [...new Set(adapters.map(a => a.language))];
-  return {
-    content: [{
-      type: "text",
-      text: JSON.stringify({
-        name: "polyglot-ssg-mcp",
+  // Events kept per session for Last-Event-ID replay
+  envLimit("eventLogSize", "MCP_EVENT_LOG_SIZE");
+  envLimit("eventLogMaxAgeMs", "MCP_EVENT_LOG_MAX_AGE_SECONDS", 1000);
+  envLimit("maxBodyBytes", "MCP_MAX_BODY_BYTES");
+  envLimit("maxBatchSize", "MCP_MAX_BATCH_SIZE");
+  // MCP_SESSION_STORE=kv keeps sessions in Deno KV (MCP_KV_PATH, or the
+  // default database), so they survive restarts and are shared by instances
+  const sessionStore = Deno.env.get("MCP_SESSION_STORE") === "kv"
+    ? await KvSessionStore.open(Deno.env.get("MCP_KV_PATH"))
+    : undefined;
+
+  const transport = new StreamableHttpTransport(createMcpServer, {
+    path: "/mcp",
+    auth,
+    sessionStore,
+    health: Resilience.toJson,
+    protocol: { versions: Protocol.supportedVersions, supports: Protocol.supportsFeature },
+    ...limits,
+    // Tool calls run to their own timeouts; nothing else should be cut
+    // shorter than the slowest of them
+    requestTimeoutMs: Server.longestTimeoutMs(adapters),
+  });
+
+  const json = (data) =>
+    new Response(JSON.stringify(data), { headers: { "Content-Type": "application/json" } });
+
+  const onListen = ({ hostname, port }) =>
+    console.error(`Listening on http://${hostname}:${port}/mcp`);
+
+  Deno.serve({ port, hostname: host, onListen }, async (request) => {
+    const url = new URL(request.url);
+
+    if (url.pathname === "/health") {
+      return json({
+        status: "ok",
         version: PACKAGE_VERSION,
         ssgs: adapters.length,
         languages: languages.length,
-        runtime: "Deno",
-        core: "ReScript",
-        feedback: FEEDBACK_URL,
-      }, null, 2),
-    }],
-  };
-});
-
-// Register adapter tools
-for (const adapter of adapters) {
-  for (const tool of adapter.tools) {
-    const props = tool.inputSchema?.properties || {};
-    server.tool(tool.name, tool.description, props, async (params) => {
-      try {
-        if (!adapter.isConnected()) {
-          const connected = await adapter.connect();
-          if (!connected) {
-            return {
-              content: [{ type: "text", text: `${adapter.name} is not available.` }],
-              isError: true,
-            };
-          }
+        transport: await transport.getHealth(),
+      });
+    }
+
+    // Prometheus scrape target: tool metrics (Metrics.res) and the
+    // transport's session and request series. They name every tool, SSG and
+    // error count, so with auth the scraper needs a token for all of them.
+    if (url.pathname === "/metrics") {
+      if (auth) {
+        const authInfo = await auth.authenticate(request);
+        if (authInfo instanceof Response) {
+          return authInfo;
         }
-        // Call execute if available, otherwise return tool info
-        if (tool.execute) {
-          const result = await tool.execute(params);
-          return {
-            content: [{
-              type: "text",
-              text: typeof result === "string" ? result : JSON.stringify(result, null, 2),
-            }],
-          };
+        if (!Scopes.allows(authInfo.scopes, undefined, "read")) {
+          return new Response(JSON.stringify(Scopes.deniedToJson("/metrics", undefined, "read")), {
+            status: 403,
+            headers: { "Content-Type": "application/json" },
+          });
         }
-        return {
-          content: [{ type: "text", text: `Tool ${tool.name} registered (execute not implemented yet)` }],
-        };
-      } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error: ${error.message}` }],
-          isError: true,
-        };
       }
-    });
-  }
+      return new Response(Metrics.render() + await transport.prometheusMetrics(), {
+        headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" },
+      });
+    }
+
+    // Protected-resource metadata, also under the resource path (RFC 9728)
+    if (auth && (url.pathname === METADATA_PATH || url.pathname === `${METADATA_PATH}/mcp`)) {
+      return auth.metadataResponse(request);
+    }
+
+    if (url.pathname === "/" || url.pathname === "/info") {
+      return json({
+        name: "polyglot-ssg-mcp",
+        version: PACKAGE_VERSION,
+        protocol: "MCP Streamable HTTP",
+        protocolVersion: Protocol.latestVersion,
+        protocolVersions: Protocol.supportedVersions,
+        endpoint: "/mcp",
+        legacyEndpoint: "/sse",
+        ssgs: adapters.map((a) => ({ name: a.name, language: a.language })),
+        documentation: "https://github.com/hyperpolymath/polyglot-ssg-mcp",
+      });
+    }
+
+    return transport.handleRequest(request);
+  });
 }
 
-// Start server
-const languages = [...new Set(adapters.map(a => a.language))];
-console.error(`polyglot-ssg-mcp v${PACKAGE_VERSION} (STDIO mode)`);
-console.error(`${adapters.length} SSGs across ${languages.length} languages`);
-console.error(`Feedback: ${FEEDBACK_URL}`);
+// Start server (HTTP with --http, MCP_HTTP_MODE=true or on Deno Deploy)
+const mode = Server.detectMode();
+Server.logStartup(mode, adapters);
+Supervisor.installShutdownHooks();
 
-const transport = new StdioServerTransport();
-await server.connect(transport);
+if (mode === "Http") {
+  await startHttpMode();
+} else {
+  await startStdioMode();
+}
@@ -7,11 +7,201 @@ type toolInput = {.}
 
 type toolExecutor = JSON.t => promise<JSON.t>
 
+// Wrap a typed execute* handler as a tool executor. Parameters are decoded
+// with the Params module inside the handler.
+let makeExecutor = (handler: JSON.t => promise<Executor.commandResult>): toolExecutor =>
+  async params => Executor.resultToJson(await handler(params))
+
+// Wrap a handler that starts a background process (dev servers, watchers);
+// the tool returns the process handle instead of waiting for the exit.
+let makeProcessExecutor = (handler: JSON.t => promise<Supervisor.managed>): toolExecutor =>
+  async params => Supervisor.toJson(await handler(params))
+
+// Parameters that name the directory a build writes to
+let outputParams = ["outputDir", "output", "dest", "destination"]
+
+// Like makeExecutor for build and check tools: the result also carries a
+// "report" parsed from the CLI output with the adapter's parser.
+let makeBuildExecutor = (
+  parser: BuildReport.parser,
+  handler: JSON.t => promise<Executor.commandResult>,
+): toolExecutor =>
+  async params => {
+    let started = Date.now()
+    let result = await handler(params)
+    let projectDir = Params.path(params, "path")->Option.getOr(Workspace.defaultRoot())
+    let outputDir = switch Array.findMap(outputParams, key => Params.path(params, key)) {
+    | Some(dir) => Some(dir)
+    | None => parser.defaultOutputDir->Option.map(dir => Path.resolve([projectDir, dir]))
+    }
+    let report = BuildReport.make(parser, result, ~durationMs=Date.now() -. started, ~outputDir)
+    switch Executor.resultToJson(result) {
+    | JSON.Object(obj) =>
+      Dict.set(obj, "report", BuildReport.toJson(report))
+      JSON.Encode.object(obj)
+    | json => json
+    }
+  }
+
+// MCP tool annotations: hints that let clients tell safe calls (auto-approve)
+// from ones to confirm. Only sent to clients of protocol 2025-03-26 or later.
+// https://modelcontextprotocol.io/specification/2025-06-18/server/tools#tool-annotations
+type annotations = {
+  readOnlyHint: bool,
+  destructiveHint: bool,
+  // Repeating the call with the same arguments has no further effect
+  idempotentHint: bool,
+  // Reaches beyond the local machine (remote hosts, external links)
+  openWorldHint: bool,
+}
+
+// Version and listing tools
+let readOnly = {readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false}
+
+// Check and test tools; link checkers fetch external URLs
+let checks = {readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true}
+
+// Init and new-content tools: add files, and fail or add more when repeated
+let additive = {readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false}
+
+// Build tools: regenerate the output directory from the sources
+let regenerates = {readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false}
+
+// Clean, reset and stop tools
+let destructive = {readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false}
+
+// Dev servers and watchers: each call starts another background process
+let starts = {readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false}
+
+// Deploy tools: replace the published site on a remote host
+let publishes = {readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true}
+
+// Tools that run project-defined code (Babashka tasks and scripts)
+let runsCode = {readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true}
+
+let annotationsToJson = (a: annotations) =>
+  JSON.Encode.object(
+    Dict.fromArray([
+      ("readOnlyHint", JSON.Encode.bool(a.readOnlyHint)),
+      ("destructiveHint", JSON.Encode.bool(a.destructiveHint)),
+      ("idempotentHint", JSON.Encode.bool(a.idempotentHint)),
+      ("openWorldHint", JSON.Encode.bool(a.openWorldHint)),
+    ]),
+  )
+
+// ============================================================================
+// Output schemas
+// ============================================================================
+
+// Results are also returned as structuredContent matching these schemas
+// (protocol 2025-06-18 and later)
+
+let schemaType = (typeName: string) => JSON.Encode.object(Dict.fromArray([("type", JSON.Encode.string(typeName))]))
+
+let objectSchema = (properties: array<(string, JSON.t)>, required: array<string>) =>
+  JSON.Encode.object(
+    Dict.fromArray([
+      ("type", JSON.Encode.string("object")),
+      ("properties", JSON.Encode.object(Dict.fromArray(properties))),
+      ("required", JSON.Encode.array(Array.map(required, JSON.Encode.string))),
+    ]),
+  )
+
+let arraySchema = (items: JSON.t) =>
+  JSON.Encode.object(Dict.fromArray([("type", JSON.Encode.string("array")), ("items", items)]))
+
+let nullable = (typeName: string) =>
+  JSON.Encode.object(
+    Dict.fromArray([("type", JSON.Encode.array([JSON.Encode.string(typeName), JSON.Encode.string("null")]))]),
+  )
+
+let commandProperties = [
+  ("success", schemaType("boolean")),
+  ("code", schemaType("integer")),
+  ("stdout", schemaType("string")),
+  ("stderr", schemaType("string")),
+  ("timedOut", schemaType("boolean")),
+  ("cancelled", schemaType("boolean")),
+]
+
+let commandRequired = ["success", "code", "stdout", "stderr"]
+
+// Executor.resultToJson
+let commandOutputSchema = objectSchema(commandProperties, commandRequired)
+
+// BuildReport.toJson
+let reportSchema = {
+  let diagnostic = objectSchema(
+    [
+      ("severity", schemaType("string")),
+      ("message", schemaType("string")),
+      ("file", schemaType("string")),
+      ("line", schemaType("integer")),
+      ("column", schemaType("integer")),
+    ],
+    ["severity", "message"],
+  )
+  objectSchema(
+    [
+      ("success", schemaType("boolean")),
+      ("pages", nullable("integer")),
+      ("warnings", arraySchema(diagnostic)),
+      ("errors", arraySchema(diagnostic)),
+      ("durationMs", schemaType("number")),
+      ("outputDir", nullable("string")),
+    ],
+    ["success", "pages", "warnings", "errors", "durationMs", "outputDir"],
+  )
+}
+
+// makeBuildExecutor; the report is missing when a unified tool dispatches to
+// a plain command (Babashka's bb_task)
+let buildOutputSchema = objectSchema(Array.concat(commandProperties, [("report", reportSchema)]), commandRequired)
+
+// Supervisor.toJson
+let processOutputSchema = objectSchema(
+  [
+    ("id", schemaType("string")),
+    ("tool", schemaType("string")),
+    ("command", schemaType("string")),
+    ("cwd", schemaType("string")),
+    ("pid", schemaType("integer")),
+    ("status", schemaType("string")),
+    ("exitCode", schemaType("integer")),
+    ("startedAt", schemaType("string")),
+    ("restarts", schemaType("integer")),
+    ("recentOutput", arraySchema(schemaType("string"))),
+  ],
+  ["id", "tool", "command", "pid", "status", "startedAt", "restarts"],
+)
+
+// What a destructive call does, shown when the user is asked to confirm it
+// (see Confirm). Paths are relative to the project ("path" parameter) unless
+// absolute.
+type effect =
+  // Directories removed; [] when the SSG decides which build artifacts go
+  | Deletes(array<string>)
+  // A directory overwritten with new content
+  | Replaces(string)
+  // The directory uploaded to the site's host
+  | Publishes(string)
+  // A running server or site, by name
+  | Stops(string)
+
 type tool = {
   name: string,
   description: string,
   inputSchema: JSON.t,
+  annotations: annotations,
+  // commandOutputSchema, buildOutputSchema or processOutputSchema, matching
+  // the executor
+  outputSchema: JSON.t,
   execute?: toolExecutor,
+  // Set on destructive tools: the call's effect, or None when these
+  // arguments make it harmless
+  confirm?: JSON.t => option<effect>,
+  // Default limit for foreground commands (CallContext.defaultTimeoutMs if unset)
+  timeoutMs?: int,
 }
 
 type adapterState = {
@@ -19,6 +209,39 @@ type adapterState = {
   mutable projectPath: option<string>,
 }
 
+// Standard operations that every SSG adapter should implement
+type operation =
+  | Init // Initialize new project
+  | Build // Build the site
+  | Serve // Start dev server
+  | Clean // Clean build artifacts
+  | Version // Show version
+  | NewPost // Create new content
+  | NewPage // Create new page
+  | Check // Check/validate site
+  | Deploy // Deploy site
+
+let operations = [Init, Build, Serve, Clean, Version, NewPost, NewPage, Check, Deploy]
+
+let operationName = (operation: operation) =>
+  switch operation {
+  | Init => "init"
+  | Build => "build"
+  | Serve => "serve"
+  | Clean => "clean"
+  | Version => "version"
+  | NewPost => "new_post"
+  | NewPage => "new_page"
+  | Check => "check"
+  | Deploy => "deploy"
+  }
+
+let standardTools = Array.map(operations, operationName)
+
+// A standard operation and the adapter tool that implements it. Native names
+// are kept where the SSG's own vocabulary differs (serum_server, cryogen_new).
+type capability = (operation, string)
+
 type adapter = {
   name: string,
   description: string,
@@ -27,17 +250,9 @@ type adapter = {
   disconnect: unit => promise<unit>,
   isConnected: unit => bool,
   tools: array<tool>,
+  capabilities: array<capability>,
 }
 
-// Standard tools that every SSG adapter should implement
-let standardTools = [
-  "init",      // Initialize new project
-  "build",     // Build the site
-  "serve",     // Start dev server
-  "clean",     // Clean build artifacts
-  "version",   // Show version
-  "new_post",  // Create new content
-  "new_page",  // Create new page
-  "check",     // Check/validate site
-  "deploy",    // Deploy site
-]
+// Adapter tool implementing a standard operation, if declared
+let toolFor = (capabilities: array<capability>, operation: operation) =>
+  Array.find(capabilities, ((op, _)) => op == operation)->Option.map(((_, tool)) => tool)
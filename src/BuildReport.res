@@ -0,0 +1,147 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// Normalized build reports parsed from SSG CLI output
+//
+// Adapters describe their CLI's output with a parser; build and check tools
+// attach the resulting report (pages, located warnings/errors, duration,
+// output directory) to the raw command result.
+
+type severity = Warning | Error
+
+type diagnostic = {
+  severity: severity,
+  message: string,
+  file: option<string>,
+  line: option<int>,
+  column: option<int>,
+}
+
+// What a parser can read from stdout/stderr
+type parsed = {
+  pages: option<int>,
+  diagnostics: array<diagnostic>,
+}
+
+type parser = {
+  parse: (~stdout: string, ~stderr: string) => parsed,
+  // Where the site is written when no output parameter is given, relative to
+  // the project directory
+  defaultOutputDir: option<string>,
+}
+
+type t = {
+  success: bool,
+  pages: option<int>,
+  warnings: array<diagnostic>,
+  errors: array<diagnostic>,
+  durationMs: float,
+  outputDir: option<string>,
+}
+
+let lines = (text: string) =>
+  String.split(text, "\n")->Array.map(String.trim)->Array.filter(line => line != "")
+
+let group = (result: RegExp.Result.t, index: int) =>
+  RegExp.Result.matches(result)->Array.get(index - 1)->Option.flatMap(x => x)
+
+let intGroup = (result: RegExp.Result.t, index: int) =>
+  group(result, index)->Option.flatMap(s => Int.fromString(s))
+
+let firstInt = (text: string, re: RegExp.t) =>
+  lines(text)->Array.findMap(line => RegExp.exec(re, line)->Option.flatMap(intGroup(_, 1)))
+
+// file:line[:column] anywhere in a line, e.g. "content/post.md:12:5: bad link".
+// The file needs an extension so URLs and timestamps are not mistaken for it.
+let locationRe = %re("/([^\s:'\"()]+\.[A-Za-z0-9]+):(\d+)(?::(\d+))?/")
+
+let errorRe = %re("/\b(error|fatal|failed)\b/i")
+let warningRe = %re("/\bwarn(ing)?\b/i")
+// Summaries such as "0 errors" or "no warnings" are not diagnostics
+let noneRe = %re("/\b(0|no) (errors?|warnings?)\b/i")
+
+let severityOf = (line: string) =>
+  if RegExp.test(noneRe, line) {
+    None
+  } else if RegExp.test(errorRe, line) {
+    Some(Error)
+  } else if RegExp.test(warningRe, line) {
+    Some(Warning)
+  } else {
+    None
+  }
+
+let makeDiagnostic = (severity: severity, message: string) => {
+  switch RegExp.exec(locationRe, message) {
+  | Some(m) => {
+      severity,
+      message,
+      file: group(m, 1),
+      line: intGroup(m, 2),
+      column: intGroup(m, 3),
+    }
+  | None => {severity, message, file: None, line: None, column: None}
+  }
+}
+
+// Lines mentioning error/warning become diagnostics, located when they
+// contain file:line[:column]. Works passably for most compilers and SSGs.
+let genericDiagnostics = (text: string) =>
+  lines(text)->Array.filterMap(line =>
+    severityOf(line)->Option.map(severity => makeDiagnostic(severity, line))
+  )
+
+let generic: parser = {
+  parse: (~stdout, ~stderr) => {
+    pages: None,
+    diagnostics: genericDiagnostics(stdout ++ "\n" ++ stderr),
+  },
+  defaultOutputDir: None,
+}
+
+let severityToString = (severity: severity) =>
+  switch severity {
+  | Warning => "warning"
+  | Error => "error"
+  }
+
+let make = (parser: parser, result: Executor.commandResult, ~durationMs, ~outputDir) => {
+  let {pages, diagnostics} = parser.parse(~stdout=result.stdout, ~stderr=result.stderr)
+  {
+    success: result.success,
+    pages,
+    warnings: Array.filter(diagnostics, d => d.severity == Warning),
+    errors: Array.filter(diagnostics, d => d.severity == Error),
+    durationMs,
+    outputDir,
+  }
+}
+
+let diagnosticToJson = (d: diagnostic) => {
+  let obj = Dict.make()
+  Dict.set(obj, "severity", JSON.Encode.string(severityToString(d.severity)))
+  Dict.set(obj, "message", JSON.Encode.string(d.message))
+  Option.forEach(d.file, file => Dict.set(obj, "file", JSON.Encode.string(file)))
+  Option.forEach(d.line, line => Dict.set(obj, "line", JSON.Encode.int(line)))
+  Option.forEach(d.column, column => Dict.set(obj, "column", JSON.Encode.int(column)))
+  JSON.Encode.object(obj)
+}
+
+let toJson = (report: t) => {
+  let obj = Dict.make()
+  Dict.set(obj, "success", JSON.Encode.bool(report.success))
+  Dict.set(
+    obj,
+    "pages",
+    report.pages->Option.mapOr(JSON.Encode.null, JSON.Encode.int),
+  )
+  Dict.set(obj, "warnings", JSON.Encode.array(Array.map(report.warnings, diagnosticToJson)))
+  Dict.set(obj, "errors", JSON.Encode.array(Array.map(report.errors, diagnosticToJson)))
+  Dict.set(obj, "durationMs", JSON.Encode.float(report.durationMs))
+  Dict.set(
+    obj,
+    "outputDir",
+    report.outputDir->Option.mapOr(JSON.Encode.null, JSON.Encode.string),
+  )
+  JSON.Encode.object(obj)
+}
@@ -0,0 +1,166 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// State of the tool call in progress (timeout, cancellation, output stream)
+//
+// Carried with AsyncLocalStorage so Gateway sees it without every adapter
+// threading it through its execute functions.
+
+// Sends a {method, params} notification to the client that made the request
+type notifier = JSON.t => promise<unit>
+
+// Sends elicitation/create params ({message, requestedSchema}) to the client
+// that made the request; resolves to its {action, content} result
+type elicitor = JSON.t => promise<JSON.t>
+
+// What the transport knows about a tools/call request
+type request = {
+  signal?: Deno.AbortSignal.t,
+  progressToken?: JSON.t,
+  sendNotification?: notifier,
+  // Set when the client declared the elicitation capability
+  elicit?: elicitor,
+  // Scopes of the caller's access token (HTTP with auth); absent = unrestricted
+  scopes?: array<string>,
+  // Negotiated in initialize (Protocol.negotiate)
+  protocolVersion?: string,
+  // MCP session of an HTTP caller; its background processes end with it
+  sessionId?: string,
+  // Whether the client wants log messages of a level (logging/setLevel)
+  logs?: string => bool,
+}
+
+type t = {
+  // Adapter whose tool is running, for its circuit breaker (Resilience)
+  adapter: option<string>,
+  timeoutMs: int,
+  // timeoutMs is shorter than the tool's default because the caller asked for
+  // it; such timeouts are not held against the toolchain (Resilience.classify)
+  shortened?: bool,
+  signal: option<Deno.AbortSignal.t>,
+  // Called with ("stdout" | "stderr", line) while a command runs
+  onOutput: option<(string, string) => unit>,
+  // Owner of background processes the call starts (Supervisor.stopSession)
+  sessionId?: string,
+}
+
+// Used when neither the tool nor the call sets a timeout
+let defaultTimeoutMs = 300_000
+
+let storage: AsyncLocalStorage.t<t> = AsyncLocalStorage.make()
+
+let current = () => AsyncLocalStorage.getStore(storage)
+
+let run = (context: t, fn: unit => promise<'a>) => AsyncLocalStorage.run(storage, context, fn)
+
+// Per-call override: a positive timeoutSeconds argument wins over the tool's
+// default
+let timeoutFor = (~toolDefault: option<int>, params: JSON.t) =>
+  switch Params.int(params, "timeoutSeconds") {
+  | Some(seconds) if seconds > 0 => seconds * 1000
+  | Some(_) => Params.invalid("timeoutSeconds", "a positive integer")
+  | None => Option.getOr(toolDefault, defaultTimeoutMs)
+  }
+
+let notification = (method: string, params: dict<JSON.t>) =>
+  JSON.Encode.object(
+    Dict.fromArray([("method", JSON.Encode.string(method)), ("params", JSON.Encode.object(params))]),
+  )
+
+// Output is reported at most this often; lines printed in between go out
+// together
+let reportIntervalMs = 250
+
+// Lines per notifications/message; the rest of a burst is only counted
+let maxReportedLines = 100
+
+type reporter = {
+  onOutput: (string, string) => unit,
+  // Sends what is pending; called before the tool's result
+  flush: unit => unit,
+}
+
+// Progress for long builds: output lines are batched into one
+// notifications/progress (progress = lines so far, message = the latest
+// line) and, unless the client's log level is above info, one
+// notifications/message per interval. Returns None unless the client asked
+// for progress with a progressToken.
+let outputReporter = (~tool: string, request: request) =>
+  switch (request.progressToken, request.sendNotification) {
+  | (Some(token), Some(send)) =>
+    let lines = ref(0)
+    let pending = []
+    let omitted = ref(0)
+    let timer = ref(None)
+    // 2024-11-05 progress notifications carry no message
+    let withMessage = Protocol.supports(
+      request.protocolVersion->Option.getOr(Protocol.latestVersion),
+      ProgressMessages,
+    )
+    let logs = request.logs->Option.mapOr(true, wants => wants("info"))
+    let deliver = message => {
+      let _ = send(message)->Promise.catch(_ => Promise.resolve())
+    }
+    let flush = () => {
+      Option.forEach(timer.contents, clearTimeout)
+      timer := None
+      switch Array.at(pending, -1) {
+      | None => ()
+      | Some((_, latest)) =>
+        deliver(
+          notification(
+            "notifications/progress",
+            Dict.fromArray(
+              Array.concat(
+                [("progressToken", token), ("progress", JSON.Encode.int(lines.contents))],
+                withMessage ? [("message", JSON.Encode.string(latest))] : [],
+              ),
+            ),
+          ),
+        )
+        if logs {
+          let reported = pending->Array.map(((stream, line)) =>
+            JSON.Encode.object(
+              Dict.fromArray([
+                ("stream", JSON.Encode.string(stream)),
+                ("line", JSON.Encode.string(line)),
+              ]),
+            )
+          )
+          let data = Dict.fromArray([("lines", JSON.Encode.array(reported))])
+          if omitted.contents > 0 {
+            Dict.set(data, "omitted", JSON.Encode.int(omitted.contents))
+          }
+          deliver(
+            notification(
+              "notifications/message",
+              Dict.fromArray([
+                ("level", JSON.Encode.string("info")),
+                ("logger", JSON.Encode.string(tool)),
+                ("data", JSON.Encode.object(data)),
+              ]),
+            ),
+          )
+        }
+        Array.splice(pending, ~start=0, ~remove=Array.length(pending), ~insert=[])
+        omitted := 0
+      }
+    }
+    Some({
+      onOutput: (stream, line) => {
+        lines := lines.contents + 1
+        if Array.length(pending) < maxReportedLines {
+          Array.push(pending, (stream, line))
+        } else {
+          // Keep the latest line for the progress message
+          pending->Array.set(maxReportedLines - 1, (stream, line))
+          omitted := omitted.contents + 1
+        }
+        if Option.isNone(timer.contents) {
+          timer := Some(setTimeout(flush, reportIntervalMs))
+        }
+      },
+      flush,
+    })
+  | _ => None
+  }
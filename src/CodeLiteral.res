@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// Encode user-supplied values as source-code literals for eval-based adapters
+// (`julia -e`, `sbcl --eval`). Never splice a raw parameter into code: a quote
+// in a path would end the string and run the rest as code.
+
+let hexEscape = (code: int) => "\\x" ++ Int.toString(code, ~radix=16)->String.padStart(2, "0")
+
+let isControl = (code: int) => code < 32 || code == 127
+
+let juliaChar = (c: string) =>
+  switch c {
+  | "\\" => "\\\\"
+  | "\"" => "\\\""
+  | "$" => "\\$" // string interpolation
+  | "\n" => "\\n"
+  | "\r" => "\\r"
+  | "\t" => "\\t"
+  | _ =>
+    let code = String.charCodeAtUnsafe(c, 0)
+    isControl(code) ? hexEscape(code) : c
+  }
+
+// Julia string literal, e.g. julia(`a"b$c`) == `"a\"b\$c"`
+let julia = (value: string) =>
+  "\"" ++ value->String.split("")->Array.map(juliaChar)->Array.join("") ++ "\""
+
+// Julia Symbol built from a string literal, for keyword arguments such as
+// template=:name where the name comes from a parameter
+let juliaSymbol = (value: string) => "Symbol(" ++ julia(value) ++ ")"
+
+let lispChar = (c: string) =>
+  switch c {
+  | "\\" => "\\\\"
+  | "\"" => "\\\""
+  | _ => c
+  }
+
+// Common Lisp (and Racket) string literal. Inside a string the reader only
+// treats backslash and double quote specially.
+let lisp = (value: string) =>
+  "\"" ++ value->String.split("")->Array.map(lispChar)->Array.join("") ++ "\""
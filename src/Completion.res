@@ -0,0 +1,207 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// Argument completion (completion/complete)
+//
+// Suggests values for prompt arguments and resource template variables.
+// Completion reads the workspace only; it never starts a process.
+// https://modelcontextprotocol.io/specification/2025-06-18/server/utilities/completion
+
+open Adapter
+
+type source =
+  | SsgNames // adapter names from the registry
+  | Paths // files and directories under the workspace roots
+  | ProjectNames // ssg://project/{name}
+  | ProjectFiles(Resources.kind) // ssg://project/{name}/source/{path}
+
+// Parameters naming a file or directory
+let pathArguments = Array.concat(["path", "script"], outputParams)
+
+// Listing directories is reading: paths need the read scope of the prompt's
+// adapter, or of any adapter for workflows not tied to one
+let listsPaths = (scopes: option<array<string>>, prompt: Prompts.prompt) =>
+  switch prompt.adapter {
+  | Some(_) => Scopes.allows(scopes, ~adapter=prompt.adapter, ~category="read")
+  | None => Scopes.allowsSome(scopes, ~category="read")
+  }
+
+// What an argument of the prompt completes to
+let sourceFor = (prompt: Prompts.prompt, ~argument: string, scopes) =>
+  switch argument {
+  | _ if !Array.some(prompt.arguments, arg => arg.name == argument) => None
+  | "ssg" | "to" | "from" => Some(SsgNames)
+  | name if Array.includes(pathArguments, name) && listsPaths(scopes, prompt) => Some(Paths)
+  | _ => None
+  }
+
+// Completion responses carry at most this many values
+let maxValues = 100
+
+// ============================================================================
+// Sources
+// ============================================================================
+
+// Entries of the directory value points into whose names continue it:
+// "content/po" lists content/ for names starting with "po". Directories end
+// in "/" so the next request descends into them. Only directories below one
+// of the workspace roots are listed, after symlinks are resolved.
+let pathValues = (~base: string, value: string) => {
+  let slash = switch String.lastIndexOf(value, "/") {
+  | -1 => 0
+  | index => index + 1
+  }
+  let typed = String.slice(value, ~start=0, ~end=slash)
+  let prefix = String.slice(value, ~start=slash)
+  let dir = Workspace.canonicalize(Path.resolve([base, Workspace.expandHome(typed)]))
+  let roots = Workspace.roots()
+  let listed = if Array.some(roots, Workspace.contains(_, dir)) {
+    Resources.entries(dir)
+    ->Array.filter(entry =>
+      String.startsWith(entry.name, prefix) &&
+      (String.startsWith(prefix, ".") || !Resources.ignored(entry.name))
+    )
+    ->Array.map(entry => typed ++ entry.name ++ (entry.isDirectory ? "/" : ""))
+  } else {
+    []
+  }
+  // An absolute path on its way to a root ("/srv/si" for /srv/sites)
+  let towards = Array.filter(roots, root =>
+    value != "" && String.startsWith(root, value) && root != dir
+  )
+  Array.concat(listed, Array.map(towards, root => root ++ "/"))
+}
+
+// Files of a project that resources/read serves: the same directories
+// (Resources.within), without symlinks or hidden entries
+let resourceValues = (~base: string, value: string) => {
+  let slash = switch String.lastIndexOf(value, "/") {
+  | -1 => 0
+  | index => index + 1
+  }
+  let typed = String.slice(value, ~start=0, ~end=slash)
+  let prefix = String.slice(value, ~start=slash)
+  Resources.within(base, typed)->Option.mapOr([], dir =>
+    Resources.entries(dir)
+    ->Array.filter(entry =>
+      String.startsWith(entry.name, prefix) && !Resources.ignored(entry.name) && !entry.isSymlink
+    )
+    ->Array.map(entry => typed ++ entry.name ++ (entry.isDirectory ? "/" : ""))
+  )
+}
+
+// ============================================================================
+// completion/complete
+// ============================================================================
+
+let invalid = (message: string, ref: JSON.t) =>
+  Mcp.throwError(Mcp.ErrorCode.invalidParams, message, JSON.Encode.object(Dict.fromArray([("ref", ref)])))
+
+// The project directory from the arguments given so far; None if it is
+// outside the workspace
+let projectDir = (context: dict<string>) =>
+  switch Dict.get(context, "path") {
+  | Some(path) =>
+    try {
+      Some(Workspace.resolve("path", path))
+    } catch {
+    | _ => None
+    }
+  | None => Some(Workspace.defaultRoot())
+  }
+
+let candidates = async (
+  adapters: array<adapter>,
+  source: source,
+  ~argument: string,
+  value: string,
+  context: dict<string>,
+  scopes: option<array<string>>,
+) =>
+  switch source {
+  | SsgNames => Array.map(adapters, a => String.toLowerCase(a.name))
+  // Path arguments other than "path" are relative to the project directory,
+  // as in Params.path
+  | Paths =>
+    let base = argument == "path" ? Some(Workspace.defaultRoot()) : projectDir(context)
+    base->Option.mapOr([], base => pathValues(~base, value))
+  | ProjectNames =>
+    (await Resources.discover())
+    ->Array.filter(Resources.readable(scopes, _))
+    ->Array.map(p => p.name)
+  | ProjectFiles(kind) =>
+    let name = Dict.get(context, "name")
+    let project = (await Resources.discover())->Array.find(p =>
+      Some(p.name) == name && Resources.readable(scopes, p)
+    )
+    let base = switch (project, kind) {
+    | (Some(p), Output) => p.output
+    | (Some(p), _) => Some(p.dir)
+    | (None, _) => None
+    }
+    base->Option.mapOr([], base => resourceValues(~base, value))
+  }
+
+// The source for an argument of the prompt or resource template a reference
+// names. Throws invalid params (-32602) for unknown references.
+let resolveRef = (adapters: array<adapter>, ref: JSON.t, ~argument: string, scopes) =>
+  switch (Params.string(ref, "type"), Params.string(ref, "name"), Params.string(ref, "uri")) {
+  | (Some("ref/prompt"), Some(name), _) =>
+    switch Prompts.all(adapters)->Array.find(p => p.name == name && Prompts.allowed(scopes, p)) {
+    | Some(prompt) => sourceFor(prompt, ~argument, scopes)
+    | None => invalid("Unknown prompt: " ++ name, ref)
+    }
+  | (Some("ref/resource"), _, Some(uri)) =>
+    let template = String.slice(uri, ~start=String.length(Resources.scheme))
+    switch (String.startsWith(uri, Resources.scheme) ? template : "", argument) {
+    | ("{name}/config" | "{name}/source/{path}" | "{name}/output/{path}", "name") =>
+      Some(ProjectNames)
+    | ("{name}/source/{path}", "path") => Some(ProjectFiles(Source))
+    | ("{name}/output/{path}", "path") => Some(ProjectFiles(Output))
+    | ("{name}/config" | "{name}/source/{path}" | "{name}/output/{path}", _) => None
+    | _ => invalid("Unknown resource template: " ++ uri, ref)
+    }
+  | _ => invalid("Unsupported reference", ref)
+  }
+
+let complete = async (
+  adapters: array<adapter>,
+  ref: JSON.t,
+  ~argument: string,
+  ~value: string,
+  ~context: dict<string>,
+  scopes: option<array<string>>,
+) => {
+  let values = switch resolveRef(adapters, ref, ~argument, scopes) {
+  | Some(source) =>
+    let all = await candidates(adapters, source, ~argument, value, context, scopes)
+    // Paths are already matched segment by segment
+    let lower = String.toLowerCase(value)
+    let matching = switch source {
+    | Paths | ProjectFiles(_) => all
+    | _ => Array.filter(all, v => String.startsWith(String.toLowerCase(v), lower))
+    }
+    // Without duplicates (a root that is also an entry of the typed directory)
+    Array.filterWithIndex(matching, (v, i) => Array.indexOf(matching, v) == i)
+  | None => []
+  }
+  JSON.Encode.object(
+    Dict.fromArray([
+      (
+        "completion",
+        JSON.Encode.object(
+          Dict.fromArray([
+            (
+              "values",
+              Array.slice(values, ~start=0, ~end=maxValues)
+              ->Array.map(JSON.Encode.string)
+              ->JSON.Encode.array,
+            ),
+            ("total", JSON.Encode.int(Array.length(values))),
+            ("hasMore", JSON.Encode.bool(Array.length(values) > maxValues)),
+          ]),
+        ),
+      ),
+    ]),
+  )
+}
@@ -0,0 +1,131 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// Confirmation of destructive tool calls
+//
+// Tools with a `confirm` effect (Adapter.effect) run once the user agrees.
+// Clients that support elicitation are asked with elicitation/create; for
+// the others MCP_CONFIRM_FALLBACK decides: "deny" refuses the call, "allow"
+// runs it, and "require" (the default) runs it only with `confirm: true`.
+// https://modelcontextprotocol.io/specification/2025-06-18/client/elicitation
+
+open Adapter
+
+type fallback = Deny | Allow | RequireArgument
+
+let fallback = switch Deno.Env.get("MCP_CONFIRM_FALLBACK") {
+| Some("deny") => Deny
+| Some("allow") => Allow
+| _ => RequireArgument
+}
+
+// Counting stops here so a huge output tree does not delay the question
+let countLimit = 10_000
+
+// Files below dir without following symlinks, or None if it does not exist
+let countFiles = (dir: string) => {
+  let count = ref(0)
+  let rec walk = dir =>
+    Array.fromIterator(Deno.Fs.readDirSync(dir))->Array.forEach(entry =>
+      if count.contents < countLimit {
+        if entry.isDirectory {
+          try walk(Path.join([dir, entry.name])) catch {
+          | _ => ()
+          }
+        } else {
+          count := count.contents + 1
+        }
+      }
+    )
+  try {
+    walk(dir)
+    Some(count.contents)
+  } catch {
+  | _ => None
+  }
+}
+
+let describeDir = (dir: string) =>
+  switch countFiles(dir) {
+  | None => dir ++ " (does not exist)"
+  | Some(1) => dir ++ " (1 file)"
+  | Some(n) if n >= countLimit => `${dir} (${Int.toString(countLimit)}+ files)`
+  | Some(n) => `${dir} (${Int.toString(n)} files)`
+  }
+
+// "hakyll_clean will delete /site/_site (40 files) and /site/_cache (3 files)."
+let describe = (~tool: string, ~projectDir: string, effect: effect) => {
+  let dir = target => describeDir(Path.resolve([projectDir, target]))
+  switch effect {
+  | Deletes([]) => `${tool} will delete the build artifacts in ${projectDir}.`
+  | Deletes(targets) => `${tool} will delete ${targets->Array.map(dir)->Array.join(" and ")}.`
+  | Replaces(target) => `${tool} will overwrite ${dir(target)}.`
+  | Publishes(target) => `${tool} will publish ${dir(target)} to the site's host.`
+  | Stops(name) => `${tool} will stop ${name}.`
+  }
+}
+
+let elicitation = (message: string) =>
+  JSON.Encode.object(
+    Dict.fromArray([
+      ("message", JSON.Encode.string(message ++ " Continue?")),
+      (
+        "requestedSchema",
+        objectSchema(
+          [
+            (
+              "confirm",
+              JSON.Encode.object(
+                Dict.fromArray([
+                  ("type", JSON.Encode.string("boolean")),
+                  ("title", JSON.Encode.string("Run it")),
+                  ("default", JSON.Encode.bool(false)),
+                ]),
+              ),
+            ),
+          ],
+          ["confirm"],
+        ),
+      ),
+    ]),
+  )
+
+// The user must both accept the form and tick the box
+let accepted = (result: JSON.t) =>
+  Params.string(result, "action") == Some("accept") &&
+    Params.field(result, "content")->Option.flatMap(Params.bool(_, "confirm")) == Some(true)
+
+let exists = (path: string) =>
+  try {
+    let _ = Deno.Fs.realPathSync(path)
+    true
+  } catch {
+  | _ => false
+  }
+
+// None to run the call, or why it was not run
+let check = async (tool: tool, params: JSON.t, request: CallContext.request) => {
+  let projectDir = Params.path(params, "path")->Option.getOr(Workspace.defaultRoot())
+  switch tool.confirm->Option.flatMap(effectOf => effectOf(params)) {
+  | None => None
+  // Nothing to delete
+  | Some(Deletes(targets))
+    if targets != [] && !Array.some(targets, t => exists(Path.resolve([projectDir, t]))) =>
+    None
+  | Some(effect) =>
+    let message = describe(~tool=tool.name, ~projectDir, effect)
+    switch (request.elicit, fallback) {
+    | (Some(elicit), _) =>
+      accepted(await elicit(elicitation(message)))
+        ? None
+        : Some(message ++ " The user did not confirm it, so it was not run.")
+    | (None, Allow) => None
+    | (None, Deny) =>
+      Some(message ++ " This client cannot be asked to confirm it (MCP_CONFIRM_FALLBACK=deny).")
+    | (None, RequireArgument) =>
+      Params.bool(params, "confirm") == Some(true)
+        ? None
+        : Some(message ++ " Call it again with confirm: true to proceed.")
+    }
+  }
+}
@@ -0,0 +1,167 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// Conformance of adapters to the standard operations (Adapter.operations)
+//
+// Every adapter declares its capabilities, mapping standard operations to its
+// own tool names. The checker compares those declarations with the tools the
+// adapter really exposes:
+// - errors: a capability naming a tool that does not exist, an operation
+//   declared twice, or a tool with the standard name (zola_build) that is
+//   not declared for its operation
+// - warnings: operations the adapter does not support, and operations served
+//   by a tool with a native name (serum_server for serve)
+// Run `deno task conformance` to print the report; it fails on errors.
+
+open Adapter
+
+type kind =
+  | Missing
+  | Misnamed
+  | UnknownTool
+  | Duplicate
+  | Undeclared
+
+type issue = {
+  adapter: string,
+  operation: operation,
+  kind: kind,
+  message: string,
+}
+
+let isError = (issue: issue) =>
+  switch issue.kind {
+  | UnknownTool | Duplicate | Undeclared => true
+  | Missing | Misnamed => false
+  }
+
+let kindToString = (kind: kind) =>
+  switch kind {
+  | Missing => "missing"
+  | Misnamed => "misnamed"
+  | UnknownTool => "unknown_tool"
+  | Duplicate => "duplicate"
+  | Undeclared => "undeclared"
+  }
+
+// Tool name prefix shared by an adapter's tools, e.g. "nimble_publisher_"
+let toolPrefix = (tools: array<tool>) => {
+  let names = Array.map(tools, t => t.name)
+  switch names {
+  | [] => ""
+  | _ =>
+    let first = Array.getUnsafe(names, 0)
+    let length = ref(String.length(first))
+    Array.forEach(names, name => {
+      while !String.startsWith(name, String.slice(first, ~start=0, ~end=length.contents)) {
+        length := length.contents - 1
+      }
+    })
+    let common = String.slice(first, ~start=0, ~end=length.contents)
+    String.slice(common, ~start=0, ~end=String.lastIndexOf(common, "_") + 1)
+  }
+}
+
+// Standard tool name of an operation, e.g. "zola_new_post"
+let standardName = (adapter: adapter, operation: operation) =>
+  toolPrefix(adapter.tools) ++ operationName(operation)
+
+let check = (adapter: adapter) => {
+  let issues = []
+  let report = (operation, kind, message) =>
+    Array.push(issues, {adapter: adapter.name, operation, kind, message})
+  let exists = name => Array.some(adapter.tools, t => t.name == name)
+  Array.forEach(operations, operation => {
+    let standard = standardName(adapter, operation)
+    let declared = Array.filter(adapter.capabilities, ((op, _)) => op == operation)
+    switch declared {
+    | [] =>
+      if exists(standard) {
+        report(operation, Undeclared, standard ++ " exists but is not declared as " ++ operationName(operation))
+      } else {
+        report(operation, Missing, "no " ++ operationName(operation) ++ " tool")
+      }
+    | [(_, tool)] =>
+      if !exists(tool) {
+        report(operation, UnknownTool, tool ++ " is declared but not exposed")
+      } else if tool != standard {
+        if exists(standard) {
+          report(operation, Undeclared, standard ++ " exists but " ++ tool ++ " is declared")
+        } else {
+          report(operation, Misnamed, tool ++ " (standard name: " ++ standard ++ ")")
+        }
+      }
+    | _ =>
+      let tools = Array.map(declared, ((_, tool)) => tool)->Array.join(", ")
+      report(operation, Duplicate, "declared more than once: " ++ tools)
+    }
+  })
+  issues
+}
+
+let issueToJson = (issue: issue) => {
+  let obj = Dict.make()
+  Dict.set(obj, "operation", JSON.Encode.string(operationName(issue.operation)))
+  Dict.set(obj, "kind", JSON.Encode.string(kindToString(issue.kind)))
+  Dict.set(obj, "severity", JSON.Encode.string(isError(issue) ? "error" : "warning"))
+  Dict.set(obj, "message", JSON.Encode.string(issue.message))
+  JSON.Encode.object(obj)
+}
+
+// Operations x adapters: the native tool for each supported operation (null
+// when unsupported), how many adapters support each operation, and any
+// conformance issues
+let matrix = (adapters: array<adapter>) => {
+  let rows = Array.map(adapters, adapter => {
+    let tools = Dict.make()
+    Array.forEach(operations, operation =>
+      Dict.set(
+        tools,
+        operationName(operation),
+        toolFor(adapter.capabilities, operation)->Option.mapOr(JSON.Encode.null, JSON.Encode.string),
+      )
+    )
+    let problems = check(adapter)->Array.filter(issue => issue.kind != Missing)
+    let row = Dict.make()
+    Dict.set(row, "name", JSON.Encode.string(adapter.name))
+    Dict.set(row, "language", JSON.Encode.string(adapter.language))
+    Dict.set(row, "operations", JSON.Encode.object(tools))
+    Dict.set(row, "issues", JSON.Encode.array(Array.map(problems, issueToJson)))
+    JSON.Encode.object(row)
+  })
+  let coverage = Dict.make()
+  Array.forEach(operations, operation => {
+    let supported = Array.filter(adapters, a => Option.isSome(toolFor(a.capabilities, operation)))
+    Dict.set(coverage, operationName(operation), JSON.Encode.int(Array.length(supported)))
+  })
+  let result = Dict.make()
+  Dict.set(result, "operations", JSON.Encode.array(Array.map(standardTools, JSON.Encode.string)))
+  Dict.set(result, "coverage", JSON.Encode.object(coverage))
+  Dict.set(result, "adapters", JSON.Encode.array(rows))
+  JSON.Encode.object(result)
+}
+
+// Print every issue to stderr; returns the number of errors
+let report = (adapters: array<adapter>) => {
+  let issues = Array.flatMap(adapters, check)
+  Array.forEach(issues, issue =>
+    Console.error(
+      (isError(issue) ? "error" : "warning") ++
+      " " ++
+      issue.adapter ++
+      " " ++
+      operationName(issue.operation) ++
+      ": " ++
+      issue.message,
+    )
+  )
+  let errors = Array.filter(issues, isError)->Array.length
+  Console.error(
+    Int.toString(Array.length(adapters)) ++
+    " adapters, " ++
+    Int.toString(errors) ++
+    " errors, " ++
+    Int.toString(Array.length(issues) - errors) ++ " warnings",
+  )
+  errors
+}
@@ -57,30 +57,70 @@ type commandResult = {
   stdout: string,
   stderr: string,
   code: int,
+  timedOut: bool,
+  cancelled: bool,
 }
 
-// Allowed subcommands for SSG operations
-let allowedCommands = [
-  "init",
-  "new",
-  "create",
-  "build",
-  "serve",
-  "watch",
-  "deploy",
-  "check",
-  "clean",
-  "version",
-  "help",
-  "generate",
-  "preview",
-  "publish",
-  "render",
-]
+// Encode a command result as the structured JSON returned by tool executors
+let resultToJson = (result: commandResult) => {
+  let obj = Dict.make()
+  Dict.set(obj, "success", JSON.Encode.bool(result.success))
+  Dict.set(obj, "code", JSON.Encode.int(result.code))
+  Dict.set(obj, "stdout", JSON.Encode.string(result.stdout))
+  Dict.set(obj, "stderr", JSON.Encode.string(result.stderr))
+  if result.timedOut {
+    Dict.set(obj, "timedOut", JSON.Encode.bool(true))
+  }
+  if result.cancelled {
+    Dict.set(obj, "cancelled", JSON.Encode.bool(true))
+  }
+  JSON.Encode.object(obj)
+}
+
+// Subcommands each SSG may be invoked with, checked against the first
+// argument by Gateway. An entry ending in "=" matches any value for that
+// option (e.g. "--project=docs"); "" allows a bare invocation.
+let allowedCommands = ssg =>
+  switch ssg {
+  | Zola => ["init", "build", "serve", "check", "--version"]
+  | Cobalt => ["init", "new", "build", "serve", "watch", "clean", "--version"]
+  | MdBook => ["init", "build", "serve", "watch", "test", "clean", "--version"]
+  | Serum => ["serum.new", "serum.build", "serum.server", "serum", "--version"]
+  | NimblePublisher => ["phx.new", "phx.server", "compile", "--version"]
+  | Tableau => ["tableau.new", "tableau.build", "tableau.server", "--version"]
+  | Hakyll => ["new", "exec", "--version"]
+  | Ema => ["run", "gen", "flake", "--version"]
+  | YOCaml => ["init", "build", "clean", "--version"]
+  | Fornax => ["new", "build", "watch", "clean", "version"]
+  | Publish => ["new", "generate", "run", "deploy", "--version"]
+  | Coleslaw => ["--eval", "--version"]
+  | Orchid => ["init", "build", "serve", "deploy", "--version"]
+  | Franklin | StaticWebPages | Documenter => ["-e", "--project=", "--version"]
+  | Cryogen => ["new", "run", "ring", "version"]
+  | Perun => ["new", "build", "dev", "--version"]
+  | Babashka => ["run", "--file", "tasks", "nrepl-server", "--version"]
+  | Laika => ["transform", "generate", "preview", "--version"]
+  | ScalaTex => ["init", "clean", "-w", "--version"]
+  | Zotonic => ["siteadd", "sitestart", "sitestop", "start", "stop", "compile", "status"]
+  | Pollen => ["pollen"]
+  | Frog => ["frog"]
+  | Reggae => ["", "--backend=", "build", "clean", "--version"]
+  | Wub => ["wub.tcl", "-c", "--version"]
+  | Marmot => ["init", "build", "serve", "watch", "--version"]
+  | Nimrod => ["init", "build", "serve", "clean", "--version"]
+  | Corral => ["init", "new", "build", "serve", "check", "clean", "version"]
+  }
 
-// Sanitize arguments to prevent shell injection
-let sanitizeArg = arg =>
-  arg->String.replaceRegExp(%re("/[;&|`$(){}\\[\\]<>]/g"), "")
+// SSGs whose build tool runs project-defined targets (mill, boot), so a
+// caller-supplied target may stand in for the subcommand
+let acceptsTargets = ssg =>
+  switch ssg {
+  | ScalaTex | Perun => true
+  | _ => false
+  }
+
+// A caller-supplied value in a positional slot must not be read as an option
+let isOptionLike = arg => String.startsWith(arg, "-")
 
 // Get the binary name for each SSG
 let getBinary = ssg =>
@@ -93,10 +133,10 @@ let getBinary = ssg =>
   | Tableau => "mix"
   | Hakyll => "stack"
   | Ema => "ema"
-  | YOCaml => "yocaml"
+  | YOCaml => "dune"
   | Fornax => "fornax"
   | Publish => "publish"
-  | Coleslaw => "coleslaw"
+  | Coleslaw => "sbcl"
   | Orchid => "orchid"
   | Franklin => "julia"
   | StaticWebPages => "julia"
@@ -110,12 +150,22 @@ let getBinary = ssg =>
   | Pollen => "raco"
   | Frog => "raco"
   | Reggae => "reggae"
-  | Wub => "wub"
+  | Wub => "tclsh"
   | Marmot => "marmot"
   | Nimrod => "nimrod"
   | Corral => "corral"
   }
 
+// Binaries an adapter may run: the SSG's own CLI plus any toolchain
+// probes and scaffolding tools it relies on
+let getBinaries = ssg =>
+  switch ssg {
+  | Ema => ["ema", "nix"]
+  | YOCaml => ["dune", "opam"]
+  | Nimrod => ["nimrod", "nim"]
+  | _ => [getBinary(ssg)]
+  }
+
 // Get language for display
 let getLanguage = ssg =>
   switch ssg {
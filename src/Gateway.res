@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// Command gateway - the single path from adapters to the OS
+//
+// Before anything is spawned, the gateway checks three things:
+// - the binary belongs to the SSG (Executor.getBinaries)
+// - the first argument is an allowed subcommand (Executor.allowedCommands)
+// - no caller-supplied operand starts with "-" and smuggles in an option
+// Denied calls are logged to stderr and surface as a tool error. Commands
+// without a project path run in the first workspace root. Allowed commands
+// go through the binary's circuit breaker (Resilience), and their exit codes
+// are counted (Metrics).
+
+let commandLine = (binary: string, args: array<string>) =>
+  Array.join(Array.concat([binary], args), " ")
+
+let deny = (binary: string, args: array<string>, reason: string) => {
+  Console.error("[gateway] denied `" ++ commandLine(binary, args) ++ "`: " ++ reason)
+  JsError.throwWithMessage("Command denied: " ++ reason)
+}
+
+let matchesCommand = (arg: string, allowed: string) =>
+  arg == allowed || (String.endsWith(allowed, "=") && String.startsWith(arg, allowed))
+
+let check = (ssg: Executor.ssg, binary: string, args: array<string>, operands: array<string>) => {
+  if !Array.includes(Executor.getBinaries(ssg), binary) {
+    deny(binary, args, binary ++ " is not a " ++ Executor.getBinary(ssg) ++ " toolchain binary")
+  }
+  let subcommand = Array.get(args, 0)->Option.getOr("")
+  let isTarget = Executor.acceptsTargets(ssg) && Array.includes(operands, subcommand)
+  if !isTarget && !Array.some(Executor.allowedCommands(ssg), matchesCommand(subcommand, _)) {
+    deny(binary, args, "subcommand '" ++ subcommand ++ "' is not allowed")
+  }
+  switch Array.find(operands, Executor.isOptionLike) {
+  | Some(operand) => deny(binary, args, "argument '" ++ operand ++ "' must not start with '-'")
+  | None => ()
+  }
+}
+
+// Run a command to completion within the current call's timeout and
+// cancellation signal, streaming output to the caller if it asked for
+// progress. operands lists the caller-supplied values that sit in positional
+// slots of args.
+let run = async (
+  ssg: Executor.ssg,
+  ~binary=Executor.getBinary(ssg),
+  ~operands=[],
+  args: array<string>,
+  cwd: option<string>,
+) => {
+  check(ssg, binary, args, operands)
+  let context = CallContext.current()
+  let adapter = context->Option.flatMap(c => c.adapter)
+  let result = await Resilience.guard(
+    ~binary,
+    ~adapter,
+    () =>
+      Deno.Command.run(
+        binary,
+        args,
+        Some(Option.getOr(cwd, Workspace.defaultRoot())),
+        ~timeoutMs=context->Option.mapOr(CallContext.defaultTimeoutMs, c => c.timeoutMs),
+        ~signal=?context->Option.flatMap(c => c.signal),
+        ~onLine=?context->Option.flatMap(c => c.onOutput),
+      ),
+    Resilience.classify(~shortened=?context->Option.flatMap(c => c.shortened), _),
+  )
+  Metrics.recordExit(~adapter, result)
+  result
+}
+
+// A background process that died during startup with 126+ counts as failed
+let classifyStart = (proc: Supervisor.managed) =>
+  switch proc.status {
+  | Exited(code) if code >= 126 => Resilience.Failed("exit code " ++ Int.toString(code))
+  | _ => Resilience.Succeeded
+  }
+
+// Start a long-running command under the supervisor
+let start = async (
+  ssg: Executor.ssg,
+  ~tool: string,
+  ~binary=Executor.getBinary(ssg),
+  ~operands=[],
+  args: array<string>,
+  cwd: option<string>,
+) => {
+  check(ssg, binary, args, operands)
+  let context = CallContext.current()
+  await Resilience.guard(
+    ~binary,
+    ~adapter=context->Option.flatMap(c => c.adapter),
+    () =>
+      Supervisor.start(
+        ~tool,
+        ~session=?context->Option.flatMap(c => c.sessionId),
+        binary,
+        args,
+        Some(Option.getOr(cwd, Workspace.defaultRoot())),
+      ),
+    classifyStart,
+  )
+}
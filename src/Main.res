@@ -120,7 +120,7 @@ let createServer = (adapters: array<adapterModule>) => {
         t.description,
         schemaProps,
         async (params: JSON.t) => {
-          let result = await executeAdapterTool(adapter, t, params)
+          let result = await executeAdapterTool(adapter, t, params, {})
           Obj.magic(result)
         },
       )
@@ -218,7 +218,7 @@ let startHttpMode = async (adapters: array<adapterModule>) => {
       Dict.set(info, "name", JSON.Encode.string("polyglot-ssg-mcp"))
       Dict.set(info, "version", JSON.Encode.string(packageVersion))
       Dict.set(info, "protocol", JSON.Encode.string("MCP Streamable HTTP"))
-      Dict.set(info, "protocolVersion", JSON.Encode.string("2025-06-18"))
+      Dict.set(info, "protocolVersion", JSON.Encode.string(Protocol.latestVersion))
       Dict.set(info, "endpoint", JSON.Encode.string("/mcp"))
       Dict.set(info, "ssgs", JSON.Encode.array(ssgList))
       Dict.set(
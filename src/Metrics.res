@@ -0,0 +1,236 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// Tool call metrics in the Prometheus text exposition format
+//
+// Counts and latencies are recorded per tool call (Server.callTool) and exit
+// codes per command (Gateway.run). Breaker, bulkhead and background process
+// state is read from Resilience and Supervisor when the metrics are rendered.
+// The HTTP transport adds its own session and rate-limit series (see
+// /metrics in main.js).
+// https://prometheus.io/docs/instrumenting/exposition_formats/
+
+// Upper bounds in seconds; SSG builds range from well under a second to the
+// 15 minute timeout of slow toolchain builds
+let latencyBuckets = [0.1, 0.25, 0.5, 1.0, 2.5, 5.0, 10.0, 30.0, 60.0, 300.0, 900.0]
+
+type histogram = {
+  counts: array<int>, // per bucket, not cumulative; the last is +Inf
+  mutable sum: float,
+  mutable count: int,
+}
+
+type toolStats = {
+  adapter: string,
+  mutable ok: int,
+  mutable errors: int,
+  latency: histogram,
+}
+
+let tools: Dict.t<toolStats> = Dict.make()
+
+// adapter -> exit code -> commands that ended that way
+let exitCodes: Dict.t<Dict.t<int>> = Dict.make()
+
+let statsFor = (~tool: string, ~adapter: string) =>
+  switch Dict.get(tools, tool) {
+  | Some(stats) => stats
+  | None =>
+    let stats = {
+      adapter,
+      ok: 0,
+      errors: 0,
+      latency: {counts: Array.make(~length=Array.length(latencyBuckets) + 1, 0), sum: 0.0, count: 0},
+    }
+    Dict.set(tools, tool, stats)
+    stats
+  }
+
+let observe = (h: histogram, seconds: float) => {
+  let index = switch Array.findIndex(latencyBuckets, bound => seconds <= bound) {
+  | -1 => Array.length(latencyBuckets)
+  | i => i
+  }
+  h.counts[index] = h.counts->Array.getUnsafe(index) + 1
+  h.sum = h.sum +. seconds
+  h.count = h.count + 1
+}
+
+// adapter is "meta" for ssg_* tools
+let recordCall = (~tool: string, ~adapter: string, ~isError: bool, ~durationMs: float) => {
+  let stats = statsFor(~tool, ~adapter)
+  if isError {
+    stats.errors = stats.errors + 1
+  } else {
+    stats.ok = stats.ok + 1
+  }
+  observe(stats.latency, durationMs /. 1000.0)
+}
+
+// Timed-out and cancelled commands are counted apart from their (signal)
+// exit code
+let recordExit = (~adapter: option<string>, result: Executor.commandResult) => {
+  let code = if result.timedOut {
+    "timeout"
+  } else if result.cancelled {
+    "cancelled"
+  } else {
+    Int.toString(result.code)
+  }
+  let adapter = adapter->Option.getOr("none")
+  let codes = switch Dict.get(exitCodes, adapter) {
+  | Some(codes) => codes
+  | None =>
+    let codes = Dict.make()
+    Dict.set(exitCodes, adapter, codes)
+    codes
+  }
+  Dict.set(codes, code, Dict.get(codes, code)->Option.getOr(0) + 1)
+}
+
+// ============================================================================
+// Exposition
+// ============================================================================
+
+let escapeLabel = (value: string) =>
+  value
+  ->String.replaceAll("\\", "\\\\")
+  ->String.replaceAll("\"", "\\\"")
+  ->String.replaceAll("\n", "\\n")
+
+let labels = (pairs: array<(string, string)>) =>
+  switch pairs {
+  | [] => ""
+  | _ =>
+    "{" ++
+    pairs->Array.map(((name, value)) => name ++ "=\"" ++ escapeLabel(value) ++ "\"")->Array.join(",") ++ "}"
+  }
+
+let sample = (name: string, pairs: array<(string, string)>, value: string) =>
+  name ++ labels(pairs) ++ " " ++ value
+
+let header = (name: string, kind: string, help: string) => [
+  "# HELP " ++ name ++ " " ++ help,
+  "# TYPE " ++ name ++ " " ++ kind,
+]
+
+// One metric family: HELP and TYPE lines followed by its samples
+let family = (name: string, kind: string, help: string, samples: array<string>) =>
+  Array.concat(header(name, kind, help), samples)
+
+let int = Int.toString
+
+let histogramSamples = (name: string, pairs: array<(string, string)>, h: histogram) => {
+  let cumulative = ref(0)
+  let buckets = Array.mapWithIndex(h.counts, (count, i) => {
+    cumulative := cumulative.contents + count
+    let bound = switch latencyBuckets[i] {
+    | Some(b) => Float.toString(b)
+    | None => "+Inf"
+    }
+    sample(name ++ "_bucket", Array.concat(pairs, [("le", bound)]), int(cumulative.contents))
+  })
+  Array.concat(
+    buckets,
+    [
+      sample(name ++ "_sum", pairs, Float.toString(h.sum)),
+      sample(name ++ "_count", pairs, int(h.count)),
+    ],
+  )
+}
+
+let breakerStateValue = (state: Resilience.state) =>
+  switch state {
+  | Closed => 0
+  | HalfOpen => 1
+  | Open => 2
+  }
+
+// One sample per adapter and binary breaker
+let breakerSamples = (metric: string, value: Resilience.breaker => int) => {
+  let samples = (kind, registry) =>
+    Dict.toArray(registry)->Array.map(((name, b)) =>
+      sample(metric, [("kind", kind), ("name", name)], int(value(b)))
+    )
+  Array.concat(
+    samples("adapter", Resilience.adapterBreakers),
+    samples("binary", Resilience.binaryBreakers),
+  )
+}
+
+let render = () => {
+  let toolEntries = Dict.toArray(tools)
+  let calls = Array.flatMap(toolEntries, ((tool, stats)) => [
+    sample("ssg_tool_calls_total", [("tool", tool), ("adapter", stats.adapter), ("status", "ok")], int(stats.ok)),
+    sample(
+      "ssg_tool_calls_total",
+      [("tool", tool), ("adapter", stats.adapter), ("status", "error")],
+      int(stats.errors),
+    ),
+  ])
+  let latency = Array.flatMap(toolEntries, ((tool, stats)) =>
+    histogramSamples(
+      "ssg_tool_duration_seconds",
+      [("tool", tool), ("adapter", stats.adapter)],
+      stats.latency,
+    )
+  )
+  let exits = Dict.toArray(exitCodes)->Array.flatMap(((adapter, codes)) =>
+    Dict.toArray(codes)->Array.map(((code, count)) =>
+      sample("ssg_command_exits_total", [("adapter", adapter), ("code", code)], int(count))
+    )
+  )
+  let bulkheads = Dict.toArray(Resilience.bulkheads)
+  let processes = Supervisor.list()
+  let processCount = status =>
+    processes->Array.filter(p => Supervisor.statusToString(p.status) == status)->Array.length
+
+  [
+    family("ssg_tool_calls_total", "counter", "Tool calls by tool and result", calls),
+    family("ssg_tool_duration_seconds", "histogram", "Tool call duration", latency),
+    family(
+      "ssg_command_exits_total",
+      "counter",
+      "Foreground commands by adapter and exit code (or timeout, cancelled)",
+      exits,
+    ),
+    family(
+      "ssg_circuit_breaker_state",
+      "gauge",
+      "Circuit breaker state: 0 closed, 1 half-open, 2 open",
+      breakerSamples("ssg_circuit_breaker_state", b => breakerStateValue(b.state)),
+    ),
+    family(
+      "ssg_circuit_breaker_rejections_total",
+      "counter",
+      "Calls rejected by an open circuit breaker",
+      breakerSamples("ssg_circuit_breaker_rejections_total", b => b.rejected),
+    ),
+    family(
+      "ssg_adapter_running_calls",
+      "gauge",
+      "Tool calls running per adapter",
+      bulkheads->Array.map(((adapter, b)) =>
+        sample("ssg_adapter_running_calls", [("adapter", adapter)], int(b.running))
+      ),
+    ),
+    family(
+      "ssg_adapter_busy_rejections_total",
+      "counter",
+      "Tool calls rejected because the adapter's concurrency limit was reached",
+      bulkheads->Array.map(((adapter, b)) =>
+        sample("ssg_adapter_busy_rejections_total", [("adapter", adapter)], int(b.rejected))
+      ),
+    ),
+    family(
+      "ssg_background_processes",
+      "gauge",
+      "Background processes started by *_serve / *_watch tools, by status",
+      ["running", "exited", "stopped"]->Array.map(status =>
+        sample("ssg_background_processes", [("status", status)], int(processCount(status)))
+      ),
+    ),
+  ]
+  ->Array.flat
+  ->Array.join("\n") ++ "\n"
+}
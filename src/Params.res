@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// Typed decoding of MCP tool arguments
+//
+// Optional decoders return None when a parameter is absent or null, and throw
+// when it is present with the wrong type, so a bad argument is reported to the
+// client instead of being silently dropped from the command line.
+
+let field = (params: JSON.t, key: string) =>
+  switch JSON.Decode.object(params) {
+  | Some(obj) =>
+    switch Dict.get(obj, key) {
+    | Some(JSON.Null) | None => None
+    | value => value
+    }
+  | None => None
+  }
+
+let invalid = (key: string, expected: string) =>
+  JsError.throwWithMessage("Invalid parameter: " ++ key ++ " must be " ++ expected)
+
+let missing = (key: string) => JsError.throwWithMessage("Missing required parameter: " ++ key)
+
+let string = (params: JSON.t, key: string) =>
+  switch field(params, key) {
+  | Some(JSON.String(s)) => Some(s)
+  | Some(_) => invalid(key, "a string")
+  | None => None
+  }
+
+let bool = (params: JSON.t, key: string) =>
+  switch field(params, key) {
+  | Some(JSON.Boolean(b)) => Some(b)
+  | Some(_) => invalid(key, "a boolean")
+  | None => None
+  }
+
+let int = (params: JSON.t, key: string) =>
+  switch field(params, key) {
+  | Some(JSON.Number(n)) if Int.toFloat(Float.toInt(n)) == n => Some(Float.toInt(n))
+  | Some(_) => invalid(key, "an integer")
+  | None => None
+  }
+
+let requireString = (params: JSON.t, key: string) =>
+  switch string(params, key) {
+  | Some(s) => s
+  | None => missing(key)
+  }
+
+// Filesystem paths are canonicalized and confined to the workspace roots.
+// "path" names the project directory; other path parameters (outputDir,
+// script, ...) are relative to it.
+let projectBase = (params: JSON.t, key: string) =>
+  key == "path" ? None : string(params, "path")->Option.map(value => Workspace.resolve("path", value))
+
+let path = (params: JSON.t, key: string) =>
+  string(params, key)->Option.map(value => Workspace.resolve(~base=?projectBase(params, key), key, value))
+
+let requirePath = (params: JSON.t, key: string) =>
+  Workspace.resolve(~base=?projectBase(params, key), key, requireString(params, key))
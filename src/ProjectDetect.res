@@ -0,0 +1,220 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// Project auto-detection - which SSG a directory belongs to
+//
+// Each SSG is recognised by marker files. A marker that only that SSG uses
+// (book.toml, _cobalt.yml, bb.edn) is decisive on its own; weaker clues such
+// as a content/ directory only add to the score. The unified ssg_build,
+// ssg_serve and ssg_clean tools dispatch to the adapter detected here.
+
+type marker =
+  | File(string)
+  | Directory(string)
+  // File whose text mentions the string (case-insensitive), for shared build
+  // files such as mix.exs or build.sbt
+  | FileContaining(string, string)
+
+type clue = {
+  marker: marker,
+  weight: int,
+}
+
+type rule = {
+  ssg: string, // adapter name
+  clues: array<clue>,
+}
+
+// Score at which a project counts as identified with full confidence
+let decisive = 4
+
+let rules: array<rule> = [
+  {
+    ssg: "Zola",
+    clues: [
+      {marker: File("zola.toml"), weight: 4},
+      {marker: FileContaining("config.toml", "base_url"), weight: 2},
+      {marker: Directory("content"), weight: 1},
+      {marker: Directory("templates"), weight: 1},
+    ],
+  },
+  {ssg: "Cobalt", clues: [{marker: File("_cobalt.yml"), weight: 4}]},
+  {
+    ssg: "MdBook",
+    clues: [{marker: File("book.toml"), weight: 4}, {marker: File("src/SUMMARY.md"), weight: 2}],
+  },
+  {
+    ssg: "Serum",
+    clues: [{marker: FileContaining("mix.exs", ":serum"), weight: 4}, {marker: File("serum.exs"), weight: 2}],
+  },
+  {ssg: "NimblePublisher", clues: [{marker: FileContaining("mix.exs", ":nimble_publisher"), weight: 4}]},
+  {ssg: "Tableau", clues: [{marker: FileContaining("mix.exs", ":tableau"), weight: 4}]},
+  {
+    ssg: "Hakyll",
+    clues: [
+      {marker: File("site.hs"), weight: 4},
+      {marker: FileContaining("package.yaml", "hakyll"), weight: 3},
+      {marker: File("stack.yaml"), weight: 1},
+    ],
+  },
+  {ssg: "Ema", clues: [{marker: FileContaining("flake.nix", "srid/ema"), weight: 4}]},
+  {
+    ssg: "YOCaml",
+    clues: [{marker: FileContaining("dune", "yocaml"), weight: 4}, {marker: File("dune-project"), weight: 1}],
+  },
+  {
+    ssg: "Fornax",
+    clues: [
+      {marker: File("config.fsx"), weight: 3},
+      {marker: Directory("loaders"), weight: 1},
+      {marker: Directory("generators"), weight: 1},
+    ],
+  },
+  {ssg: "Publish", clues: [{marker: FileContaining("Package.swift", "JohnSundell/Publish"), weight: 4}]},
+  {ssg: "Coleslaw", clues: [{marker: File(".coleslawrc"), weight: 4}]},
+  {
+    ssg: "Orchid",
+    clues: [
+      {marker: FileContaining("build.gradle", "orchid"), weight: 4},
+      {marker: FileContaining("build.gradle.kts", "orchid"), weight: 4},
+    ],
+  },
+  {
+    ssg: "Franklin",
+    clues: [
+      {marker: FileContaining("Project.toml", "Franklin"), weight: 3},
+      {marker: File("config.md"), weight: 2},
+      {marker: File("index.md"), weight: 1},
+    ],
+  },
+  {
+    ssg: "StaticWebPages",
+    clues: [{marker: FileContaining("Project.toml", "StaticWebPages"), weight: 4}],
+  },
+  {
+    ssg: "Documenter",
+    clues: [
+      {marker: FileContaining("docs/make.jl", "makedocs"), weight: 4},
+      {marker: FileContaining("make.jl", "makedocs"), weight: 4},
+      {marker: File("docs/Project.toml"), weight: 1},
+    ],
+  },
+  {
+    ssg: "Cryogen",
+    clues: [
+      {marker: FileContaining("project.clj", "cryogen"), weight: 4},
+      {marker: File("content/config.edn"), weight: 2},
+    ],
+  },
+  {ssg: "Perun", clues: [{marker: FileContaining("build.boot", "perun"), weight: 4}]},
+  {ssg: "Babashka", clues: [{marker: File("bb.edn"), weight: 4}]},
+  {ssg: "Laika", clues: [{marker: FileContaining("build.sbt", "laika"), weight: 4}]},
+  {ssg: "ScalaTex", clues: [{marker: FileContaining("build.sbt", "scalatex"), weight: 4}]},
+  {ssg: "Zotonic", clues: [{marker: FileContaining("rebar.config", "zotonic"), weight: 4}]},
+  {ssg: "Pollen", clues: [{marker: File("pollen.rkt"), weight: 4}]},
+  {
+    ssg: "Frog",
+    clues: [{marker: File(".frogrc"), weight: 4}, {marker: File("frog.rkt"), weight: 4}],
+  },
+  {
+    ssg: "Reggae",
+    clues: [{marker: File("reggaefile.d"), weight: 4}, {marker: File("reggaefile.py"), weight: 4}],
+  },
+  {ssg: "Wub", clues: [{marker: File("wub.tcl"), weight: 4}]},
+  {ssg: "Marmot", clues: [{marker: FileContaining("shard.yml", "marmot"), weight: 4}]},
+  {ssg: "Nimrod", clues: [{marker: FileContaining("config.nims", "nimrod"), weight: 3}]},
+  {ssg: "Corral", clues: [{marker: File("corral.json"), weight: 4}]},
+]
+
+type candidate = {
+  ssg: string,
+  score: int,
+  // Markers that were found, e.g. "book.toml" or "mix.exs mentions :serum"
+  evidence: array<string>,
+}
+
+let describe = (marker: marker) =>
+  switch marker {
+  | File(name) => name
+  | Directory(name) => name ++ "/"
+  | FileContaining(name, text) => name ++ " mentions " ++ text
+  }
+
+let stat = async (path: string) =>
+  try {
+    Some(await Deno.Fs.stat(path))
+  } catch {
+  | _ => None
+  }
+
+let matches = async (dir: string, marker: marker) =>
+  switch marker {
+  | File(name) => (await stat(Path.join([dir, name])))->Option.mapOr(false, info => info.isFile)
+  | Directory(name) =>
+    (await stat(Path.join([dir, name])))->Option.mapOr(false, info => info.isDirectory)
+  | FileContaining(name, text) =>
+    try {
+      let content = await Deno.Fs.readTextFile(Path.join([dir, name]))
+      String.includes(String.toLowerCase(content), String.toLowerCase(text))
+    } catch {
+    | _ => false
+    }
+  }
+
+let score = async (dir: string, rule: rule) => {
+  let evidence = []
+  let total = ref(0)
+  for i in 0 to Array.length(rule.clues) - 1 {
+    let clue = Array.getUnsafe(rule.clues, i)
+    if await matches(dir, clue.marker) {
+      total := total.contents + clue.weight
+      Array.push(evidence, describe(clue.marker))
+    }
+  }
+  {ssg: rule.ssg, score: total.contents, evidence}
+}
+
+// Every SSG with at least one marker in dir, best match first
+let candidates = async (dir: string) => {
+  let found = []
+  for i in 0 to Array.length(rules) - 1 {
+    let candidate = await score(dir, Array.getUnsafe(rules, i))
+    if candidate.score > 0 {
+      Array.push(found, candidate)
+    }
+  }
+  Array.toSorted(found, (a, b) => Int.toFloat(b.score - a.score))
+}
+
+// 0.0 - 1.0; a decisive marker alone gives 1.0
+let confidence = (candidate: candidate) =>
+  Math.min(1.0, Int.toFloat(candidate.score) /. Int.toFloat(decisive))
+
+// The detected SSG, unless nothing decisive was found or two SSGs tie
+let identify = (found: array<candidate>) =>
+  switch found {
+  | [] => None
+  | [best] => confidence(best) >= 0.5 ? Some(best) : None
+  | _ =>
+    let best = Array.getUnsafe(found, 0)
+    let runnerUp = Array.getUnsafe(found, 1)
+    confidence(best) >= 0.5 && best.score > runnerUp.score ? Some(best) : None
+  }
+
+// Native tool (and fixed arguments) implementing an operation for an adapter.
+// Babashka projects are driven through their bb.edn tasks.
+let toolFor = (adapter: Adapter.adapter, operation: Adapter.operation) =>
+  switch (adapter.name, operation) {
+  | ("Babashka", Build | Serve | Clean) =>
+    let task = JSON.Encode.string(Adapter.operationName(operation))
+    Some(("bb_task", [("task", task)]))
+  | _ => Adapter.toolFor(adapter.capabilities, operation)->Option.map(tool => (tool, []))
+  }
+
+let candidateToJson = (candidate: candidate) => {
+  let obj = Dict.make()
+  Dict.set(obj, "ssg", JSON.Encode.string(candidate.ssg))
+  Dict.set(obj, "confidence", JSON.Encode.float(confidence(candidate)))
+  Dict.set(obj, "evidence", JSON.Encode.array(Array.map(candidate.evidence, JSON.Encode.string)))
+  JSON.Encode.object(obj)
+}
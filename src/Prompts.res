@@ -0,0 +1,404 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// MCP prompts for common publishing workflows
+//
+// Prompts are derived from the adapters rather than written per SSG: an
+// adapter gets a prompt for each workflow its capabilities can carry out, and
+// the steps name its actual tools. Arguments of a prompt that wraps one tool
+// (cobalt_new) are that tool's string parameters, with their descriptions.
+//   {ssg}_new_post    draft a post (the new_post tool, else a content file)
+//   {ssg}_fix_errors  fix what the check tool (else the build tool) reports
+//   {ssg}_publish     build, check and deploy (adapters with a deploy tool)
+//   ssg_migrate       move a site from one SSG to another
+//   ssg_diagnose      find out why a project does not build
+// https://modelcontextprotocol.io/specification/2025-06-18/server/prompts
+
+open Adapter
+
+type argument = {
+  name: string,
+  description: string,
+  required: bool,
+}
+
+type prompt = {
+  name: string,
+  description: string,
+  arguments: array<argument>,
+  // Adapter and scope category the workflow needs (see Scopes); None for
+  // workflows that are not tied to one adapter
+  adapter: option<string>,
+  category: string,
+  render: dict<string> => string,
+}
+
+let pathArgument = {name: "path", description: "Project directory", required: false}
+
+// String parameters of a tool's inputSchema as prompt arguments
+let toolArguments = (tool: tool) => {
+  let schema = JSON.Decode.object(tool.inputSchema)->Option.getOr(Dict.make())
+  let required = switch Dict.get(schema, "required") {
+  | Some(JSON.Array(names)) => Array.filterMap(names, JSON.Decode.string)
+  | _ => []
+  }
+  switch Dict.get(schema, "properties") {
+  | Some(JSON.Object(props)) =>
+    Dict.toArray(props)->Array.filterMap(((name, prop)) =>
+      switch prop {
+      | JSON.Object(prop) if Dict.get(prop, "type") == Some(JSON.String("string")) =>
+        let description = switch Dict.get(prop, "description") {
+        | Some(JSON.String(d)) => d
+        | _ => name
+        }
+        Some({name, description, required: Array.includes(required, name)})
+      | _ => None
+      }
+    )
+  | _ => []
+  }
+}
+
+// Arguments in order, the first definition of a name winning
+let mergeArguments = (lists: array<array<argument>>) => {
+  let merged = []
+  Array.flat(lists)->Array.forEach(arg =>
+    if !Array.some(merged, (a: argument) => a.name == arg.name) {
+      Array.push(merged, arg)
+    }
+  )
+  merged
+}
+
+let findTool = (adapter: adapter, toolName: string) => Array.find(adapter.tools, t => t.name == toolName)
+
+// The adapter's tool for an operation, if it declares one
+let operationTool = (adapter: adapter, operation: operation) =>
+  toolFor(adapter.capabilities, operation)->Option.flatMap(findTool(adapter, _))
+
+// "`cobalt_new` with {"title":"Hello"}": the given arguments the tool takes
+let call = (tool: tool, args: dict<string>) => {
+  let taken =
+    toolArguments(tool)->Array.filterMap(a =>
+      Dict.get(args, a.name)->Option.map(v => (a.name, JSON.Encode.string(v)))
+    )
+  switch taken {
+  | [] => "`" ++ tool.name ++ "`"
+  | _ => "`" ++ tool.name ++ "` with " ++ JSON.stringify(JSON.Encode.object(Dict.fromArray(taken)))
+  }
+}
+
+let inProject = (args: dict<string>) =>
+  switch Dict.get(args, "path") {
+  | Some(path) => "the project at " ++ path
+  | None => "the project in the workspace root"
+  }
+
+let numbered = (steps: array<string>) =>
+  steps->Array.mapWithIndex((step, i) => Int.toString(i + 1) ++ ". " ++ step)->Array.join("\n")
+
+let slug = (adapter: adapter) => String.toLowerCase(adapter.name)
+
+let categoryOf = (adapter: adapter, tool: tool) => Scopes.toolCategory(adapter, tool.name)
+
+// ============================================================================
+// Per-adapter workflows
+// ============================================================================
+
+let buildStep = (adapter: adapter, args: dict<string>) =>
+  operationTool(adapter, Build)->Option.map(build =>
+    "Build with " ++ call(build, args) ++ " and fix any error or warning in its report."
+  )
+
+let newPost = (adapter: adapter) => {
+  let native = switch operationTool(adapter, NewPost) {
+  | Some(tool) => Some(tool)
+  | None => operationTool(adapter, NewPage)
+  }
+  let base = [
+    pathArgument,
+    {name: "title", description: "Title of the post", required: true},
+  ]
+  let topic = {name: "topic", description: "What the post is about", required: false}
+  let render = (args: dict<string>) => {
+    let title = Dict.get(args, "title")->Option.getOr("")
+    let about = Dict.get(args, "topic")->Option.mapOr("", t => " about " ++ t)
+    let create = switch native {
+    | Some(tool) => "Create the post with " ++ call(tool, args) ++ "."
+    | None =>
+      adapter.name ++ " has no tool for new content, so create the file yourself next to the existing posts."
+    }
+    let steps = [
+      Some(
+        "Look at a few existing posts in " ++
+        inProject(args) ++ " (they are readable as ssg://project/.../source/... resources) to learn where posts live and which front matter fields they use.",
+      ),
+      Some(create),
+      Some(
+        "Fill in the front matter: the title \"" ++
+        title ++ "\", today's date, and the same fields (tags, categories, draft flag, ...) other posts use.",
+      ),
+      Some("Write the body" ++ about ++ "."),
+      buildStep(adapter, args),
+    ]
+    "Draft a new " ++
+    adapter.name ++
+    " post titled \"" ++
+    title ++ "\"" ++ about ++ ".\n\n" ++ numbered(Array.filterMap(steps, s => s))
+  }
+  switch (native, operationTool(adapter, Build)) {
+  | (Some(tool), _) =>
+    Some({
+      name: slug(adapter) ++ "_new_post",
+      description: "Draft a new " ++ adapter.name ++ " post with front matter using " ++ tool.name,
+      arguments: mergeArguments([base, toolArguments(tool), [topic]]),
+      adapter: Some(adapter.name),
+      category: categoryOf(adapter, tool),
+      render,
+    })
+  | (None, Some(build)) =>
+    Some({
+      name: slug(adapter) ++ "_new_post",
+      description: "Draft a new " ++ adapter.name ++ " post with front matter and check it with " ++ build.name,
+      arguments: mergeArguments([base, [topic]]),
+      adapter: Some(adapter.name),
+      category: "content",
+      render,
+    })
+  | (None, None) => None
+  }
+}
+
+let fixErrors = (adapter: adapter) => {
+  let checker = switch operationTool(adapter, Check) {
+  | Some(tool) => Some(tool)
+  | None => operationTool(adapter, Build)
+  }
+  checker->Option.map(tool => {
+    name: slug(adapter) ++ "_fix_errors",
+    description: "Fix the broken links and other errors reported by " ++ tool.name,
+    arguments: [pathArgument],
+    adapter: Some(adapter.name),
+    category: categoryOf(adapter, tool),
+    render: args =>
+      "Fix every problem " ++
+      tool.name ++
+      " reports for " ++
+      inProject(args) ++
+      ".\n\n" ++
+      numbered([
+        "Run " ++ call(tool, args) ++ ".",
+        "For each error and warning in the result's report (file, line and column are given when the tool names a location), such as a broken link or a missing template, fix the source file it points to. Do not silence a check to make it pass.",
+        "Run " ++ tool.name ++ " again and repeat until it reports no errors.",
+        "Summarise what you changed, file by file.",
+      ]),
+  })
+}
+
+let publish = (adapter: adapter) =>
+  operationTool(adapter, Deploy)->Option.map(deploy => {
+    name: slug(adapter) ++ "_publish",
+    description: "Build, check and deploy a " ++ adapter.name ++ " site with " ++ deploy.name,
+    arguments: mergeArguments([[pathArgument], toolArguments(deploy)]),
+    adapter: Some(adapter.name),
+    category: categoryOf(adapter, deploy),
+    render: args => {
+      let steps = [
+        buildStep(adapter, args),
+        operationTool(adapter, Check)->Option.map(check =>
+          "Check the site with " ++ call(check, args) ++ "."
+        ),
+        Some(
+          "Stop and report if a step above failed; never deploy a broken site. Otherwise deploy with " ++
+          call(deploy, args) ++ ".",
+        ),
+        Some("Report where the site was published."),
+      ]
+      "Publish " ++ inProject(args) ++ ".\n\n" ++ numbered(Array.filterMap(steps, s => s))
+    },
+  })
+
+// ============================================================================
+// Cross-SSG workflows
+// ============================================================================
+
+let findAdapter = (adapters: array<adapter>, name: string) =>
+  Array.find(adapters, a => String.toLowerCase(a.name) == String.toLowerCase(name))
+
+let unknownSsg = (adapters: array<adapter>, argument: string, name: string) =>
+  Mcp.throwError(
+    Mcp.ErrorCode.invalidParams,
+    "Unknown SSG for " ++ argument ++ ": " ++ name,
+    JSON.Encode.object(
+      Dict.fromArray([
+        ("argument", JSON.Encode.string(argument)),
+        ("available", JSON.Encode.array(Array.map(adapters, a => JSON.Encode.string(a.name)))),
+      ]),
+    ),
+  )
+
+let migrate = (adapters: array<adapter>) => {
+  name: "ssg_migrate",
+  description: "Migrate a site from one static site generator to another",
+  arguments: [
+    pathArgument,
+    {name: "to", description: "SSG to migrate to, e.g. Zola", required: true},
+    {name: "from", description: "Current SSG (detected when omitted), e.g. Cryogen", required: false},
+  ],
+  adapter: None,
+  category: "init",
+  render: args => {
+    let lookup = (argument, name) =>
+      switch findAdapter(adapters, name) {
+      | Some(adapter) => adapter
+      | None => unknownSsg(adapters, argument, name)
+      }
+    let target = lookup("to", Dict.get(args, "to")->Option.getOr(""))
+    let source = Dict.get(args, "from")->Option.map(lookup("from", _))
+    let tool = operation => operationTool(target, operation)->Option.map(t => "`" ++ t.name ++ "`")
+    let identify = switch source {
+    | Some(s) => "The site uses " ++ s.name ++ " (" ++ s.description ++ "). Read"
+    | None => "Find out which SSG the site uses with `ssg_identify`, then read"
+    }
+    let steps = [
+      Some(
+        identify ++ " its configuration, content, templates and static files; the ssg://project/{name}/config and source resources list them.",
+      ),
+      Some(
+        switch tool(Init) {
+        | Some(init) => "Create the " ++ target.name ++ " project in a new directory with " ++ init ++ "."
+        | None => "Set up the " ++ target.name ++ " project layout by hand in a new directory."
+        },
+      ),
+      Some(
+        "Port the site configuration (title, base URL, taxonomies, feeds) to " ++ target.name ++ "'s configuration.",
+      ),
+      Some(
+        "Move every post and page, converting front matter to the fields " ++
+        target.name ++
+        " expects" ++
+        tool(NewPost)->Option.mapOr("", t => " (" ++ t ++ " shows the layout of a new post)") ++ ". Keep the published URLs stable.",
+      ),
+      Some("Port templates, styles and static files."),
+      tool(Build)->Option.map(build =>
+        "Build with " ++
+        build ++
+        tool(Check)->Option.mapOr("", check => " and check with " ++ check) ++ "; the page count in the build report should match the original site.",
+      ),
+      Some("List anything that could not be migrated automatically."),
+    ]
+    "Migrate " ++
+    inProject(args) ++
+    " to " ++
+    target.name ++
+    " (" ++ target.description ++ ").\n\n" ++ numbered(Array.filterMap(steps, s => s))
+  },
+}
+
+let diagnose = {
+  name: "ssg_diagnose",
+  description: "Find out why a site project does not build",
+  arguments: [pathArgument],
+  adapter: None,
+  category: "build",
+  render: args =>
+    "Find out why " ++
+    inProject(args) ++
+    " does not build.\n\n" ++
+    numbered([
+      "Identify its SSG with `ssg_identify`; if detection is unsure, say which markers conflict.",
+      "Check with `ssg_detect` that the SSG's toolchain is installed, and with `ssg_health` that its circuit breaker is not open.",
+      "Build with `ssg_build` and read the report's errors and warnings.",
+      "Explain the cause and propose a fix; apply it only if it is confined to the project's files.",
+    ]),
+}
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+let all = (adapters: array<adapter>) =>
+  Array.concat(
+    Array.flatMap(adapters, adapter =>
+      [newPost(adapter), fixErrors(adapter), publish(adapter)]->Array.filterMap(p => p)
+    ),
+    [migrate(adapters), diagnose],
+  )
+
+let allowed = (scopes: option<array<string>>, prompt: prompt) =>
+  Scopes.allows(scopes, ~adapter=prompt.adapter, ~category=prompt.category)
+
+let argumentToJson = (arg: argument) =>
+  JSON.Encode.object(
+    Dict.fromArray([
+      ("name", JSON.Encode.string(arg.name)),
+      ("description", JSON.Encode.string(arg.description)),
+      ("required", JSON.Encode.bool(arg.required)),
+    ]),
+  )
+
+// prompts/list, limited to the workflows the caller's scopes allow
+let list = (adapters: array<adapter>, scopes: option<array<string>>) => {
+  let prompts =
+    all(adapters)
+    ->Array.filter(allowed(scopes, _))
+    ->Array.map(p =>
+      JSON.Encode.object(
+        Dict.fromArray([
+          ("name", JSON.Encode.string(p.name)),
+          ("description", JSON.Encode.string(p.description)),
+          ("arguments", JSON.Encode.array(Array.map(p.arguments, argumentToJson))),
+        ]),
+      )
+    )
+  JSON.Encode.object(Dict.fromArray([("prompts", JSON.Encode.array(prompts))]))
+}
+
+// prompts/get. Unknown prompts and missing required arguments are invalid
+// params (-32602).
+let get = (
+  adapters: array<adapter>,
+  name: string,
+  args: dict<string>,
+  scopes: option<array<string>>,
+) => {
+  let invalid = (message, data) =>
+    Mcp.throwError(Mcp.ErrorCode.invalidParams, message, JSON.Encode.object(Dict.fromArray(data)))
+  let prompt = switch Array.find(all(adapters), p => p.name == name && allowed(scopes, p)) {
+  | Some(prompt) => prompt
+  | None => invalid("Unknown prompt: " ++ name, [("prompt", JSON.Encode.string(name))])
+  }
+  let missing =
+    prompt.arguments
+    ->Array.filter(a => a.required && Dict.get(args, a.name)->Option.mapOr(true, v => v == ""))
+    ->Array.map(a => a.name)
+  if Array.length(missing) > 0 {
+    invalid(
+      "Missing arguments for prompt " ++ name ++ ": " ++ Array.join(missing, ", "),
+      [
+        ("prompt", JSON.Encode.string(name)),
+        ("missing", JSON.Encode.array(Array.map(missing, JSON.Encode.string))),
+      ],
+    )
+  }
+  let message = JSON.Encode.object(
+    Dict.fromArray([
+      ("role", JSON.Encode.string("user")),
+      (
+        "content",
+        JSON.Encode.object(
+          Dict.fromArray([
+            ("type", JSON.Encode.string("text")),
+            ("text", JSON.Encode.string(prompt.render(args))),
+          ]),
+        ),
+      ),
+    ]),
+  )
+  JSON.Encode.object(
+    Dict.fromArray([
+      ("description", JSON.Encode.string(prompt.description)),
+      ("messages", JSON.Encode.array([message])),
+    ]),
+  )
+}
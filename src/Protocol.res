@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// MCP protocol revisions the server speaks
+//
+// The client proposes a version in initialize; the server answers with the
+// version both will use, and features that differ between revisions are
+// looked up with `supports`.
+// https://modelcontextprotocol.io/specification/2025-06-18/basic/lifecycle#version-negotiation
+
+// Newest first
+let supportedVersions = ["2025-06-18", "2025-03-26", "2024-11-05"]
+
+let latestVersion = "2025-06-18"
+
+let isSupported = (version: string) => Array.includes(supportedVersions, version)
+
+// The requested version if supported, else the newest supported one that is
+// older (revisions are dates, so they compare as strings): a client knows
+// the revisions before its own. Clients older than every supported revision
+// are offered the latest and may disconnect.
+let negotiate = (requested: option<string>) =>
+  switch requested {
+  | Some(version) =>
+    supportedVersions
+    ->Array.find(supported => supported <= version)
+    ->Option.getOr(latestVersion)
+  | None => latestVersion
+  }
+
+type feature =
+  // JSON-RPC batches (dropped in 2025-06-18)
+  | Batching
+  // Tool annotations, completions and progress messages (2025-03-26)
+  | ToolAnnotations
+  | Completions
+  | ProgressMessages
+  // outputSchema / structuredContent, elicitation and the title field
+  // (2025-06-18)
+  | StructuredContent
+  | Elicitation
+
+let supports = (version: string, feature: feature) =>
+  switch feature {
+  | Batching => version < "2025-06-18"
+  | ToolAnnotations | Completions | ProgressMessages => version >= "2025-03-26"
+  | StructuredContent | Elicitation => version >= "2025-06-18"
+  }
+
+let featureOfString = (name: string) =>
+  switch name {
+  | "batching" => Some(Batching)
+  | "toolAnnotations" => Some(ToolAnnotations)
+  | "completions" => Some(Completions)
+  | "progressMessages" => Some(ProgressMessages)
+  | "structuredContent" => Some(StructuredContent)
+  | "elicitation" => Some(Elicitation)
+  | _ => None
+  }
+
+// For JS callers (the HTTP transport): supportsFeature("2025-03-26", "batching")
+let supportsFeature = (version: string, name: string) =>
+  featureOfString(name)->Option.mapOr(false, supports(version, _))
@@ -0,0 +1,265 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// Circuit breakers and bulkheads for adapter tool calls
+//
+// Breakers are kept per adapter and per binary (mix, julia and raco serve
+// several adapters). They count toolchain failures only: a command that
+// could not be started, ran past the tool's timeout, or exited with 126 or
+// more (not executable, not found, killed by a signal). A build that reports
+// errors in the site is a success here. A timeout the caller made shorter
+// than the tool's (timeoutSeconds) is not counted either; otherwise any
+// caller could open breakers that every client shares. After `failureThreshold` consecutive failures a
+// breaker opens and calls fail fast; after `resetTimeoutMs` one trial call is
+// let through (half-open), and its outcome closes or reopens the breaker.
+//
+// A bulkhead caps how many calls of one adapter run at once, so a slow or
+// hanging toolchain cannot hold up the others.
+
+type state = Closed | Open | HalfOpen
+
+type breaker = {
+  name: string,
+  mutable state: state,
+  mutable failures: int, // consecutive
+  mutable openedAt: float,
+  mutable trialRunning: bool,
+  mutable totalFailures: int,
+  mutable totalSuccesses: int,
+  mutable rejected: int,
+  mutable lastFailure: option<string>,
+}
+
+type bulkhead = {
+  mutable running: int,
+  mutable peak: int,
+  mutable rejected: int,
+}
+
+type outcome =
+  | Succeeded
+  | Failed(string)
+  // Cancelled by the client, or timed out early at its request: says
+  // nothing about the toolchain
+  | Neutral
+
+let envInt = (name: string, default: int) =>
+  Deno.Env.get(name)->Option.flatMap(s => Int.fromString(s))->Option.getOr(default)
+
+let failureThreshold = envInt("MCP_BREAKER_FAILURES", 5)
+let resetTimeoutMs = Int.toFloat(envInt("MCP_BREAKER_RESET_SECONDS", 30) * 1000)
+let maxConcurrent = envInt("MCP_ADAPTER_CONCURRENCY", 4)
+
+let adapterBreakers: Dict.t<breaker> = Dict.make()
+let binaryBreakers: Dict.t<breaker> = Dict.make()
+let bulkheads: Dict.t<bulkhead> = Dict.make()
+
+let breakerFor = (registry: Dict.t<breaker>, name: string) =>
+  switch Dict.get(registry, name) {
+  | Some(b) => b
+  | None =>
+    let b = {
+      name,
+      state: Closed,
+      failures: 0,
+      openedAt: 0.0,
+      trialRunning: false,
+      totalFailures: 0,
+      totalSuccesses: 0,
+      rejected: 0,
+      lastFailure: None,
+    }
+    Dict.set(registry, name, b)
+    b
+  }
+
+let adapterBreaker = (adapter: string) => breakerFor(adapterBreakers, adapter)
+let binaryBreaker = (binary: string) => breakerFor(binaryBreakers, binary)
+
+let classify = (~shortened=false, result: Executor.commandResult) =>
+  if result.cancelled {
+    Neutral
+  } else if result.timedOut {
+    shortened ? Neutral : Failed("timed out")
+  } else if result.code >= 126 {
+    Failed("exit code " ++ Int.toString(result.code))
+  } else {
+    Succeeded
+  }
+
+// Ok(isTrial) if a call may go ahead, else why not. A trial call that ends
+// without running a command must hand back the trial (release).
+let admit = (b: breaker, ~kind: string) => {
+  let now = Date.now()
+  switch b.state {
+  | Open if now -. b.openedAt >= resetTimeoutMs =>
+    b.state = HalfOpen
+    b.trialRunning = true
+    Ok(true)
+  | HalfOpen if !b.trialRunning =>
+    b.trialRunning = true
+    Ok(true)
+  | Closed => Ok(false)
+  | Open | HalfOpen =>
+    b.rejected = b.rejected + 1
+    let retryIn = Math.ceil((b.openedAt +. resetTimeoutMs -. now) /. 1000.0)->Math.max(1.0)
+    Error(
+      kind ++
+      " " ++
+      b.name ++
+      " is failing (" ++
+      b.lastFailure->Option.getOr("unknown error") ++
+      "); circuit open, retry in " ++
+      Float.toString(retryIn) ++ "s",
+    )
+  }
+}
+
+let record = (b: breaker, outcome: outcome) =>
+  switch outcome {
+  | Succeeded =>
+    b.state = Closed
+    b.failures = 0
+    b.trialRunning = false
+    b.totalSuccesses = b.totalSuccesses + 1
+  | Failed(reason) =>
+    b.failures = b.failures + 1
+    b.totalFailures = b.totalFailures + 1
+    b.lastFailure = Some(reason)
+    b.trialRunning = false
+    if b.state == HalfOpen || b.failures >= failureThreshold {
+      b.state = Open
+      b.openedAt = Date.now()
+    }
+  | Neutral => b.trialRunning = false
+  }
+
+// Let another trial through if this one ran no command (and so recorded
+// nothing)
+let release = (b: breaker) =>
+  if b.state == HalfOpen {
+    b.trialRunning = false
+  }
+
+// Run a command guarded by the binary's breaker, recording its outcome there
+// and on the adapter's breaker (if it runs inside an adapter tool call)
+let guard = async (
+  ~binary: string,
+  ~adapter: option<string>,
+  run: unit => promise<'a>,
+  classifyResult: 'a => outcome,
+) => {
+  let breakers = Array.concat(
+    [binaryBreaker(binary)],
+    adapter->Option.mapOr([], a => [adapterBreaker(a)]),
+  )
+  switch admit(binaryBreaker(binary), ~kind="Binary") {
+  | Error(message) => JsError.throwWithMessage(message)
+  | Ok(_) => ()
+  }
+  let result = try await run() catch {
+  | e =>
+    let reason = switch e {
+    | JsExn(err) => JsExn.message(err)->Option.getOr("could not start")
+    | _ => "could not start"
+    }
+    Array.forEach(breakers, record(_, Failed(reason)))
+    throw(e)
+  }
+  let outcome = classifyResult(result)
+  Array.forEach(breakers, record(_, outcome))
+  result
+}
+
+let bulkheadFor = (adapter: string) =>
+  switch Dict.get(bulkheads, adapter) {
+  | Some(b) => b
+  | None =>
+    let b = {running: 0, peak: 0, rejected: 0}
+    Dict.set(bulkheads, adapter, b)
+    b
+  }
+
+// Take one of the adapter's call slots; Error if all are in use
+let enter = (adapter: string) => {
+  let b = bulkheadFor(adapter)
+  if b.running >= maxConcurrent {
+    b.rejected = b.rejected + 1
+    Error(
+      adapter ++
+      " is busy: " ++
+      Int.toString(b.running) ++
+      " calls running (limit " ++
+      Int.toString(maxConcurrent) ++ "); try again when one finishes",
+    )
+  } else {
+    b.running = b.running + 1
+    b.peak = Math.Int.max(b.peak, b.running)
+    Ok()
+  }
+}
+
+let leave = (adapter: string) => {
+  let b = bulkheadFor(adapter)
+  b.running = Math.Int.max(0, b.running - 1)
+}
+
+let stateToString = (state: state) =>
+  switch state {
+  | Closed => "closed"
+  | Open => "open"
+  | HalfOpen => "half_open"
+  }
+
+let breakerToJson = (b: breaker) => {
+  let obj = Dict.make()
+  Dict.set(obj, "state", JSON.Encode.string(stateToString(b.state)))
+  Dict.set(obj, "consecutiveFailures", JSON.Encode.int(b.failures))
+  Dict.set(obj, "failures", JSON.Encode.int(b.totalFailures))
+  Dict.set(obj, "successes", JSON.Encode.int(b.totalSuccesses))
+  Dict.set(obj, "rejected", JSON.Encode.int(b.rejected))
+  Dict.set(obj, "lastFailure", b.lastFailure->Option.mapOr(JSON.Encode.null, JSON.Encode.string))
+  if b.state == Open {
+    let retryAt = Date.fromTime(b.openedAt +. resetTimeoutMs)->Date.toISOString
+    Dict.set(obj, "retryAt", JSON.Encode.string(retryAt))
+  }
+  JSON.Encode.object(obj)
+}
+
+let bulkheadToJson = (b: bulkhead) => {
+  let obj = Dict.make()
+  Dict.set(obj, "running", JSON.Encode.int(b.running))
+  Dict.set(obj, "limit", JSON.Encode.int(maxConcurrent))
+  Dict.set(obj, "peak", JSON.Encode.int(b.peak))
+  Dict.set(obj, "rejected", JSON.Encode.int(b.rejected))
+  JSON.Encode.object(obj)
+}
+
+let registryToJson = (registry: Dict.t<'a>, toJson: 'a => JSON.t) =>
+  Dict.toArray(registry)
+  ->Array.map(((name, value)) => (name, toJson(value)))
+  ->Dict.fromArray
+  ->JSON.Encode.object
+
+let openCircuits = () =>
+  Array.concat(Dict.valuesToArray(adapterBreakers), Dict.valuesToArray(binaryBreakers))
+  ->Array.filter(b => b.state != Closed)
+  ->Array.length
+
+// Breaker and bulkhead state of every adapter and binary used so far.
+// "degraded" while any breaker is not closed.
+let toJson = () => {
+  let obj = Dict.make()
+  let degraded = openCircuits()
+  Dict.set(obj, "status", JSON.Encode.string(degraded > 0 ? "degraded" : "healthy"))
+  Dict.set(obj, "openCircuits", JSON.Encode.int(degraded))
+  let config = Dict.make()
+  Dict.set(config, "failureThreshold", JSON.Encode.int(failureThreshold))
+  Dict.set(config, "resetTimeoutMs", JSON.Encode.float(resetTimeoutMs))
+  Dict.set(config, "maxConcurrent", JSON.Encode.int(maxConcurrent))
+  Dict.set(obj, "config", JSON.Encode.object(config))
+  Dict.set(obj, "adapters", registryToJson(adapterBreakers, breakerToJson))
+  Dict.set(obj, "binaries", registryToJson(binaryBreakers, breakerToJson))
+  Dict.set(obj, "bulkheads", registryToJson(bulkheads, bulkheadToJson))
+  JSON.Encode.object(obj)
+}
@@ -0,0 +1,586 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// Site projects as MCP resources
+//
+// A project is a workspace root, or a directory directly inside one, in which
+// ProjectDetect identifies an SSG. It is named after its directory and
+// exposes three kinds of resource:
+//   ssg://project/{name}/config         the file that marks the project
+//   ssg://project/{name}/source/{path}  files of the project directory
+//   ssg://project/{name}/output/{path}  files of the built site
+// Subscribed projects are watched with Deno.watchFs, and a run of an adapter's
+// build tool marks the project's output as updated (Server.executeAdapterTool).
+// https://modelcontextprotocol.io/specification/2025-06-18/server/resources
+
+let scheme = "ssg://project/"
+
+type kind = Config | Source | Output
+
+type project = {
+  name: string,
+  ssg: string,
+  dir: string,
+  config: option<string>,
+  output: option<string>,
+}
+
+// Where each SSG writes the site by default, relative to the project
+let outputDirs = Dict.fromArray([
+  ("Zola", "public"),
+  ("Cobalt", "_site"),
+  ("MdBook", "book"),
+  ("Serum", "site"),
+  ("Tableau", "_site"),
+  ("Hakyll", "_site"),
+  ("Fornax", "_public"),
+  ("Publish", "Output"),
+  ("Franklin", "__site"),
+  ("Documenter", "docs/build"),
+  ("Cryogen", "public"),
+  ("Laika", "target/docs/site"),
+  ("Frog", "."),
+])
+
+// Hidden entries (.git, .cache) and dependency trees are neither projects
+// nor listed
+let ignored = (name: string) => String.startsWith(name, ".") || name == "node_modules"
+
+let entries = (dir: string) =>
+  try {
+    Array.fromIterator(Deno.Fs.readDirSync(dir))->Array.toSorted((a, b) => String.compare(a.name, b.name))
+  } catch {
+  | _ => []
+  }
+
+// First marker file of the SSG's detection rule present in dir (zola.toml,
+// book.toml, mix.exs, ...)
+let configFile = async (dir: string, ssg: string) =>
+  switch Array.find(ProjectDetect.rules, rule => rule.ssg == ssg) {
+  | None => None
+  | Some(rule) =>
+    let found = ref(None)
+    for i in 0 to Array.length(rule.clues) - 1 {
+      let marker = Array.getUnsafe(rule.clues, i).marker
+      switch (found.contents, marker) {
+      | (None, File(name) | FileContaining(name, _)) =>
+        if await ProjectDetect.matches(dir, marker) {
+          found := Some(Path.join([dir, name]))
+        }
+      | _ => ()
+      }
+    }
+    found.contents
+  }
+
+// Projects in the workspace; names taken twice get a -2, -3, ... suffix
+let scan = async () => {
+  let dirs = []
+  Workspace.roots()->Array.forEach(root => {
+    let subdirectories =
+      entries(root)
+      ->Array.filter(entry => entry.isDirectory && !ignored(entry.name))
+      ->Array.map(entry => Path.join([root, entry.name]))
+    Array.concat([root], subdirectories)->Array.forEach(dir =>
+      if !Array.includes(dirs, dir) {
+        Array.push(dirs, dir)
+      }
+    )
+  })
+  let projects = []
+  for i in 0 to Array.length(dirs) - 1 {
+    let dir = Array.getUnsafe(dirs, i)
+    switch ProjectDetect.identify(await ProjectDetect.candidates(dir)) {
+    | Some(best) =>
+      let base = Path.basename(dir)
+      let name = ref(base)
+      let suffix = ref(2)
+      while Array.some(projects, (p: project) => p.name == name.contents) {
+        name := base ++ "-" ++ Int.toString(suffix.contents)
+        suffix := suffix.contents + 1
+      }
+      Array.push(
+        projects,
+        {
+          name: name.contents,
+          ssg: best.ssg,
+          dir,
+          config: await configFile(dir, best.ssg),
+          output: Dict.get(outputDirs, best.ssg)->Option.map(out => Path.resolve([dir, out])),
+        },
+      )
+    | None => ()
+    }
+  }
+  projects
+}
+
+// Every read, subscribe and list looks projects up; a burst of them (a client
+// reading the files it just listed) shares one scan of the workspace
+let discoveryTtlMs = 2000.0
+
+let discovered: ref<option<(float, promise<array<project>>)>> = ref(None)
+
+let discover = () =>
+  switch discovered.contents {
+  | Some((at, projects)) if Date.now() -. at < discoveryTtlMs => projects
+  | _ =>
+    let projects = scan()
+    discovered := Some((Date.now(), projects))
+    projects
+  }
+
+// ============================================================================
+// URIs
+// ============================================================================
+
+let kindName = (kind: kind) =>
+  switch kind {
+  | Config => "config"
+  | Source => "source"
+  | Output => "output"
+  }
+
+let uri = (project: project, kind: kind, relative: string) => {
+  let base = scheme ++ encodeURIComponent(project.name) ++ "/" ++ kindName(kind)
+  switch kind {
+  | Config => base
+  | Source | Output =>
+    base ++ "/" ++ String.split(relative, "/")->Array.map(encodeURIComponent)->Array.join("/")
+  }
+}
+
+let decode = (segment: string) =>
+  try {
+    Some(decodeURIComponent(segment))
+  } catch {
+  | _ => None
+  }
+
+// (project name, kind, relative path) of a resource URI
+let parse = (uri: string) =>
+  if !String.startsWith(uri, scheme) {
+    None
+  } else {
+    let segments = String.split(String.slice(uri, ~start=String.length(scheme)), "/")
+    let decoded = Array.filterMap(segments, decode)
+    if Array.length(decoded) != Array.length(segments) {
+      None
+    } else {
+      let relative = Array.slice(decoded, ~start=2)->Array.join("/")
+      switch (decoded[0], decoded[1]) {
+      | (Some(name), Some("config")) if Array.length(decoded) == 2 => Some((name, Config, ""))
+      | (Some(name), Some("source")) if relative != "" => Some((name, Source, relative))
+      | (Some(name), Some("output")) if relative != "" => Some((name, Output, relative))
+      | _ => None
+      }
+    }
+  }
+
+type target = {
+  project: project,
+  kind: kind,
+  // Canonical file path; may not exist yet (output before the first build)
+  path: string,
+}
+
+let notFound = (uri: string) =>
+  Mcp.throwError(
+    Mcp.ErrorCode.resourceNotFound,
+    "Resource not found: " ++ uri,
+    JSON.Encode.object(Dict.fromArray([("uri", JSON.Encode.string(uri))])),
+  )
+
+// Resources are readable with the read scope of the project's adapter
+let readable = (scopes: option<array<string>>, project: project) =>
+  Scopes.allows(scopes, ~adapter=Some(project.ssg), ~category="read")
+
+// relative resolved below base, unless `..` or a symlink leads out of it, or
+// it names (or leads into) an entry that is not listed either
+let within = (base: string, relative: string) => {
+  let base = Workspace.canonicalize(base)
+  let path = Workspace.canonicalize(Path.resolve([base, relative]))
+  let hidden = segment => segment != "." && segment != ".." && ignored(segment)
+  let segments = Array.concat(String.split(relative, "/"), String.split(Path.relative(base, path), Path.sep))
+  Workspace.contains(base, path) && !Array.some(segments, hidden) ? Some(path) : None
+}
+
+// The file a URI names, confined to its project's directory (or output
+// directory) after symlinks are resolved. Throws resourceNotFound.
+let find = async (uri: string, scopes: option<array<string>>) => {
+  let projects = await discover()
+  let located = parse(uri)->Option.flatMap(((name, kind, relative)) =>
+    Array.find(projects, p => p.name == name)->Option.flatMap(project => {
+      let path = switch kind {
+      | Config => project.config
+      | Source => within(project.dir, relative)
+      | Output => project.output->Option.flatMap(within(_, relative))
+      }
+      path->Option.map(path => {project, kind, path})
+    })
+  )
+  switch located {
+  | Some(target) if readable(scopes, target.project) => target
+  | Some(target) =>
+    Mcp.throwError(
+      Mcp.ErrorCode.invalidRequest,
+      "The access token does not grant reading " ++ uri,
+      JSON.Encode.object(
+        Dict.fromArray([
+          ("uri", JSON.Encode.string(uri)),
+          (
+            "requiredScope",
+            JSON.Encode.string(Scopes.required(~adapter=Some(target.project.ssg), ~category="read")),
+          ),
+        ]),
+      ),
+    )
+  | None => notFound(uri)
+  }
+}
+
+// ============================================================================
+// Listing and reading
+// ============================================================================
+
+let mimeTypes = Dict.fromArray([
+  (".md", "text/markdown"),
+  (".markdown", "text/markdown"),
+  (".html", "text/html"),
+  (".htm", "text/html"),
+  (".css", "text/css"),
+  (".js", "text/javascript"),
+  (".json", "application/json"),
+  (".toml", "application/toml"),
+  (".yaml", "application/yaml"),
+  (".yml", "application/yaml"),
+  (".xml", "application/xml"),
+  (".svg", "image/svg+xml"),
+  (".txt", "text/plain"),
+  (".png", "image/png"),
+  (".jpg", "image/jpeg"),
+  (".jpeg", "image/jpeg"),
+  (".gif", "image/gif"),
+  (".webp", "image/webp"),
+  (".ico", "image/x-icon"),
+  (".pdf", "application/pdf"),
+  (".woff", "font/woff"),
+  (".woff2", "font/woff2"),
+])
+
+let mimeType = (path: string) => Dict.get(mimeTypes, String.toLowerCase(Path.extname(path)))
+
+// Files listed per source or output tree; larger trees are still readable
+// through the templates
+let maxListedFiles = 1000
+
+let pageSize = 200
+
+// Files below dir as "/"-separated relative paths, skipping the directories
+// in skip
+let files = (dir: string, ~skip: array<string>) => {
+  let found = []
+  let rec walk = (current: string, prefix: string) =>
+    entries(current)->Array.forEach(entry =>
+      if Array.length(found) < maxListedFiles && !ignored(entry.name) {
+        let path = Path.join([current, entry.name])
+        let relative = prefix == "" ? entry.name : prefix ++ "/" ++ entry.name
+        if entry.isDirectory {
+          if !Array.includes(skip, path) {
+            walk(path, relative)
+          }
+        } else if entry.isFile {
+          Array.push(found, relative)
+        }
+      }
+    )
+  walk(dir, "")
+  found
+}
+
+let resourceJson = (~uri: string, ~name: string, ~description=?, path: string) => {
+  let obj = Dict.make()
+  Dict.set(obj, "uri", JSON.Encode.string(uri))
+  Dict.set(obj, "name", JSON.Encode.string(name))
+  Option.forEach(description, d => Dict.set(obj, "description", JSON.Encode.string(d)))
+  Option.forEach(mimeType(path), m => Dict.set(obj, "mimeType", JSON.Encode.string(m)))
+  JSON.Encode.object(obj)
+}
+
+let projectResources = (project: project) => {
+  let config = switch project.config {
+  | Some(path) => [
+      resourceJson(
+        ~uri=uri(project, Config, ""),
+        ~name=project.name ++ "/config",
+        ~description=project.ssg ++ " configuration (" ++ Path.basename(path) ++ ")",
+        path,
+      ),
+    ]
+  | None => []
+  }
+  let tree = (kind, dir, ~skip) =>
+    files(dir, ~skip)->Array.map(relative =>
+      resourceJson(
+        ~uri=uri(project, kind, relative),
+        ~name=project.name ++ "/" ++ kindName(kind) ++ "/" ++ relative,
+        relative,
+      )
+    )
+  // The output directory is listed on its own, unless it is the project
+  // itself (Frog builds in place)
+  let output = project.output->Option.filter(out => out != project.dir)
+  Array.flat([
+    config,
+    tree(Source, project.dir, ~skip=output->Option.mapOr([], out => [out])),
+    output->Option.mapOr([], out => tree(Output, out, ~skip=[])),
+  ])
+}
+
+// resources/list; the cursor is the offset of the next page
+let list = async (cursor: option<string>, scopes: option<array<string>>) => {
+  let offset = switch cursor {
+  | None => 0
+  | Some(c) =>
+    switch Int.fromString(c) {
+    | Some(n) if n >= 0 => n
+    | _ =>
+      Mcp.throwError(
+        Mcp.ErrorCode.invalidParams,
+        "Invalid cursor: " ++ c,
+        JSON.Encode.object(Dict.fromArray([("cursor", JSON.Encode.string(c))])),
+      )
+    }
+  }
+  let all =
+    (await discover())
+    ->Array.filter(readable(scopes, _))
+    ->Array.flatMap(projectResources)
+  let result = Dict.make()
+  Dict.set(result, "resources", JSON.Encode.array(Array.slice(all, ~start=offset, ~end=offset + pageSize)))
+  if offset + pageSize < Array.length(all) {
+    Dict.set(result, "nextCursor", JSON.Encode.string(Int.toString(offset + pageSize)))
+  }
+  JSON.Encode.object(result)
+}
+
+// resources/templates/list
+let templates = () => {
+  let template = (uriTemplate, name, description) =>
+    JSON.Encode.object(
+      Dict.fromArray([
+        ("uriTemplate", JSON.Encode.string(uriTemplate)),
+        ("name", JSON.Encode.string(name)),
+        ("description", JSON.Encode.string(description)),
+      ]),
+    )
+  JSON.Encode.object(
+    Dict.fromArray([
+      (
+        "resourceTemplates",
+        JSON.Encode.array([
+          template(scheme ++ "{name}/config", "config", "Configuration file of a site project"),
+          template(
+            scheme ++ "{name}/source/{path}",
+            "source",
+            "File in a site project, by path relative to the project directory",
+          ),
+          template(
+            scheme ++ "{name}/output/{path}",
+            "output",
+            "File of a project's built site, by path relative to the output directory",
+          ),
+        ]),
+      ),
+    ]),
+  )
+}
+
+// Larger files are refused rather than base64-encoded into one message
+let maxReadBytes = 10.0 *. 1024.0 *. 1024.0
+
+// Valid UTF-8 is returned as text, anything else as a base64 blob
+let read = async (uri: string, scopes: option<array<string>>) => {
+  let target = await find(uri, scopes)
+  switch await ProjectDetect.stat(target.path) {
+  | Some(info) if info.isFile =>
+    if info.size > maxReadBytes {
+      Mcp.throwError(
+        Mcp.ErrorCode.invalidRequest,
+        "Resource too large to read: " ++ Float.toString(info.size) ++ " bytes",
+        JSON.Encode.object(
+          Dict.fromArray([
+            ("uri", JSON.Encode.string(uri)),
+            ("size", JSON.Encode.float(info.size)),
+            ("limit", JSON.Encode.float(maxReadBytes)),
+          ]),
+        ),
+      )
+    }
+    let bytes = await Deno.Fs.readFile(target.path)
+    let content = Dict.make()
+    Dict.set(content, "uri", JSON.Encode.string(uri))
+    let text = try {
+      Some(Deno.TextDecoder.makeWithOptions("utf-8", {"fatal": true})->Deno.TextDecoder.decode(bytes))
+    } catch {
+    | _ => None
+    }
+    switch text {
+    | Some(text) =>
+      Dict.set(content, "mimeType", JSON.Encode.string(mimeType(target.path)->Option.getOr("text/plain")))
+      Dict.set(content, "text", JSON.Encode.string(text))
+    | None =>
+      Dict.set(
+        content,
+        "mimeType",
+        JSON.Encode.string(mimeType(target.path)->Option.getOr("application/octet-stream")),
+      )
+      Dict.set(content, "blob", JSON.Encode.string(Deno.Fs.toBase64(bytes)))
+    }
+    JSON.Encode.object(Dict.fromArray([("contents", JSON.Encode.array([JSON.Encode.object(content)]))]))
+  | _ => notFound(uri)
+  }
+}
+
+// ============================================================================
+// Subscriptions
+// ============================================================================
+
+type subscription = {
+  kind: kind,
+  path: string,
+  projectDir: string,
+}
+
+// One per MCP server (session); notify sends notifications/resources/updated
+type subscriber = {
+  subscriptions: Dict.t<subscription>, // by URI
+  mutable pending: array<string>,
+  mutable timer: option<timeoutId>,
+  notify: string => unit,
+}
+
+let subscribers: Set.t<subscriber> = Set.make()
+
+// A build or an editor save touches many files at once; updates within this
+// window are sent once per URI
+let updateDelayMs = 200
+
+let schedule = (subscriber: subscriber, uri: string) => {
+  if !Array.includes(subscriber.pending, uri) {
+    Array.push(subscriber.pending, uri)
+  }
+  if Option.isNone(subscriber.timer) {
+    subscriber.timer = Some(setTimeout(() => {
+      let uris = subscriber.pending
+      subscriber.pending = []
+      subscriber.timer = None
+      Array.forEach(uris, subscriber.notify)
+    }, updateDelayMs))
+  }
+}
+
+// Subscriptions to path, or to a file inside it (a removed or renamed
+// directory)
+let changed = (path: string) =>
+  Set.forEach(subscribers, subscriber =>
+    Dict.forEachWithKey(subscriber.subscriptions, (s, uri) =>
+      if Workspace.contains(path, s.path) {
+        schedule(subscriber, uri)
+      }
+    )
+  )
+
+// Called after a build tool ran in dir
+let buildFinished = (dir: string) => {
+  let dir = Workspace.canonicalize(dir)
+  Set.forEach(subscribers, subscriber =>
+    Dict.forEachWithKey(subscriber.subscriptions, (s, uri) =>
+      if s.kind == Output && s.projectDir == dir {
+        schedule(subscriber, uri)
+      }
+    )
+  )
+}
+
+type watcher = {
+  handle: Deno.Fs.Watcher.t,
+  mutable users: int, // subscriptions in the project
+}
+
+// By project directory
+let watchers: Dict.t<watcher> = Dict.make()
+
+let pump = async (handle: Deno.Fs.Watcher.t) =>
+  try {
+    let finished = ref(false)
+    while !finished.contents {
+      let next = await Deno.Fs.Watcher.next(handle)
+      switch next.value {
+      | Some(event) if !next.done => Array.forEach(event.paths, changed)
+      | _ => finished := true
+      }
+    }
+  } catch {
+  | JsExn(e) => Console.error("[resources] watcher stopped: " ++ JsExn.message(e)->Option.getOr("unknown error"))
+  }
+
+let watch = (dir: string) =>
+  switch Dict.get(watchers, dir) {
+  | Some(w) => w.users = w.users + 1
+  | None =>
+    try {
+      let handle = Deno.Fs.Watcher.make([dir], {"recursive": true})
+      Dict.set(watchers, dir, {handle, users: 1})
+      pump(handle)->ignore
+    } catch {
+    // Builds still send updates
+    | JsExn(e) =>
+      Console.error("[resources] cannot watch " ++ dir ++ ": " ++ JsExn.message(e)->Option.getOr(""))
+    }
+  }
+
+let unwatch = (dir: string) =>
+  switch Dict.get(watchers, dir) {
+  | Some(w) if w.users > 1 => w.users = w.users - 1
+  | Some(w) =>
+    Deno.Fs.Watcher.close(w.handle)
+    Dict.delete(watchers, dir)
+  | None => ()
+  }
+
+let makeSubscriber = (notify: string => unit) => {
+  let subscriber = {subscriptions: Dict.make(), pending: [], timer: None, notify}
+  Set.add(subscribers, subscriber)
+  subscriber
+}
+
+// resources/subscribe; the file need not exist yet
+let subscribe = async (subscriber: subscriber, uri: string, scopes: option<array<string>>) => {
+  let target = await find(uri, scopes)
+  if Option.isNone(Dict.get(subscriber.subscriptions, uri)) {
+    let projectDir = Workspace.canonicalize(target.project.dir)
+    Dict.set(subscriber.subscriptions, uri, {kind: target.kind, path: target.path, projectDir})
+    watch(projectDir)
+  }
+  JSON.Encode.object(Dict.make())
+}
+
+// resources/unsubscribe
+let unsubscribe = (subscriber: subscriber, uri: string) => {
+  switch Dict.get(subscriber.subscriptions, uri) {
+  | Some(s) =>
+    Dict.delete(subscriber.subscriptions, uri)
+    unwatch(s.projectDir)
+  | None => ()
+  }
+  JSON.Encode.object(Dict.make())
+}
+
+// When the server closes
+let release = (subscriber: subscriber) => {
+  Dict.keysToArray(subscriber.subscriptions)->Array.forEach(uri => unsubscribe(subscriber, uri)->ignore)
+  Option.forEach(subscriber.timer, clearTimeout)
+  subscriber.timer = None
+  Set.delete(subscribers, subscriber)->ignore
+}
@@ -0,0 +1,173 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// Tool argument validation against a tool's inputSchema
+//
+// Covers the JSON Schema keywords tool schemas use: type, enum, const,
+// properties, required, additionalProperties, items and the string, number
+// and array bounds. Other keywords are ignored. As in Params, null stands for
+// an omitted optional argument.
+
+type violation = {
+  // JSON Pointer to the offending value ("" for the arguments object)
+  path: string,
+  message: string,
+}
+
+let pointer = (path: string, key: string) =>
+  path ++ "/" ++ key->String.replaceAll("~", "~0")->String.replaceAll("/", "~1")
+
+let keyword = (schema: dict<JSON.t>, name: string) => Dict.get(schema, name)
+
+let number = (schema: dict<JSON.t>, name: string) =>
+  switch keyword(schema, name) {
+  | Some(JSON.Number(n)) => Some(n)
+  | _ => None
+  }
+
+let isInteger = (n: float) => Float.isFinite(n) && Math.floor(n) == n
+
+let hasType = (value: JSON.t, typeName: string) =>
+  switch (typeName, value) {
+  | ("object", JSON.Object(_))
+  | ("array", JSON.Array(_))
+  | ("string", JSON.String(_))
+  | ("boolean", JSON.Boolean(_))
+  | ("null", JSON.Null)
+  | ("number", JSON.Number(_)) => true
+  | ("integer", JSON.Number(n)) => isInteger(n)
+  | _ => false
+  }
+
+let typeNames = (schema: dict<JSON.t>) =>
+  switch keyword(schema, "type") {
+  | Some(JSON.String(t)) => [t]
+  | Some(JSON.Array(types)) => Array.filterMap(types, JSON.Decode.string)
+  | _ => []
+  }
+
+let sameJson = (a: JSON.t, b: JSON.t) => JSON.stringify(a) == JSON.stringify(b)
+
+let rec check = (schema: JSON.t, value: JSON.t, path: string, violations: array<violation>) =>
+  switch schema {
+  | JSON.Object(schema) =>
+    let fail = message => Array.push(violations, {path, message})
+    let types = typeNames(schema)
+    if Array.length(types) > 0 && !Array.some(types, hasType(value, _)) {
+      fail("must be " ++ Array.join(types, " or "))
+    } else {
+      switch keyword(schema, "enum") {
+      | Some(JSON.Array(allowed)) if !Array.some(allowed, sameJson(value, _)) =>
+        fail("must be one of " ++ Array.map(allowed, a => JSON.stringify(a))->Array.join(", "))
+      | _ => ()
+      }
+      switch keyword(schema, "const") {
+      | Some(expected) if !sameJson(value, expected) => fail("must be " ++ JSON.stringify(expected))
+      | _ => ()
+      }
+      switch value {
+      | JSON.String(s) => checkString(schema, s, fail)
+      | JSON.Number(n) => checkNumber(schema, n, fail)
+      | JSON.Array(items) => checkArray(schema, items, path, violations, fail)
+      | JSON.Object(obj) => checkObject(schema, obj, path, violations)
+      | _ => ()
+      }
+    }
+  | _ => ()
+  }
+
+and checkString = (schema, s: string, fail) => {
+  let length = String.length(s)
+  switch number(schema, "minLength") {
+  | Some(min) if Int.toFloat(length) < min => fail("must be at least " ++ Float.toString(min) ++ " characters")
+  | _ => ()
+  }
+  switch number(schema, "maxLength") {
+  | Some(max) if Int.toFloat(length) > max => fail("must be at most " ++ Float.toString(max) ++ " characters")
+  | _ => ()
+  }
+  switch keyword(schema, "pattern") {
+  | Some(JSON.String(pattern)) if !RegExp.test(RegExp.fromString(pattern, ~flags="u"), s) =>
+    fail("must match " ++ pattern)
+  | _ => ()
+  }
+}
+
+and checkNumber = (schema, n: float, fail) => {
+  let bound = (name, ok, relation) =>
+    switch number(schema, name) {
+    | Some(limit) if !ok(n, limit) => fail("must be " ++ relation ++ " " ++ Float.toString(limit))
+    | _ => ()
+    }
+  bound("minimum", (n, l) => n >= l, ">=")
+  bound("maximum", (n, l) => n <= l, "<=")
+  bound("exclusiveMinimum", (n, l) => n > l, ">")
+  bound("exclusiveMaximum", (n, l) => n < l, "<")
+}
+
+and checkArray = (schema, items: array<JSON.t>, path, violations, fail) => {
+  let count = Int.toFloat(Array.length(items))
+  switch number(schema, "minItems") {
+  | Some(min) if count < min => fail("must have at least " ++ Float.toString(min) ++ " items")
+  | _ => ()
+  }
+  switch number(schema, "maxItems") {
+  | Some(max) if count > max => fail("must have at most " ++ Float.toString(max) ++ " items")
+  | _ => ()
+  }
+  switch keyword(schema, "items") {
+  | Some(itemSchema) =>
+    Array.forEachWithIndex(items, (item, i) =>
+      check(itemSchema, item, pointer(path, Int.toString(i)), violations)
+    )
+  | None => ()
+  }
+}
+
+and checkObject = (schema, obj: dict<JSON.t>, path, violations) => {
+  let required = switch keyword(schema, "required") {
+  | Some(JSON.Array(names)) => Array.filterMap(names, JSON.Decode.string)
+  | _ => []
+  }
+  let properties = switch keyword(schema, "properties") {
+  | Some(JSON.Object(props)) => props
+  | _ => Dict.make()
+  }
+  Array.forEach(required, name =>
+    switch Dict.get(obj, name) {
+    | None | Some(JSON.Null) => Array.push(violations, {path: pointer(path, name), message: "is required"})
+    | Some(_) => ()
+    }
+  )
+  Dict.forEachWithKey(obj, (value, name) =>
+    switch (Dict.get(properties, name), value) {
+    | (_, JSON.Null) if !Array.includes(required, name) => ()
+    | (Some(propertySchema), _) => check(propertySchema, value, pointer(path, name), violations)
+    | (None, _) =>
+      switch keyword(schema, "additionalProperties") {
+      | Some(JSON.Boolean(false)) =>
+        Array.push(violations, {path: pointer(path, name), message: "is not allowed"})
+      | Some(JSON.Object(_) as extra) => check(extra, value, pointer(path, name), violations)
+      | _ => ()
+      }
+    }
+  )
+}
+
+// Every violation of schema by value; empty if value is valid
+let validate = (schema: JSON.t, value: JSON.t) => {
+  let violations = []
+  check(schema, value, "", violations)
+  violations
+}
+
+let violationToJson = (v: violation) =>
+  JSON.Encode.object(
+    Dict.fromArray([("path", JSON.Encode.string(v.path)), ("message", JSON.Encode.string(v.message))]),
+  )
+
+// "/timeoutSeconds must be integer; /path is required"
+let describe = (violations: array<violation>) =>
+  violations
+  ->Array.map(v => (v.path == "" ? "arguments" : v.path) ++ " " ++ v.message)
+  ->Array.join("; ")
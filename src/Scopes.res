@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// OAuth scopes limiting which tools an HTTP caller may use
+//
+// Tools fall into categories: read, init, build, serve, deploy, content and
+// exec. A token scope grants tools by category, by adapter, or both:
+//   ssg            every tool
+//   ssg:build      build/check/clean tools of every adapter
+//   ssg:zola       every Zola tool
+//   ssg:zola:serve Zola's dev server only
+// Calls without scopes (STDIO, HTTP without auth) are not restricted.
+
+let prefix = "ssg"
+
+let categories = ["read", "init", "build", "serve", "deploy", "content", "exec"]
+
+let operationCategory = (operation: Adapter.operation) =>
+  switch operation {
+  | Version => "read"
+  | Init => "init"
+  | Build | Check | Clean => "build"
+  | Serve => "serve"
+  | Deploy => "deploy"
+  | NewPost | NewPage => "content"
+  }
+
+// Category of tools outside the standard operations, by their name's last
+// segment (cobalt_watch, zotonic_sitestop, bb_run)
+let suffixCategory = (toolName: string) =>
+  switch String.split(toolName, "_")->Array.at(-1)->Option.getOr("") {
+  | "watch" | "preview" | "dev" | "server" | "start" | "stop" | "sitestart" | "sitestop" | "nrepl" =>
+    "serve"
+  | "tasks" | "version" => "read"
+  | "run" | "task" => "exec"
+  | "new" | "siteadd" | "init" => "init"
+  | "deploy" | "publish" => "deploy"
+  | _ => "build"
+  }
+
+let toolCategory = (adapter: Adapter.adapter, toolName: string) =>
+  switch Array.find(adapter.capabilities, ((_, tool)) => tool == toolName) {
+  | Some((operation, _)) => operationCategory(operation)
+  | None => suffixCategory(toolName)
+  }
+
+// adapter None is a call not tied to one adapter (ssg_list, ssg_health):
+// scopes for single adapters do not grant it
+let grants = (scope: string, ~adapter: option<string>, ~category: string) => {
+  let forAdapter = name =>
+    adapter->Option.mapOr(false, adapter => String.toLowerCase(adapter) == name)
+  switch String.split(scope, ":") {
+  | [p] | [p, "*"] => p == prefix
+  | [p, part] if Array.includes(categories, part) => p == prefix && part == category
+  | [p, name] => p == prefix && forAdapter(name)
+  | [p, name, part] => p == prefix && forAdapter(name) && (part == category || part == "*")
+  | _ => false
+  }
+}
+
+// None (no token) allows everything
+let allows = (scopes: option<array<string>>, ~adapter: option<string>, ~category: string) =>
+  switch scopes {
+  | None => true
+  | Some(granted) => Array.some(granted, grants(_, ~adapter, ~category))
+  }
+
+// Whether the category is granted for at least one adapter. Meta tools that
+// act on one adapter (ssg_build, ssg_process_stop) are offered on this basis
+// and check allows once they know which.
+let allowsSome = (scopes: option<array<string>>, ~category: string) =>
+  switch scopes {
+  | None => true
+  | Some(granted) =>
+    Array.some(granted, scope =>
+      switch String.split(scope, ":") {
+      | [p] | [p, "*"] => p == prefix
+      | [p, part] if Array.includes(categories, part) => p == prefix && part == category
+      | [p, _] => p == prefix
+      | [p, _, part] => p == prefix && (part == category || part == "*")
+      | _ => false
+      }
+    )
+  }
+
+// Scope that would allow the call, for the error message
+let required = (~adapter: option<string>, ~category: string) =>
+  switch adapter {
+  | Some(name) => prefix ++ ":" ++ String.toLowerCase(name) ++ ":" ++ category
+  | None => prefix ++ ":" ++ category
+  }
+
+let deniedToJson = (~tool: string, ~adapter: option<string>, ~category: string) => {
+  let obj = Dict.make()
+  Dict.set(obj, "error", JSON.Encode.string("insufficient_scope"))
+  Dict.set(
+    obj,
+    "message",
+    JSON.Encode.string("The access token does not grant " ++ tool ++ " (" ++ category ++ ")"),
+  )
+  Dict.set(obj, "tool", JSON.Encode.string(tool))
+  Dict.set(obj, "category", JSON.Encode.string(category))
+  Dict.set(obj, "requiredScope", JSON.Encode.string(required(~adapter, ~category)))
+  JSON.Encode.object(obj)
+}
+
+// Every scope a token may carry, for the protected-resource metadata
+let supported = (adapterNames: array<string>) =>
+  Array.concat(
+    [prefix],
+    Array.concat(
+      Array.map(categories, c => prefix ++ ":" ++ c),
+      Array.map(adapterNames, name => prefix ++ ":" ++ String.toLowerCase(name)),
+    ),
+  )
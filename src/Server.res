@@ -14,103 +14,9 @@ let feedbackUrl = "https://github.com/hyperpolymath/polyglot-ssg-mcp/issues"
 // Adapter Registry
 // ============================================================================
 
-type adapterModule = {
-  name: string,
-  language: string,
-  description: string,
-  connect: unit => promise<bool>,
-  disconnect: unit => promise<unit>,
-  isConnected: unit => bool,
-  tools: array<tool>,
-}
-
-// Import all adapters (compiled from ReScript)
-@module("./adapters/Zola.res.js")
-external zolaAdapter: adapterModule = "default"
-
-@module("./adapters/Cobalt.res.js")
-external cobaltAdapter: adapterModule = "default"
-
-@module("./adapters/Mdbook.res.js")
-external mdbookAdapter: adapterModule = "default"
-
-@module("./adapters/Serum.res.js")
-external serumAdapter: adapterModule = "default"
-
-@module("./adapters/NimblePublisher.res.js")
-external nimblePublisherAdapter: adapterModule = "default"
-
-@module("./adapters/Tableau.res.js")
-external tableauAdapter: adapterModule = "default"
-
-@module("./adapters/Hakyll.res.js")
-external hakyllAdapter: adapterModule = "default"
-
-@module("./adapters/Ema.res.js")
-external emaAdapter: adapterModule = "default"
-
-@module("./adapters/Yocaml.res.js")
-external yocamlAdapter: adapterModule = "default"
-
-@module("./adapters/Fornax.res.js")
-external fornaxAdapter: adapterModule = "default"
-
-@module("./adapters/Publish.res.js")
-external publishAdapter: adapterModule = "default"
-
-@module("./adapters/Coleslaw.res.js")
-external coleslawAdapter: adapterModule = "default"
-
-@module("./adapters/Orchid.res.js")
-external orchidAdapter: adapterModule = "default"
-
-@module("./adapters/Franklin.res.js")
-external franklinAdapter: adapterModule = "default"
-
-@module("./adapters/Staticwebpages.res.js")
-external staticwebpagesAdapter: adapterModule = "default"
-
-@module("./adapters/Documenter.res.js")
-external documenterAdapter: adapterModule = "default"
-
-@module("./adapters/Cryogen.res.js")
-external cryogenAdapter: adapterModule = "default"
-
-@module("./adapters/Perun.res.js")
-external perunAdapter: adapterModule = "default"
-
-@module("./adapters/Babashka.res.js")
-external babashkaAdapter: adapterModule = "default"
-
-@module("./adapters/Laika.res.js")
-external laikaAdapter: adapterModule = "default"
-
-@module("./adapters/Scalatex.res.js")
-external scalatexAdapter: adapterModule = "default"
-
-@module("./adapters/Zotonic.res.js")
-external zotonicAdapter: adapterModule = "default"
-
-@module("./adapters/Pollen.res.js")
-external pollenAdapter: adapterModule = "default"
-
-@module("./adapters/Frog.res.js")
-external frogAdapter: adapterModule = "default"
-
-@module("./adapters/Reggae.res.js")
-external reggaeAdapter: adapterModule = "default"
-
-@module("./adapters/Wub.res.js")
-external wubAdapter: adapterModule = "default"
-
-@module("./adapters/Marmot.res.js")
-external marmotAdapter: adapterModule = "default"
-
-@module("./adapters/Nimrod.res.js")
-external nimrodAdapter: adapterModule = "default"
-
-@module("./adapters/Corral.res.js")
-external corralAdapter: adapterModule = "default"
+// Adapter modules are imported by the entry point (main.js) as ES module
+// namespaces, whose named exports match the Adapter.adapter record.
+type adapterModule = adapter
 
 // All adapters array - populated at runtime
 let adapters: array<adapterModule> = []
@@ -273,7 +179,7 @@ let ssgHelpTool = (adapters: array<adapterModule>) => {
     }
 
     switch ssgName {
-    | None => makeToolResult("Missing required parameter: ssg", ~isError=true)
+    | None => makeJsonResult(Conformance.matrix(adapters))
     | Some(name) =>
       switch findAdapter(adapters, name) {
       | None =>
@@ -296,6 +202,23 @@ let ssgHelpTool = (adapters: array<adapterModule>) => {
         Dict.set(result, "description", JSON.Encode.string(adapter.description))
         Dict.set(result, "connected", JSON.Encode.bool(adapter.isConnected()))
         Dict.set(result, "tools", JSON.Encode.array(tools))
+        Dict.set(
+          result,
+          "capabilities",
+          JSON.Encode.object(
+            Dict.fromArray(
+              Array.map(adapter.capabilities, ((operation, tool)) => (
+                operationName(operation),
+                JSON.Encode.string(tool),
+              )),
+            ),
+          ),
+        )
+        Dict.set(
+          result,
+          "conformance",
+          JSON.Encode.array(Array.map(Conformance.check(adapter), Conformance.issueToJson)),
+        )
 
         makeJsonResult(JSON.Encode.object(result))
       }
@@ -319,6 +242,9 @@ let ssgVersionTool = (adapters: array<adapterModule>) => {
   }
 }
 
+// Circuit breaker and bulkhead state (see Resilience)
+let ssgHealthTool = async () => makeJsonResult(Resilience.toJson())
+
 // ============================================================================
 // Server Configuration
 // ============================================================================
@@ -363,37 +289,59 @@ let logStartup = (mode: serverMode, adapters: array<adapterModule>) => {
 // Tool Execution Wrapper
 // ============================================================================
 
-let executeAdapterTool = async (adapter: adapterModule, tool: tool, params: JSON.t) => {
-  try {
-    if !adapter.isConnected() {
-      let connected = await adapter.connect()
-      if !connected {
-        makeToolResult(
-          adapter.name ++
-          " is not available. Please install " ++
-          adapter.name ++
-          " (" ++
-          adapter.language ++
-          ").",
-          ~isError=true,
-        )
-      } else {
-        switch tool.execute {
-        | Some(executeFn) =>
-          let result = await executeFn(params)
-          makeJsonResult(result)
-        | None => makeToolResult("Tool execution not implemented", ~isError=true)
-        }
-      }
+// A commandResult with success: false is reported as a tool error
+let commandFailed = (result: JSON.t) =>
+  switch result {
+  | JSON.Object(obj) => Dict.get(obj, "success") == Some(JSON.Boolean(false))
+  | _ => false
+  }
+
+let runTool = async (tool: tool, params: JSON.t) => {
+  switch tool.execute {
+  | Some(executeFn) =>
+    let result = await executeFn(params)
+    makeStructuredResult(result, ~isError=commandFailed(result))
+  | None => makeToolResult("Tool execution not implemented", ~isError=true)
+  }
+}
+
+// Connect on first use, then run the tool within context. The version probe
+// of connect keeps the call's timeout and signal but not its output
+// reporter: its output is not the tool's.
+let connectAndRun = async (
+  adapter: adapterModule,
+  tool: tool,
+  params: JSON.t,
+  context: CallContext.t,
+) => {
+  let run = () => CallContext.run(context, () => runTool(tool, params))
+  if !adapter.isConnected() {
+    let connected = await CallContext.run({...context, onOutput: None}, adapter.connect)
+    if !connected {
+      makeToolResult(
+        adapter.name ++
+        " is not available. Please install " ++
+        adapter.name ++
+        " (" ++
+        adapter.language ++
+        ").",
+        ~isError=true,
+      )
     } else {
-      switch tool.execute {
-      | Some(executeFn) =>
-        let result = await executeFn(params)
-        makeJsonResult(result)
-      | None => makeToolResult("Tool execution not implemented", ~isError=true)
-      }
+      await run()
     }
+  } else {
+    await run()
+  }
+}
+
+// Workspace violations and thrown errors become error results
+let reportErrors = async (run: unit => promise<toolResult>) =>
+  try {
+    await run()
   } catch {
+  | Workspace.OutsideWorkspace({parameter, value, resolved, roots}) =>
+    makeJsonResult(Workspace.errorToJson(parameter, value, resolved, roots), ~isError=true)
   | JsExn(e) =>
     let msg = switch JsExn.message(e) {
     | Some(m) => m
@@ -401,4 +349,646 @@ let executeAdapterTool = async (adapter: adapterModule, tool: tool, params: JSON
     }
     makeToolResult("Error: " ++ msg ++ "\n\nPlease report issues at: " ++ feedbackUrl, ~isError=true)
   }
+
+// Error result when the caller's token lacks the scope for a tool
+let checkScope = (request: CallContext.request, ~tool: string, ~adapter, ~category) =>
+  if Scopes.allows(request.scopes, ~adapter, ~category) {
+    None
+  } else {
+    Some(makeJsonResult(Scopes.deniedToJson(~tool, ~adapter, ~category), ~isError=true))
+  }
+
+// Runs the tool within its adapter's circuit breaker and concurrency limit
+let runAdmitted = async (
+  adapter: adapterModule,
+  tool: tool,
+  params: JSON.t,
+  request: CallContext.request,
+) => {
+  let breaker = Resilience.adapterBreaker(adapter.name)
+  switch Resilience.admit(breaker, ~kind="Adapter") {
+  | Error(message) => makeToolResult(message, ~isError=true)
+  | Ok(isTrial) =>
+    let endTrial = () =>
+      if isTrial {
+        Resilience.release(breaker)
+      }
+    switch Resilience.enter(adapter.name) {
+    | Error(message) =>
+      endTrial()
+      makeToolResult(message, ~isError=true)
+    | Ok() =>
+      let reporter = CallContext.outputReporter(~tool=tool.name, request)
+      let result = await reportErrors(async () => {
+        let timeoutMs = CallContext.timeoutFor(~toolDefault=tool.timeoutMs, params)
+        let context: CallContext.t = {
+          adapter: Some(adapter.name),
+          timeoutMs,
+          shortened: timeoutMs < Option.getOr(tool.timeoutMs, CallContext.defaultTimeoutMs),
+          signal: request.signal,
+          onOutput: reporter->Option.map(r => r.onOutput),
+          sessionId: ?request.sessionId,
+        }
+        let result = await connectAndRun(adapter, tool, params, context)
+        // Subscribers to the project's output are told it was rebuilt
+        if toolFor(adapter.capabilities, Build) == Some(tool.name) {
+          Resources.buildFinished(Params.path(params, "path")->Option.getOr(Workspace.defaultRoot()))
+        }
+        result
+      })
+      Option.forEach(reporter, r => r.flush())
+      Resilience.leave(adapter.name)
+      endTrial()
+      result
+    }
+  }
+}
+
+let executeAdapterTool = async (
+  adapter: adapterModule,
+  tool: tool,
+  params: JSON.t,
+  request: CallContext.request,
+) =>
+  switch checkScope(
+    request,
+    ~tool=tool.name,
+    ~adapter=Some(adapter.name),
+    ~category=Scopes.toolCategory(adapter, tool.name),
+  ) {
+  | Some(denied) => denied
+  // Confirmation is asked before taking a concurrency slot: the user may take
+  // a while
+  | None =>
+    await reportErrors(async () =>
+      switch await Confirm.check(tool, params, request) {
+      | Some(refused) => makeToolResult(refused, ~isError=true)
+      | None => await runAdmitted(adapter, tool, params, request)
+      }
+    )
+  }
+
+let findAdapterTool = (adapters: array<adapterModule>, name: string) => {
+  let found = ref(None)
+  Array.forEach(adapters, a => {
+    if Option.isNone(found.contents) {
+      switch Array.find(a.tools, t => t.name == name) {
+      | Some(t) => found := Some((a, t))
+      | None => ()
+      }
+    }
+  })
+  found.contents
+}
+
+// ============================================================================
+// Process Management Tools
+// ============================================================================
+
+// Adapter whose tool started the process, for scope checks
+let processAdapter = (adapters: array<adapterModule>, proc: Supervisor.managed) =>
+  findAdapterTool(adapters, proc.tool)->Option.map(((adapter, _)) => adapter.name)
+
+// Run action on the process named by the id parameter if the caller's scopes
+// grant tool for the adapter that started it
+let withProcess = async (
+  adapters: array<adapterModule>,
+  params: JSON.t,
+  request: CallContext.request,
+  ~tool: string,
+  ~category: string,
+  action: Supervisor.managed => promise<toolResult>,
+) => {
+  switch Params.string(params, "id") {
+  | None => makeToolResult("Missing required parameter: id", ~isError=true)
+  | Some(id) =>
+    switch Supervisor.get(id) {
+    | Some(proc) =>
+      switch checkScope(request, ~tool, ~adapter=processAdapter(adapters, proc), ~category) {
+      | Some(denied) => denied
+      | None => await action(proc)
+      }
+    | None => makeToolResult("Unknown process: " ++ id, ~isError=true)
+    }
+  }
+}
+
+// Only processes of adapters the caller may read
+let ssgProcessListTool = async (adapters: array<adapterModule>, request: CallContext.request) => {
+  let list =
+    Supervisor.list()
+    ->Array.filter(proc =>
+      Scopes.allows(request.scopes, ~adapter=processAdapter(adapters, proc), ~category="read")
+    )
+    ->Array.map(proc => Supervisor.toJson(proc, ~tail=0))
+  let result = Dict.make()
+  Dict.set(result, "total", JSON.Encode.int(Array.length(list)))
+  Dict.set(result, "processes", JSON.Encode.array(list))
+  makeJsonResult(JSON.Encode.object(result))
+}
+
+let ssgProcessLogsTool = (adapters, params: JSON.t, request) =>
+  withProcess(adapters, params, request, ~tool="ssg_process_logs", ~category="read", async proc => {
+    let lines = Params.int(params, "lines")->Option.getOr(100)
+    let entries = Supervisor.logs(proc, ~lines, ~stream=Params.string(params, "stream"))
+    let result = Dict.make()
+    Dict.set(result, "id", JSON.Encode.string(proc.id))
+    Dict.set(result, "status", JSON.Encode.string(Supervisor.statusToString(proc.status)))
+    Dict.set(result, "droppedLines", JSON.Encode.int(proc.droppedLines))
+    Dict.set(
+      result,
+      "logs",
+      JSON.Encode.array(
+        Array.map(entries, e => {
+          let item = Dict.make()
+          Dict.set(item, "stream", JSON.Encode.string(e.stream))
+          Dict.set(item, "text", JSON.Encode.string(e.text))
+          JSON.Encode.object(item)
+        }),
+      ),
+    )
+    makeJsonResult(JSON.Encode.object(result))
+  })
+
+let ssgProcessStopTool = (adapters, params: JSON.t, request) =>
+  withProcess(adapters, params, request, ~tool="ssg_process_stop", ~category="serve", async proc => {
+    await Supervisor.stop(proc)
+    makeJsonResult(Supervisor.toJson(proc))
+  })
+
+let ssgProcessRestartTool = (adapters, params: JSON.t, request) =>
+  withProcess(adapters, params, request, ~tool="ssg_process_restart", ~category="serve", async proc => {
+    await Supervisor.restart(proc)
+    makeJsonResult(Supervisor.toJson(proc))
+  })
+
+// ============================================================================
+// Project Tools
+// ============================================================================
+
+// Project directory of a unified tool call (default: first workspace root)
+let projectDir = (params: JSON.t) => Params.path(params, "path")->Option.getOr(Workspace.defaultRoot())
+
+let ssgIdentifyTool = async (params: JSON.t) => {
+  let dir = projectDir(params)
+  let found = await ProjectDetect.candidates(dir)
+  let result = Dict.make()
+  Dict.set(result, "path", JSON.Encode.string(dir))
+  switch ProjectDetect.identify(found) {
+  | Some(best) =>
+    Dict.set(result, "detected", JSON.Encode.string(best.ssg))
+    Dict.set(result, "confidence", JSON.Encode.float(ProjectDetect.confidence(best)))
+  | None =>
+    Dict.set(result, "detected", JSON.Encode.null)
+    Dict.set(result, "confidence", JSON.Encode.float(0.0))
+  }
+  Dict.set(result, "candidates", JSON.Encode.array(Array.map(found, ProjectDetect.candidateToJson)))
+  makeStructuredResult(JSON.Encode.object(result))
+}
+
+// SSG for a unified tool call: the explicit ssg parameter, else detection
+let resolveSsg = async (params: JSON.t, dir: string) =>
+  switch Params.string(params, "ssg") {
+  | Some(name) => Ok((name, "ssg parameter"))
+  | None =>
+    let found = await ProjectDetect.candidates(dir)
+    switch ProjectDetect.identify(found) {
+    | Some(best) => Ok((best.ssg, "detected from " ++ Array.join(best.evidence, ", ")))
+    | None if Array.length(found) == 0 => Error("No SSG project found in " ++ dir)
+    | None =>
+      let names = Array.map(found, c => c.ssg)->Array.join(", ")
+      Error("Cannot tell which SSG " ++ dir ++ " uses (candidates: " ++ names ++ "); pass ssg")
+    }
+  }
+
+// ssg_build / ssg_serve / ssg_clean: run the native tool of the project's SSG
+let ssgActionTool = (operation: operation) =>
+  async (adapters: array<adapterModule>, params: JSON.t, request: CallContext.request) => {
+    let dir = projectDir(params)
+    switch await resolveSsg(params, dir) {
+    | Error(message) => makeToolResult(message, ~isError=true)
+    | Ok((name, reason)) =>
+      let native = findAdapter(adapters, name)->Option.flatMap(ProjectDetect.toolFor(_, operation))
+      switch native->Option.flatMap(((toolName, fixed)) =>
+        findAdapterTool(adapters, toolName)->Option.map(found => (found, fixed))
+      ) {
+      | None =>
+        makeToolResult(
+          name ++ " has no " ++ operationName(operation) ++ " tool",
+          ~isError=true,
+        )
+      | Some(((adapter, tool), fixed)) =>
+        let args = switch params {
+        | JSON.Object(obj) => Dict.copy(obj)
+        | _ => Dict.make()
+        }
+        Dict.delete(args, "ssg")
+        Dict.set(args, "path", JSON.Encode.string(dir))
+        Array.forEach(fixed, ((key, value)) => Dict.set(args, key, value))
+        let note = adapter.name ++ " (" ++ reason ++ "): " ++ tool.name
+        // Arguments meant for the native tool are only checked now that it
+        // is known
+        switch Schema.validate(tool.inputSchema, JSON.Encode.object(args)) {
+        | [] =>
+          let result = await executeAdapterTool(adapter, tool, JSON.Encode.object(args), request)
+          {...result, content: Array.concat([makeTextContent(note)], result.content)}
+        | violations =>
+          makeToolResult(note ++ "\nInvalid arguments: " ++ Schema.describe(violations), ~isError=true)
+        }
+      }
+    }
+  }
+
+// ============================================================================
+// Tool Registry
+// ============================================================================
+
+// Meta tools and adapter tools share one registry so every entry point lists
+// and dispatches tools with the same JSON schemas.
+
+type metaTool = {
+  name: string,
+  description: string,
+  inputSchema: JSON.t,
+  // Scope category (see Scopes); meta tools are not tied to one adapter
+  category: string,
+  // The handler checks the scope again for the adapter it acts on (ssg_build,
+  // ssg_process_stop), so tokens for single adapters may call it
+  byAdapter?: bool,
+  annotations: annotations,
+  // Only for tools whose results carry structuredContent
+  outputSchema: option<JSON.t>,
+  handler: (array<adapterModule>, JSON.t, CallContext.request) => promise<toolResult>,
+}
+
+let makeObjectSchema = (props: dict<JSON.t>, required: array<string>) => {
+  let schema = Dict.make()
+  Dict.set(schema, "type", JSON.Encode.string("object"))
+  Dict.set(schema, "properties", JSON.Encode.object(props))
+  if Array.length(required) > 0 {
+    Dict.set(schema, "required", JSON.Encode.array(Array.map(required, JSON.Encode.string)))
+  }
+  JSON.Encode.object(schema)
+}
+
+let makeProp = (typeName: string, desc: string) =>
+  JSON.Encode.object(
+    Dict.fromArray([
+      ("type", JSON.Encode.string(typeName)),
+      ("description", JSON.Encode.string(desc)),
+    ]),
+  )
+
+// Extra properties are passed through to the native tool
+let projectActionSchema = makeObjectSchema(
+  Dict.fromArray([
+    ("path", makeProp("string", "Project directory (default: workspace root)")),
+    ("ssg", makeProp("string", "SSG to use instead of auto-detection (e.g., 'zola')")),
+  ]),
+  [],
+)
+
+// ssgIdentifyTool
+let identifyOutputSchema = objectSchema(
+  [
+    ("path", schemaType("string")),
+    ("detected", nullable("string")),
+    ("confidence", schemaType("number")),
+    (
+      "candidates",
+      arraySchema(
+        objectSchema(
+          [
+            ("ssg", schemaType("string")),
+            ("confidence", schemaType("number")),
+            ("evidence", arraySchema(schemaType("string"))),
+          ],
+          ["ssg", "confidence", "evidence"],
+        ),
+      ),
+    ),
+  ],
+  ["path", "detected", "confidence", "candidates"],
+)
+
+let metaTools: array<metaTool> = [
+  {
+    name: "ssg_list",
+    description: "List all available SSG adapters with their languages and connection status",
+    inputSchema: makeObjectSchema(Dict.make(), []),
+    category: "read",
+    annotations: readOnly,
+    outputSchema: None,
+    handler: (adapters, _, _) => ssgListTool(adapters)(),
+  },
+  {
+    name: "ssg_detect",
+    description: "Auto-detect which SSGs are installed on the system",
+    inputSchema: makeObjectSchema(Dict.make(), []),
+    category: "read",
+    annotations: readOnly,
+    outputSchema: None,
+    handler: (adapters, _, _) => ssgDetectTool(adapters)(),
+  },
+  {
+    name: "ssg_help",
+    description: "Get help for a specific SSG, or without ssg a capability matrix of standard operations across all SSGs",
+    inputSchema: makeObjectSchema(
+      Dict.fromArray([("ssg", makeProp("string", "SSG name (e.g., 'zola', 'hakyll', 'franklin')"))]),
+      [],
+    ),
+    category: "read",
+    annotations: readOnly,
+    outputSchema: None,
+    handler: (adapters, params, _) => ssgHelpTool(adapters)(params),
+  },
+  {
+    name: "ssg_version",
+    description: "Get version information for polyglot-ssg-mcp",
+    inputSchema: makeObjectSchema(Dict.make(), []),
+    category: "read",
+    annotations: readOnly,
+    outputSchema: None,
+    handler: (adapters, _, _) => ssgVersionTool(adapters)(),
+  },
+  {
+    name: "ssg_health",
+    description: "Circuit breaker state per SSG and binary, and running calls per SSG against its concurrency limit",
+    inputSchema: makeObjectSchema(Dict.make(), []),
+    category: "read",
+    annotations: readOnly,
+    outputSchema: None,
+    handler: (_, _, _) => ssgHealthTool(),
+  },
+  {
+    name: "ssg_identify",
+    description: "Identify which SSG a project uses from its marker files, with confidence and evidence",
+    inputSchema: makeObjectSchema(
+      Dict.fromArray([("path", makeProp("string", "Project directory (default: workspace root)"))]),
+      [],
+    ),
+    category: "read",
+    annotations: readOnly,
+    outputSchema: Some(identifyOutputSchema),
+    handler: (_, params, _) => ssgIdentifyTool(params),
+  },
+  {
+    name: "ssg_build",
+    description: "Build a project with whichever SSG it uses (auto-detected)",
+    inputSchema: projectActionSchema,
+    category: "build",
+    annotations: regenerates,
+    outputSchema: Some(buildOutputSchema),
+    byAdapter: true,
+    handler: ssgActionTool(Build),
+  },
+  {
+    name: "ssg_serve",
+    description: "Start the dev server of a project's SSG (auto-detected)",
+    inputSchema: projectActionSchema,
+    category: "serve",
+    annotations: starts,
+    outputSchema: None,
+    byAdapter: true,
+    handler: ssgActionTool(Serve),
+  },
+  {
+    name: "ssg_clean",
+    description: "Remove build artifacts of a project with its SSG (auto-detected)",
+    inputSchema: projectActionSchema,
+    category: "build",
+    annotations: destructive,
+    outputSchema: Some(buildOutputSchema),
+    byAdapter: true,
+    handler: ssgActionTool(Clean),
+  },
+  {
+    name: "ssg_process_list",
+    description: "List background dev-server and watch processes started by *_serve / *_watch tools",
+    inputSchema: makeObjectSchema(Dict.make(), []),
+    category: "read",
+    annotations: readOnly,
+    outputSchema: None,
+    byAdapter: true,
+    handler: (adapters, _, request) => ssgProcessListTool(adapters, request),
+  },
+  {
+    name: "ssg_process_logs",
+    description: "Get buffered stdout/stderr of a background process",
+    inputSchema: makeObjectSchema(
+      Dict.fromArray([
+        ("id", makeProp("string", "Process handle ID (e.g., 'proc-1')")),
+        ("lines", makeProp("number", "Number of most recent lines to return (default: 100)")),
+        ("stream", makeProp("string", "Filter by stream: 'stdout', 'stderr' or 'all' (default)")),
+      ]),
+      ["id"],
+    ),
+    category: "read",
+    annotations: readOnly,
+    outputSchema: None,
+    byAdapter: true,
+    handler: ssgProcessLogsTool,
+  },
+  {
+    name: "ssg_process_stop",
+    description: "Stop a background process",
+    inputSchema: makeObjectSchema(
+      Dict.fromArray([("id", makeProp("string", "Process handle ID"))]),
+      ["id"],
+    ),
+    category: "serve",
+    annotations: destructive,
+    outputSchema: None,
+    byAdapter: true,
+    handler: ssgProcessStopTool,
+  },
+  {
+    name: "ssg_process_restart",
+    description: "Restart a background process with the same command",
+    inputSchema: makeObjectSchema(
+      Dict.fromArray([("id", makeProp("string", "Process handle ID"))]),
+      ["id"],
+    ),
+    category: "serve",
+    annotations: starts,
+    outputSchema: None,
+    byAdapter: true,
+    handler: ssgProcessRestartTool,
+  },
+]
+
+// Whether the caller's scopes allow a meta tool
+let metaAllowed = (scopes: option<array<string>>, meta: metaTool) =>
+  meta.byAdapter == Some(true)
+    ? Scopes.allowsSome(scopes, ~category=meta.category)
+    : Scopes.allows(scopes, ~adapter=None, ~category=meta.category)
+
+// Annotations and outputSchema are left out for clients of protocol
+// revisions that predate them
+let toolInfo = (
+  name: string,
+  description: string,
+  inputSchema: JSON.t,
+  ~annotations: annotations,
+  ~outputSchema: option<JSON.t>,
+  ~protocolVersion: string,
+) => {
+  let item = Dict.make()
+  Dict.set(item, "name", JSON.Encode.string(name))
+  Dict.set(item, "description", JSON.Encode.string(description))
+  Dict.set(item, "inputSchema", inputSchema)
+  if Protocol.supports(protocolVersion, ToolAnnotations) {
+    Dict.set(item, "annotations", annotationsToJson(annotations))
+  }
+  switch outputSchema {
+  | Some(schema) if Protocol.supports(protocolVersion, StructuredContent) =>
+    Dict.set(item, "outputSchema", schema)
+  | _ => ()
+  }
+  JSON.Encode.object(item)
+}
+
+// Default timeout of the slowest tool; the HTTP transport gives other
+// requests at least this long
+let longestTimeoutMs = (adapters: array<adapterModule>) =>
+  adapters->Array.reduce(CallContext.defaultTimeoutMs, (longest, adapter) =>
+    adapter.tools->Array.reduce(longest, (longest, tool) =>
+      Math.Int.max(longest, Option.getOr(tool.timeoutMs, CallContext.defaultTimeoutMs))
+    )
+  )
+
+// Every adapter tool accepts a per-call timeout (see CallContext.timeoutFor),
+// and destructive ones `confirm` for clients that cannot be asked (Confirm)
+let withCallParams = (tool: tool) =>
+  switch tool.inputSchema {
+  | JSON.Object(schema) =>
+    let props = switch Dict.get(schema, "properties") {
+    | Some(JSON.Object(p)) => Dict.copy(p)
+    | _ => Dict.make()
+    }
+    let defaultSeconds = Option.getOr(tool.timeoutMs, CallContext.defaultTimeoutMs) / 1000
+    Dict.set(
+      props,
+      "timeoutSeconds",
+      makeProp(
+        "integer",
+        "Kill the command after this many seconds (default " ++ Int.toString(defaultSeconds) ++ ")",
+      ),
+    )
+    if Option.isSome(tool.confirm) {
+      Dict.set(
+        props,
+        "confirm",
+        makeProp("boolean", "Run this destructive call without asking (clients without elicitation)"),
+      )
+    }
+    let extended = Dict.copy(schema)
+    Dict.set(extended, "properties", JSON.Encode.object(props))
+    JSON.Encode.object(extended)
+  | _ => tool.inputSchema
+  }
+
+// Tool definitions for a tools/list response, limited to the tools the
+// caller's scopes allow
+let listTools = (
+  adapters: array<adapterModule>,
+  scopes: option<array<string>>,
+  protocolVersion: option<string>,
+) => {
+  let protocolVersion = protocolVersion->Option.getOr(Protocol.latestVersion)
+  let metaInfo =
+    metaTools
+    ->Array.filter(metaAllowed(scopes, _))
+    ->Array.map(t =>
+      toolInfo(
+        t.name,
+        t.description,
+        t.inputSchema,
+        ~annotations=t.annotations,
+        ~outputSchema=t.outputSchema,
+        ~protocolVersion,
+      )
+    )
+  let adapterInfo = Array.flatMap(adapters, a =>
+    a.tools
+    ->Array.filter(t =>
+      Scopes.allows(scopes, ~adapter=Some(a.name), ~category=Scopes.toolCategory(a, t.name))
+    )
+    ->Array.map(t =>
+      toolInfo(
+        t.name,
+        t.description,
+        withCallParams(t),
+        ~annotations=t.annotations,
+        ~outputSchema=Some(t.outputSchema),
+        ~protocolVersion,
+      )
+    )
+  )
+  Array.concat(metaInfo, adapterInfo)
+}
+
+// Arguments that do not match the tool's inputSchema are a protocol error
+// (-32602) listing every violation, not a tool result
+let checkArguments = (name: string, schema: JSON.t, params: JSON.t) =>
+  switch Schema.validate(schema, params) {
+  | [] => ()
+  | violations =>
+    throwError(
+      ErrorCode.invalidParams,
+      "Invalid arguments for tool " ++ name ++ ": " ++ Schema.describe(violations),
+      JSON.Encode.object(
+        Dict.fromArray([
+          ("tool", JSON.Encode.string(name)),
+          ("violations", JSON.Encode.array(Array.map(violations, Schema.violationToJson))),
+        ]),
+      ),
+    )
+  }
+
+// Dispatch a tools/call request to a meta tool or adapter tool. Unknown
+// tools and invalid arguments throw a JSON-RPC error.
+let callTool = async (
+  adapters: array<adapterModule>,
+  name: string,
+  params: JSON.t,
+  request: CallContext.request,
+) => {
+  let startedAt = Date.now()
+  let structured = Protocol.supports(
+    request.protocolVersion->Option.getOr(Protocol.latestVersion),
+    StructuredContent,
+  )
+  let record = (adapter: string, result: toolResult) => {
+    Metrics.recordCall(
+      ~tool=name,
+      ~adapter,
+      ~isError=result.isError->Option.getOr(false),
+      ~durationMs=Date.now() -. startedAt,
+    )
+    structured ? result : {...result, structuredContent: ?None}
+  }
+  switch Array.find(metaTools, t => t.name == name) {
+  | Some(meta) =>
+    checkArguments(name, meta.inputSchema, params)
+    if metaAllowed(request.scopes, meta) {
+      record("meta", await reportErrors(() => meta.handler(adapters, params, request)))
+    } else {
+      let denied = Scopes.deniedToJson(~tool=name, ~adapter=None, ~category=meta.category)
+      record("meta", makeJsonResult(denied, ~isError=true))
+    }
+  | None =>
+    switch findAdapterTool(adapters, name) {
+    | Some((adapter, t)) =>
+      checkArguments(name, withCallParams(t), params)
+      record(adapter.name, await executeAdapterTool(adapter, t, params, request))
+    // Not counted: names are caller-supplied and would add a series each
+    | None =>
+      throwError(
+        ErrorCode.invalidParams,
+        "Unknown tool: " ++ name,
+        JSON.Encode.object(Dict.fromArray([("tool", JSON.Encode.string(name))])),
+      )
+    }
+  }
 }
@@ -0,0 +1,252 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// Process supervisor for long-running dev servers and watchers
+// *_serve / *_watch tools spawn their CLI in the background and return a
+// handle ID; output is kept in a bounded ring buffer per process. Processes
+// started in an HTTP session are stopped when it ends.
+
+type status =
+  | Running
+  | Exited(int)
+  | Stopped
+
+type logEntry = {
+  stream: string,
+  text: string,
+  timestamp: float,
+}
+
+type managed = {
+  id: string,
+  tool: string,
+  binary: string,
+  args: array<string>,
+  cwd: option<string>,
+  // MCP session that started it (HTTP); None over STDIO
+  session: option<string>,
+  mutable child: Deno.Command.Child.t,
+  mutable pid: int,
+  mutable status: status,
+  mutable startedAt: float,
+  // When it exited or was stopped
+  mutable endedAt: option<float>,
+  mutable restarts: int,
+  logs: array<logEntry>,
+  mutable droppedLines: int,
+}
+
+// Lines kept per process before the oldest are dropped
+let logCapacity = 1000
+
+// How long start waits for an immediate failure (port in use, bad config)
+let startupGraceMs = 1000
+
+// Exited and stopped processes are kept this long, and at most this many,
+// so their logs can still be read
+let finishedRetentionMs = 10.0 *. 60.0 *. 1000.0
+let finishedCapacity = 20
+
+let processes: Dict.t<managed> = Dict.make()
+let counter = ref(0)
+
+let appendLog = (proc: managed, stream: string, text: string) => {
+  Array.push(proc.logs, {stream, text, timestamp: Date.now()})
+  if Array.length(proc.logs) > logCapacity {
+    let _ = Array.shift(proc.logs)
+    proc.droppedLines = proc.droppedLines + 1
+  }
+}
+
+let statusToString = (status: status) =>
+  switch status {
+  | Running => "running"
+  | Exited(_) => "exited"
+  | Stopped => "stopped"
+  }
+
+// Wire output capture and exit tracking for the current child of proc
+let attach = (proc: managed) => {
+  let child = proc.child
+  let _ = Deno.Stream.readLines(Deno.Command.Child.stdout(child), line =>
+    appendLog(proc, "stdout", line)
+  )
+  let _ = Deno.Stream.readLines(Deno.Command.Child.stderr(child), line =>
+    appendLog(proc, "stderr", line)
+  )
+  let _ = Deno.Command.Child.status(child)->Promise.thenResolve(result => {
+    // A restart replaces proc.child; ignore the exit of the old child
+    if proc.child === child && proc.status == Running {
+      proc.status = Exited(result.code)
+      proc.endedAt = Some(Date.now())
+      appendLog(proc, "system", "process exited with code " ++ Int.toString(result.code))
+    }
+  })
+}
+
+let spawnInto = (proc: managed) => {
+  let child = Deno.Command.spawn(proc.binary, proc.args, proc.cwd)
+  proc.child = child
+  proc.pid = Deno.Command.Child.pid(child)
+  proc.status = Running
+  proc.startedAt = Date.now()
+  proc.endedAt = None
+  attach(proc)
+}
+
+let sleep = (ms: int) =>
+  Promise.make((resolve, _) => {
+    let _ = setTimeout(() => resolve(), ms)
+  })
+
+let lastN = (entries: array<logEntry>, n: int) =>
+  Array.slice(entries, ~start=Math.Int.max(0, Array.length(entries) - n))
+
+let toJson = (proc: managed, ~tail=20) => {
+  let obj = Dict.make()
+  Dict.set(obj, "id", JSON.Encode.string(proc.id))
+  Dict.set(obj, "tool", JSON.Encode.string(proc.tool))
+  Dict.set(
+    obj,
+    "command",
+    JSON.Encode.string(Array.join(Array.concat([proc.binary], proc.args), " ")),
+  )
+  switch proc.cwd {
+  | Some(dir) => Dict.set(obj, "cwd", JSON.Encode.string(dir))
+  | None => ()
+  }
+  switch proc.session {
+  | Some(id) => Dict.set(obj, "session", JSON.Encode.string(id))
+  | None => ()
+  }
+  Dict.set(obj, "pid", JSON.Encode.int(proc.pid))
+  Dict.set(obj, "status", JSON.Encode.string(statusToString(proc.status)))
+  switch proc.status {
+  | Exited(code) => Dict.set(obj, "exitCode", JSON.Encode.int(code))
+  | _ => ()
+  }
+  Dict.set(obj, "startedAt", JSON.Encode.string(Date.fromTime(proc.startedAt)->Date.toISOString))
+  Dict.set(obj, "restarts", JSON.Encode.int(proc.restarts))
+  if tail > 0 {
+    let recent = Array.map(lastN(proc.logs, tail), e => JSON.Encode.string(e.text))
+    Dict.set(obj, "recentOutput", JSON.Encode.array(recent))
+  }
+  JSON.Encode.object(obj)
+}
+
+// Forget finished processes past their retention, oldest first
+let prune = () => {
+  let now = Date.now()
+  let finished =
+    Dict.valuesToArray(processes)
+    ->Array.filterMap(proc => proc.endedAt->Option.map(at => (at, proc)))
+    ->Array.toSorted(((a, _), (b, _)) => a -. b)
+  let excess = Array.length(finished) - finishedCapacity
+  finished->Array.forEachWithIndex(((endedAt, proc), i) =>
+    if i < excess || now -. endedAt > finishedRetentionMs {
+      Dict.delete(processes, proc.id)
+    }
+  )
+}
+
+// Spawn a command in the background and return its handle once the startup
+// grace period has passed (or the process has already exited)
+let start = async (
+  ~tool: string,
+  ~session: option<string>=?,
+  binary: string,
+  args: array<string>,
+  cwd: option<string>,
+) => {
+  prune()
+  counter := counter.contents + 1
+  let id = "proc-" ++ Int.toString(counter.contents)
+  let child = Deno.Command.spawn(binary, args, cwd)
+  let proc = {
+    id,
+    tool,
+    binary,
+    args,
+    cwd,
+    session,
+    child,
+    pid: Deno.Command.Child.pid(child),
+    status: Running,
+    startedAt: Date.now(),
+    endedAt: None,
+    restarts: 0,
+    logs: [],
+    droppedLines: 0,
+  }
+  Dict.set(processes, id, proc)
+  attach(proc)
+  await sleep(startupGraceMs)
+  proc
+}
+
+let get = (id: string) => Dict.get(processes, id)
+
+let list = () => {
+  prune()
+  Dict.valuesToArray(processes)
+}
+
+let logs = (proc: managed, ~lines: int, ~stream: option<string>) => {
+  let selected = switch stream {
+  | Some("all") | None => proc.logs
+  | Some(s) => Array.filter(proc.logs, e => e.stream == s || e.stream == "system")
+  }
+  lastN(selected, lines)
+}
+
+// SIGTERM the process group, then SIGKILL whatever is left once the process
+// has exited or the grace period has passed (servers that ignore SIGTERM,
+// workers that outlive it)
+let stop = async (proc: managed) => {
+  if proc.status == Running {
+    proc.status = Stopped
+    Deno.Command.killTree(proc.child, "SIGTERM")
+    let exited = Deno.Command.Child.status(proc.child)->Promise.thenResolve(_ => true)
+    let exitWithin = ms => Promise.race([exited, sleep(ms)->Promise.thenResolve(_ => false)])
+    if !(await exitWithin(Deno.Command.killGraceMs)) {
+      appendLog(proc, "system", "process ignored SIGTERM, killing it")
+    }
+    Deno.Command.killTree(proc.child, "SIGKILL")
+    let _ = await exitWithin(startupGraceMs)
+    proc.endedAt = Some(Date.now())
+    appendLog(proc, "system", "process stopped")
+  }
+}
+
+let restart = async (proc: managed) => {
+  await stop(proc)
+  proc.restarts = proc.restarts + 1
+  appendLog(proc, "system", "process restarted")
+  spawnInto(proc)
+  await sleep(startupGraceMs)
+}
+
+let stopAll = async () => {
+  let _ = await Promise.all(Array.map(list(), stop))
+}
+
+// Stop and forget the processes an MCP session started, when it ends
+let stopSession = async (session: string) => {
+  let owned = Dict.valuesToArray(processes)->Array.filter(proc => proc.session == Some(session))
+  let _ = await Promise.all(Array.map(owned, stop))
+  Array.forEach(owned, proc => Dict.delete(processes, proc.id))
+}
+
+// Stop every background process, then exit the server
+let shutdown = () => {
+  let _ = stopAll()->Promise.thenResolve(() => Deno.exit(0))
+}
+
+let installShutdownHooks = () => {
+  Deno.addSignalListener("SIGINT", shutdown)
+  try {
+    Deno.addSignalListener("SIGTERM", shutdown)
+  } catch {
+  | _ => () // SIGTERM listeners are not supported on Windows
+  }
+}
@@ -0,0 +1,105 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// Workspace roots - the only directories tools may run in or write to
+//
+// Roots come from MCP_WORKSPACE_ROOTS (a path list, ':'-separated on Unix)
+// and any number of --workspace-root <dir> flags. Without either, the server's
+// working directory is the single root. Path parameters are canonicalized
+// (symlinks resolved) before the containment check, so `..` segments and
+// links pointing out of the workspace are rejected too.
+
+exception OutsideWorkspace({parameter: string, value: string, resolved: string, roots: array<string>})
+
+let envVar = "MCP_WORKSPACE_ROOTS"
+let flag = "--workspace-root"
+
+// Values of --workspace-root <dir> and --workspace-root=<dir>
+let flagValues = (args: array<string>) => {
+  let values = []
+  args->Array.forEachWithIndex((arg, i) => {
+    if arg == flag {
+      switch Array.get(args, i + 1) {
+      | Some(dir) => Array.push(values, dir)
+      | None => ()
+      }
+    } else if String.startsWith(arg, flag ++ "=") {
+      Array.push(values, String.slice(arg, ~start=String.length(flag) + 1))
+    }
+  })
+  values
+}
+
+// Real path of the longest existing prefix, with the missing tail re-appended,
+// so directories that a tool is about to create can still be checked
+let rec canonicalize = (path: string) =>
+  try {
+    Deno.Fs.realPathSync(path)
+  } catch {
+  | _ =>
+    let parent = Path.dirname(path)
+    if parent == path {
+      path
+    } else {
+      Path.join([canonicalize(parent), Path.basename(path)])
+    }
+  }
+
+let configured: ref<option<array<string>>> = ref(None)
+
+let roots = () =>
+  switch configured.contents {
+  | Some(dirs) => dirs
+  | None =>
+    let fromEnv = switch Deno.Env.get(envVar) {
+    | Some(list) => String.split(list, Path.delimiter)->Array.filter(dir => dir != "")
+    | None => []
+    }
+    let dirs = Array.concat(fromEnv, flagValues(Deno.Args.get()))
+    let dirs = Array.length(dirs) > 0 ? dirs : [Deno.cwd()]
+    let dirs = Array.map(dirs, dir => canonicalize(Path.resolve([dir])))
+    configured := Some(dirs)
+    dirs
+  }
+
+// Relative paths and a missing cwd are taken relative to the first root
+let defaultRoot = () => Array.getUnsafe(roots(), 0)
+
+let contains = (root: string, path: string) =>
+  path == root || String.startsWith(path, String.endsWith(root, Path.sep) ? root : root ++ Path.sep)
+
+// Agents often mean the home directory by "~"; expand it so the check sees
+// the real target instead of a directory literally named "~"
+let expandHome = (value: string) =>
+  switch Deno.Env.get("HOME") {
+  | Some(home) if value == "~" || String.startsWith(value, "~/") =>
+    home ++ String.slice(value, ~start=1)
+  | _ => value
+  }
+
+// Canonical form of a path parameter, or OutsideWorkspace naming the parameter.
+// Relative values are taken relative to base (default: the first root).
+let resolve = (~base=?, parameter: string, value: string) => {
+  let base = Option.getOr(base, defaultRoot())
+  let resolved = canonicalize(Path.resolve([base, expandHome(value)]))
+  let allowed = roots()
+  if !Array.some(allowed, contains(_, resolved)) {
+    throw(OutsideWorkspace({parameter, value, resolved, roots: allowed}))
+  }
+  resolved
+}
+
+let errorToJson = (parameter: string, value: string, resolved: string, roots: array<string>) => {
+  let obj = Dict.make()
+  Dict.set(obj, "error", JSON.Encode.string("path_outside_workspace"))
+  Dict.set(
+    obj,
+    "message",
+    JSON.Encode.string("Parameter " ++ parameter ++ " resolves outside the workspace roots"),
+  )
+  Dict.set(obj, "parameter", JSON.Encode.string(parameter))
+  Dict.set(obj, "value", JSON.Encode.string(value))
+  Dict.set(obj, "resolved", JSON.Encode.string(resolved))
+  Dict.set(obj, "roots", JSON.Encode.array(Array.map(roots, JSON.Encode.string)))
+  JSON.Encode.object(obj)
+}
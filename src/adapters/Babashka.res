@@ -9,6 +9,7 @@ open Adapter
 let name = "Babashka"
 let language = "Clojure"
 let description = "Fast native Clojure scripting runtime for static site tasks"
+let ssg: Executor.ssg = Babashka
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("bb", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,36 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeRun = async (script: string, path: option<string>, args: option<string>) => {
+  let cmdArgs = ["--file", script]
+  let cmdArgs = switch args {
+  | Some(a) => Array.concat(cmdArgs, [a])
+  | None => cmdArgs
+  }
+  await Gateway.run(ssg, ~operands=[script], cmdArgs, path)
+}
+
+let executeTasks = async (path: option<string>) => {
+  await Gateway.run(ssg, ["tasks"], path)
+}
+
+let executeTask = async (task: string, path: option<string>) => {
+  await Gateway.run(ssg, ~operands=[task], ["run", task], path)
+}
+
+let executeNrepl = async (port: option<int>, path: option<string>) => {
+  let args = ["nrepl-server"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, [Int.toString(p)])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="bb_nrepl", args, path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "bb_run",
@@ -60,6 +91,15 @@ let tools: array<tool> = [
       Dict.set(props, "args", makeProp("string", "Arguments to pass"))
       makeSchema(props, ["script"])
     },
+    annotations: runsCode,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeRun(
+        params->Params.requirePath("script"),
+        params->Params.path("path"),
+        params->Params.string("args"),
+      )
+    ),
   },
   {
     name: "bb_tasks",
@@ -69,6 +109,9 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       makeSchema(props, [])
     },
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params => executeTasks(params->Params.path("path"))),
   },
   {
     name: "bb_task",
@@ -79,6 +122,11 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       makeSchema(props, ["task"])
     },
+    annotations: runsCode,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeTask(params->Params.requireString("task"), params->Params.path("path"))
+    ),
   },
   {
     name: "bb_nrepl",
@@ -89,40 +137,22 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Working directory"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeNrepl(params->Params.int("port"), params->Params.path("path"))
+    ),
   },
   {
     name: "bb_version",
     description: "Get Babashka version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeRun = async (script: string, path: option<string>, args: option<string>) => {
-  let cmdArgs = [script]
-  let cmdArgs = switch args {
-  | Some(a) => Array.concat(cmdArgs, [a])
-  | None => cmdArgs
-  }
-  await Deno.Command.run("bb", cmdArgs, path)
-}
-
-let executeTasks = async (path: option<string>) => {
-  await Deno.Command.run("bb", ["tasks"], path)
-}
-
-let executeTask = async (task: string, path: option<string>) => {
-  await Deno.Command.run("bb", [task], path)
-}
-
-let executeNrepl = async (port: option<int>, path: option<string>) => {
-  let args = ["nrepl-server"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, [Int.toString(p)])
-  | None => args
-  }
-  await Deno.Command.run("bb", args, path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("bb", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Version, "bb_version"),
+]
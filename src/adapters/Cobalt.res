@@ -9,6 +9,7 @@ open Adapter
 let name = "Cobalt"
 let language = "Rust"
 let description = "Straightforward static site generator written in Rust"
+let ssg: Executor.ssg = Cobalt
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("cobalt", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -50,6 +51,62 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+// Tool execution handlers
+let executeInit = async (path: option<string>) => {
+  let args = ["init"]
+  let args = switch path {
+  | Some(p) => Array.concat(args, [p])
+  | None => args
+  }
+  await Gateway.run(ssg, ~operands=Array.keepSome([path]), args, None)
+}
+
+let executeBuild = async (path: option<string>, destination: option<string>, drafts: option<bool>) => {
+  let args = ["build"]
+  let args = switch destination {
+  | Some(d) => Array.concat(args, ["--destination", d])
+  | None => args
+  }
+  let args = switch drafts {
+  | Some(true) => Array.concat(args, ["--drafts"])
+  | _ => args
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+let executeServe = async (path: option<string>, port: option<int>, host: option<string>, drafts: option<bool>) => {
+  let args = ["serve"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
+  | None => args
+  }
+  let args = switch host {
+  | Some(h) => Array.concat(args, ["--host", h])
+  | None => args
+  }
+  let args = switch drafts {
+  | Some(true) => Array.concat(args, ["--drafts"])
+  | _ => args
+  }
+  await Gateway.start(ssg, ~tool="cobalt_serve", args, path)
+}
+
+let executeWatch = async (path: option<string>) => {
+  await Gateway.start(ssg, ~tool="cobalt_watch", ["watch"], path)
+}
+
+let executeClean = async (path: option<string>) => {
+  await Gateway.run(ssg, ["clean"], path)
+}
+
+let executeNew = async (path: option<string>, title: string) => {
+  await Gateway.run(ssg, ~operands=[title], ["new", title], path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "cobalt_init",
@@ -59,6 +116,9 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path for the new site"))
       makeSchema(props, [])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params => executeInit(params->Params.path("path"))),
   },
   {
     name: "cobalt_build",
@@ -70,6 +130,15 @@ let tools: array<tool> = [
       Dict.set(props, "drafts", makeProp("boolean", "Include drafts"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(
+        params->Params.path("path"),
+        params->Params.path("destination"),
+        params->Params.bool("drafts"),
+      )
+    ),
   },
   {
     name: "cobalt_serve",
@@ -82,6 +151,16 @@ let tools: array<tool> = [
       Dict.set(props, "drafts", makeProp("boolean", "Include drafts"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeServe(
+        params->Params.path("path"),
+        params->Params.int("port"),
+        params->Params.string("host"),
+        params->Params.bool("drafts"),
+      )
+    ),
   },
   {
     name: "cobalt_watch",
@@ -91,6 +170,9 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to site root"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params => executeWatch(params->Params.path("path"))),
   },
   {
     name: "cobalt_clean",
@@ -100,6 +182,10 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to site root"))
       makeSchema(props, [])
     },
+    annotations: destructive,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Deletes(["_site"])),
+    execute: makeExecutor(params => executeClean(params->Params.path("path"))),
   },
   {
     name: "cobalt_new",
@@ -110,66 +196,27 @@ let tools: array<tool> = [
       Dict.set(props, "title", makeProp("string", "Post title"))
       makeSchema(props, ["title"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeNew(params->Params.path("path"), params->Params.requireString("title"))
+    ),
   },
   {
     name: "cobalt_version",
     description: "Get Cobalt version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-// Tool execution handlers
-let executeInit = async (path: option<string>) => {
-  let args = ["init"]
-  let args = switch path {
-  | Some(p) => Array.concat(args, [p])
-  | None => args
-  }
-  await Deno.Command.run("cobalt", args, None)
-}
-
-let executeBuild = async (path: option<string>, destination: option<string>, drafts: option<bool>) => {
-  let args = ["build"]
-  let args = switch destination {
-  | Some(d) => Array.concat(args, ["--destination", d])
-  | None => args
-  }
-  let args = switch drafts {
-  | Some(true) => Array.concat(args, ["--drafts"])
-  | _ => args
-  }
-  await Deno.Command.run("cobalt", args, path)
-}
-
-let executeServe = async (path: option<string>, port: option<int>, host: option<string>, drafts: option<bool>) => {
-  let args = ["serve"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
-  | None => args
-  }
-  let args = switch host {
-  | Some(h) => Array.concat(args, ["--host", h])
-  | None => args
-  }
-  let args = switch drafts {
-  | Some(true) => Array.concat(args, ["--drafts"])
-  | _ => args
-  }
-  await Deno.Command.run("cobalt", args, path)
-}
-
-let executeWatch = async (path: option<string>) => {
-  await Deno.Command.run("cobalt", ["watch"], path)
-}
-
-let executeClean = async (path: option<string>) => {
-  await Deno.Command.run("cobalt", ["clean"], path)
-}
-
-let executeNew = async (path: option<string>, title: string) => {
-  await Deno.Command.run("cobalt", ["new", title], path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("cobalt", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "cobalt_init"),
+  (Build, "cobalt_build"),
+  (Serve, "cobalt_serve"),
+  (Clean, "cobalt_clean"),
+  (Version, "cobalt_version"),
+  (NewPost, "cobalt_new"),
+]
@@ -9,6 +9,7 @@ open Adapter
 let name = "Coleslaw"
 let language = "Common Lisp"
 let description = "Flexible static blog generator written in Common Lisp"
+let ssg: Executor.ssg = Coleslaw
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("sbcl", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,43 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (path: string) => {
+  // Coleslaw is typically run via quicklisp
+  await Gateway.run(ssg, ["--eval", "(ql:quickload :coleslaw)", "--eval", `(coleslaw:setup ${CodeLiteral.lisp(path)})`, "--quit"], None)
+}
+
+let executeBuild = async (path: option<string>) => {
+  let evalArg = switch path {
+  | Some(p) => `(coleslaw:main ${CodeLiteral.lisp(p)})`
+  | None => "(coleslaw:main)"
+  }
+  await Gateway.run(ssg, ["--eval", "(ql:quickload :coleslaw)", "--eval", evalArg, "--quit"], None)
+}
+
+let executePreview = async (path: option<string>, port: option<int>) => {
+  let portStr = switch port {
+  | Some(p) => Int.toString(p)
+  | None => "8000"
+  }
+  let evalArg = switch path {
+  | Some(p) => `(coleslaw:preview ${CodeLiteral.lisp(p)} :port ${portStr})`
+  | None => `(coleslaw:preview :port ${portStr})`
+  }
+  await Gateway.start(ssg, ~tool="coleslaw_preview", ["--eval", "(ql:quickload :coleslaw)", "--eval", evalArg], None)
+}
+
+let executeNewPost = async (path: option<string>, title: string) => {
+  let evalArg = switch path {
+  | Some(p) => `(coleslaw:new-post ${CodeLiteral.lisp(p)} :title ${CodeLiteral.lisp(title)})`
+  | None => `(coleslaw:new-post :title ${CodeLiteral.lisp(title)})`
+  }
+  await Gateway.run(ssg, ["--eval", "(ql:quickload :coleslaw)", "--eval", evalArg, "--quit"], None)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "coleslaw_init",
@@ -58,6 +96,9 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path for the new blog"))
       makeSchema(props, ["path"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params => executeInit(params->Params.requirePath("path"))),
   },
   {
     name: "coleslaw_build",
@@ -67,6 +108,11 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to blog root"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"))
+    ),
   },
   {
     name: "coleslaw_preview",
@@ -77,6 +123,11 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executePreview(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "coleslaw_new_post",
@@ -87,47 +138,26 @@ let tools: array<tool> = [
       Dict.set(props, "title", makeProp("string", "Post title"))
       makeSchema(props, ["title"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeNewPost(params->Params.path("path"), params->Params.requireString("title"))
+    ),
   },
   {
     name: "coleslaw_version",
     description: "Get SBCL version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (path: string) => {
-  // Coleslaw is typically run via quicklisp
-  await Deno.Command.run("sbcl", ["--eval", "(ql:quickload :coleslaw)", "--eval", `(coleslaw:setup "${path}")`, "--quit"], None)
-}
-
-let executeBuild = async (path: option<string>) => {
-  let evalArg = switch path {
-  | Some(p) => `(coleslaw:main "${p}")`
-  | None => "(coleslaw:main)"
-  }
-  await Deno.Command.run("sbcl", ["--eval", "(ql:quickload :coleslaw)", "--eval", evalArg, "--quit"], None)
-}
-
-let executePreview = async (path: option<string>, port: option<int>) => {
-  let portStr = switch port {
-  | Some(p) => Int.toString(p)
-  | None => "8000"
-  }
-  let evalArg = switch path {
-  | Some(p) => `(coleslaw:preview "${p}" :port ${portStr})`
-  | None => `(coleslaw:preview :port ${portStr})`
-  }
-  await Deno.Command.run("sbcl", ["--eval", "(ql:quickload :coleslaw)", "--eval", evalArg], None)
-}
-
-let executeNewPost = async (path: option<string>, title: string) => {
-  let evalArg = switch path {
-  | Some(p) => `(coleslaw:new-post "${p}" :title "${title}")`
-  | None => `(coleslaw:new-post :title "${title}")`
-  }
-  await Deno.Command.run("sbcl", ["--eval", "(ql:quickload :coleslaw)", "--eval", evalArg, "--quit"], None)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("sbcl", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "coleslaw_init"),
+  (Build, "coleslaw_build"),
+  (Serve, "coleslaw_preview"),
+  (Version, "coleslaw_version"),
+  (NewPost, "coleslaw_new_post"),
+]
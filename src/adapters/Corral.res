@@ -9,6 +9,7 @@ open Adapter
 let name = "Corral"
 let language = "Pony"
 let description = "Static site generator written in Pony with capability-based security and actor-model concurrency"
+let ssg: Executor.ssg = Corral
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("corral", ["version"], None)
+    let result = await Gateway.run(ssg, ["version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -50,6 +51,63 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+// Tool execution handlers
+let executeInit = async (path: string, template: option<string>) => {
+  let args = ["init", path]
+  let args = switch template {
+  | Some(t) => Array.concat(args, ["--template", t])
+  | None => args
+  }
+  await Gateway.run(ssg, ~operands=[path], args, None)
+}
+
+let executeBuild = async (path: option<string>, outputDir: option<string>, release: option<bool>) => {
+  let args = ["build"]
+  let args = switch outputDir {
+  | Some(dir) => Array.concat(args, ["--output", dir])
+  | None => args
+  }
+  let args = switch release {
+  | Some(true) => Array.concat(args, ["--release"])
+  | _ => args
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+let executeServe = async (path: option<string>, port: option<int>, host: option<string>) => {
+  let args = ["serve"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
+  | None => args
+  }
+  let args = switch host {
+  | Some(h) => Array.concat(args, ["--host", h])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="corral_serve", args, path)
+}
+
+let executeClean = async (path: option<string>) => {
+  await Gateway.run(ssg, ["clean"], path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["version"], None)
+}
+
+let executeNewPost = async (path: option<string>, title: string, draft: option<bool>) => {
+  let args = ["new", "post", title]
+  let args = switch draft {
+  | Some(true) => Array.concat(args, ["--draft"])
+  | _ => args
+  }
+  await Gateway.run(ssg, ~operands=[title], args, path)
+}
+
+let executeCheck = async (path: option<string>) => {
+  await Gateway.run(ssg, ["check"], path)
+}
+
 let tools: array<tool> = [
   {
     name: "corral_init",
@@ -60,6 +118,11 @@ let tools: array<tool> = [
       Dict.set(props, "template", makeProp("string", "Template to use (blog, docs, portfolio)"))
       makeSchema(props, ["path"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeInit(params->Params.requirePath("path"), params->Params.string("template"))
+    ),
   },
   {
     name: "corral_build",
@@ -71,6 +134,15 @@ let tools: array<tool> = [
       Dict.set(props, "release", makeProp("boolean", "Build in release mode with optimizations"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(
+        params->Params.path("path"),
+        params->Params.path("outputDir"),
+        params->Params.bool("release"),
+      )
+    ),
   },
   {
     name: "corral_serve",
@@ -82,6 +154,15 @@ let tools: array<tool> = [
       Dict.set(props, "host", makeProp("string", "Host to bind to (default: 127.0.0.1)"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeServe(
+        params->Params.path("path"),
+        params->Params.int("port"),
+        params->Params.string("host"),
+      )
+    ),
   },
   {
     name: "corral_clean",
@@ -91,11 +172,18 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to site root"))
       makeSchema(props, [])
     },
+    annotations: destructive,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Deletes([])),
+    execute: makeExecutor(params => executeClean(params->Params.path("path"))),
   },
   {
     name: "corral_version",
     description: "Get Corral and Pony version information",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
   {
     name: "corral_new_post",
@@ -107,6 +195,15 @@ let tools: array<tool> = [
       Dict.set(props, "draft", makeProp("boolean", "Mark as draft"))
       makeSchema(props, ["title"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeNewPost(
+        params->Params.path("path"),
+        params->Params.requireString("title"),
+        params->Params.bool("draft"),
+      )
+    ),
   },
   {
     name: "corral_check",
@@ -116,62 +213,20 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to site root"))
       makeSchema(props, [])
     },
+    annotations: checks,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeCheck(params->Params.path("path"))
+    ),
   },
 ]
 
-// Tool execution handlers
-let executeInit = async (path: string, template: option<string>) => {
-  let args = ["init", path]
-  let args = switch template {
-  | Some(t) => Array.concat(args, ["--template", t])
-  | None => args
-  }
-  await Deno.Command.run("corral", args, None)
-}
-
-let executeBuild = async (path: option<string>, outputDir: option<string>, release: option<bool>) => {
-  let args = ["build"]
-  let args = switch outputDir {
-  | Some(dir) => Array.concat(args, ["--output", dir])
-  | None => args
-  }
-  let args = switch release {
-  | Some(true) => Array.concat(args, ["--release"])
-  | _ => args
-  }
-  await Deno.Command.run("corral", args, path)
-}
-
-let executeServe = async (path: option<string>, port: option<int>, host: option<string>) => {
-  let args = ["serve"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
-  | None => args
-  }
-  let args = switch host {
-  | Some(h) => Array.concat(args, ["--host", h])
-  | None => args
-  }
-  await Deno.Command.run("corral", args, path)
-}
-
-let executeClean = async (path: option<string>) => {
-  await Deno.Command.run("corral", ["clean"], path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("corral", ["version"], None)
-}
-
-let executeNewPost = async (path: option<string>, title: string, draft: option<bool>) => {
-  let args = ["new", "post", title]
-  let args = switch draft {
-  | Some(true) => Array.concat(args, ["--draft"])
-  | _ => args
-  }
-  await Deno.Command.run("corral", args, path)
-}
-
-let executeCheck = async (path: option<string>) => {
-  await Deno.Command.run("corral", ["check"], path)
-}
+let capabilities: array<capability> = [
+  (Init, "corral_init"),
+  (Build, "corral_build"),
+  (Serve, "corral_serve"),
+  (Clean, "corral_clean"),
+  (Version, "corral_version"),
+  (NewPost, "corral_new_post"),
+  (Check, "corral_check"),
+]
@@ -9,6 +9,7 @@ open Adapter
 let name = "Cryogen"
 let language = "Clojure"
 let description = "Simple static site generator using Clojure and Leiningen"
+let ssg: Executor.ssg = Cryogen
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("lein", ["version"], None)
+    let result = await Gateway.run(ssg, ["version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,31 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeNew = async (name: string, path: option<string>) => {
+  await Gateway.run(ssg, ~operands=[name], ["new", "cryogen", name], path)
+}
+
+let executeBuild = async (path: option<string>) => {
+  await Gateway.run(ssg, ["run"], path)
+}
+
+let executeServe = async (path: option<string>, port: option<int>) => {
+  let args = ["ring", "server"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, [Int.toString(p)])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="cryogen_serve", args, path)
+}
+
+let executeNewPost = async (path: option<string>, title: string) => {
+  await Gateway.run(ssg, ~operands=[title], ["run", "-m", "cryogen.core/new-post!", title], path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "cryogen_new",
@@ -59,15 +85,26 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path for the project"))
       makeSchema(props, ["name"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeNew(params->Params.requireString("name"), params->Params.path("path"))
+    ),
   },
   {
     name: "cryogen_build",
     description: "Build the Cryogen site",
+    timeoutMs: 900_000,
     inputSchema: {
       let props = Dict.make()
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"))
+    ),
   },
   {
     name: "cryogen_serve",
@@ -78,6 +115,11 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number (default: 3000)"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeServe(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "cryogen_new_post",
@@ -88,35 +130,26 @@ let tools: array<tool> = [
       Dict.set(props, "title", makeProp("string", "Post title"))
       makeSchema(props, ["title"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeNewPost(params->Params.path("path"), params->Params.requireString("title"))
+    ),
   },
   {
     name: "cryogen_version",
     description: "Get Leiningen version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeNew = async (name: string, path: option<string>) => {
-  await Deno.Command.run("lein", ["new", "cryogen", name], path)
-}
-
-let executeBuild = async (path: option<string>) => {
-  await Deno.Command.run("lein", ["run"], path)
-}
-
-let executeServe = async (path: option<string>, port: option<int>) => {
-  let args = ["ring", "server"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, [Int.toString(p)])
-  | None => args
-  }
-  await Deno.Command.run("lein", args, path)
-}
-
-let executeNewPost = async (path: option<string>, title: string) => {
-  await Deno.Command.run("lein", ["run", "-m", "cryogen.core/new-post!", title], path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("lein", ["version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "cryogen_new"),
+  (Build, "cryogen_build"),
+  (Serve, "cryogen_serve"),
+  (Version, "cryogen_version"),
+  (NewPost, "cryogen_new_post"),
+]
@@ -9,6 +9,7 @@ open Adapter
 let name = "Documenter"
 let language = "Julia"
 let description = "Documentation generator for Julia packages"
+let ssg: Executor.ssg = Documenter
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("julia", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,43 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (path: string) => {
+  await Gateway.run(ssg, ["-e", `using DocumenterTools; DocumenterTools.generate(${CodeLiteral.julia(path)})`], None)
+}
+
+let executeBuild = async (path: option<string>, _strict: option<bool>) => {
+  // Note: strict mode would be passed via make.jl configuration
+  let docsPath = switch path {
+  | Some(p) => p
+  | None => "docs"
+  }
+  await Gateway.run(ssg, ~operands=[docsPath], ["--project=" ++ docsPath, docsPath ++ "/make.jl"], None)
+}
+
+let executeServe = async (path: option<string>, port: option<int>) => {
+  let portArg = switch port {
+  | Some(p) => Int.toString(p)
+  | None => "8000"
+  }
+  let buildPath = switch path {
+  | Some(p) => p
+  | None => "docs/build"
+  }
+  await Gateway.start(ssg, ~tool="documenter_serve", ["-e", `using LiveServer; serve(dir=${CodeLiteral.julia(buildPath)}, port=${portArg})`], None)
+}
+
+let executeDeploy = async (path: option<string>) => {
+  let docsPath = switch path {
+  | Some(p) => p
+  | None => "docs"
+  }
+  await Gateway.run(ssg, ~operands=[docsPath], ["--project=" ++ docsPath, docsPath ++ "/make.jl", "--deploy"], None)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["-e", "using Documenter; println(Documenter.DOCUMENTER_VERSION)"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "documenter_init",
@@ -58,16 +96,25 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to Julia package"))
       makeSchema(props, ["path"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params => executeInit(params->Params.requirePath("path"))),
   },
   {
     name: "documenter_build",
     description: "Build documentation",
+    timeoutMs: 900_000,
     inputSchema: {
       let props = Dict.make()
       Dict.set(props, "path", makeProp("string", "Path to docs/ directory"))
       Dict.set(props, "strict", makeProp("boolean", "Strict mode (fail on warnings)"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"), params->Params.bool("strict"))
+    ),
   },
   {
     name: "documenter_serve",
@@ -78,56 +125,46 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeServe(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "documenter_deploy",
     description: "Deploy documentation to GitHub Pages",
+    timeoutMs: 900_000,
     inputSchema: {
       let props = Dict.make()
       Dict.set(props, "path", makeProp("string", "Path to docs/ directory"))
       makeSchema(props, [])
     },
+    annotations: publishes,
+    outputSchema: commandOutputSchema,
+    // makedocs writes to build/ inside the docs directory
+    confirm: params =>
+      Some(
+        Publishes(
+          params->Params.path("path")->Option.mapOr("docs/build", docs => Path.join([docs, "build"])),
+        ),
+      ),
+    execute: makeExecutor(params => executeDeploy(params->Params.path("path"))),
   },
   {
     name: "documenter_version",
     description: "Get Documenter version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (path: string) => {
-  await Deno.Command.run("julia", ["-e", `using DocumenterTools; DocumenterTools.generate("${path}")`], None)
-}
-
-let executeBuild = async (path: option<string>, _strict: option<bool>) => {
-  // Note: strict mode would be passed via make.jl configuration
-  let docsPath = switch path {
-  | Some(p) => p
-  | None => "docs"
-  }
-  await Deno.Command.run("julia", ["--project=" ++ docsPath, docsPath ++ "/make.jl"], None)
-}
-
-let executeServe = async (path: option<string>, port: option<int>) => {
-  let portArg = switch port {
-  | Some(p) => Int.toString(p)
-  | None => "8000"
-  }
-  let buildPath = switch path {
-  | Some(p) => p
-  | None => "docs/build"
-  }
-  await Deno.Command.run("julia", ["-e", `using LiveServer; serve(dir="${buildPath}", port=${portArg})`], None)
-}
-
-let executeDeploy = async (path: option<string>) => {
-  let docsPath = switch path {
-  | Some(p) => p
-  | None => "docs"
-  }
-  await Deno.Command.run("julia", ["--project=" ++ docsPath, docsPath ++ "/make.jl", "--deploy"], None)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("julia", ["-e", "using Documenter; println(Documenter.DOCUMENTER_VERSION)"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "documenter_init"),
+  (Build, "documenter_build"),
+  (Serve, "documenter_serve"),
+  (Version, "documenter_version"),
+  (Deploy, "documenter_deploy"),
+]
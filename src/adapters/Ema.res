@@ -9,6 +9,7 @@ open Adapter
 let name = "Ema"
 let language = "Haskell"
 let description = "Static site generator in Haskell with hot reload and Nix support"
+let ssg: Executor.ssg = Ema
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("ema", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,26 +50,69 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (name: string, path: option<string>) => {
+  // Ema projects are typically created via nix flake
+  await Gateway.run(ssg, ~operands=[name], ~binary="nix", ["flake", "init", "-t", "github:srid/ema#template", name], path)
+}
+
+let executeBuild = async (path: option<string>, output: option<string>) => {
+  let args = ["gen"]
+  let args = switch output {
+  | Some(o) => Array.concat(args, ["--dest", o])
+  | None => args
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+let executeRun = async (path: option<string>, port: option<int>, host: option<string>) => {
+  let args = ["run"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
+  | None => args
+  }
+  let args = switch host {
+  | Some(h) => Array.concat(args, ["--host", h])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="ema_run", args, path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "ema_init",
     description: "Initialize a new Ema project",
+    timeoutMs: 900_000,
     inputSchema: {
       let props = Dict.make()
       Dict.set(props, "name", makeProp("string", "Project name"))
       Dict.set(props, "path", makeProp("string", "Path for the project"))
       makeSchema(props, ["name"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeInit(params->Params.requireString("name"), params->Params.path("path"))
+    ),
   },
   {
     name: "ema_build",
     description: "Build the Ema site (generate static files)",
+    timeoutMs: 900_000,
     inputSchema: {
       let props = Dict.make()
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       Dict.set(props, "output", makeProp("string", "Output directory"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"), params->Params.path("output"))
+    ),
   },
   {
     name: "ema_run",
@@ -80,41 +124,29 @@ let tools: array<tool> = [
       Dict.set(props, "host", makeProp("string", "Host to bind to"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeRun(
+        params->Params.path("path"),
+        params->Params.int("port"),
+        params->Params.string("host"),
+      )
+    ),
   },
   {
     name: "ema_version",
     description: "Get Ema version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (name: string, path: option<string>) => {
-  // Ema projects are typically created via nix flake
-  await Deno.Command.run("nix", ["flake", "init", "-t", "github:srid/ema#template", name], path)
-}
-
-let executeBuild = async (path: option<string>, output: option<string>) => {
-  let args = ["gen"]
-  let args = switch output {
-  | Some(o) => Array.concat(args, ["--dest", o])
-  | None => args
-  }
-  await Deno.Command.run("ema", args, path)
-}
-
-let executeRun = async (path: option<string>, port: option<int>, host: option<string>) => {
-  let args = ["run"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
-  | None => args
-  }
-  let args = switch host {
-  | Some(h) => Array.concat(args, ["--host", h])
-  | None => args
-  }
-  await Deno.Command.run("ema", args, path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("ema", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "ema_init"),
+  (Build, "ema_build"),
+  (Serve, "ema_run"),
+  (Version, "ema_version"),
+]
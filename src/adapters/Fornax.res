@@ -9,6 +9,7 @@ open Adapter
 let name = "Fornax"
 let language = "F#"
 let description = "Static site generator using type-safe F# DSL"
+let ssg: Executor.ssg = Fornax
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("fornax", ["version"], None)
+    let result = await Gateway.run(ssg, ["version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,36 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeNew = async (path: option<string>) => {
+  let args = ["new"]
+  let args = switch path {
+  | Some(p) => Array.concat(args, [p])
+  | None => args
+  }
+  await Gateway.run(ssg, ~operands=Array.keepSome([path]), args, None)
+}
+
+let executeBuild = async (path: option<string>) => {
+  await Gateway.run(ssg, ["build"], path)
+}
+
+let executeWatch = async (path: option<string>, port: option<int>) => {
+  let args = ["watch"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="fornax_watch", args, path)
+}
+
+let executeClean = async (path: option<string>) => {
+  await Gateway.run(ssg, ["clean"], path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "fornax_new",
@@ -58,6 +89,9 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path for the new project"))
       makeSchema(props, [])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params => executeNew(params->Params.path("path"))),
   },
   {
     name: "fornax_build",
@@ -67,6 +101,11 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"))
+    ),
   },
   {
     name: "fornax_watch",
@@ -77,6 +116,11 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number (default: 8080)"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeWatch(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "fornax_clean",
@@ -86,40 +130,25 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       makeSchema(props, [])
     },
+    annotations: destructive,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Deletes(["_public"])),
+    execute: makeExecutor(params => executeClean(params->Params.path("path"))),
   },
   {
     name: "fornax_version",
     description: "Get Fornax version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeNew = async (path: option<string>) => {
-  let args = ["new"]
-  let args = switch path {
-  | Some(p) => Array.concat(args, [p])
-  | None => args
-  }
-  await Deno.Command.run("fornax", args, None)
-}
-
-let executeBuild = async (path: option<string>) => {
-  await Deno.Command.run("fornax", ["build"], path)
-}
-
-let executeWatch = async (path: option<string>, port: option<int>) => {
-  let args = ["watch"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
-  | None => args
-  }
-  await Deno.Command.run("fornax", args, path)
-}
-
-let executeClean = async (path: option<string>) => {
-  await Deno.Command.run("fornax", ["clean"], path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("fornax", ["version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "fornax_new"),
+  (Build, "fornax_build"),
+  (Serve, "fornax_watch"),
+  (Clean, "fornax_clean"),
+  (Version, "fornax_version"),
+]
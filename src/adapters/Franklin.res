@@ -9,6 +9,7 @@ open Adapter
 let name = "Franklin"
 let language = "Julia"
 let description = "Static site generator for technical blogging in Julia"
+let ssg: Executor.ssg = Franklin
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("julia", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,62 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeNew = async (path: string, template: option<string>) => {
+  let templateArg = switch template {
+  | Some(t) => ", template=" ++ CodeLiteral.julia(t)
+  | None => ""
+  }
+  await Gateway.run(ssg, ["-e", `using Franklin; newsite(${CodeLiteral.julia(path)}${templateArg})`], None)
+}
+
+let executeServe = async (path: option<string>, port: option<int>, host: option<string>, clear: option<bool>) => {
+  let portArg = switch port {
+  | Some(p) => `, port=${Int.toString(p)}`
+  | None => ""
+  }
+  let hostArg = switch host {
+  | Some(h) => ", host=" ++ CodeLiteral.julia(h)
+  | None => ""
+  }
+  let clearArg = switch clear {
+  | Some(true) => ", clear=true"
+  | _ => ""
+  }
+  let dir = switch path {
+  | Some(p) => `cd(${CodeLiteral.julia(p)}); `
+  | None => ""
+  }
+  await Gateway.start(ssg, ~tool="franklin_serve", ["-e", `using Franklin; ${dir}serve(${portArg}${hostArg}${clearArg})`], None)
+}
+
+let executeOptimize = async (path: option<string>, minify: option<bool>, prerender: option<bool>) => {
+  let minifyArg = switch minify {
+  | Some(true) => ", minify=true"
+  | _ => ""
+  }
+  let prerenderArg = switch prerender {
+  | Some(true) => ", prerender=true"
+  | _ => ""
+  }
+  let dir = switch path {
+  | Some(p) => `cd(${CodeLiteral.julia(p)}); `
+  | None => ""
+  }
+  await Gateway.run(ssg, ["-e", `using Franklin; ${dir}optimize(${minifyArg}${prerenderArg})`], None)
+}
+
+let executePublish = async (path: option<string>) => {
+  let dir = switch path {
+  | Some(p) => `cd(${CodeLiteral.julia(p)}); `
+  | None => ""
+  }
+  await Gateway.run(ssg, ["-e", `using Franklin; ${dir}publish()`], None)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["-e", "using Franklin; println(Franklin.FRANKLIN_VERSION)"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "franklin_new",
@@ -59,6 +116,11 @@ let tools: array<tool> = [
       Dict.set(props, "template", makeProp("string", "Template name"))
       makeSchema(props, ["path"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeNew(params->Params.requirePath("path"), params->Params.string("template"))
+    ),
   },
   {
     name: "franklin_serve",
@@ -71,10 +133,21 @@ let tools: array<tool> = [
       Dict.set(props, "clear", makeProp("boolean", "Clear cache before serving"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeServe(
+        params->Params.path("path"),
+        params->Params.int("port"),
+        params->Params.string("host"),
+        params->Params.bool("clear"),
+      )
+    ),
   },
   {
     name: "franklin_optimize",
     description: "Optimize the site for production",
+    timeoutMs: 900_000,
     inputSchema: {
       let props = Dict.make()
       Dict.set(props, "path", makeProp("string", "Path to site root"))
@@ -82,6 +155,15 @@ let tools: array<tool> = [
       Dict.set(props, "prerender", makeProp("boolean", "Pre-render pages"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeOptimize(
+        params->Params.path("path"),
+        params->Params.bool("minify"),
+        params->Params.bool("prerender"),
+      )
+    ),
   },
   {
     name: "franklin_publish",
@@ -91,66 +173,25 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to site root"))
       makeSchema(props, [])
     },
+    annotations: publishes,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Publishes("__site")),
+    execute: makeExecutor(params => executePublish(params->Params.path("path"))),
   },
   {
     name: "franklin_version",
     description: "Get Julia/Franklin version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeNew = async (path: string, template: option<string>) => {
-  let templateArg = switch template {
-  | Some(t) => `, template="${t}"`
-  | None => ""
-  }
-  await Deno.Command.run("julia", ["-e", `using Franklin; newsite("${path}"${templateArg})`], None)
-}
-
-let executeServe = async (path: option<string>, port: option<int>, host: option<string>, clear: option<bool>) => {
-  let portArg = switch port {
-  | Some(p) => `, port=${Int.toString(p)}`
-  | None => ""
-  }
-  let hostArg = switch host {
-  | Some(h) => `, host="${h}"`
-  | None => ""
-  }
-  let clearArg = switch clear {
-  | Some(true) => ", clear=true"
-  | _ => ""
-  }
-  let dir = switch path {
-  | Some(p) => `cd("${p}"); `
-  | None => ""
-  }
-  await Deno.Command.run("julia", ["-e", `using Franklin; ${dir}serve(${portArg}${hostArg}${clearArg})`], None)
-}
-
-let executeOptimize = async (path: option<string>, minify: option<bool>, prerender: option<bool>) => {
-  let minifyArg = switch minify {
-  | Some(true) => ", minify=true"
-  | _ => ""
-  }
-  let prerenderArg = switch prerender {
-  | Some(true) => ", prerender=true"
-  | _ => ""
-  }
-  let dir = switch path {
-  | Some(p) => `cd("${p}"); `
-  | None => ""
-  }
-  await Deno.Command.run("julia", ["-e", `using Franklin; ${dir}optimize(${minifyArg}${prerenderArg})`], None)
-}
-
-let executePublish = async (path: option<string>) => {
-  let dir = switch path {
-  | Some(p) => `cd("${p}"); `
-  | None => ""
-  }
-  await Deno.Command.run("julia", ["-e", `using Franklin; ${dir}publish()`], None)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("julia", ["-e", "using Franklin; println(Franklin.FRANKLIN_VERSION)"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "franklin_new"),
+  (Build, "franklin_optimize"),
+  (Serve, "franklin_serve"),
+  (Version, "franklin_version"),
+  (Deploy, "franklin_publish"),
+]
@@ -9,6 +9,7 @@ open Adapter
 let name = "Frog"
 let language = "Racket"
 let description = "Static blog generator using Racket with Markdown and Pygments"
+let ssg: Executor.ssg = Frog
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("raco", ["frog", "--help"], None)
+    let result = await Gateway.run(ssg, ["frog", "--help"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,51 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (path: option<string>) => {
+  await Gateway.run(ssg, ["frog", "--init"], path)
+}
+
+let executeBuild = async (path: option<string>) => {
+  await Gateway.run(ssg, ["frog", "-b"], path)
+}
+
+let executePreview = async (path: option<string>, port: option<int>) => {
+  let args = ["frog", "-p"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="frog_preview", args, path)
+}
+
+let executeNew = async (path: option<string>, title: string) => {
+  await Gateway.run(ssg, ["frog", "-n", title], path)
+}
+
+let executeClean = async (path: option<string>) => {
+  await Gateway.run(ssg, ["frog", "--clean"], path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["frog", "--version"], None)
+}
+
+// Frog lists every file it writes ("Wrote ..."/"Generated ..."); Racket
+// errors carry file:line:column
+let wroteRe = %re("/^(Wrote|Generated) /")
+
+let outputParser: BuildReport.parser = {
+  parse: (~stdout, ~stderr) => {
+    let written = BuildReport.lines(stdout)->Array.filter(line => RegExp.test(wroteRe, line))
+    {
+      pages: Array.length(written) > 0 ? Some(Array.length(written)) : None,
+      diagnostics: BuildReport.genericDiagnostics(stdout ++ "\n" ++ stderr),
+    }
+  },
+  // Frog writes the site into the project root
+  defaultOutputDir: Some("."),
+}
+
 let tools: array<tool> = [
   {
     name: "frog_init",
@@ -58,6 +104,9 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path for the new blog"))
       makeSchema(props, [])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params => executeInit(params->Params.path("path"))),
   },
   {
     name: "frog_build",
@@ -67,6 +116,9 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to blog root"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(outputParser, params => executeBuild(params->Params.path("path"))),
   },
   {
     name: "frog_preview",
@@ -77,6 +129,11 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number (default: 3000)"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executePreview(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "frog_new",
@@ -87,6 +144,11 @@ let tools: array<tool> = [
       Dict.set(props, "title", makeProp("string", "Post title"))
       makeSchema(props, ["title"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeNew(params->Params.path("path"), params->Params.requireString("title"))
+    ),
   },
   {
     name: "frog_clean",
@@ -96,39 +158,26 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to blog root"))
       makeSchema(props, [])
     },
+    annotations: destructive,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Deletes([])),
+    execute: makeExecutor(params => executeClean(params->Params.path("path"))),
   },
   {
     name: "frog_version",
     description: "Get Frog version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (path: option<string>) => {
-  await Deno.Command.run("raco", ["frog", "--init"], path)
-}
-
-let executeBuild = async (path: option<string>) => {
-  await Deno.Command.run("raco", ["frog", "-b"], path)
-}
-
-let executePreview = async (path: option<string>, port: option<int>) => {
-  let args = ["frog", "-p"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
-  | None => args
-  }
-  await Deno.Command.run("raco", args, path)
-}
-
-let executeNew = async (path: option<string>, title: string) => {
-  await Deno.Command.run("raco", ["frog", "-n", title], path)
-}
-
-let executeClean = async (path: option<string>) => {
-  await Deno.Command.run("raco", ["frog", "--clean"], path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("raco", ["frog", "--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "frog_init"),
+  (Build, "frog_build"),
+  (Serve, "frog_preview"),
+  (Clean, "frog_clean"),
+  (Version, "frog_version"),
+  (NewPost, "frog_new"),
+]
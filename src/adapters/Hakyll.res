@@ -9,6 +9,7 @@ open Adapter
 let name = "Hakyll"
 let language = "Haskell"
 let description = "Haskell library for generating static sites with Pandoc support"
+let ssg: Executor.ssg = Hakyll
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("stack", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,25 +50,112 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+// Helper for running site commands via stack exec
+let runSiteCommand = async (args: array<string>, path: option<string>) => {
+  await Gateway.run(ssg, Array.concat(["exec", "site", "--"], args), path)
+}
+
+let executeInit = async (name: string, path: option<string>) => {
+  await Gateway.run(ssg, ~operands=[name], ["new", name, "hakyll-template"], path)
+}
+
+let executeBuild = async (path: option<string>) => {
+  await runSiteCommand(["build"], path)
+}
+
+let executeWatch = async (path: option<string>, port: option<int>, host: option<string>) => {
+  let args = ["watch"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
+  | None => args
+  }
+  let args = switch host {
+  | Some(h) => Array.concat(args, ["--host", h])
+  | None => args
+  }
+  await Gateway.start(
+    ssg,
+    ~tool="hakyll_watch",
+    Array.concat(["exec", "site", "--"], args),
+    path,
+  )
+}
+
+let executeClean = async (path: option<string>) => {
+  await runSiteCommand(["clean"], path)
+}
+
+let executeRebuild = async (path: option<string>) => {
+  await runSiteCommand(["rebuild"], path)
+}
+
+let executeCheck = async (path: option<string>, internal: option<bool>) => {
+  let args = ["check"]
+  let args = switch internal {
+  | Some(true) => Array.concat(args, ["--internal-links"])
+  | _ => args
+  }
+  await runSiteCommand(args, path)
+}
+
+let executeDeploy = async (path: option<string>) => {
+  await runSiteCommand(["deploy"], path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
+// Hakyll lists each item it writes as "updated <file>" and ends with
+// "Success"; failures are "[ERROR] ..." lines
+let updatedRe = %re("/^updated /")
+let hakyllErrorRe = %re("/\[ERROR\] (.*)$/")
+
+let outputParser: BuildReport.parser = {
+  parse: (~stdout, ~stderr) => {
+    let output = BuildReport.lines(stdout ++ "\n" ++ stderr)
+    let updated = Array.filter(output, line => RegExp.test(updatedRe, line))
+    {
+      pages: Array.length(updated) > 0 ? Some(Array.length(updated)) : None,
+      diagnostics: Array.filterMap(output, line =>
+        RegExp.exec(hakyllErrorRe, line)->Option.map(m =>
+          BuildReport.makeDiagnostic(Error, BuildReport.group(m, 1)->Option.getOr(line))
+        )
+      ),
+    }
+  },
+  defaultOutputDir: Some("_site"),
+}
+
 let tools: array<tool> = [
   {
     name: "hakyll_init",
     description: "Initialize a new Hakyll site (using stack template)",
+    timeoutMs: 900_000,
     inputSchema: {
       let props = Dict.make()
       Dict.set(props, "name", makeProp("string", "Project name"))
       Dict.set(props, "path", makeProp("string", "Path for the project"))
       makeSchema(props, ["name"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeInit(params->Params.requireString("name"), params->Params.path("path"))
+    ),
   },
   {
     name: "hakyll_build",
     description: "Build the Hakyll site",
+    timeoutMs: 900_000,
     inputSchema: {
       let props = Dict.make()
       Dict.set(props, "path", makeProp("string", "Path to site root"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(outputParser, params => executeBuild(params->Params.path("path"))),
   },
   {
     name: "hakyll_watch",
@@ -79,6 +167,15 @@ let tools: array<tool> = [
       Dict.set(props, "host", makeProp("string", "Host to bind to"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeWatch(
+        params->Params.path("path"),
+        params->Params.int("port"),
+        params->Params.string("host"),
+      )
+    ),
   },
   {
     name: "hakyll_clean",
@@ -88,15 +185,23 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to site root"))
       makeSchema(props, [])
     },
+    annotations: destructive,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Deletes(["_site", "_cache"])),
+    execute: makeExecutor(params => executeClean(params->Params.path("path"))),
   },
   {
     name: "hakyll_rebuild",
     description: "Clean and rebuild the site",
+    timeoutMs: 900_000,
     inputSchema: {
       let props = Dict.make()
       Dict.set(props, "path", makeProp("string", "Path to site root"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(outputParser, params => executeRebuild(params->Params.path("path"))),
   },
   {
     name: "hakyll_check",
@@ -107,6 +212,11 @@ let tools: array<tool> = [
       Dict.set(props, "internal", makeProp("boolean", "Check internal links only"))
       makeSchema(props, [])
     },
+    annotations: checks,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(outputParser, params =>
+      executeCheck(params->Params.path("path"), params->Params.bool("internal"))
+    ),
   },
   {
     name: "hakyll_deploy",
@@ -116,61 +226,27 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to site root"))
       makeSchema(props, [])
     },
+    annotations: publishes,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Publishes("_site")),
+    execute: makeExecutor(params => executeDeploy(params->Params.path("path"))),
   },
   {
     name: "hakyll_version",
     description: "Get Stack/Hakyll version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-// Helper for running site commands via stack exec
-let runSiteCommand = async (args: array<string>, path: option<string>) => {
-  await Deno.Command.run("stack", Array.concat(["exec", "site", "--"], args), path)
-}
-
-let executeInit = async (name: string, path: option<string>) => {
-  await Deno.Command.run("stack", ["new", name, "hakyll-template"], path)
-}
-
-let executeBuild = async (path: option<string>) => {
-  await runSiteCommand(["build"], path)
-}
-
-let executeWatch = async (path: option<string>, port: option<int>, host: option<string>) => {
-  let args = ["watch"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
-  | None => args
-  }
-  let args = switch host {
-  | Some(h) => Array.concat(args, ["--host", h])
-  | None => args
-  }
-  await runSiteCommand(args, path)
-}
-
-let executeClean = async (path: option<string>) => {
-  await runSiteCommand(["clean"], path)
-}
-
-let executeRebuild = async (path: option<string>) => {
-  await runSiteCommand(["rebuild"], path)
-}
-
-let executeCheck = async (path: option<string>, internal: option<bool>) => {
-  let args = ["check"]
-  let args = switch internal {
-  | Some(true) => Array.concat(args, ["--internal-links"])
-  | _ => args
-  }
-  await runSiteCommand(args, path)
-}
-
-let executeDeploy = async (path: option<string>) => {
-  await runSiteCommand(["deploy"], path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("stack", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "hakyll_init"),
+  (Build, "hakyll_build"),
+  (Serve, "hakyll_watch"),
+  (Clean, "hakyll_clean"),
+  (Version, "hakyll_version"),
+  (Check, "hakyll_check"),
+  (Deploy, "hakyll_deploy"),
+]
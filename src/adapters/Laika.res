@@ -9,6 +9,7 @@ open Adapter
 let name = "Laika"
 let language = "Scala"
 let description = "Customizable text markup transformer and site generator in Scala"
+let ssg: Executor.ssg = Laika
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("laika", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,37 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeTransform = async (input: string, output: string, format: option<string>) => {
+  let args = ["transform", input, output]
+  let args = switch format {
+  | Some(f) => Array.concat(args, ["--format", f])
+  | None => args
+  }
+  await Gateway.run(ssg, ~operands=[input, output], args, None)
+}
+
+let executeGenerate = async (path: option<string>, output: option<string>) => {
+  let args = ["generate"]
+  let args = switch output {
+  | Some(o) => Array.concat(args, ["--output", o])
+  | None => args
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+let executePreview = async (path: option<string>, port: option<int>) => {
+  let args = ["preview"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="laika_preview", args, path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "laika_transform",
@@ -60,6 +92,15 @@ let tools: array<tool> = [
       Dict.set(props, "format", makeProp("string", "Output format (html, epub, pdf, ast)"))
       makeSchema(props, ["input", "output"])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeTransform(
+        params->Params.requirePath("input"),
+        params->Params.requirePath("output"),
+        params->Params.string("format"),
+      )
+    ),
   },
   {
     name: "laika_generate",
@@ -70,6 +111,11 @@ let tools: array<tool> = [
       Dict.set(props, "output", makeProp("string", "Output directory"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeGenerate(params->Params.path("path"), params->Params.path("output"))
+    ),
   },
   {
     name: "laika_preview",
@@ -80,41 +126,24 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executePreview(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "laika_version",
     description: "Get Laika version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeTransform = async (input: string, output: string, format: option<string>) => {
-  let args = ["transform", input, output]
-  let args = switch format {
-  | Some(f) => Array.concat(args, ["--format", f])
-  | None => args
-  }
-  await Deno.Command.run("laika", args, None)
-}
-
-let executeGenerate = async (path: option<string>, output: option<string>) => {
-  let args = ["generate"]
-  let args = switch output {
-  | Some(o) => Array.concat(args, ["--output", o])
-  | None => args
-  }
-  await Deno.Command.run("laika", args, path)
-}
-
-let executePreview = async (path: option<string>, port: option<int>) => {
-  let args = ["preview"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
-  | None => args
-  }
-  await Deno.Command.run("laika", args, path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("laika", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Build, "laika_generate"),
+  (Serve, "laika_preview"),
+  (Version, "laika_version"),
+]
@@ -9,6 +9,7 @@ open Adapter
 let name = "Marmot"
 let language = "Crystal"
 let description = "Fast static site generator written in Crystal"
+let ssg: Executor.ssg = Marmot
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("marmot", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,41 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (path: option<string>) => {
+  let args = ["init"]
+  let args = switch path {
+  | Some(p) => Array.concat(args, [p])
+  | None => args
+  }
+  await Gateway.run(ssg, ~operands=Array.keepSome([path]), args, None)
+}
+
+let executeBuild = async (path: option<string>, output: option<string>) => {
+  let args = ["build"]
+  let args = switch output {
+  | Some(o) => Array.concat(args, ["--output", o])
+  | None => args
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+let executeServe = async (path: option<string>, port: option<int>) => {
+  let args = ["serve"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="marmot_serve", args, path)
+}
+
+let executeWatch = async (path: option<string>) => {
+  await Gateway.start(ssg, ~tool="marmot_watch", ["watch"], path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "marmot_init",
@@ -58,6 +94,9 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path for the new site"))
       makeSchema(props, [])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params => executeInit(params->Params.path("path"))),
   },
   {
     name: "marmot_build",
@@ -68,6 +107,11 @@ let tools: array<tool> = [
       Dict.set(props, "output", makeProp("string", "Output directory"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"), params->Params.path("output"))
+    ),
   },
   {
     name: "marmot_serve",
@@ -78,6 +122,11 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeServe(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "marmot_watch",
@@ -87,45 +136,23 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to site root"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params => executeWatch(params->Params.path("path"))),
   },
   {
     name: "marmot_version",
     description: "Get Marmot version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (path: option<string>) => {
-  let args = ["init"]
-  let args = switch path {
-  | Some(p) => Array.concat(args, [p])
-  | None => args
-  }
-  await Deno.Command.run("marmot", args, None)
-}
-
-let executeBuild = async (path: option<string>, output: option<string>) => {
-  let args = ["build"]
-  let args = switch output {
-  | Some(o) => Array.concat(args, ["--output", o])
-  | None => args
-  }
-  await Deno.Command.run("marmot", args, path)
-}
-
-let executeServe = async (path: option<string>, port: option<int>) => {
-  let args = ["serve"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
-  | None => args
-  }
-  await Deno.Command.run("marmot", args, path)
-}
-
-let executeWatch = async (path: option<string>) => {
-  await Deno.Command.run("marmot", ["watch"], path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("marmot", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "marmot_init"),
+  (Build, "marmot_build"),
+  (Serve, "marmot_serve"),
+  (Version, "marmot_version"),
+]
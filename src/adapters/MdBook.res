@@ -9,6 +9,7 @@ open Adapter
 let name = "MdBook"
 let language = "Rust"
 let description = "Create books from Markdown files using Rust"
+let ssg: Executor.ssg = MdBook
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("mdbook", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,105 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (path: option<string>, title: option<string>, theme: option<bool>) => {
+  let args = ["init"]
+  let args = switch path {
+  | Some(p) => Array.concat(args, [p])
+  | None => args
+  }
+  let args = switch title {
+  | Some(t) => Array.concat(args, ["--title", t])
+  | None => args
+  }
+  let args = switch theme {
+  | Some(true) => Array.concat(args, ["--theme"])
+  | _ => args
+  }
+  await Gateway.run(ssg, ~operands=Array.keepSome([path]), args, None)
+}
+
+let executeBuild = async (path: option<string>, dest: option<string>, open_: option<bool>) => {
+  let args = ["build"]
+  let args = switch dest {
+  | Some(d) => Array.concat(args, ["--dest-dir", d])
+  | None => args
+  }
+  let args = switch open_ {
+  | Some(true) => Array.concat(args, ["--open"])
+  | _ => args
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+let executeServe = async (path: option<string>, port: option<int>, hostname: option<string>, open_: option<bool>) => {
+  let args = ["serve"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
+  | None => args
+  }
+  let args = switch hostname {
+  | Some(h) => Array.concat(args, ["--hostname", h])
+  | None => args
+  }
+  let args = switch open_ {
+  | Some(true) => Array.concat(args, ["--open"])
+  | _ => args
+  }
+  await Gateway.start(ssg, ~tool="mdbook_serve", args, path)
+}
+
+let executeWatch = async (path: option<string>, dest: option<string>) => {
+  let args = ["watch"]
+  let args = switch dest {
+  | Some(d) => Array.concat(args, ["--dest-dir", d])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="mdbook_watch", args, path)
+}
+
+let executeClean = async (path: option<string>) => {
+  await Gateway.run(ssg, ["clean"], path)
+}
+
+let executeTest = async (path: option<string>, chapter: option<string>) => {
+  let args = ["test"]
+  let args = switch chapter {
+  | Some(c) => Array.concat(args, ["--chapter", c])
+  | None => args
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
+// mdBook logs "[WARN] (mdbook::module): message" (optionally timestamped);
+// failing doctests in mdbook test print "---- src/x.md - Title (line 5) stdout ----"
+let logRe = %re("/\[?(WARN|ERROR)\]? \(([^)]*)\): (.*)$/")
+let doctestRe = %re("/^---- (\S+) - .* \(line (\d+)\) stdout ----$/")
+
+let parseLine = (line: string) =>
+  switch RegExp.exec(logRe, line) {
+  | Some(m) =>
+    let severity: BuildReport.severity = BuildReport.group(m, 1) == Some("ERROR") ? Error : Warning
+    Some(BuildReport.makeDiagnostic(severity, BuildReport.group(m, 3)->Option.getOr(line)))
+  | None =>
+    RegExp.exec(doctestRe, line)->Option.map(m => {
+      ...BuildReport.makeDiagnostic(Error, line),
+      file: BuildReport.group(m, 1),
+      line: BuildReport.intGroup(m, 2),
+    })
+  }
+
+let outputParser: BuildReport.parser = {
+  parse: (~stdout, ~stderr) => {
+    pages: None,
+    diagnostics: BuildReport.lines(stdout ++ "\n" ++ stderr)->Array.filterMap(parseLine),
+  },
+  defaultOutputDir: Some("book"),
+}
+
 let tools: array<tool> = [
   {
     name: "mdbook_init",
@@ -60,6 +160,15 @@ let tools: array<tool> = [
       Dict.set(props, "theme", makeProp("boolean", "Copy default theme"))
       makeSchema(props, [])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeInit(
+        params->Params.path("path"),
+        params->Params.string("title"),
+        params->Params.bool("theme"),
+      )
+    ),
   },
   {
     name: "mdbook_build",
@@ -71,6 +180,15 @@ let tools: array<tool> = [
       Dict.set(props, "open", makeProp("boolean", "Open in browser after build"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(outputParser, params =>
+      executeBuild(
+        params->Params.path("path"),
+        params->Params.path("dest"),
+        params->Params.bool("open"),
+      )
+    ),
   },
   {
     name: "mdbook_serve",
@@ -83,6 +201,16 @@ let tools: array<tool> = [
       Dict.set(props, "open", makeProp("boolean", "Open in browser"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeServe(
+        params->Params.path("path"),
+        params->Params.int("port"),
+        params->Params.string("hostname"),
+        params->Params.bool("open"),
+      )
+    ),
   },
   {
     name: "mdbook_watch",
@@ -93,6 +221,11 @@ let tools: array<tool> = [
       Dict.set(props, "dest", makeProp("string", "Output directory"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeWatch(params->Params.path("path"), params->Params.path("dest"))
+    ),
   },
   {
     name: "mdbook_clean",
@@ -102,6 +235,10 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to book root"))
       makeSchema(props, [])
     },
+    annotations: destructive,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Deletes(["book"])),
+    execute: makeExecutor(params => executeClean(params->Params.path("path"))),
   },
   {
     name: "mdbook_test",
@@ -112,83 +249,27 @@ let tools: array<tool> = [
       Dict.set(props, "chapter", makeProp("string", "Specific chapter to test"))
       makeSchema(props, [])
     },
+    annotations: checks,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(outputParser, params =>
+      executeTest(params->Params.path("path"), params->Params.string("chapter"))
+    ),
   },
   {
     name: "mdbook_version",
     description: "Get mdBook version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (path: option<string>, title: option<string>, theme: option<bool>) => {
-  let args = ["init"]
-  let args = switch path {
-  | Some(p) => Array.concat(args, [p])
-  | None => args
-  }
-  let args = switch title {
-  | Some(t) => Array.concat(args, ["--title", t])
-  | None => args
-  }
-  let args = switch theme {
-  | Some(true) => Array.concat(args, ["--theme"])
-  | _ => args
-  }
-  await Deno.Command.run("mdbook", args, None)
-}
-
-let executeBuild = async (path: option<string>, dest: option<string>, open_: option<bool>) => {
-  let args = ["build"]
-  let args = switch dest {
-  | Some(d) => Array.concat(args, ["--dest-dir", d])
-  | None => args
-  }
-  let args = switch open_ {
-  | Some(true) => Array.concat(args, ["--open"])
-  | _ => args
-  }
-  await Deno.Command.run("mdbook", args, path)
-}
-
-let executeServe = async (path: option<string>, port: option<int>, hostname: option<string>, open_: option<bool>) => {
-  let args = ["serve"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
-  | None => args
-  }
-  let args = switch hostname {
-  | Some(h) => Array.concat(args, ["--hostname", h])
-  | None => args
-  }
-  let args = switch open_ {
-  | Some(true) => Array.concat(args, ["--open"])
-  | _ => args
-  }
-  await Deno.Command.run("mdbook", args, path)
-}
-
-let executeWatch = async (path: option<string>, dest: option<string>) => {
-  let args = ["watch"]
-  let args = switch dest {
-  | Some(d) => Array.concat(args, ["--dest-dir", d])
-  | None => args
-  }
-  await Deno.Command.run("mdbook", args, path)
-}
-
-let executeClean = async (path: option<string>) => {
-  await Deno.Command.run("mdbook", ["clean"], path)
-}
-
-let executeTest = async (path: option<string>, chapter: option<string>) => {
-  let args = ["test"]
-  let args = switch chapter {
-  | Some(c) => Array.concat(args, ["--chapter", c])
-  | None => args
-  }
-  await Deno.Command.run("mdbook", args, path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("mdbook", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "mdbook_init"),
+  (Build, "mdbook_build"),
+  (Serve, "mdbook_serve"),
+  (Clean, "mdbook_clean"),
+  (Version, "mdbook_version"),
+  (Check, "mdbook_test"),
+]
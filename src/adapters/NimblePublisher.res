@@ -9,6 +9,7 @@ open Adapter
 let name = "NimblePublisher"
 let language = "Elixir"
 let description = "Markdown-based publishing library for Elixir/Phoenix"
+let ssg: Executor.ssg = NimblePublisher
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("mix", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,24 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (name: string, path: option<string>) => {
+  await Gateway.run(ssg, ~operands=[name], ["phx.new", name], path)
+}
+
+let executeBuild = async (path: option<string>) => {
+  await Gateway.run(ssg, ["compile"], path)
+}
+
+let executeServer = async (path: option<string>, port: option<int>) => {
+  let args = ["phx.server"]
+  let _ = port // Phoenix uses config for port
+  await Gateway.start(ssg, ~tool="nimble_publisher_server", args, path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "nimble_publisher_init",
@@ -59,6 +78,11 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path for the project"))
       makeSchema(props, ["name"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeInit(params->Params.requireString("name"), params->Params.path("path"))
+    ),
   },
   {
     name: "nimble_publisher_build",
@@ -68,6 +92,11 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"))
+    ),
   },
   {
     name: "nimble_publisher_server",
@@ -78,28 +107,25 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number (default: 4000)"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeServer(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "nimble_publisher_version",
     description: "Get Mix/Elixir version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (name: string, path: option<string>) => {
-  await Deno.Command.run("mix", ["phx.new", name], path)
-}
-
-let executeBuild = async (path: option<string>) => {
-  await Deno.Command.run("mix", ["compile"], path)
-}
-
-let executeServer = async (path: option<string>, port: option<int>) => {
-  let args = ["phx.server"]
-  let _ = port // Phoenix uses config for port
-  await Deno.Command.run("mix", args, path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("mix", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "nimble_publisher_init"),
+  (Build, "nimble_publisher_build"),
+  (Serve, "nimble_publisher_server"),
+  (Version, "nimble_publisher_version"),
+]
@@ -9,6 +9,7 @@ open Adapter
 let name = "Nimrod"
 let language = "Nim"
 let description = "Static site generator written in Nim"
+let ssg: Executor.ssg = Nimrod
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("nim", ["--version"], None)
+    let result = await Gateway.run(ssg, ~binary="nim", ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,41 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (path: string, template: option<string>) => {
+  let args = ["init", path]
+  let args = switch template {
+  | Some(t) => Array.concat(args, ["--template", t])
+  | None => args
+  }
+  await Gateway.run(ssg, ~operands=[path], args, None)
+}
+
+let executeBuild = async (path: option<string>, release: option<bool>) => {
+  let args = ["build"]
+  let args = switch release {
+  | Some(true) => Array.concat(args, ["--release"])
+  | _ => args
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+let executeServe = async (path: option<string>, port: option<int>) => {
+  let args = ["serve"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="nimrod_serve", args, path)
+}
+
+let executeClean = async (path: option<string>) => {
+  await Gateway.run(ssg, ["clean"], path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ~binary="nim", ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "nimrod_init",
@@ -59,6 +95,11 @@ let tools: array<tool> = [
       Dict.set(props, "template", makeProp("string", "Template to use"))
       makeSchema(props, ["path"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeInit(params->Params.requirePath("path"), params->Params.string("template"))
+    ),
   },
   {
     name: "nimrod_build",
@@ -69,6 +110,11 @@ let tools: array<tool> = [
       Dict.set(props, "release", makeProp("boolean", "Build in release mode"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"), params->Params.bool("release"))
+    ),
   },
   {
     name: "nimrod_serve",
@@ -79,6 +125,11 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeServe(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "nimrod_clean",
@@ -88,45 +139,25 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to site root"))
       makeSchema(props, [])
     },
+    annotations: destructive,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Deletes([])),
+    execute: makeExecutor(params => executeClean(params->Params.path("path"))),
   },
   {
     name: "nimrod_version",
     description: "Get Nim version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (path: string, template: option<string>) => {
-  let args = ["init", path]
-  let args = switch template {
-  | Some(t) => Array.concat(args, ["--template", t])
-  | None => args
-  }
-  await Deno.Command.run("nimrod", args, None)
-}
-
-let executeBuild = async (path: option<string>, release: option<bool>) => {
-  let args = ["build"]
-  let args = switch release {
-  | Some(true) => Array.concat(args, ["--release"])
-  | _ => args
-  }
-  await Deno.Command.run("nimrod", args, path)
-}
-
-let executeServe = async (path: option<string>, port: option<int>) => {
-  let args = ["serve"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
-  | None => args
-  }
-  await Deno.Command.run("nimrod", args, path)
-}
-
-let executeClean = async (path: option<string>) => {
-  await Deno.Command.run("nimrod", ["clean"], path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("nim", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "nimrod_init"),
+  (Build, "nimrod_build"),
+  (Serve, "nimrod_serve"),
+  (Clean, "nimrod_clean"),
+  (Version, "nimrod_version"),
+]
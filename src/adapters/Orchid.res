@@ -9,6 +9,7 @@ open Adapter
 let name = "Orchid"
 let language = "Kotlin"
 let description = "Powerful static site generator in Kotlin with plugin system"
+let ssg: Executor.ssg = Orchid
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("orchid", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,50 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (path: option<string>, theme: option<string>) => {
+  let args = ["init"]
+  let args = switch path {
+  | Some(p) => Array.concat(args, [p])
+  | None => args
+  }
+  let args = switch theme {
+  | Some(t) => Array.concat(args, ["--theme", t])
+  | None => args
+  }
+  await Gateway.run(ssg, ~operands=Array.keepSome([path]), args, None)
+}
+
+let executeBuild = async (path: option<string>, environment: option<string>) => {
+  let args = ["build"]
+  let args = switch environment {
+  | Some(e) => Array.concat(args, ["--environment", e])
+  | None => args
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+let executeServe = async (path: option<string>, port: option<int>) => {
+  let args = ["serve"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="orchid_serve", args, path)
+}
+
+let executeDeploy = async (path: option<string>, destination: option<string>) => {
+  let args = ["deploy"]
+  let args = switch destination {
+  | Some(d) => Array.concat(args, ["--destination", d])
+  | None => args
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "orchid_init",
@@ -59,6 +104,11 @@ let tools: array<tool> = [
       Dict.set(props, "theme", makeProp("string", "Theme to use (Editorial, Copper, etc.)"))
       makeSchema(props, [])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeInit(params->Params.path("path"), params->Params.string("theme"))
+    ),
   },
   {
     name: "orchid_build",
@@ -69,6 +119,11 @@ let tools: array<tool> = [
       Dict.set(props, "environment", makeProp("string", "Build environment (debug, production)"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"), params->Params.string("environment"))
+    ),
   },
   {
     name: "orchid_serve",
@@ -79,6 +134,11 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number (default: 8080)"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeServe(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "orchid_deploy",
@@ -89,54 +149,27 @@ let tools: array<tool> = [
       Dict.set(props, "destination", makeProp("string", "Deploy destination"))
       makeSchema(props, [])
     },
+    annotations: publishes,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Publishes("build/docs/orchid")),
+    execute: makeExecutor(params =>
+      executeDeploy(params->Params.path("path"), params->Params.path("destination"))
+    ),
   },
   {
     name: "orchid_version",
     description: "Get Orchid version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (path: option<string>, theme: option<string>) => {
-  let args = ["init"]
-  let args = switch path {
-  | Some(p) => Array.concat(args, [p])
-  | None => args
-  }
-  let args = switch theme {
-  | Some(t) => Array.concat(args, ["--theme", t])
-  | None => args
-  }
-  await Deno.Command.run("orchid", args, None)
-}
-
-let executeBuild = async (path: option<string>, environment: option<string>) => {
-  let args = ["build"]
-  let args = switch environment {
-  | Some(e) => Array.concat(args, ["--environment", e])
-  | None => args
-  }
-  await Deno.Command.run("orchid", args, path)
-}
-
-let executeServe = async (path: option<string>, port: option<int>) => {
-  let args = ["serve"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
-  | None => args
-  }
-  await Deno.Command.run("orchid", args, path)
-}
-
-let executeDeploy = async (path: option<string>, destination: option<string>) => {
-  let args = ["deploy"]
-  let args = switch destination {
-  | Some(d) => Array.concat(args, ["--destination", d])
-  | None => args
-  }
-  await Deno.Command.run("orchid", args, path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("orchid", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "orchid_init"),
+  (Build, "orchid_build"),
+  (Serve, "orchid_serve"),
+  (Version, "orchid_version"),
+  (Deploy, "orchid_deploy"),
+]
@@ -9,6 +9,7 @@ open Adapter
 let name = "Perun"
 let language = "Clojure"
 let description = "Composable static site generator using Boot build tool"
+let ssg: Executor.ssg = Perun
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("boot", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,31 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (path: string) => {
+  await Gateway.run(ssg, ~operands=[path], ["new", "perun", path], None)
+}
+
+let executeBuild = async (path: option<string>, target: option<string>) => {
+  let args = switch target {
+  | Some(t) => [t]
+  | None => ["build"]
+  }
+  await Gateway.run(ssg, ~operands=Array.keepSome([target]), args, path)
+}
+
+let executeDev = async (path: option<string>, port: option<int>) => {
+  let args = ["dev"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, ["-p", Int.toString(p)])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="perun_dev", args, path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "perun_init",
@@ -58,16 +84,25 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path for the new project"))
       makeSchema(props, ["path"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params => executeInit(params->Params.requirePath("path"))),
   },
   {
     name: "perun_build",
     description: "Build the Perun site",
+    timeoutMs: 900_000,
     inputSchema: {
       let props = Dict.make()
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       Dict.set(props, "target", makeProp("string", "Build target"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"), params->Params.string("target"))
+    ),
   },
   {
     name: "perun_dev",
@@ -78,35 +113,25 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeDev(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "perun_version",
     description: "Get Boot version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (path: string) => {
-  await Deno.Command.run("boot", ["new", "perun", path], None)
-}
-
-let executeBuild = async (path: option<string>, target: option<string>) => {
-  let args = switch target {
-  | Some(t) => [t]
-  | None => ["build"]
-  }
-  await Deno.Command.run("boot", args, path)
-}
-
-let executeDev = async (path: option<string>, port: option<int>) => {
-  let args = ["dev"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, ["-p", Int.toString(p)])
-  | None => args
-  }
-  await Deno.Command.run("boot", args, path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("boot", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "perun_init"),
+  (Build, "perun_build"),
+  (Serve, "perun_dev"),
+  (Version, "perun_version"),
+]
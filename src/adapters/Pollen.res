@@ -9,6 +9,7 @@ open Adapter
 let name = "Pollen"
 let language = "Racket"
 let description = "Programmable publishing system for making books in Racket"
+let ssg: Executor.ssg = Pollen
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("raco", ["pollen", "version"], None)
+    let result = await Gateway.run(ssg, ["pollen", "version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,39 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeStart = async (path: option<string>, port: option<int>) => {
+  let args = ["pollen", "start"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, [Int.toString(p)])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="pollen_start", args, path)
+}
+
+let executeRender = async (path: option<string>, parallel: option<bool>) => {
+  let args = ["pollen", "render"]
+  let args = switch parallel {
+  | Some(true) => Array.concat(args, ["-p"])
+  | _ => args
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+// raco pollen publish takes the source directory first; given only one
+// operand it would publish that to ~/Desktop/publish
+let executePublish = async (path: option<string>, output: string) => {
+  let source = Option.getOr(path, Workspace.defaultRoot())
+  await Gateway.run(ssg, ~operands=[source, output], ["pollen", "publish", source, output], path)
+}
+
+let executeReset = async (path: option<string>) => {
+  await Gateway.run(ssg, ["pollen", "reset"], path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["pollen", "version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "pollen_start",
@@ -59,6 +93,11 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number (default: 8080)"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeStart(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "pollen_render",
@@ -69,6 +108,11 @@ let tools: array<tool> = [
       Dict.set(props, "parallel", makeProp("boolean", "Render in parallel"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeRender(params->Params.path("path"), params->Params.bool("parallel"))
+    ),
   },
   {
     name: "pollen_publish",
@@ -77,8 +121,16 @@ let tools: array<tool> = [
       let props = Dict.make()
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       Dict.set(props, "output", makeProp("string", "Output directory"))
-      makeSchema(props, [])
+      makeSchema(props, ["output"])
     },
+    // A local copy that replaces the output directory, not a remote deploy
+    annotations: {...regenerates, destructiveHint: true},
+    outputSchema: commandOutputSchema,
+    // Required: without it, raco pollen publish writes to ~/Desktop/publish
+    confirm: params => params->Params.path("output")->Option.map(dir => Replaces(dir)),
+    execute: makeExecutor(params =>
+      executePublish(params->Params.path("path"), params->Params.requirePath("output"))
+    ),
   },
   {
     name: "pollen_reset",
@@ -88,45 +140,24 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       makeSchema(props, [])
     },
+    annotations: destructive,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Deletes([])),
+    execute: makeExecutor(params => executeReset(params->Params.path("path"))),
   },
   {
     name: "pollen_version",
     description: "Get Pollen version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeStart = async (path: option<string>, port: option<int>) => {
-  let args = ["pollen", "start"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, [Int.toString(p)])
-  | None => args
-  }
-  await Deno.Command.run("raco", args, path)
-}
-
-let executeRender = async (path: option<string>, parallel: option<bool>) => {
-  let args = ["pollen", "render"]
-  let args = switch parallel {
-  | Some(true) => Array.concat(args, ["-p"])
-  | _ => args
-  }
-  await Deno.Command.run("raco", args, path)
-}
-
-let executePublish = async (path: option<string>, output: option<string>) => {
-  let args = ["pollen", "publish"]
-  let args = switch output {
-  | Some(o) => Array.concat(args, [o])
-  | None => args
-  }
-  await Deno.Command.run("raco", args, path)
-}
-
-let executeReset = async (path: option<string>) => {
-  await Deno.Command.run("raco", ["pollen", "reset"], path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("raco", ["pollen", "version"], None)
-}
+let capabilities: array<capability> = [
+  (Build, "pollen_render"),
+  (Serve, "pollen_start"),
+  (Clean, "pollen_reset"),
+  (Version, "pollen_version"),
+]
@@ -9,6 +9,7 @@ open Adapter
 let name = "Publish"
 let language = "Swift"
 let description = "Static site generator for Swift developers"
+let ssg: Executor.ssg = Publish
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("publish", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,41 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeNew = async (path: option<string>) => {
+  let args = ["new"]
+  let args = switch path {
+  | Some(p) => Array.concat(args, [p])
+  | None => args
+  }
+  await Gateway.run(ssg, ~operands=Array.keepSome([path]), args, None)
+}
+
+let executeGenerate = async (path: option<string>) => {
+  await Gateway.run(ssg, ["generate"], path)
+}
+
+let executeRun = async (path: option<string>, port: option<int>) => {
+  let args = ["run"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="publish_run", args, path)
+}
+
+let executeDeploy = async (path: option<string>, method: option<string>) => {
+  let args = ["deploy"]
+  let args = switch method {
+  | Some(m) => Array.concat(args, ["--" ++ m])
+  | None => args
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "publish_new",
@@ -58,6 +94,9 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path for the new site"))
       makeSchema(props, [])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params => executeNew(params->Params.path("path"))),
   },
   {
     name: "publish_generate",
@@ -67,6 +106,11 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to site root"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeGenerate(params->Params.path("path"))
+    ),
   },
   {
     name: "publish_run",
@@ -77,6 +121,11 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number (default: 8000)"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeRun(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "publish_deploy",
@@ -87,45 +136,27 @@ let tools: array<tool> = [
       Dict.set(props, "method", makeProp("string", "Deploy method (git, github)"))
       makeSchema(props, [])
     },
+    annotations: publishes,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Publishes("Output")),
+    execute: makeExecutor(params =>
+      executeDeploy(params->Params.path("path"), params->Params.string("method"))
+    ),
   },
   {
     name: "publish_version",
     description: "Get Publish version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeNew = async (path: option<string>) => {
-  let args = ["new"]
-  let args = switch path {
-  | Some(p) => Array.concat(args, [p])
-  | None => args
-  }
-  await Deno.Command.run("publish", args, None)
-}
-
-let executeGenerate = async (path: option<string>) => {
-  await Deno.Command.run("publish", ["generate"], path)
-}
-
-let executeRun = async (path: option<string>, port: option<int>) => {
-  let args = ["run"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
-  | None => args
-  }
-  await Deno.Command.run("publish", args, path)
-}
-
-let executeDeploy = async (path: option<string>, method: option<string>) => {
-  let args = ["deploy"]
-  let args = switch method {
-  | Some(m) => Array.concat(args, ["--" ++ m])
-  | None => args
-  }
-  await Deno.Command.run("publish", args, path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("publish", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "publish_new"),
+  (Build, "publish_generate"),
+  (Serve, "publish_run"),
+  (Version, "publish_version"),
+  (Deploy, "publish_deploy"),
+]
@@ -9,6 +9,7 @@ open Adapter
 let name = "Reggae"
 let language = "D"
 let description = "Build system generator written in D for static sites"
+let ssg: Executor.ssg = Reggae
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("reggae", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,31 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (path: option<string>, backend: option<string>) => {
+  let args = switch backend {
+  | Some(b) => ["--backend=" ++ b]
+  | None => []
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+let executeBuild = async (path: option<string>, jobs: option<int>) => {
+  let args = ["build"]
+  let args = switch jobs {
+  | Some(j) => Array.concat(args, ["-j", Int.toString(j)])
+  | None => args
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+let executeClean = async (path: option<string>) => {
+  await Gateway.run(ssg, ["clean"], path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "reggae_init",
@@ -59,6 +85,11 @@ let tools: array<tool> = [
       Dict.set(props, "backend", makeProp("string", "Build backend (make, ninja, tup)"))
       makeSchema(props, [])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeInit(params->Params.path("path"), params->Params.string("backend"))
+    ),
   },
   {
     name: "reggae_build",
@@ -69,6 +100,11 @@ let tools: array<tool> = [
       Dict.set(props, "jobs", makeProp("number", "Number of parallel jobs"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"), params->Params.int("jobs"))
+    ),
   },
   {
     name: "reggae_clean",
@@ -78,35 +114,24 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       makeSchema(props, [])
     },
+    annotations: destructive,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Deletes([])),
+    execute: makeExecutor(params => executeClean(params->Params.path("path"))),
   },
   {
     name: "reggae_version",
     description: "Get Reggae version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (path: option<string>, backend: option<string>) => {
-  let args = switch backend {
-  | Some(b) => ["--backend=" ++ b]
-  | None => []
-  }
-  await Deno.Command.run("reggae", args, path)
-}
-
-let executeBuild = async (path: option<string>, jobs: option<int>) => {
-  let args = ["build"]
-  let args = switch jobs {
-  | Some(j) => Array.concat(args, ["-j", Int.toString(j)])
-  | None => args
-  }
-  await Deno.Command.run("reggae", args, path)
-}
-
-let executeClean = async (path: option<string>) => {
-  await Deno.Command.run("reggae", ["clean"], path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("reggae", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "reggae_init"),
+  (Build, "reggae_build"),
+  (Clean, "reggae_clean"),
+  (Version, "reggae_version"),
+]
@@ -9,6 +9,7 @@ open Adapter
 let name = "ScalaTex"
 let language = "Scala"
 let description = "Document and site generation using Scala with LaTeX support"
+let ssg: Executor.ssg = ScalaTex
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("mill", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,30 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (name: string, path: option<string>) => {
+  await Gateway.run(ssg, ~operands=[name], ["init", name], path)
+}
+
+let executeBuild = async (path: option<string>, target: option<string>) => {
+  let targetName = switch target {
+  | Some(t) => t
+  | None => "compile"
+  }
+  await Gateway.run(ssg, ~operands=[targetName], [targetName], path)
+}
+
+let executeWatch = async (path: option<string>) => {
+  await Gateway.start(ssg, ~tool="scalatex_watch", ["-w", "compile"], path)
+}
+
+let executeClean = async (path: option<string>) => {
+  await Gateway.run(ssg, ["clean"], path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "scalatex_init",
@@ -59,16 +84,27 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path for the project"))
       makeSchema(props, ["name"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeInit(params->Params.requireString("name"), params->Params.path("path"))
+    ),
   },
   {
     name: "scalatex_build",
     description: "Build the ScalaTex document/site",
+    timeoutMs: 900_000,
     inputSchema: {
       let props = Dict.make()
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       Dict.set(props, "target", makeProp("string", "Build target (html, pdf)"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"), params->Params.string("target"))
+    ),
   },
   {
     name: "scalatex_watch",
@@ -78,6 +114,9 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params => executeWatch(params->Params.path("path"))),
   },
   {
     name: "scalatex_clean",
@@ -87,34 +126,25 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       makeSchema(props, [])
     },
+    annotations: destructive,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Deletes([])),
+    execute: makeExecutor(params => executeClean(params->Params.path("path"))),
   },
   {
     name: "scalatex_version",
     description: "Get Mill/Scala version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (name: string, path: option<string>) => {
-  await Deno.Command.run("mill", ["init", name], path)
-}
-
-let executeBuild = async (path: option<string>, target: option<string>) => {
-  let targetName = switch target {
-  | Some(t) => t
-  | None => "compile"
-  }
-  await Deno.Command.run("mill", [targetName], path)
-}
-
-let executeWatch = async (path: option<string>) => {
-  await Deno.Command.run("mill", ["-w", "compile"], path)
-}
-
-let executeClean = async (path: option<string>) => {
-  await Deno.Command.run("mill", ["clean"], path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("mill", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "scalatex_init"),
+  (Build, "scalatex_build"),
+  (Serve, "scalatex_watch"),
+  (Clean, "scalatex_clean"),
+  (Version, "scalatex_version"),
+]
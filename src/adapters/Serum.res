@@ -9,6 +9,7 @@ open Adapter
 let name = "Serum"
 let language = "Elixir"
 let description = "Simple static website generator written in Elixir"
+let ssg: Executor.ssg = Serum
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("mix", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,32 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (path: string) => {
+  await Gateway.run(ssg, ~operands=[path], ["serum.new", path], None)
+}
+
+let executeBuild = async (path: option<string>, output: option<string>) => {
+  let args = ["serum.build"]
+  let args = switch output {
+  | Some(o) => Array.concat(args, ["--output", o])
+  | None => args
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+let executeServer = async (path: option<string>, port: option<int>) => {
+  let args = ["serum.server"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="serum_server", args, path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["serum", "--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "serum_init",
@@ -58,6 +85,9 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path for the new project"))
       makeSchema(props, ["path"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params => executeInit(params->Params.requirePath("path"))),
   },
   {
     name: "serum_build",
@@ -68,6 +98,11 @@ let tools: array<tool> = [
       Dict.set(props, "output", makeProp("string", "Output directory"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"), params->Params.path("output"))
+    ),
   },
   {
     name: "serum_server",
@@ -78,36 +113,25 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number (default: 8080)"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeServer(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "serum_version",
     description: "Get Serum version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (path: string) => {
-  await Deno.Command.run("mix", ["serum.new", path], None)
-}
-
-let executeBuild = async (path: option<string>, output: option<string>) => {
-  let args = ["serum.build"]
-  let args = switch output {
-  | Some(o) => Array.concat(args, ["--output", o])
-  | None => args
-  }
-  await Deno.Command.run("mix", args, path)
-}
-
-let executeServer = async (path: option<string>, port: option<int>) => {
-  let args = ["serum.server"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, ["--port", Int.toString(p)])
-  | None => args
-  }
-  await Deno.Command.run("mix", args, path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("mix", ["serum", "--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "serum_init"),
+  (Build, "serum_build"),
+  (Serve, "serum_server"),
+  (Version, "serum_version"),
+]
@@ -9,6 +9,7 @@ open Adapter
 let name = "StaticWebPages"
 let language = "Julia"
 let description = "Static website generator for academics in Julia"
+let ssg: Executor.ssg = StaticWebPages
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("julia", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,42 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (path: string, template: option<string>) => {
+  let templateArg = switch template {
+  | Some(t) => ", template=" ++ CodeLiteral.juliaSymbol(t)
+  | None => ""
+  }
+  await Gateway.run(ssg, ["-e", `using StaticWebPages; init(${CodeLiteral.julia(path)}${templateArg})`], None)
+}
+
+let executeBuild = async (path: option<string>, output: option<string>) => {
+  let outputArg = switch output {
+  | Some(o) => ", output=" ++ CodeLiteral.julia(o)
+  | None => ""
+  }
+  let dir = switch path {
+  | Some(p) => `cd(${CodeLiteral.julia(p)}); `
+  | None => ""
+  }
+  await Gateway.run(ssg, ["-e", `using StaticWebPages; ${dir}build(${outputArg})`], None)
+}
+
+let executeServe = async (path: option<string>, port: option<int>) => {
+  let portArg = switch port {
+  | Some(p) => `, port=${Int.toString(p)}`
+  | None => ""
+  }
+  let dir = switch path {
+  | Some(p) => `cd(${CodeLiteral.julia(p)}); `
+  | None => ""
+  }
+  await Gateway.start(ssg, ~tool="staticwebpages_serve", ["-e", `using StaticWebPages; ${dir}serve(${portArg})`], None)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "staticwebpages_init",
@@ -59,6 +96,11 @@ let tools: array<tool> = [
       Dict.set(props, "template", makeProp("string", "Template (academic, portfolio)"))
       makeSchema(props, ["path"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeInit(params->Params.requirePath("path"), params->Params.string("template"))
+    ),
   },
   {
     name: "staticwebpages_build",
@@ -69,6 +111,11 @@ let tools: array<tool> = [
       Dict.set(props, "output", makeProp("string", "Output directory"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"), params->Params.path("output"))
+    ),
   },
   {
     name: "staticwebpages_serve",
@@ -79,46 +126,25 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeServe(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "staticwebpages_version",
     description: "Get Julia version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (path: string, template: option<string>) => {
-  let templateArg = switch template {
-  | Some(t) => `, template=:${t}`
-  | None => ""
-  }
-  await Deno.Command.run("julia", ["-e", `using StaticWebPages; init("${path}"${templateArg})`], None)
-}
-
-let executeBuild = async (path: option<string>, output: option<string>) => {
-  let outputArg = switch output {
-  | Some(o) => `, output="${o}"`
-  | None => ""
-  }
-  let dir = switch path {
-  | Some(p) => `cd("${p}"); `
-  | None => ""
-  }
-  await Deno.Command.run("julia", ["-e", `using StaticWebPages; ${dir}build(${outputArg})`], None)
-}
-
-let executeServe = async (path: option<string>, port: option<int>) => {
-  let portArg = switch port {
-  | Some(p) => `, port=${Int.toString(p)}`
-  | None => ""
-  }
-  let dir = switch path {
-  | Some(p) => `cd("${p}"); `
-  | None => ""
-  }
-  await Deno.Command.run("julia", ["-e", `using StaticWebPages; ${dir}serve(${portArg})`], None)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("julia", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "staticwebpages_init"),
+  (Build, "staticwebpages_build"),
+  (Serve, "staticwebpages_serve"),
+  (Version, "staticwebpages_version"),
+]
@@ -9,6 +9,7 @@ open Adapter
 let name = "Tableau"
 let language = "Elixir"
 let description = "Static site generator for Elixir with LiveView support"
+let ssg: Executor.ssg = Tableau
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("mix", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,22 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (name: string, path: option<string>) => {
+  await Gateway.run(ssg, ~operands=[name], ["tableau.new", name], path)
+}
+
+let executeBuild = async (path: option<string>) => {
+  await Gateway.run(ssg, ["tableau.build"], path)
+}
+
+let executeServer = async (path: option<string>, _port: option<int>) => {
+  await Gateway.start(ssg, ~tool="tableau_server", ["tableau.server"], path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "tableau_init",
@@ -59,6 +76,11 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path for the project"))
       makeSchema(props, ["name"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeInit(params->Params.requireString("name"), params->Params.path("path"))
+    ),
   },
   {
     name: "tableau_build",
@@ -68,6 +90,11 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"))
+    ),
   },
   {
     name: "tableau_server",
@@ -78,26 +105,25 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeServer(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "tableau_version",
     description: "Get Mix/Elixir version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (name: string, path: option<string>) => {
-  await Deno.Command.run("mix", ["tableau.new", name], path)
-}
-
-let executeBuild = async (path: option<string>) => {
-  await Deno.Command.run("mix", ["tableau.build"], path)
-}
-
-let executeServer = async (path: option<string>, _port: option<int>) => {
-  await Deno.Command.run("mix", ["tableau.server"], path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("mix", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "tableau_init"),
+  (Build, "tableau_build"),
+  (Serve, "tableau_server"),
+  (Version, "tableau_version"),
+]
@@ -9,6 +9,7 @@ open Adapter
 let name = "Wub"
 let language = "Tcl"
 let description = "Web application framework and static site generator in Tcl"
+let ssg: Executor.ssg = Wub
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let _ = await Deno.Command.run("tclsh", ["--version"], None)
+    let _ = await Gateway.run(ssg, ["--version"], None)
     // Tcl returns version info differently, check if tclsh exists
     state.connected = true
     true
@@ -50,6 +51,32 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (path: string) => {
+  await Gateway.run(ssg, ~operands=[path], ["wub.tcl", "init", path], None)
+}
+
+let executeServe = async (path: option<string>, port: option<int>) => {
+  let args = ["wub.tcl", "serve"]
+  let args = switch port {
+  | Some(p) => Array.concat(args, ["-port", Int.toString(p)])
+  | None => args
+  }
+  await Gateway.start(ssg, ~tool="wub_serve", args, path)
+}
+
+let executeGenerate = async (path: option<string>, output: option<string>) => {
+  let args = ["wub.tcl", "generate"]
+  let args = switch output {
+  | Some(o) => Array.concat(args, ["-output", o])
+  | None => args
+  }
+  await Gateway.run(ssg, args, path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["-c", "puts [info patchlevel]"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "wub_init",
@@ -59,6 +86,9 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path for the new project"))
       makeSchema(props, ["path"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params => executeInit(params->Params.requirePath("path"))),
   },
   {
     name: "wub_serve",
@@ -69,6 +99,11 @@ let tools: array<tool> = [
       Dict.set(props, "port", makeProp("number", "Port number (default: 8080)"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeServe(params->Params.path("path"), params->Params.int("port"))
+    ),
   },
   {
     name: "wub_generate",
@@ -79,36 +114,25 @@ let tools: array<tool> = [
       Dict.set(props, "output", makeProp("string", "Output directory"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeGenerate(params->Params.path("path"), params->Params.path("output"))
+    ),
   },
   {
     name: "wub_version",
     description: "Get Tcl version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (path: string) => {
-  await Deno.Command.run("tclsh", ["wub.tcl", "init", path], None)
-}
-
-let executeServe = async (path: option<string>, port: option<int>) => {
-  let args = ["wub.tcl", "serve"]
-  let args = switch port {
-  | Some(p) => Array.concat(args, ["-port", Int.toString(p)])
-  | None => args
-  }
-  await Deno.Command.run("tclsh", args, path)
-}
-
-let executeGenerate = async (path: option<string>, output: option<string>) => {
-  let args = ["wub.tcl", "generate"]
-  let args = switch output {
-  | Some(o) => Array.concat(args, ["-output", o])
-  | None => args
-  }
-  await Deno.Command.run("tclsh", args, path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("tclsh", ["-c", "puts [info patchlevel]"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "wub_init"),
+  (Build, "wub_generate"),
+  (Serve, "wub_serve"),
+  (Version, "wub_version"),
+]
@@ -9,6 +9,7 @@ open Adapter
 let name = "YOCaml"
 let language = "OCaml"
 let description = "Static site generator in OCaml with composable build rules"
+let ssg: Executor.ssg = YOCaml
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("opam", ["--version"], None)
+    let result = await Gateway.run(ssg, ~binary="opam", ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,26 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeInit = async (name: string, path: option<string>) => {
+  await Gateway.run(ssg, ~operands=[name], ["init", "project", name], path)
+}
+
+let executeBuild = async (path: option<string>) => {
+  await Gateway.run(ssg, ["build"], path)
+}
+
+let executeWatch = async (path: option<string>) => {
+  await Gateway.start(ssg, ~tool="yocaml_watch", ["build", "--watch"], path)
+}
+
+let executeClean = async (path: option<string>) => {
+  await Gateway.run(ssg, ["clean"], path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ~binary="opam", ["--version"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "yocaml_init",
@@ -59,6 +80,11 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path for the project"))
       makeSchema(props, ["name"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeInit(params->Params.requireString("name"), params->Params.path("path"))
+    ),
   },
   {
     name: "yocaml_build",
@@ -68,6 +94,11 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeBuild(params->Params.path("path"))
+    ),
   },
   {
     name: "yocaml_watch",
@@ -77,6 +108,9 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params => executeWatch(params->Params.path("path"))),
   },
   {
     name: "yocaml_clean",
@@ -86,30 +120,25 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to project root"))
       makeSchema(props, [])
     },
+    annotations: destructive,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Deletes([])),
+    execute: makeExecutor(params => executeClean(params->Params.path("path"))),
   },
   {
     name: "yocaml_version",
     description: "Get opam/OCaml version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeInit = async (name: string, path: option<string>) => {
-  await Deno.Command.run("dune", ["init", "project", name], path)
-}
-
-let executeBuild = async (path: option<string>) => {
-  await Deno.Command.run("dune", ["build"], path)
-}
-
-let executeWatch = async (path: option<string>) => {
-  await Deno.Command.run("dune", ["build", "--watch"], path)
-}
-
-let executeClean = async (path: option<string>) => {
-  await Deno.Command.run("dune", ["clean"], path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("opam", ["--version"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "yocaml_init"),
+  (Build, "yocaml_build"),
+  (Serve, "yocaml_watch"),
+  (Clean, "yocaml_clean"),
+  (Version, "yocaml_version"),
+]
@@ -9,6 +9,7 @@ open Adapter
 let name = "Zola"
 let language = "Rust"
 let description = "Fast static site generator written in Rust with built-in Sass compilation and syntax highlighting"
+let ssg: Executor.ssg = Zola
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("zola", ["--version"], None)
+    let result = await Gateway.run(ssg, ["--version"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -50,59 +51,6 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
-let tools: array<tool> = [
-  {
-    name: "zola_init",
-    description: "Initialize a new Zola site",
-    inputSchema: {
-      let props = Dict.make()
-      Dict.set(props, "path", makeProp("string", "Path for the new site"))
-      Dict.set(props, "force", makeProp("boolean", "Overwrite existing directory"))
-      makeSchema(props, ["path"])
-    },
-  },
-  {
-    name: "zola_build",
-    description: "Build the Zola site",
-    inputSchema: {
-      let props = Dict.make()
-      Dict.set(props, "path", makeProp("string", "Path to site root"))
-      Dict.set(props, "baseUrl", makeProp("string", "Base URL for the site"))
-      Dict.set(props, "outputDir", makeProp("string", "Output directory"))
-      Dict.set(props, "drafts", makeProp("boolean", "Include drafts"))
-      makeSchema(props, [])
-    },
-  },
-  {
-    name: "zola_serve",
-    description: "Start Zola development server",
-    inputSchema: {
-      let props = Dict.make()
-      Dict.set(props, "path", makeProp("string", "Path to site root"))
-      Dict.set(props, "port", makeProp("number", "Port number (default: 1111)"))
-      Dict.set(props, "interface", makeProp("string", "Interface to bind to"))
-      Dict.set(props, "drafts", makeProp("boolean", "Include drafts"))
-      Dict.set(props, "openBrowser", makeProp("boolean", "Open browser automatically"))
-      makeSchema(props, [])
-    },
-  },
-  {
-    name: "zola_check",
-    description: "Check the site for errors",
-    inputSchema: {
-      let props = Dict.make()
-      Dict.set(props, "path", makeProp("string", "Path to site root"))
-      Dict.set(props, "drafts", makeProp("boolean", "Include drafts"))
-      makeSchema(props, [])
-    },
-  },
-  {
-    name: "zola_version",
-    description: "Get Zola version",
-    inputSchema: makeSchema(Dict.make(), []),
-  },
-]
-
 // Tool execution handlers
 let executeInit = async (path: string, force: option<bool>) => {
   let args = ["init", path]
@@ -110,7 +58,7 @@ let executeInit = async (path: string, force: option<bool>) => {
   | Some(true) => Array.concat(args, ["--force"])
   | _ => args
   }
-  await Deno.Command.run("zola", args, None)
+  await Gateway.run(ssg, ~operands=[path], args, None)
 }
 
 let executeBuild = async (
@@ -132,7 +80,7 @@ let executeBuild = async (
   | Some(true) => Array.concat(args, ["--drafts"])
   | _ => args
   }
-  await Deno.Command.run("zola", args, path)
+  await Gateway.run(ssg, args, path)
 }
 
 let executeServe = async (
@@ -159,7 +107,7 @@ let executeServe = async (
   | Some(true) => Array.concat(args, ["--open"])
   | _ => args
   }
-  await Deno.Command.run("zola", args, path)
+  await Gateway.start(ssg, ~tool="zola_serve", args, path)
 }
 
 let executeCheck = async (path: option<string>, drafts: option<bool>) => {
@@ -168,9 +116,127 @@ let executeCheck = async (path: option<string>, drafts: option<bool>) => {
   | Some(true) => Array.concat(args, ["--drafts"])
   | _ => args
   }
-  await Deno.Command.run("zola", args, path)
+  await Gateway.run(ssg, args, path)
 }
 
 let executeVersion = async () => {
-  await Deno.Command.run("zola", ["--version"], None)
+  await Gateway.run(ssg, ["--version"], None)
 }
+
+// "Creating 12 pages (0 orphan) and 3 sections"; failures are "Error: ..."
+// lines and zola check reports "Dead link in <file> to <url>"
+let deadLinkRe = %re("/^(?:Dead|Broken) link in (\S+) to /")
+
+let outputParser: BuildReport.parser = {
+  parse: (~stdout, ~stderr) => {
+    let output = stdout ++ "\n" ++ stderr
+    let deadLinks = BuildReport.lines(output)->Array.filterMap(line =>
+      RegExp.exec(deadLinkRe, line)->Option.map(m => {
+        ...BuildReport.makeDiagnostic(Error, line),
+        file: BuildReport.group(m, 1),
+      })
+    )
+    {
+      pages: BuildReport.firstInt(stdout, %re("/Creating (\d+) pages?/")),
+      diagnostics: Array.concat(BuildReport.genericDiagnostics(output), deadLinks),
+    }
+  },
+  defaultOutputDir: Some("public"),
+}
+
+let tools: array<tool> = [
+  {
+    name: "zola_init",
+    description: "Initialize a new Zola site",
+    inputSchema: {
+      let props = Dict.make()
+      Dict.set(props, "path", makeProp("string", "Path for the new site"))
+      Dict.set(props, "force", makeProp("boolean", "Overwrite existing directory"))
+      makeSchema(props, ["path"])
+    },
+    // force replaces an existing directory
+    annotations: {...additive, destructiveHint: true},
+    outputSchema: commandOutputSchema,
+    confirm: params => params->Params.bool("force") == Some(true) ? Some(Replaces(".")) : None,
+    execute: makeExecutor(params =>
+      executeInit(params->Params.requirePath("path"), params->Params.bool("force"))
+    ),
+  },
+  {
+    name: "zola_build",
+    description: "Build the Zola site",
+    inputSchema: {
+      let props = Dict.make()
+      Dict.set(props, "path", makeProp("string", "Path to site root"))
+      Dict.set(props, "baseUrl", makeProp("string", "Base URL for the site"))
+      Dict.set(props, "outputDir", makeProp("string", "Output directory"))
+      Dict.set(props, "drafts", makeProp("boolean", "Include drafts"))
+      makeSchema(props, [])
+    },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(outputParser, params =>
+      executeBuild(
+        params->Params.path("path"),
+        params->Params.string("baseUrl"),
+        params->Params.path("outputDir"),
+        params->Params.bool("drafts"),
+      )
+    ),
+  },
+  {
+    name: "zola_serve",
+    description: "Start Zola development server",
+    inputSchema: {
+      let props = Dict.make()
+      Dict.set(props, "path", makeProp("string", "Path to site root"))
+      Dict.set(props, "port", makeProp("number", "Port number (default: 1111)"))
+      Dict.set(props, "interface", makeProp("string", "Interface to bind to"))
+      Dict.set(props, "drafts", makeProp("boolean", "Include drafts"))
+      Dict.set(props, "openBrowser", makeProp("boolean", "Open browser automatically"))
+      makeSchema(props, [])
+    },
+    annotations: starts,
+    outputSchema: processOutputSchema,
+    execute: makeProcessExecutor(params =>
+      executeServe(
+        params->Params.path("path"),
+        params->Params.int("port"),
+        params->Params.string("interface"),
+        params->Params.bool("drafts"),
+        params->Params.bool("openBrowser"),
+      )
+    ),
+  },
+  {
+    name: "zola_check",
+    description: "Check the site for errors",
+    inputSchema: {
+      let props = Dict.make()
+      Dict.set(props, "path", makeProp("string", "Path to site root"))
+      Dict.set(props, "drafts", makeProp("boolean", "Include drafts"))
+      makeSchema(props, [])
+    },
+    annotations: checks,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(outputParser, params =>
+      executeCheck(params->Params.path("path"), params->Params.bool("drafts"))
+    ),
+  },
+  {
+    name: "zola_version",
+    description: "Get Zola version",
+    inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
+  },
+]
+
+let capabilities: array<capability> = [
+  (Init, "zola_init"),
+  (Build, "zola_build"),
+  (Serve, "zola_serve"),
+  (Version, "zola_version"),
+  (Check, "zola_check"),
+]
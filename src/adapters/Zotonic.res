@@ -9,6 +9,7 @@ open Adapter
 let name = "Zotonic"
 let language = "Erlang"
 let description = "Content management system and web framework in Erlang"
+let ssg: Executor.ssg = Zotonic
 
 let state: adapterState = {
   connected: false,
@@ -17,7 +18,7 @@ let state: adapterState = {
 
 let connect = async () => {
   try {
-    let result = await Deno.Command.run("zotonic", ["status"], None)
+    let result = await Gateway.run(ssg, ["status"], None)
     state.connected = result.success
     result.success
   } catch {
@@ -49,6 +50,39 @@ let makeProp = (typeName: string, desc: string) =>
     Dict.fromArray([("type", JSON.Encode.string(typeName)), ("description", JSON.Encode.string(desc))]),
   )
 
+let executeSiteadd = async (name: string, hostname: option<string>) => {
+  let args = ["siteadd", name]
+  let args = switch hostname {
+  | Some(h) => Array.concat(args, ["-h", h])
+  | None => args
+  }
+  await Gateway.run(ssg, ~operands=[name], args, None)
+}
+
+let executeStart = async (path: option<string>) => {
+  await Gateway.run(ssg, ["start"], path)
+}
+
+let executeStop = async (path: option<string>) => {
+  await Gateway.run(ssg, ["stop"], path)
+}
+
+let executeSitestart = async (name: string) => {
+  await Gateway.run(ssg, ~operands=[name], ["sitestart", name], None)
+}
+
+let executeSitestop = async (name: string) => {
+  await Gateway.run(ssg, ~operands=[name], ["sitestop", name], None)
+}
+
+let executeCompile = async (path: option<string>) => {
+  await Gateway.run(ssg, ["compile"], path)
+}
+
+let executeVersion = async () => {
+  await Gateway.run(ssg, ["status"], None)
+}
+
 let tools: array<tool> = [
   {
     name: "zotonic_siteadd",
@@ -59,6 +93,11 @@ let tools: array<tool> = [
       Dict.set(props, "hostname", makeProp("string", "Site hostname"))
       makeSchema(props, ["name"])
     },
+    annotations: additive,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params =>
+      executeSiteadd(params->Params.requireString("name"), params->Params.string("hostname"))
+    ),
   },
   {
     name: "zotonic_start",
@@ -68,6 +107,9 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to Zotonic installation"))
       makeSchema(props, [])
     },
+    annotations: starts,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params => executeStart(params->Params.path("path"))),
   },
   {
     name: "zotonic_stop",
@@ -77,6 +119,10 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to Zotonic installation"))
       makeSchema(props, [])
     },
+    annotations: destructive,
+    outputSchema: commandOutputSchema,
+    confirm: _ => Some(Stops("the Zotonic server")),
+    execute: makeExecutor(params => executeStop(params->Params.path("path"))),
   },
   {
     name: "zotonic_sitestart",
@@ -86,6 +132,9 @@ let tools: array<tool> = [
       Dict.set(props, "name", makeProp("string", "Site name"))
       makeSchema(props, ["name"])
     },
+    annotations: starts,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(params => executeSitestart(params->Params.requireString("name"))),
   },
   {
     name: "zotonic_sitestop",
@@ -95,6 +144,10 @@ let tools: array<tool> = [
       Dict.set(props, "name", makeProp("string", "Site name"))
       makeSchema(props, ["name"])
     },
+    annotations: destructive,
+    outputSchema: commandOutputSchema,
+    confirm: params => Some(Stops("the Zotonic site " ++ params->Params.requireString("name"))),
+    execute: makeExecutor(params => executeSitestop(params->Params.requireString("name"))),
   },
   {
     name: "zotonic_compile",
@@ -104,43 +157,24 @@ let tools: array<tool> = [
       Dict.set(props, "path", makeProp("string", "Path to Zotonic installation"))
       makeSchema(props, [])
     },
+    annotations: regenerates,
+    outputSchema: buildOutputSchema,
+    execute: makeBuildExecutor(BuildReport.generic, params =>
+      executeCompile(params->Params.path("path"))
+    ),
   },
   {
     name: "zotonic_version",
     description: "Get Zotonic version",
     inputSchema: makeSchema(Dict.make(), []),
+    annotations: readOnly,
+    outputSchema: commandOutputSchema,
+    execute: makeExecutor(_ => executeVersion()),
   },
 ]
 
-let executeSiteadd = async (name: string, hostname: option<string>) => {
-  let args = ["siteadd", name]
-  let args = switch hostname {
-  | Some(h) => Array.concat(args, ["-h", h])
-  | None => args
-  }
-  await Deno.Command.run("zotonic", args, None)
-}
-
-let executeStart = async (path: option<string>) => {
-  await Deno.Command.run("zotonic", ["start"], path)
-}
-
-let executeStop = async (path: option<string>) => {
-  await Deno.Command.run("zotonic", ["stop"], path)
-}
-
-let executeSitestart = async (name: string) => {
-  await Deno.Command.run("zotonic", ["sitestart", name], None)
-}
-
-let executeSitestop = async (name: string) => {
-  await Deno.Command.run("zotonic", ["sitestop", name], None)
-}
-
-let executeCompile = async (path: option<string>) => {
-  await Deno.Command.run("zotonic", ["compile"], path)
-}
-
-let executeVersion = async () => {
-  await Deno.Command.run("zotonic", ["status"], None)
-}
+let capabilities: array<capability> = [
+  (Init, "zotonic_siteadd"),
+  (Build, "zotonic_compile"),
+  (Version, "zotonic_version"),
+]
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// node:async_hooks AsyncLocalStorage bindings
+
+type t<'a>
+
+@module("node:async_hooks") @new
+external make: unit => t<'a> = "AsyncLocalStorage"
+
+// Run fn with store as the current value for everything it awaits
+@send
+external run: (t<'a>, 'a, unit => 'b) => 'b = "run"
+
+@send @return(nullable)
+external getStore: t<'a> => option<'a> = "getStore"
@@ -9,9 +9,15 @@ external cwd: unit => string = "cwd"
 module TextDecoder = {
   type t
 
-  @new
+  // Scoped to globalThis: the generated module object is also named TextDecoder
+  @new @scope("globalThis")
   external make: unit => t = "TextDecoder"
 
+  // {"fatal": true} makes decode throw on invalid UTF-8 instead of
+  // substituting U+FFFD
+  @new @scope("globalThis")
+  external makeWithOptions: (string, {"fatal": bool}) => t = "TextDecoder"
+
   @send
   external decode: (t, Js.TypedArray2.Uint8Array.t) => string = "decode"
 }
@@ -25,14 +31,94 @@ module Env = {
 }
 
 module Args = {
+  // Deno.args is a property, not a function
   @scope("Deno") @val
-  external get: unit => array<string> = "args"
+  external args: array<string> = "args"
+
+  let get = () => args
+}
+
+@scope("Deno") @val
+external exit: int => unit = "exit"
+
+// Send a signal to a process; a negative pid targets its process group
+@scope("Deno") @val
+external kill: (int, string) => unit = "kill"
+
+module AbortSignal = {
+  type t
+
+  @get external aborted: t => bool = "aborted"
+
+  @send
+  external addEventListener: (t, @as("abort") _, unit => unit) => unit = "addEventListener"
+}
+
+@scope("Deno") @val
+external addSignalListener: (string, unit => unit) => unit = "addSignalListener"
+
+// Incremental text reading from a child process's piped output
+module Stream = {
+  type bytes
+  type text
+  type decoder
+  type reader
+
+  type chunk = {
+    done: bool,
+    value: option<string>,
+  }
+
+  @new @scope("globalThis")
+  external makeDecoder: unit => decoder = "TextDecoderStream"
+
+  @send
+  external pipeThrough: (bytes, decoder) => text = "pipeThrough"
+
+  @send
+  external getReader: text => reader = "getReader"
+
+  @send
+  external read: reader => promise<chunk> = "read"
+
+  // Call onLine for every complete line until the stream ends. With collect,
+  // also return the full text (off for unbounded dev-server output).
+  let readLines = async (~collect=false, stream: bytes, onLine: string => unit) => {
+    let reader = stream->pipeThrough(makeDecoder())->getReader
+    let chunks = []
+    let partial = ref("")
+    let finished = ref(false)
+    while !finished.contents {
+      let chunk = await read(reader)
+      if chunk.done {
+        finished := true
+        if partial.contents != "" {
+          onLine(partial.contents)
+        }
+      } else {
+        let text = Option.getOr(chunk.value, "")
+        if collect {
+          Array.push(chunks, text)
+        }
+        let lines = String.split(partial.contents ++ text, "\n")
+        partial := Array.pop(lines)->Option.getOr("")
+        Array.forEach(lines, onLine)
+      }
+    }
+    Array.join(chunks, "")
+  }
 }
 
 module Fs = {
   @scope("Deno") @val
   external readTextFile: string => promise<string> = "readTextFile"
 
+  @scope("Deno") @val
+  external readFile: string => promise<Js.TypedArray2.Uint8Array.t> = "readFile"
+
+  @send
+  external toBase64: Js.TypedArray2.Uint8Array.t => string = "toBase64"
+
   @scope("Deno") @val
   external writeTextFile: (string, string) => promise<unit> = "writeTextFile"
 
@@ -50,6 +136,41 @@ module Fs = {
 
   @scope("Deno") @val
   external stat: string => promise<fileInfo> = "stat"
+
+  // Absolute path with symlinks resolved; throws if the path does not exist
+  @scope("Deno") @val
+  external realPathSync: string => string = "realPathSync"
+
+  type dirEntry = {
+    name: string,
+    isFile: bool,
+    isDirectory: bool,
+    isSymlink: bool,
+  }
+
+  @scope("Deno") @val
+  external readDirSync: string => Iterator.t<dirEntry> = "readDirSync"
+
+  // File system events below the watched paths, until close is called
+  module Watcher = {
+    type t
+
+    type event = {
+      kind: string, // "create", "modify", "remove", ...
+      paths: array<string>,
+    }
+
+    type next = {
+      done: bool,
+      value: option<event>,
+    }
+
+    @scope("Deno") @val
+    external make: (array<string>, {"recursive": bool}) => t = "watchFs"
+
+    @send external next: t => promise<next> = "next"
+    @send external close: t => unit = "close"
+  }
 }
 
 module Command = {
@@ -65,8 +186,10 @@ module Command = {
   type commandOptions = {
     args: array<string>,
     cwd: string,
+    stdin?: string,
     stdout: string,
     stderr: string,
+    detached?: bool,
   }
 
   @new @scope("Deno")
@@ -75,9 +198,31 @@ module Command = {
   @send
   external output: t => promise<output> = "output"
 
-  // Helper to run a command and return decoded result
-  let run = async (binary: string, args: array<string>, cwdPath: option<string>) => {
-    let cmd = make(
+  // Handle to a spawned (non-awaited) child process
+  module Child = {
+    type t
+
+    type status = {
+      success: bool,
+      code: int,
+      signal: Nullable.t<string>,
+    }
+
+    @get external pid: t => int = "pid"
+    @get external stdout: t => Stream.bytes = "stdout"
+    @get external stderr: t => Stream.bytes = "stderr"
+    @get external status: t => promise<status> = "status"
+    @send external kill: (t, string) => unit = "kill"
+  }
+
+  @send
+  external spawnChild: t => Child.t = "spawn"
+
+  // Spawn a long-running command with piped output and no stdin. Like the
+  // children of run it leads its own process group, so killTree reaches the
+  // workers it forks.
+  let spawn = (binary: string, args: array<string>, cwdPath: option<string>) =>
+    make(
       binary,
       {
         args,
@@ -85,17 +230,99 @@ module Command = {
         | Some(p) => p
         | None => cwd()
         },
+        stdin: "null",
         stdout: "piped",
         stderr: "piped",
+        detached: true,
       },
+    )->spawnChild
+
+  // Grace period between SIGTERM and SIGKILL when a run is aborted
+  let killGraceMs = 5000
+
+  // Terminate a child and everything it started. Children of run are spawned
+  // detached, so on Unix they lead their own process group.
+  let killTree = (child: Child.t, signal: string) => {
+    try {
+      kill(-Child.pid(child), signal)
+    } catch {
+    | _ =>
+      try {
+        Child.kill(child, signal)
+      } catch {
+      | _ => () // already exited
+      }
+    }
+  }
+
+  // Run a command to completion and return the decoded result. The process
+  // tree is killed once timeoutMs elapses or signal aborts. onLine receives
+  // each output line ("stdout" or "stderr") as it is written.
+  let run = async (
+    binary: string,
+    args: array<string>,
+    cwdPath: option<string>,
+    ~timeoutMs: option<int>=?,
+    ~signal: option<AbortSignal.t>=?,
+    ~onLine: option<(string, string) => unit>=?,
+  ) => {
+    let child =
+      make(
+        binary,
+        {
+          args,
+          cwd: switch cwdPath {
+          | Some(p) => p
+          | None => cwd()
+          },
+          stdin: "null",
+          stdout: "piped",
+          stderr: "piped",
+          detached: true,
+        },
+      )->spawnChild
+    let timedOut = ref(false)
+    let cancelled = ref(false)
+    let escalation = ref(None)
+    let abort = () => {
+      killTree(child, "SIGTERM")
+      escalation := Some(setTimeout(() => killTree(child, "SIGKILL"), killGraceMs))
+    }
+    let timer = timeoutMs->Option.map(ms =>
+      setTimeout(() => {
+        timedOut := true
+        abort()
+      }, ms)
     )
-    let result = await output(cmd)
-    let decoder = TextDecoder.make()
+    switch signal {
+    | Some(s) =>
+      let onAbort = () =>
+        if !timedOut.contents && !cancelled.contents {
+          cancelled := true
+          abort()
+        }
+      AbortSignal.aborted(s) ? onAbort() : AbortSignal.addEventListener(s, onAbort)
+    | None => ()
+    }
+    let emit = (stream, line) =>
+      switch onLine {
+      | Some(fn) => fn(stream, line)
+      | None => ()
+      }
+    let stdout = Stream.readLines(~collect=true, Child.stdout(child), emit("stdout", _))
+    let stderr = Stream.readLines(~collect=true, Child.stderr(child), emit("stderr", _))
+    let result = await Child.status(child)
+    let stdout = await stdout
+    let stderr = await stderr
+    Option.forEach(timer, clearTimeout)
+    Option.forEach(escalation.contents, clearTimeout)
     {
-      Executor.success: result.success,
-      stdout: TextDecoder.decode(decoder, result.stdout),
-      stderr: TextDecoder.decode(decoder, result.stderr),
+      Executor.success: result.success && !timedOut.contents && !cancelled.contents,
+      stdout,
+      stderr,
       code: result.code,
+      timedOut: timedOut.contents,
+      cancelled: cancelled.contents,
     }
   }
 }
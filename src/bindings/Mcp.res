@@ -60,6 +60,8 @@ type contentItem = {
 type toolResult = {
   content: array<contentItem>,
   isError?: bool,
+  // The same data as the text content, matching the tool's outputSchema
+  structuredContent?: JSON.t,
 }
 
 let makeTextContent = (text: string): contentItem => {
@@ -72,6 +74,32 @@ let makeToolResult = (text: string, ~isError=false): toolResult => {
   isError: ?isError ? Some(true) : None,
 }
 
-let makeJsonResult = (data: JSON.t): toolResult => {
+let makeJsonResult = (data: JSON.t, ~isError=false): toolResult => {
   content: [makeTextContent(JSON.stringify(data, ~space=2))],
+  isError: ?isError ? Some(true) : None,
+}
+
+// JSON text plus the data as structuredContent, for tools with an outputSchema
+let makeStructuredResult = (data: JSON.t, ~isError=false): toolResult => {
+  ...makeJsonResult(data, ~isError),
+  structuredContent: data,
+}
+
+// JSON-RPC error codes (https://www.jsonrpc.org/specification#error_object)
+module ErrorCode = {
+  let parseError = -32700
+  let invalidRequest = -32600
+  let methodNotFound = -32601
+  let invalidParams = -32602
+  let internalError = -32603
+  // MCP: resources/read or resources/subscribe of an unknown URI
+  let resourceNotFound = -32002
 }
+
+// Thrown from a request handler, the SDK answers with this JSON-RPC error
+type mcpError
+
+@module("@modelcontextprotocol/sdk/types.js") @new
+external makeError: (int, string, JSON.t) => mcpError = "McpError"
+
+let throwError = (code: int, message: string, data: JSON.t) => JsExn.throw(makeError(code, message, data))
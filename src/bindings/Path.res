@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+// node:path bindings (platform-aware separators and normalization)
+
+@module("node:path") @variadic
+external resolve: array<string> => string = "resolve"
+
+@module("node:path") @variadic
+external join: array<string> => string = "join"
+
+@module("node:path")
+external dirname: string => string = "dirname"
+
+@module("node:path")
+external basename: string => string = "basename"
+
+// Path of to relative to from, "" when they are the same
+@module("node:path")
+external relative: (string, string) => string = "relative"
+
+// ".md" for "content/post.md", "" without an extension
+@module("node:path")
+external extname: string => string = "extname"
+
+@module("node:path")
+external sep: string = "sep"
+
+@module("node:path")
+external delimiter: string = "delimiter"
@@ -7,7 +7,7 @@
 
 open Http
 
-let protocolVersion = "2025-06-18"
+let protocolVersion = Protocol.latestVersion
 
 // ============================================================================
 // Logging
@@ -0,0 +1,166 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+// Hostile inputs for the source-code literals of eval-based adapters
+// (src/CodeLiteral.res). Each literal is read back by a reader that follows
+// the language's string syntax, and evaluated by julia / sbcl when they are
+// installed.
+
+import assert from "node:assert/strict";
+import * as CodeLiteral from "../lib/es6/src/CodeLiteral.res.js";
+
+const hostile = [
+  "",
+  "plain/path",
+  '"); run(`touch /tmp/pwned`); ("',
+  '" ; rm -rf / ; "',
+  "$(run(`id`))",
+  "$HOME/site",
+  "price: $5",
+  "\\$(x)",
+  "back\\slash",
+  "trailing\\",
+  '\\"',
+  "\\\\\"",
+  "line\nbreak",
+  "crlf\r\n",
+  "tab\there",
+  "nul\0byte",
+  "bell\x07 esc\x1b del\x7f",
+  '") (sb-ext:run-program "/bin/sh" (list "-c" "id")) ("',
+  "#.(run-program \"id\")",
+  "|pipe| ;comment",
+  "café/naïve",
+  "日本語のサイト",
+  "emoji 🎉 site",
+  " separator ",
+];
+
+// Julia string literal reader: backslash escapes, no bare quote or $
+function readJulia(literal) {
+  assert.equal(literal[0], '"', `${literal} must open with a quote`);
+  let value = "";
+  let i = 1;
+  for (; i < literal.length - 1; i++) {
+    const c = literal[i];
+    assert.notEqual(c, '"', `unescaped quote in ${literal}`);
+    assert.notEqual(c, "$", `unescaped $ in ${literal}`);
+    assert.ok(c.charCodeAt(0) >= 32 && c.charCodeAt(0) !== 127, `raw control character in ${literal}`);
+    if (c !== "\\") {
+      value += c;
+      continue;
+    }
+    const next = literal[++i];
+    const simple = { "\\": "\\", '"': '"', "$": "$", n: "\n", r: "\r", t: "\t" };
+    if (next in simple) {
+      value += simple[next];
+    } else if (next === "x") {
+      value += String.fromCharCode(parseInt(literal.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      assert.fail(`unknown escape \\${next} in ${literal}`);
+    }
+  }
+  assert.equal(i, literal.length - 1, `${literal} must close with a quote`);
+  assert.equal(literal[i], '"');
+  return value;
+}
+
+// Common Lisp reader for strings: a backslash escapes the next character
+function readLisp(literal) {
+  assert.equal(literal[0], '"', `${literal} must open with a quote`);
+  let value = "";
+  let i = 1;
+  for (; i < literal.length - 1; i++) {
+    const c = literal[i];
+    assert.notEqual(c, '"', `unescaped quote in ${literal}`);
+    value += c === "\\" ? literal[++i] : c;
+  }
+  assert.equal(i, literal.length - 1, `${literal} must close with a quote`);
+  assert.equal(literal[i], '"');
+  return value;
+}
+
+// stdout of a command, or null if it is not installed
+async function run(command, args) {
+  try {
+    const { code, stdout } = await new Deno.Command(command, { args, stderr: "null" }).output();
+    assert.equal(code, 0, `${command} ${args.join(" ")} failed`);
+    return new TextDecoder().decode(stdout);
+  } catch (error) {
+    if (error instanceof Deno.errors.NotFound) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+const hasJulia = (await run("julia", ["--version"])) !== null;
+const hasSbcl = (await run("sbcl", ["--version"])) !== null;
+
+Deno.test("julia escapes quotes, interpolation, backslashes and control characters", () => {
+  assert.equal(CodeLiteral.julia('a"b$c'), '"a\\"b\\$c"');
+  assert.equal(CodeLiteral.julia("$(run(`id`))"), '"\\$(run(`id`))"');
+  assert.equal(CodeLiteral.julia("trailing\\"), '"trailing\\\\"');
+  assert.equal(CodeLiteral.julia("a\nb\r\tc"), '"a\\nb\\r\\tc"');
+  assert.equal(CodeLiteral.julia("nul\0\x1b\x7f"), '"nul\\x00\\x1b\\x7f"');
+  assert.equal(CodeLiteral.julia("日本 🎉"), '"日本 🎉"');
+});
+
+Deno.test("julia literals read back as the original value", () => {
+  for (const value of hostile) {
+    assert.equal(readJulia(CodeLiteral.julia(value)), value);
+  }
+});
+
+Deno.test("juliaSymbol wraps a string literal", () => {
+  assert.equal(CodeLiteral.juliaSymbol("basic"), 'Symbol("basic")');
+  for (const value of hostile) {
+    const literal = CodeLiteral.juliaSymbol(value);
+    assert.ok(literal.startsWith("Symbol(") && literal.endsWith(")"));
+    assert.equal(readJulia(literal.slice("Symbol(".length, -1)), value);
+  }
+});
+
+Deno.test("lisp escapes quotes and backslashes only", () => {
+  assert.equal(CodeLiteral.lisp('a"b'), '"a\\"b"');
+  assert.equal(CodeLiteral.lisp("trailing\\"), '"trailing\\\\"');
+  assert.equal(CodeLiteral.lisp("#.(x) $y\n"), '"#.(x) $y\n"');
+  assert.equal(CodeLiteral.lisp("日本 🎉"), '"日本 🎉"');
+});
+
+Deno.test("lisp literals read back as the original value", () => {
+  for (const value of hostile) {
+    assert.equal(readLisp(CodeLiteral.lisp(value)), value);
+  }
+});
+
+// NUL cannot be passed in a command-line argument
+const evaluable = hostile.filter((value) => !value.includes("\0"));
+
+Deno.test({
+  name: "julia evaluates the literals to the original values",
+  ignore: !hasJulia,
+  async fn() {
+    for (const value of hostile) {
+      assert.equal(await run("julia", ["-e", `print(${CodeLiteral.julia(value)})`]), value);
+      assert.equal(
+        await run("julia", ["-e", `print(String(${CodeLiteral.juliaSymbol(value)}))`]),
+        value
+      );
+    }
+  },
+});
+
+Deno.test({
+  name: "sbcl evaluates the literals to the original values",
+  ignore: !hasSbcl,
+  async fn() {
+    for (const value of evaluable) {
+      const form = `(write-string ${CodeLiteral.lisp(value)})`;
+      assert.equal(
+        await run("sbcl", ["--noinform", "--non-interactive", "--eval", form, "--quit"]),
+        value
+      );
+    }
+  },
+});
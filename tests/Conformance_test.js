@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+// `deno task conformance` (main.js --conformance, src/Conformance.res) over
+// the adapters the server registers
+
+import assert from "node:assert/strict";
+
+Deno.test("every adapter declares capabilities that match its tools", async () => {
+  const { code, stderr } = await new Deno.Command(Deno.execPath(), {
+    args: ["task", "conformance"],
+    cwd: new URL("..", import.meta.url),
+    stdout: "null",
+  }).output();
+  const report = new TextDecoder().decode(stderr);
+  assert.equal(code, 0, report);
+  assert.match(report, /^\d+ adapters, 0 errors, \d+ warnings$/m);
+  assert.doesNotMatch(report, /^error /m);
+});
@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+// Bearer tokens and JWT checks of HTTP mode (transport/auth.js)
+
+import assert from "node:assert/strict";
+import { createAuth, METADATA_PATH } from "../transport/auth.js";
+
+const RESOURCE = "https://ssg.test/mcp";
+const ISSUER = "https://auth.test";
+
+const keys = await crypto.subtle.generateKey({ name: "ECDSA", namedCurve: "P-256" }, true, [
+  "sign",
+  "verify",
+]);
+const other = await crypto.subtle.generateKey({ name: "ECDSA", namedCurve: "P-256" }, true, [
+  "sign",
+  "verify",
+]);
+const jwks = await Deno.makeTempFile({ suffix: ".json" });
+const jwk = { ...(await crypto.subtle.exportKey("jwk", keys.publicKey)), kid: "k1", alg: "ES256" };
+await Deno.writeTextFile(jwks, JSON.stringify({ keys: [jwk] }));
+addEventListener("unload", () => Deno.removeSync(jwks));
+
+const base64Url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const encode = (value) => base64Url(new TextEncoder().encode(JSON.stringify(value)));
+const now = () => Math.floor(Date.now() / 1000);
+
+async function sign(claims, { header = { alg: "ES256", kid: "k1" }, key = keys.privateKey } = {}) {
+  const signed = `${encode(header)}.${encode(claims)}`;
+  const signature = await crypto.subtle.sign(
+    { name: "ECDSA", hash: "SHA-256" },
+    key,
+    new TextEncoder().encode(signed)
+  );
+  return `${signed}.${base64Url(signature)}`;
+}
+
+const claims = (extra = {}) => ({ iss: ISSUER, aud: RESOURCE, sub: "alice", exp: now() + 600, ...extra });
+
+const auth = await createAuth({
+  resource: RESOURCE,
+  authorizationServers: [ISSUER],
+  tokens: [{ name: "ci", token: "static-secret", scopes: ["ssg:zola"] }],
+  jwt: { jwks, issuer: ISSUER },
+});
+
+const request = (authorization) =>
+  new Request("https://ssg.test/mcp", {
+    headers: authorization === undefined ? {} : { Authorization: authorization },
+  });
+
+async function rejects(token, description) {
+  const result = await auth.authenticate(request(`Bearer ${token}`));
+  assert.ok(result instanceof Response, `${description} must be refused`);
+  assert.equal(result.status, 401);
+  return result.headers.get("WWW-Authenticate");
+}
+
+Deno.test("a static token gets its scopes", async () => {
+  const info = await auth.authenticate(request("Bearer static-secret"));
+  assert.deepEqual(info, { token: "static-secret", clientId: "ci", scopes: ["ssg:zola"] });
+});
+
+Deno.test("a valid JWT gets its claims and the resource as a URL", async () => {
+  const token = await sign(claims({ scope: "ssg:zola ssg:read" }));
+  const info = await auth.authenticate(request(`Bearer ${token}`));
+  assert.equal(info.clientId, "alice");
+  assert.deepEqual(info.scopes, ["ssg:zola", "ssg:read"]);
+  assert.equal(info.resource.href, RESOURCE);
+});
+
+Deno.test("signatures of other keys and altered tokens are refused", async () => {
+  assert.match(await rejects(await sign(claims(), { key: other.privateKey }), "foreign key"), /Invalid signature/);
+  const token = await sign(claims());
+  const [header, , signature] = token.split(".");
+  assert.match(await rejects(`${header}.${encode(claims({ sub: "mallory" }))}.${signature}`, "altered"), /Invalid signature/);
+});
+
+Deno.test("unknown and unsuitable algorithms are refused", async () => {
+  for (const alg of ["none", "HS256", "toString", "__proto__"]) {
+    assert.match(await rejects(await sign(claims(), { header: { alg, kid: "k1" } }), alg), /Unsupported algorithm"/);
+  }
+  assert.match(await rejects(await sign(claims(), { header: { alg: "RS256", kid: "k1" } }), "RS256"), /invalid_token/);
+});
+
+Deno.test("exp and nbf are enforced, and exp is required", async () => {
+  assert.match(await rejects(await sign(claims({ exp: now() - 600 })), "expired"), /Token expired/);
+  assert.match(await rejects(await sign(claims({ nbf: now() + 600 })), "not yet valid"), /Token not yet valid/);
+  const { exp: _, ...forever } = claims();
+  assert.match(await rejects(await sign(forever), "no exp"), /Token has no expiry/);
+  // Within the clock skew
+  assert.ok(!((await auth.authenticate(request(`Bearer ${await sign(claims({ exp: now() - 30 }))}`))) instanceof Response));
+});
+
+Deno.test("issuer and audience must match", async () => {
+  assert.match(await rejects(await sign(claims({ iss: "https://evil.test" })), "issuer"), /Unexpected issuer/);
+  assert.match(await rejects(await sign(claims({ aud: "https://other.test/mcp" })), "audience"), /not issued/);
+  const info = await auth.authenticate(request(`Bearer ${await sign(claims({ aud: ["x", RESOURCE] }))}`));
+  assert.ok(!(info instanceof Response));
+});
+
+Deno.test("an audience that is not a URL is matched but not passed on as the resource", async () => {
+  const named = await createAuth({ jwt: { jwks, audience: "my-api" } });
+  const info = await named.authenticate(request(`Bearer ${await sign(claims({ aud: "my-api" }))}`));
+  assert.equal(info.clientId, "alice");
+  assert.equal(info.resource, undefined);
+});
+
+Deno.test("a resource that is not a URL fails at startup", async () => {
+  await assert.rejects(createAuth({ resource: "my-api", tokens: [{ token: "t" }] }), /must be a URL/);
+});
+
+Deno.test("the 401 header points at the metadata and cannot be injected into", async () => {
+  const missing = await auth.authenticate(request());
+  assert.equal(
+    missing.headers.get("WWW-Authenticate"),
+    `Bearer resource_metadata="https://ssg.test${METADATA_PATH}"`
+  );
+  assert.match(await rejects("not-a-token", "unknown"), /error="invalid_token", error_description="Unknown token"/);
+
+  const hostile = await sign(claims(), { header: { alg: 'x", scope="admin\r\nX-Injected: 1', kid: "k1" } });
+  const header = await rejects(hostile, "hostile alg");
+  assert.equal(header.match(/"/g).length, 6);
+  assert.ok(!header.includes("admin"));
+});
+
+Deno.test("malformed tokens are refused, not errors", async () => {
+  for (const token of ["a.b.c", "!!!.???.***", `${encode([])}.${encode(null)}.AA`, `${encode({ alg: "ES256" })}.e30.%`]) {
+    await rejects(token, token);
+  }
+});
+
+Deno.test("the metadata names the resource and authorization servers", async () => {
+  const metadata = await auth.metadataResponse(request()).json();
+  assert.equal(metadata.resource, RESOURCE);
+  assert.deepEqual(metadata.authorization_servers, [ISSUER]);
+});
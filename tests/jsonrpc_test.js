@@ -0,0 +1,122 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+// JSON-RPC validation and body limits of HTTP mode (transport/jsonrpc.js)
+
+import assert from "node:assert/strict";
+import { ErrorCode, errorResponse, parseMessages, readBody } from "../transport/jsonrpc.js";
+
+const LIMITS = { maxBatchSize: 3 };
+
+const parse = (value) => parseMessages(typeof value === "string" ? value : JSON.stringify(value), LIMITS);
+
+const request = (id, method = "tools/list", extra = {}) => ({ jsonrpc: "2.0", id, method, ...extra });
+
+// The single error of a refused body
+function refused(value) {
+  const { errors } = parse(value);
+  assert.ok(errors, `${JSON.stringify(value)} must be refused`);
+  assert.equal(errors.length, 1);
+  return errors[0];
+}
+
+Deno.test("requests, notifications and responses are accepted", () => {
+  const messages = [
+    request(1),
+    request("a", "tools/call", { params: { name: "zola_build" } }),
+    { jsonrpc: "2.0", method: "notifications/initialized" },
+    { jsonrpc: "2.0", id: 7, result: {} },
+    { jsonrpc: "2.0", id: 8, error: { code: -1, message: "no" } },
+  ];
+  for (const message of messages) {
+    assert.deepEqual(parse(message), { batch: false, messages: [message] });
+  }
+  assert.deepEqual(parse(messages.slice(0, 3)), { batch: true, messages: messages.slice(0, 3) });
+});
+
+Deno.test("a body that is not JSON is a parse error", () => {
+  const error = refused("{nope");
+  assert.equal(error.id, null);
+  assert.equal(error.error.code, ErrorCode.PARSE_ERROR);
+});
+
+Deno.test("malformed messages are invalid requests, answered with their id when readable", () => {
+  const cases = [
+    [[], /Empty batch/],
+    [42, /must be an object/],
+    [{ id: 1, method: "ping" }, /jsonrpc must be "2.0"/],
+    [request(null), /id must be a string or an integer/],
+    [request(1.5), /id must be a string or an integer/],
+    [request(1, ""), /method must be a non-empty string/],
+    [request(1, "ping", { params: [1] }), /params must be an object/],
+    [request(1, "ping", { result: {} }), /must not have result or error/],
+    [{ jsonrpc: "2.0", result: {} }, /must have a method, or be a response/],
+    [{ jsonrpc: "2.0", id: 1 }, /either result or error/],
+    [{ jsonrpc: "2.0", id: 1, error: { code: "x", message: "m" } }, /integer code/],
+  ];
+  for (const [value, message] of cases) {
+    const error = refused(value);
+    assert.equal(error.error.code, ErrorCode.INVALID_REQUEST);
+    assert.match(error.error.message, message);
+  }
+  assert.equal(refused(request(1, "")).id, 1);
+  assert.equal(refused(request(1.5)).id, null);
+});
+
+Deno.test("one invalid message refuses the whole batch, with an error per invalid message", () => {
+  const { batch, errors } = parse([request(1), request(2, ""), { id: 3 }]);
+  assert.equal(batch, true);
+  assert.deepEqual(errors.map((e) => e.id), [2, 3]);
+});
+
+Deno.test("initialize must not be batched", () => {
+  assert.ok(parse(request(1, "initialize")).messages);
+  assert.match(parse([request(1, "initialize")]).errors[0].error.message, /initialize must not be part of a batch/);
+});
+
+Deno.test("request IDs of a batch must be distinct", () => {
+  const error = refused([request(1), request(1, "ping")]);
+  assert.equal(error.id, 1);
+  assert.match(error.error.message, /duplicate id 1/);
+  // Responses may share IDs with requests
+  assert.ok(parse([request(1), { jsonrpc: "2.0", id: 1, result: {} }]).messages);
+});
+
+Deno.test("batches over the limit are refused", () => {
+  assert.ok(parse([request(1), request(2), request(3)]).messages);
+  assert.match(refused([request(1), request(2), request(3), request(4)]).error.message, /exceeds the limit of 3/);
+});
+
+Deno.test("errorResponse leaves data out unless given", () => {
+  assert.deepEqual(errorResponse(1, -1, "m"), { jsonrpc: "2.0", id: 1, error: { code: -1, message: "m" } });
+  assert.deepEqual(errorResponse(null, -1, "m", { x: 1 }).error.data, { x: 1 });
+});
+
+// A body of chunks without Content-Length
+function streamed(...chunks) {
+  const body = new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) {
+        controller.enqueue(new TextEncoder().encode(chunk));
+      }
+      controller.close();
+    },
+  });
+  return new Request("http://localhost/mcp", { method: "POST", body });
+}
+
+Deno.test("readBody returns the body within the limit", async () => {
+  assert.equal(await readBody(new Request("http://localhost/mcp", { method: "POST", body: "日本" }), 6), "日本");
+  assert.equal(await readBody(streamed("ab", "cd"), 4), "abcd");
+  assert.equal(await readBody(new Request("http://localhost/mcp", { method: "POST" }), 4), "");
+});
+
+Deno.test("readBody gives up on bodies over the limit, with or without Content-Length", async () => {
+  const declared = new Request("http://localhost/mcp", {
+    method: "POST",
+    headers: { "Content-Length": "5" },
+    body: "hello",
+  });
+  assert.equal(await readBody(declared, 4), null);
+  assert.equal(await readBody(streamed("ab", "cd", "e"), 4), null);
+  assert.equal(await readBody(new Request("http://localhost/mcp", { method: "POST", body: "日本" }), 5), null);
+});
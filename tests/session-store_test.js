@@ -0,0 +1,152 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+// Both session stores of HTTP mode (transport/session-store.js) against the
+// same contract
+
+import assert from "node:assert/strict";
+import { KvSessionStore, MemorySessionStore, nextSequence } from "../transport/session-store.js";
+
+const TTL_MS = 60_000;
+const LIMITS = { maxEvents: 1000, maxAgeMs: 60_000 };
+
+const record = (id, fields = {}) => ({ id, owner: "alice", lastAccess: Date.now(), ...fields });
+
+function event(id, streamKey = "main", at = Date.now()) {
+  const seq = nextSequence();
+  return { id: `${id}-${seq}`, seq, streamKey, message: { jsonrpc: "2.0", method: "ping", params: { seq } }, at };
+}
+
+const stores = {
+  memory: () => new MemorySessionStore(),
+  kv: () => KvSessionStore.open(":memory:"),
+};
+
+for (const [name, open] of Object.entries(stores)) {
+  const test = (title, fn) =>
+    Deno.test(`${name}: ${title}`, async () => {
+      const store = await open();
+      try {
+        await fn(store);
+      } finally {
+        await store.close();
+      }
+    });
+
+  test("records are created, read, touched, updated and deleted", async (store) => {
+    await store.create(record("a", { lastAccess: 1 }), TTL_MS);
+    assert.deepEqual(await store.get("a"), record("a", { lastAccess: 1 }));
+    assert.ok((await store.touch("a", TTL_MS)).lastAccess > 1);
+    await store.update("a", { protocolVersion: "2025-06-18" }, TTL_MS);
+    assert.equal((await store.get("a")).protocolVersion, "2025-06-18");
+    assert.equal(await store.count(), 1);
+    await store.delete("a");
+    assert.equal(await store.get("a"), undefined);
+    assert.equal(await store.touch("a", TTL_MS), undefined);
+    assert.equal(await store.count(), 0);
+  });
+
+  test("takePending returns queued messages oldest first, once", async (store) => {
+    await store.create(record("a"), TTL_MS);
+    for (const n of [1, 2, 3]) {
+      await store.pushPending("a", { n }, { maxPending: 10, ttlMs: TTL_MS });
+    }
+    assert.deepEqual(await store.takePending("a"), [{ n: 1 }, { n: 2 }, { n: 3 }]);
+    assert.deepEqual(await store.takePending("a"), []);
+    assert.deepEqual(await store.takePending("unknown"), []);
+  });
+
+  test("pending messages are trimmed to the newest", async (store) => {
+    await store.create(record("a"), TTL_MS);
+    let dropped = 0;
+    for (let n = 0; n < 150; n++) {
+      dropped += await store.pushPending("a", { n }, { maxPending: 10, ttlMs: TTL_MS });
+    }
+    const pending = await store.takePending("a");
+    // The KV store trims every 100 writes, so it may hold more in between
+    assert.equal(pending.length + dropped, 150);
+    assert.deepEqual(pending.at(-1), { n: 149 });
+    assert.ok(pending.length < 150);
+  });
+
+  test("events after an ID are those of its stream", async (store) => {
+    await store.create(record("a"), TTL_MS);
+    const events = [event("a"), event("a", "other"), event("a"), event("a")];
+    for (const e of events) {
+      await store.appendEvent("a", e, LIMITS);
+    }
+    const result = await store.eventsAfter("a", events[0].id, LIMITS);
+    assert.equal(result.streamKey, "main");
+    assert.deepEqual(result.events.map((e) => e.id), [events[2].id, events[3].id]);
+    assert.deepEqual((await store.eventsAfter("a", events[3].id, LIMITS)).events, []);
+    assert.equal(await store.eventsAfter("a", "a-0", LIMITS), null);
+    assert.equal(await store.eventsAfter("a", "b-1", LIMITS), null);
+  });
+
+  test("deleting a session removes its pending messages and events", async (store) => {
+    await store.create(record("a"), TTL_MS);
+    const e = event("a");
+    await store.appendEvent("a", e, LIMITS);
+    await store.pushPending("a", { n: 1 }, { maxPending: 10, ttlMs: TTL_MS });
+    await store.delete("a");
+    await store.create(record("a"), TTL_MS);
+    assert.deepEqual(await store.takePending("a"), []);
+    assert.equal(await store.eventsAfter("a", e.id, LIMITS), null);
+  });
+
+  test("cleanup expires sessions idle past the TTL", async (store) => {
+    await store.create(record("idle", { lastAccess: Date.now() - 2 * TTL_MS }), TTL_MS);
+    await store.create(record("active"), TTL_MS);
+    assert.deepEqual(await store.cleanup(TTL_MS), ["idle"]);
+    assert.equal(await store.get("idle"), undefined);
+    assert.ok(await store.get("active"));
+    assert.equal(await store.count(), 1);
+  });
+}
+
+Deno.test("memory: events older than the maximum age are evicted", () => {
+  const store = new MemorySessionStore();
+  store.create(record("a"));
+  const old = event("a", "main", Date.now() - 30_000);
+  assert.equal(store.appendEvent("a", old, LIMITS), 0);
+  assert.equal(store.appendEvent("a", event("a"), LIMITS), 0);
+  assert.equal(store.eventsAfter("a", old.id, LIMITS).events.length, 1);
+  assert.equal(store.eventsAfter("a", old.id, { ...LIMITS, maxAgeMs: 10_000 }), null);
+});
+
+Deno.test("kv: sessions, pending messages and events survive reopening", async () => {
+  const path = await Deno.makeTempFile({ suffix: ".sqlite" });
+  try {
+    const first = await KvSessionStore.open(path);
+    const events = [event("a"), event("a")];
+    await first.create(record("a", { owner: "bob" }), TTL_MS);
+    await first.pushPending("a", { n: 1 }, { maxPending: 10, ttlMs: TTL_MS });
+    for (const e of events) {
+      await first.appendEvent("a", e, LIMITS);
+    }
+    first.close();
+
+    const second = await KvSessionStore.open(path);
+    try {
+      assert.equal((await second.get("a")).owner, "bob");
+      assert.deepEqual(await second.takePending("a"), [{ n: 1 }]);
+      assert.deepEqual((await second.eventsAfter("a", events[0].id, LIMITS)).events, [events[1]]);
+    } finally {
+      second.close();
+    }
+  } finally {
+    await Deno.remove(path);
+  }
+});
+
+Deno.test("kv: stores with different prefixes share a database without seeing each other", async () => {
+  const kv = await Deno.openKv(":memory:");
+  try {
+    const one = new KvSessionStore(kv, { prefix: ["one"] });
+    const two = new KvSessionStore(kv, { prefix: ["two"] });
+    await one.create(record("a"), TTL_MS);
+    assert.equal(await two.get("a"), undefined);
+    assert.equal(await two.count(), 0);
+  } finally {
+    kv.close();
+  }
+});
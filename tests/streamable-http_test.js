@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+// Options and limits of the HTTP transport (transport/streamable-http.js)
+
+import assert from "node:assert/strict";
+import { StreamableHttpTransport } from "../transport/streamable-http.js";
+
+// The transport starts a cleanup interval it never clears
+const test = (name, fn) => Deno.test({ name, fn, sanitizeOps: false });
+
+const unused = () => assert.fail("no session should be created");
+
+function post(transport, body) {
+  return transport.handleRequest(
+    new Request("http://localhost/mcp", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/json, text/event-stream" },
+      body,
+    })
+  );
+}
+
+test("options passed as undefined keep their defaults", () => {
+  const transport = new StreamableHttpTransport(unused, {
+    eventLogSize: undefined,
+    eventLogMaxAgeMs: undefined,
+    maxBodyBytes: undefined,
+    maxBatchSize: undefined,
+  });
+  assert.equal(transport.options.maxBodyBytes, 4 * 1024 * 1024);
+  assert.equal(transport.options.maxBatchSize, 100);
+  assert.deepEqual(transport.eventLogLimits(), { maxEvents: 1000, maxAgeMs: 5 * 60 * 1000 });
+});
+
+test("a body over the default limit is refused with 413", async () => {
+  const transport = new StreamableHttpTransport(unused, { maxBodyBytes: undefined });
+  const response = await post(transport, "x".repeat(4 * 1024 * 1024 + 1));
+  assert.equal(response.status, 413);
+  assert.match((await response.json()).error.message, /exceeds 4194304 bytes/);
+});
+
+test("a batch over the default size is refused", async () => {
+  const transport = new StreamableHttpTransport(unused, { maxBatchSize: undefined });
+  const batch = Array.from({ length: 101 }, (_, id) => ({ jsonrpc: "2.0", id, method: "ping" }));
+  const response = await post(transport, JSON.stringify(batch));
+  assert.equal(response.status, 400);
+});
+
+test("the event log of a session is bounded with default options", async () => {
+  const transport = new StreamableHttpTransport(unused, {
+    eventLogSize: undefined,
+    eventLogMaxAgeMs: undefined,
+  });
+  const session = { id: "bounded" };
+  transport.store.create(session);
+  const sse = { send() {} };
+  for (let i = 0; i < 1500; i++) {
+    transport.sendEvent(session, "stream", sse, { jsonrpc: "2.0", method: "ping" });
+  }
+  // Store results are applied once they settle
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.equal(transport.metrics.eventsEvicted, 500);
+  assert.equal(transport.store.sessions.get("bounded").eventLog.events.length, 1000);
+});
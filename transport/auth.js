@@ -0,0 +1,344 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Authentication for HTTP mode
+ *
+ * Makes the server an OAuth 2.1 resource server as described by the MCP
+ * authorization spec:
+ * https://modelcontextprotocol.io/specification/2025-06-18/basic/authorization
+ *
+ * Requests must carry `Authorization: Bearer <token>`, where the token is
+ * either one of the static tokens in the config or a JWT signed by a key in
+ * a local JWKS file. Anything else is answered with 401 and a
+ * WWW-Authenticate header pointing at the protected-resource metadata
+ * (RFC 9728), which tells clients where to get a token.
+ *
+ * Config (JSON file named by MCP_AUTH_CONFIG):
+ *   {
+ *     "resource": "https://ssg.example.com/mcp",
+ *     "authorizationServers": ["https://auth.example.com"],
+ *     "tokens": [{ "name": "ci", "token": "...", "scopes": ["ssg:build"] }],
+ *     "jwt": {
+ *       "jwks": "jwks.json",
+ *       "issuer": "https://auth.example.com",
+ *       "audience": "https://ssg.example.com/mcp"
+ *     }
+ *   }
+ * JWTs must carry exp. Static tokens without scopes may call every tool.
+ * Scopes are checked per tool call by the ReScript registry (src/Scopes.res).
+ */
+
+import { dirname, resolve } from "node:path";
+
+export const METADATA_PATH = "/.well-known/oauth-protected-resource";
+
+// Leeway for exp/nbf against clock drift between us and the token issuer
+const CLOCK_SKEW_SECONDS = 60;
+
+// An unknown kid re-reads the JWKS file (key rotation), at most this often
+const JWKS_RELOAD_INTERVAL_MS = 10_000;
+
+// ============================================================================
+// JWT Verification
+// ============================================================================
+
+const ALGORITHMS = {
+  RS256: { import: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, verify: { name: "RSASSA-PKCS1-v1_5" } },
+  RS384: { import: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-384" }, verify: { name: "RSASSA-PKCS1-v1_5" } },
+  RS512: { import: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-512" }, verify: { name: "RSASSA-PKCS1-v1_5" } },
+  PS256: { import: { name: "RSA-PSS", hash: "SHA-256" }, verify: { name: "RSA-PSS", saltLength: 32 } },
+  PS384: { import: { name: "RSA-PSS", hash: "SHA-384" }, verify: { name: "RSA-PSS", saltLength: 48 } },
+  PS512: { import: { name: "RSA-PSS", hash: "SHA-512" }, verify: { name: "RSA-PSS", saltLength: 64 } },
+  ES256: { import: { name: "ECDSA", namedCurve: "P-256" }, verify: { name: "ECDSA", hash: "SHA-256" } },
+  ES384: { import: { name: "ECDSA", namedCurve: "P-384" }, verify: { name: "ECDSA", hash: "SHA-384" } },
+  EdDSA: { import: { name: "Ed25519" }, verify: { name: "Ed25519" } },
+};
+
+class AuthError extends Error {}
+
+function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+}
+
+// Decoding errors (bad base64, JSON) are the token's fault, not ours
+function decodePart(part, decode = (bytes) => bytes) {
+  try {
+    return decode(base64UrlDecode(part));
+  } catch {
+    throw new AuthError("Malformed token");
+  }
+}
+
+function decodeJson(part) {
+  return decodePart(part, (bytes) => JSON.parse(new TextDecoder().decode(bytes)));
+}
+
+/**
+ * Keys of a JWKS file, imported for WebCrypto. The file is re-read when a
+ * token names a kid it does not contain, so rotated keys are picked up
+ * without a restart.
+ */
+class KeySet {
+  constructor(path) {
+    this.path = path;
+    this.keys = [];
+    this.loadedAt = 0;
+  }
+
+  async load() {
+    const jwks = JSON.parse(await Deno.readTextFile(this.path));
+    this.keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+    this.imported = new Map(); // jwk -> alg -> CryptoKey
+    this.loadedAt = Date.now();
+  }
+
+  find(kid, alg) {
+    return this.keys.find((jwk) =>
+      (kid === undefined || jwk.kid === kid) &&
+      (jwk.alg === undefined || jwk.alg === alg) &&
+      (jwk.use === undefined || jwk.use === "sig")
+    );
+  }
+
+  async keyFor(kid, alg) {
+    let jwk = this.find(kid, alg);
+    if (!jwk && Date.now() - this.loadedAt > JWKS_RELOAD_INTERVAL_MS) {
+      await this.load();
+      jwk = this.find(kid, alg);
+    }
+    if (!jwk) {
+      throw new AuthError("Unknown signing key");
+    }
+    const byAlg = this.imported.get(jwk) ?? new Map();
+    this.imported.set(jwk, byAlg);
+    if (!byAlg.has(alg)) {
+      try {
+        byAlg.set(
+          alg,
+          await crypto.subtle.importKey("jwk", jwk, ALGORITHMS[alg].import, false, ["verify"])
+        );
+      } catch {
+        throw new AuthError(`Signing key does not suit ${alg}`);
+      }
+    }
+    return byAlg.get(alg);
+  }
+}
+
+/**
+ * Verify a JWT's signature and registered claims.
+ * @returns {Promise<Object>} The claims
+ * @throws {AuthError}
+ */
+async function verifyJwt(token, keySet, { issuer, audience }) {
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw new AuthError("Malformed token");
+  }
+  const header = decodeJson(parts[0]);
+  const claims = decodeJson(parts[1]);
+  if (header === null || typeof header !== "object" || claims === null || typeof claims !== "object") {
+    throw new AuthError("Malformed token");
+  }
+
+  const algorithm = Object.hasOwn(ALGORITHMS, header.alg) ? ALGORITHMS[header.alg] : undefined;
+  if (!algorithm) {
+    throw new AuthError("Unsupported algorithm");
+  }
+  const key = await keySet.keyFor(header.kid, header.alg);
+  const signed = new TextEncoder().encode(`${parts[0]}.${parts[1]}`);
+  const signature = decodePart(parts[2]);
+  let valid;
+  try {
+    valid = await crypto.subtle.verify(algorithm.verify, key, signature, signed);
+  } catch {
+    valid = false;
+  }
+  if (!valid) {
+    throw new AuthError("Invalid signature");
+  }
+
+  // A token without exp would be valid forever
+  if (typeof claims.exp !== "number") {
+    throw new AuthError("Token has no expiry");
+  }
+  const now = Date.now() / 1000;
+  if (claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new AuthError("Token expired");
+  }
+  if (typeof claims.nbf === "number" && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new AuthError("Token not yet valid");
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new AuthError("Unexpected issuer");
+  }
+  // Tokens issued for another resource must not be accepted here
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      throw new AuthError("Token not issued for this resource");
+    }
+  }
+  return claims;
+}
+
+// "scope" is a space-separated string (RFC 8693); some issuers use "scp"
+function scopesOf(claims, defaultScopes) {
+  const scopes = claims.scope ?? claims.scp;
+  if (typeof scopes === "string") {
+    return scopes.split(" ").filter(Boolean);
+  }
+  return Array.isArray(scopes) ? scopes : defaultScopes;
+}
+
+// ============================================================================
+// Static Tokens
+// ============================================================================
+
+// Comparison time does not depend on where the tokens differ
+function sameToken(a, b) {
+  const x = new TextEncoder().encode(a);
+  const y = new TextEncoder().encode(b);
+  let diff = x.length ^ y.length;
+  for (let i = 0; i < x.length; i++) {
+    diff |= x[i] ^ (y[i % y.length] ?? 0);
+  }
+  return diff === 0;
+}
+
+// ============================================================================
+// Middleware
+// ============================================================================
+
+// Only characters allowed in a quoted-string without escapes (RFC 9110)
+function quotable(text) {
+  return text.replace(/[^\x20\x21\x23-\x5b\x5d-\x7e]/g, "");
+}
+
+/**
+ * Read an auth config file. Relative JWKS paths are resolved against the
+ * config file's directory.
+ * @param {string} path
+ */
+export async function loadAuthConfig(path) {
+  let config;
+  try {
+    config = JSON.parse(await Deno.readTextFile(path));
+  } catch (error) {
+    throw new Error(`Cannot read auth config ${path}: ${error.message}`);
+  }
+  if (config.jwt?.jwks) {
+    config.jwt.jwks = resolve(dirname(path), config.jwt.jwks);
+  }
+  return config;
+}
+
+/**
+ * Build the auth middleware for StreamableHttpTransport.
+ * @param {Object} config - See the module comment
+ * @param {Object} [options]
+ * @param {string[]} [options.scopesSupported] - Advertised in the metadata
+ */
+export async function createAuth(config, options = {}) {
+  const tokens = (config.tokens ?? []).filter((entry) => entry.token);
+  const jwt = config.jwt ?? null;
+  const keySet = jwt ? new KeySet(jwt.jwks) : null;
+  if (keySet) {
+    try {
+      await keySet.load();
+    } catch (error) {
+      throw new Error(`Cannot read JWKS ${jwt.jwks}: ${error.message}`);
+    }
+  }
+  if (tokens.length === 0 && !keySet) {
+    throw new Error("Auth config defines neither tokens nor jwt");
+  }
+  if (config.resource !== undefined && !URL.canParse(config.resource)) {
+    throw new Error(`Auth config resource must be a URL: ${config.resource}`);
+  }
+  const audience = jwt?.audience ?? config.resource;
+  // aud may be any string; only a URL can be passed on as AuthInfo.resource
+  const resource = audience && URL.canParse(audience) ? new URL(audience) : undefined;
+
+  const resourceOf = (request) => config.resource ?? new URL(request.url).origin + "/mcp";
+
+  const metadataUrl = (request) => new URL(METADATA_PATH, resourceOf(request)).href;
+
+  const unauthorized = (request, error) => {
+    const params = [`resource_metadata="${metadataUrl(request)}"`];
+    if (error) {
+      params.push(`error="invalid_token"`, `error_description="${quotable(error)}"`);
+    }
+    return new Response(JSON.stringify({ error: error ? "invalid_token" : "unauthorized" }), {
+      status: 401,
+      headers: {
+        "Content-Type": "application/json",
+        "WWW-Authenticate": `Bearer ${params.join(", ")}`,
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Expose-Headers": "WWW-Authenticate",
+      },
+    });
+  };
+
+  return {
+    /**
+     * Check a request's bearer token.
+     * @returns {Promise<Object|Response>} The SDK AuthInfo passed on to
+     *   tool handlers, or the 401 response to send
+     */
+    async authenticate(request) {
+      const header = request.headers.get("Authorization") ?? "";
+      const match = header.match(/^Bearer\s+(\S+)$/i);
+      if (!match) {
+        return unauthorized(request, header ? "Expected a Bearer token" : null);
+      }
+      const token = match[1];
+
+      const entry = tokens.find((t) => sameToken(t.token, token));
+      if (entry) {
+        return {
+          token,
+          clientId: entry.name ?? "static",
+          scopes: entry.scopes ?? ["ssg"],
+        };
+      }
+
+      if (keySet && token.split(".").length === 3) {
+        try {
+          const claims = await verifyJwt(token, keySet, { issuer: jwt.issuer, audience });
+          return {
+            token,
+            clientId: claims.client_id ?? claims.azp ?? claims.sub ?? "jwt",
+            scopes: scopesOf(claims, jwt.defaultScopes ?? []),
+            expiresAt: claims.exp,
+            resource,
+          };
+        } catch (error) {
+          if (!(error instanceof AuthError)) {
+            throw error;
+          }
+          return unauthorized(request, error.message);
+        }
+      }
+
+      return unauthorized(request, "Unknown token");
+    },
+
+    // Protected-resource metadata (RFC 9728)
+    metadataResponse(request) {
+      const metadata = {
+        resource: resourceOf(request),
+        authorization_servers: config.authorizationServers ?? [],
+        scopes_supported: config.scopesSupported ?? options.scopesSupported ?? [],
+        bearer_methods_supported: ["header"],
+        resource_name: "polyglot-ssg-mcp",
+      };
+      return new Response(JSON.stringify(metadata), {
+        headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" },
+      });
+    },
+  };
+}
@@ -0,0 +1,172 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * JSON-RPC 2.0 message validation for the HTTP transport
+ *
+ * https://www.jsonrpc.org/specification, with MCP's additions: request IDs
+ * are strings or integers and never null, params are an object, and
+ * initialize is never part of a batch.
+ * https://modelcontextprotocol.io/specification/2025-06-18/basic
+ */
+
+export const ErrorCode = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // Implementation-defined server errors (-32000 to -32099)
+  SESSION_NOT_FOUND: -32001,
+  RATE_LIMITED: -32002,
+};
+
+/**
+ * @param {string|number|null} id - null when the request's ID is unknown
+ * @param {number} code
+ * @param {string} message
+ * @param {*} [data]
+ */
+export function errorResponse(id, code, message, data) {
+  const error = data === undefined ? { code, message } : { code, message, data };
+  return { jsonrpc: "2.0", id, error };
+}
+
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+const isId = (id) => typeof id === "string" || Number.isInteger(id);
+
+/**
+ * What is wrong with a message, or null if it is a well-formed request,
+ * notification or response
+ */
+function violation(message) {
+  if (!isObject(message)) {
+    return "Message must be an object";
+  }
+  if (message.jsonrpc !== "2.0") {
+    return 'jsonrpc must be "2.0"';
+  }
+  if ("id" in message && !isId(message.id)) {
+    return "id must be a string or an integer";
+  }
+  if ("method" in message) {
+    if (typeof message.method !== "string" || message.method === "") {
+      return "method must be a non-empty string";
+    }
+    if ("params" in message && !isObject(message.params)) {
+      return "params must be an object";
+    }
+    if ("result" in message || "error" in message) {
+      return "A request must not have result or error";
+    }
+    return null;
+  }
+  // A response to one of our requests
+  if (!("id" in message)) {
+    return "Message must have a method, or be a response with an id";
+  }
+  if (("result" in message) === ("error" in message)) {
+    return "A response must have either result or error";
+  }
+  if ("error" in message) {
+    const { error } = message;
+    if (!isObject(error) || !Number.isInteger(error.code) || typeof error.message !== "string") {
+      return "error must be an object with an integer code and a string message";
+    }
+  }
+  return null;
+}
+
+// ID to answer an invalid message with: its own if that is readable
+function idOf(message) {
+  return isObject(message) && isId(message.id) ? message.id : null;
+}
+
+/**
+ * Parse and validate a POST body.
+ * @param {string} text
+ * @param {Object} limits
+ * @param {number} limits.maxBatchSize
+ * @returns {{messages: Object[], batch: boolean} | {errors: Object[], batch: boolean}}
+ *   The messages, or the error responses to send back (one per invalid
+ *   message) if any message is invalid
+ */
+export function parseMessages(text, { maxBatchSize }) {
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    return {
+      batch: false,
+      errors: [errorResponse(null, ErrorCode.PARSE_ERROR, "Parse error", error.message)],
+    };
+  }
+
+  const batch = Array.isArray(body);
+  const invalid = (message) => ({
+    batch: false,
+    errors: [errorResponse(null, ErrorCode.INVALID_REQUEST, message)],
+  });
+  if (batch && body.length === 0) {
+    return invalid("Empty batch");
+  }
+  if (batch && body.length > maxBatchSize) {
+    return invalid(`Batch of ${body.length} messages exceeds the limit of ${maxBatchSize}`);
+  }
+
+  const messages = batch ? body : [body];
+  const errors = [];
+  for (const message of messages) {
+    let problem = violation(message);
+    if (!problem && batch && message.method === "initialize") {
+      problem = "initialize must not be part of a batch";
+    }
+    if (problem) {
+      errors.push(errorResponse(idOf(message), ErrorCode.INVALID_REQUEST, `Invalid Request: ${problem}`));
+    }
+  }
+
+  if (errors.length > 0) {
+    return { batch, errors };
+  }
+
+  // IDs of requests in flight together must be told apart
+  const ids = messages.filter((m) => "method" in m && "id" in m).map((m) => m.id);
+  const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+  if (duplicate !== undefined) {
+    const message = `Invalid Request: duplicate id ${JSON.stringify(duplicate)}`;
+    return { batch, errors: [errorResponse(duplicate, ErrorCode.INVALID_REQUEST, message)] };
+  }
+  return { batch, messages };
+}
+
+/**
+ * Read a request body as text, giving up once it exceeds maxBytes (also
+ * when no Content-Length was sent).
+ * @returns {Promise<string|null>} null if the body is too large
+ */
+export async function readBody(request, maxBytes) {
+  if (Number(request.headers.get("Content-Length")) > maxBytes) {
+    return null;
+  }
+  if (!request.body) {
+    return "";
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request.body) {
+    size += chunk.byteLength;
+    if (size > maxBytes) {
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return new TextDecoder().decode(bytes);
+}
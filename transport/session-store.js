@@ -0,0 +1,326 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Session stores for the Streamable HTTP transport
+ *
+ * A store keeps what a session needs beyond one process: its record
+ * ({ id, owner, createdAt, lastAccess, initialize }), messages queued for
+ * its GET stream, and its event log for Last-Event-ID replay. The MCP server
+ * connected to a session lives in the process handling it; another process
+ * (or the same one after a restart) rebuilds it from the record.
+ *
+ * Interface (methods may return values or promises):
+ *   create(record, ttlMs)
+ *   get(id) -> record | undefined
+ *   touch(id, ttlMs) -> record | undefined    update lastAccess
+ *   update(id, fields, ttlMs)                  merge fields into the record
+ *   delete(id)
+ *   pushPending(id, message, { maxPending, ttlMs }) -> number of messages dropped
+ *   takePending(id) -> messages, oldest first
+ *   appendEvent(id, event, { maxEvents, maxAgeMs }) -> number of events evicted
+ *   eventsAfter(id, lastEventId, { maxEvents, maxAgeMs })
+ *     -> { streamKey, events } | null
+ *   cleanup(ttlMs) -> IDs of expired sessions, which are deleted
+ *   count() -> number of sessions
+ *   close()
+ * Events are { id, seq, streamKey, message, at }.
+ */
+
+let lastSequence = 0;
+
+/**
+ * Microsecond timestamps, unique within this process, so event IDs created
+ * by several instances sharing a store sort in (about) creation order.
+ */
+export function nextSequence() {
+  lastSequence = Math.max(Date.now() * 1000, lastSequence + 1);
+  return lastSequence;
+}
+
+// ============================================================================
+// In-Memory Store
+// ============================================================================
+
+/**
+ * Bounded record of the SSE events sent in a session, so that a client
+ * reconnecting with Last-Event-ID can be sent what it missed. Each event
+ * remembers its stream ("get" for the session's GET stream, "post-N" for a
+ * POST response); a resumed stream only replays events of its own stream.
+ */
+class EventLog {
+  constructor() {
+    this.events = [];
+  }
+
+  append(event, limits) {
+    this.events.push(event);
+    return this.trim(limits);
+  }
+
+  trim({ maxEvents, maxAgeMs }) {
+    const cutoff = Date.now() - maxAgeMs;
+    let evicted = 0;
+    while (
+      this.events.length > maxEvents ||
+      (this.events.length > 0 && this.events[0].at < cutoff)
+    ) {
+      this.events.shift();
+      evicted++;
+    }
+    return evicted;
+  }
+
+  /**
+   * Events of lastEventId's stream that followed it, or null when that event
+   * is not (or no longer) in the log and the gap cannot be filled
+   */
+  after(lastEventId, limits) {
+    this.trim(limits);
+    const index = this.events.findIndex((e) => e.id === lastEventId);
+    if (index < 0) {
+      return null;
+    }
+    const { streamKey } = this.events[index];
+    return {
+      streamKey,
+      events: this.events.slice(index + 1).filter((e) => e.streamKey === streamKey),
+    };
+  }
+}
+
+// Sessions of this process only; the default
+export class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map(); // id -> { record, pending, eventLog }
+  }
+
+  create(record) {
+    this.sessions.set(record.id, { record: { ...record }, pending: [], eventLog: new EventLog() });
+  }
+
+  get(id) {
+    return this.sessions.get(id)?.record;
+  }
+
+  touch(id) {
+    const entry = this.sessions.get(id);
+    if (entry) {
+      entry.record.lastAccess = Date.now();
+    }
+    return entry?.record;
+  }
+
+  update(id, fields) {
+    const entry = this.sessions.get(id);
+    if (entry) {
+      Object.assign(entry.record, fields);
+    }
+  }
+
+  delete(id) {
+    this.sessions.delete(id);
+  }
+
+  pushPending(id, message, { maxPending }) {
+    const pending = this.sessions.get(id)?.pending;
+    if (!pending) {
+      return 0;
+    }
+    pending.push(message);
+    return pending.length > maxPending ? pending.splice(0, pending.length - maxPending).length : 0;
+  }
+
+  takePending(id) {
+    const entry = this.sessions.get(id);
+    const pending = entry?.pending ?? [];
+    if (entry) {
+      entry.pending = [];
+    }
+    return pending;
+  }
+
+  appendEvent(id, event, limits) {
+    return this.sessions.get(id)?.eventLog.append(event, limits) ?? 0;
+  }
+
+  eventsAfter(id, lastEventId, limits) {
+    return this.sessions.get(id)?.eventLog.after(lastEventId, limits) ?? null;
+  }
+
+  cleanup(ttlMs) {
+    const cutoff = Date.now() - ttlMs;
+    const expired = [];
+    for (const [id, { record }] of this.sessions) {
+      if (record.lastAccess < cutoff) {
+        this.sessions.delete(id);
+        expired.push(id);
+      }
+    }
+    return expired;
+  }
+
+  count() {
+    return this.sessions.size;
+  }
+
+  close() {}
+}
+
+// ============================================================================
+// Deno KV Store
+// ============================================================================
+
+// Pending messages and events are trimmed to their limits every this many
+// writes to a session (per process), not on every write
+const TRIM_INTERVAL = 100;
+
+/**
+ * Sessions in Deno KV, shared by every instance using the same database and
+ * kept across restarts. Entries expire on their own (session TTL, event max
+ * age), and any instance's cleanup removes sessions idle past their TTL.
+ */
+export class KvSessionStore {
+  /**
+   * @param {Deno.Kv} kv
+   * @param {Object} [options]
+   * @param {string[]} [options.prefix] - Key prefix, to share a database
+   */
+  constructor(kv, { prefix = ["mcp-sessions"] } = {}) {
+    this.kv = kv;
+    this.prefix = prefix;
+    this.writes = new Map(); // id -> writes since the last trim
+  }
+
+  /**
+   * @param {string} [path] - SQLite file; Deno's default database if omitted
+   *   (the managed one on Deno Deploy)
+   */
+  static async open(path, options) {
+    return new KvSessionStore(await Deno.openKv(path), options);
+  }
+
+  key(...parts) {
+    return [...this.prefix, ...parts];
+  }
+
+  async create(record, ttlMs) {
+    await this.kv.set(this.key("session", record.id), record, { expireIn: ttlMs });
+  }
+
+  async get(id) {
+    return (await this.kv.get(this.key("session", id))).value ?? undefined;
+  }
+
+  async touch(id, ttlMs) {
+    const entry = await this.kv.get(this.key("session", id));
+    if (!entry.value) {
+      return undefined;
+    }
+    const record = { ...entry.value, lastAccess: Date.now() };
+    await this.kv.set(entry.key, record, { expireIn: ttlMs });
+    return record;
+  }
+
+  async update(id, fields, ttlMs) {
+    const entry = await this.kv.get(this.key("session", id));
+    if (entry.value) {
+      await this.kv.set(entry.key, { ...entry.value, ...fields }, { expireIn: ttlMs });
+    }
+  }
+
+  async delete(id) {
+    await this.kv.delete(this.key("session", id));
+    for (const kind of ["pending", "events"]) {
+      for await (const entry of this.kv.list({ prefix: this.key(kind, id) })) {
+        await this.kv.delete(entry.key);
+      }
+    }
+    this.writes.delete(id);
+  }
+
+  // Delete all but the newest `keep` entries under key(kind, id)
+  async trim(kind, id, keep) {
+    const entries = [];
+    for await (const entry of this.kv.list({ prefix: this.key(kind, id) })) {
+      entries.push(entry.key);
+    }
+    const excess = entries.slice(0, Math.max(0, entries.length - keep));
+    for (const key of excess) {
+      await this.kv.delete(key);
+    }
+    return excess.length;
+  }
+
+  dueForTrim(id) {
+    const writes = (this.writes.get(id) ?? 0) + 1;
+    this.writes.set(id, writes % TRIM_INTERVAL);
+    return writes === TRIM_INTERVAL;
+  }
+
+  async pushPending(id, message, { maxPending, ttlMs }) {
+    await this.kv.set(this.key("pending", id, nextSequence()), message, { expireIn: ttlMs });
+    return this.dueForTrim(id) ? await this.trim("pending", id, maxPending) : 0;
+  }
+
+  async takePending(id) {
+    const messages = [];
+    for await (const entry of this.kv.list({ prefix: this.key("pending", id) })) {
+      await this.kv.delete(entry.key);
+      messages.push(entry.value);
+    }
+    return messages;
+  }
+
+  async appendEvent(id, event, { maxEvents, maxAgeMs }) {
+    await this.kv.set(this.key("events", id, event.seq), event, { expireIn: maxAgeMs });
+    return this.dueForTrim(id) ? await this.trim("events", id, maxEvents) : 0;
+  }
+
+  // Event IDs are `${sessionId}-${seq}` (see StreamableHttpTransport.sendEvent)
+  async eventsAfter(id, lastEventId) {
+    const seq = Number(lastEventId.slice(id.length + 1));
+    if (!lastEventId.startsWith(`${id}-`) || !Number.isSafeInteger(seq)) {
+      return null;
+    }
+    const last = await this.kv.get(this.key("events", id, seq));
+    if (!last.value) {
+      return null;
+    }
+    const { streamKey } = last.value;
+    const events = [];
+    const selector = { prefix: this.key("events", id), start: this.key("events", id, seq + 1) };
+    for await (const entry of this.kv.list(selector)) {
+      if (entry.value.streamKey === streamKey) {
+        events.push(entry.value);
+      }
+    }
+    return { streamKey, events };
+  }
+
+  async cleanup(ttlMs) {
+    const cutoff = Date.now() - ttlMs;
+    const expired = [];
+    for await (const entry of this.kv.list({ prefix: this.key("session") })) {
+      if (entry.value.lastAccess < cutoff) {
+        expired.push(entry.value.id);
+      }
+    }
+    for (const id of expired) {
+      await this.delete(id);
+    }
+    return expired;
+  }
+
+  async count() {
+    let count = 0;
+    for await (const _ of this.kv.list({ prefix: this.key("session") })) {
+      count++;
+    }
+    return count;
+  }
+
+  close() {
+    this.kv.close();
+  }
+}
@@ -10,16 +10,34 @@
  * Features:
  * - Single endpoint POST/GET handling
  * - Session management with Mcp-Session-Id
+ * - Protocol revision per session (2024-11-05 to 2025-06-18), checked
+ *   against MCP-Protocol-Version
+ * - Strict JSON-RPC 2.0 validation, body size and batch limits (jsonrpc.js)
  * - SSE streaming responses
+ * - Long-lived GET stream per session with heartbeats
+ * - Resumable streams (Last-Event-ID replay from a bounded event log)
+ * - Legacy HTTP+SSE transport (2024-11-05): GET /sse, POST /messages
+ * - Pluggable session store (in memory, or Deno KV shared by instances)
+ * - Bearer token authentication (see auth.js), sessions bound to their client
  * - Deno Deploy compatible
- * - Circuit breaker for fault tolerance
+ * - Health hook for tool-level circuit breakers (src/Resilience.res)
  * - Retry with exponential backoff
  * - Request timeout protection
  * - Rate limiting
  * - Structured logging
  */
 
+import { MemorySessionStore, nextSequence } from "./session-store.js";
+import { ErrorCode, errorResponse, parseMessages, readBody } from "./jsonrpc.js";
+
+// Protocol revisions and what differs between them, unless the server
+// passes its own (src/Protocol.res). A session's revision is the one its
+// initialize response names; PROTOCOL_VERSION is used before that.
 const PROTOCOL_VERSION = "2025-06-18";
+const DEFAULT_PROTOCOL = {
+  versions: ["2025-06-18", "2025-03-26", "2024-11-05"],
+  supports: (version, feature) => feature !== "batching" || version < "2025-06-18",
+};
 
 // ============================================================================
 // Logging Utility
@@ -205,71 +223,29 @@ function generateSessionId() {
 }
 
 // ============================================================================
-// Session Store
+// Live Sessions
 // ============================================================================
 
-class SessionStore {
-  constructor(ttlMs = 30 * 60 * 1000) {
-    this.sessions = new Map();
-    this.ttlMs = ttlMs;
-  }
-
-  create() {
-    const sessionId = generateSessionId();
-    const session = {
-      id: sessionId,
-      createdAt: Date.now(),
-      lastAccess: Date.now(),
-      initialized: false,
-      pendingMessages: [],
-      eventCounter: 0,
-      requestCount: 0,
-      errorCount: 0,
-    };
-    this.sessions.set(sessionId, session);
-    this.cleanup();
-    log(LogLevel.DEBUG, "Session created", { sessionId });
-    return session;
-  }
-
-  get(sessionId) {
-    const session = this.sessions.get(sessionId);
-    if (session) {
-      session.lastAccess = Date.now();
-    }
-    return session;
-  }
-
-  delete(sessionId) {
-    log(LogLevel.DEBUG, "Session deleted", { sessionId });
-    return this.sessions.delete(sessionId);
-  }
-
-  cleanup() {
-    const now = Date.now();
-    let cleaned = 0;
-    for (const [id, session] of this.sessions) {
-      if (now - session.lastAccess > this.ttlMs) {
-        this.sessions.delete(id);
-        cleaned++;
-      }
-    }
-    if (cleaned > 0) {
-      log(LogLevel.DEBUG, "Sessions cleaned up", { count: cleaned });
-    }
-  }
-
-  nextEventId(session) {
-    session.eventCounter++;
-    return `${session.id}-${session.eventCounter}`;
-  }
-
-  getStats() {
-    return {
-      activeSessions: this.sessions.size,
-      oldestSession: Math.min(...[...this.sessions.values()].map((s) => s.createdAt)),
-    };
-  }
+/**
+ * What a process holds for a session it serves: the MCP server connection,
+ * open streams and counters. The session's record, queued messages and
+ * event log are in the session store, so any process can take it over.
+ */
+function liveSession(record) {
+  return {
+    id: record.id,
+    owner: record.owner, // client ID of the token that created the session
+    createdAt: record.createdAt,
+    legacy: record.legacy ?? false, // HTTP+SSE session, see handleLegacyStream
+    clientCapabilities: record.initialize?.capabilities ?? {},
+    protocolVersion: PROTOCOL_VERSION, // set by the initialize response
+    droppedMessages: 0,
+    stream: null, // open GET stream, see openStream
+    requestStreams: new Map(), // "post-N" -> { sse } while in progress
+    streamCounter: 0,
+    requestCount: 0,
+    errorCount: 0,
+  };
 }
 
 // ============================================================================
@@ -286,37 +262,186 @@ function formatSSEEvent(data, eventId = null) {
   return event;
 }
 
-function createSSEStream() {
+/**
+ * SSE response stream. Events wait in a backlog while the client is not
+ * reading (the stream's queue is full) and are flushed as it catches up.
+ * Returns false from send when the backlog is full or the client has gone,
+ * and the event was not sent.
+ */
+function createSSEChannel({ highWaterMark = 16, maxBacklog = 1000, onCancel } = {}) {
   const encoder = new TextEncoder();
+  const backlog = [];
   let controller;
+  let closed = false;
 
-  const stream = new ReadableStream({
-    start(c) {
-      controller = c;
+  const flush = () => {
+    while (backlog.length > 0 && controller.desiredSize > 0) {
+      controller.enqueue(backlog.shift());
+    }
+  };
+
+  const stream = new ReadableStream(
+    {
+      start(c) {
+        controller = c;
+      },
+      pull: flush,
+      cancel() {
+        closed = true;
+        backlog.length = 0;
+        onCancel?.();
+      },
     },
-  });
+    new CountQueuingStrategy({ highWaterMark })
+  );
+
+  const write = (text) => {
+    if (closed) {
+      return false;
+    }
+    if (backlog.length >= maxBacklog) {
+      return false;
+    }
+    backlog.push(encoder.encode(text));
+    flush();
+    return true;
+  };
 
   return {
     stream,
+    get closed() {
+      return closed;
+    },
     send(data, eventId = null) {
-      const event = formatSSEEvent(data, eventId);
-      controller.enqueue(encoder.encode(event));
+      return write(formatSSEEvent(data, eventId));
+    },
+    // Event whose data is plain text, e.g. the legacy transport's endpoint
+    sendText(event, text) {
+      return write(`event: ${event}\ndata: ${text}\n\n`);
+    },
+    // SSE comment line; ignored by clients, keeps proxies from timing out.
+    // Skipped while events are backed up.
+    heartbeat() {
+      if (backlog.length === 0) {
+        write(": heartbeat\n\n");
+      }
     },
     close() {
-      controller.close();
+      if (!closed) {
+        closed = true;
+        flush();
+        controller.close();
+      }
     },
   };
 }
 
+// ============================================================================
+// Session Transport
+// ============================================================================
+
+/**
+ * MCP SDK transport for one HTTP session. The McpServer connected to it
+ * handles the session's messages exactly as it would over STDIO; whatever
+ * the server sends is routed to the HTTP response of the request it belongs
+ * to (by response id or relatedRequestId), or else queued for the session's
+ * GET stream.
+ */
+class SessionTransport {
+  /**
+   * @param {Object} session
+   * @param {(message: Object) => void} deliver - Sends a message on the
+   *   session's GET stream (or queues it until one is open)
+   */
+  constructor(session, deliver) {
+    this.session = session;
+    this.sessionId = session.id;
+    this.deliver = deliver;
+    this.routes = new Map(); // request id -> { sink, resolve }
+  }
+
+  // The caller's AuthInfo reaches tool handlers as extra.authInfo
+  receive(message, authInfo) {
+    this.onmessage?.(message, authInfo ? { authInfo } : undefined);
+  }
+
+  async start() {}
+
+  send(message, options = {}) {
+    const isResponse = message.method === undefined;
+    const route = this.routes.get(isResponse ? message.id : options.relatedRequestId);
+    if (!route) {
+      this.deliver(message);
+    } else if (isResponse) {
+      this.routes.delete(message.id);
+      route.resolve(message);
+    } else {
+      route.sink(message);
+    }
+    return Promise.resolve();
+  }
+
+  close() {
+    for (const route of this.routes.values()) {
+      route.resolve(undefined);
+    }
+    this.routes.clear();
+    this.onclose?.();
+    return Promise.resolve();
+  }
+
+  /**
+   * Hand a client request to the server. Resolves with its response, or
+   * undefined if the client cancels it (the server then sends none);
+   * notifications the server relates to the request go to sink meanwhile.
+   */
+  request(message, sink, authInfo) {
+    return new Promise((resolve) => {
+      this.routes.set(message.id, { sink, resolve });
+      this.receive(message, authInfo);
+    });
+  }
+
+  // Client notifications and responses to server requests
+  notify(message, authInfo) {
+    if (message.method === "notifications/cancelled") {
+      const requestId = message.params?.requestId;
+      this.routes.get(requestId)?.resolve(undefined);
+      this.routes.delete(requestId);
+    }
+    this.receive(message, authInfo);
+  }
+}
+
 // ============================================================================
 // Streamable HTTP Transport
 // ============================================================================
 
 export class StreamableHttpTransport {
-  constructor(server, options = {}) {
-    this.server = server;
+  /**
+   * @param {() => McpServer} createServer - Builds the server for a new
+   *   session; every session gets its own, configured like the STDIO one
+   * @param {Object} options
+   * @param {{authenticate: (request: Request) => Promise<Object|Response>}} [options.auth]
+   *   - Checks every request except CORS preflights (see createAuth)
+   * @param {Object} [options.sessionStore] - Where sessions are kept
+   *   (see session-store.js); in memory by default
+   * @param {{versions: string[], supports: (version: string, feature: string) => boolean}} [options.protocol]
+   *   - Protocol revisions accepted in MCP-Protocol-Version, and whether one
+   *   has a feature ("batching")
+   * @param {() => {status: string}} [options.health] - State of the tools
+   *   behind the transport, included in getHealth. Failing tools are caught
+   *   by their own circuit breakers rather than one for the whole endpoint.
+   */
+  constructor(createServer, options = {}) {
+    this.createServer = createServer;
+    // Defaults last, so options passed as undefined still get them
     this.options = {
+      ...options,
       path: options.path || "/mcp",
+      // HTTP+SSE transport of protocol 2024-11-05; null to disable
+      legacySsePath: options.legacySsePath === undefined ? "/sse" : options.legacySsePath,
+      legacyMessagesPath: options.legacyMessagesPath === undefined ? "/messages" : options.legacyMessagesPath,
       allowedOrigins: options.allowedOrigins || null,
       enableCors: options.enableCors ?? true,
       sessionTtlMs: options.sessionTtlMs || 30 * 60 * 1000,
@@ -324,13 +449,31 @@ export class StreamableHttpTransport {
       enableRateLimiting: options.enableRateLimiting ?? true,
       rateLimitWindowMs: options.rateLimitWindowMs || 60000,
       rateLimitMaxRequests: options.rateLimitMaxRequests || 100,
-      enableCircuitBreaker: options.enableCircuitBreaker ?? true,
-      ...options,
+      heartbeatMs: options.heartbeatMs || 15000,
+      maxQueuedMessages: options.maxQueuedMessages || 1000,
+      eventLogSize: options.eventLogSize || 1000,
+      eventLogMaxAgeMs: options.eventLogMaxAgeMs || 5 * 60 * 1000,
+      maxBodyBytes: options.maxBodyBytes || 4 * 1024 * 1024,
+      maxBatchSize: options.maxBatchSize || 100,
+      auth: options.auth || null,
+      protocol: options.protocol || DEFAULT_PROTOCOL,
     };
 
-    this.sessions = new SessionStore(this.options.sessionTtlMs);
-    this.messageHandlers = new Map();
-    this.circuitBreaker = new CircuitBreaker();
+    this.store = this.options.sessionStore || new MemorySessionStore();
+    this.sessions = new Map(); // sessions this process serves, see liveSession
+    this.restoring = new Map(); // session id -> promise of its live session
+    this.metrics = {
+      requests: 0, // POSTs of all sessions, see session.requestCount
+      errors: 0, // JSON-RPC error responses
+      rateLimited: 0,
+      invalidMessages: 0, // rejected by JSON-RPC validation
+      unauthorized: 0,
+      eventsLogged: 0,
+      eventsReplayed: 0,
+      eventsEvicted: 0, // aged out of or pushed off the event log
+      replayMisses: 0, // Last-Event-ID no longer in the log
+      messagesDropped: 0, // client too far behind, see deliver
+    };
     this.rateLimiter = new RateLimiter({
       windowMs: this.options.rateLimitWindowMs,
       maxRequests: this.options.rateLimitMaxRequests,
@@ -339,16 +482,14 @@ export class StreamableHttpTransport {
     // Periodic cleanup
     if (typeof Deno !== "undefined") {
       setInterval(() => {
-        this.sessions.cleanup();
+        this.cleanupSessions().catch((error) =>
+          log(LogLevel.ERROR, "Session cleanup failed", { error: error.message })
+        );
         this.rateLimiter.cleanup();
       }, 60000);
     }
   }
 
-  onMessage(handler) {
-    this.messageHandler = handler;
-  }
-
   onClose(handler) {
     this.closeHandler = handler;
   }
@@ -359,7 +500,8 @@ export class StreamableHttpTransport {
     const path = url.pathname;
 
     // Check path
-    if (path !== this.options.path) {
+    const legacy = path === this.options.legacySsePath || path === this.options.legacyMessagesPath;
+    if (path !== this.options.path && !legacy) {
       return new Response("Not Found", { status: 404 });
     }
 
@@ -377,39 +519,39 @@ export class StreamableHttpTransport {
       return this.corsResponse(request, 204);
     }
 
-    // Circuit breaker check
-    if (this.options.enableCircuitBreaker && !this.circuitBreaker.canExecute()) {
-      log(LogLevel.WARN, "Circuit breaker open, rejecting request");
-      return this.jsonResponse(
-        { error: "Service temporarily unavailable" },
-        503
-      );
-    }
-
     try {
+      let authInfo;
+      if (this.options.auth) {
+        const result = await this.options.auth.authenticate(request);
+        if (result instanceof Response) {
+          this.metrics.unauthorized++;
+          log(LogLevel.WARN, "Unauthorized request", { method: request.method });
+          return result;
+        }
+        authInfo = result;
+      }
+
       let response;
-      switch (request.method) {
+      switch (legacy ? `${request.method} ${path}` : request.method) {
+        case `GET ${this.options.legacySsePath}`:
+          response = await this.handleLegacyStream(request, authInfo);
+          break;
+        case `POST ${this.options.legacyMessagesPath}`:
+          response = await this.handleLegacyMessage(request, authInfo);
+          break;
         case "POST":
-          response = await withTimeout(
-            this.handlePost(request),
-            this.options.requestTimeoutMs,
-            "Request processing timeout"
-          );
+          response = await this.handlePost(request, authInfo);
           break;
         case "GET":
-          response = await this.handleGet(request);
+          response = await this.handleGet(request, authInfo);
           break;
         case "DELETE":
-          response = await this.handleDelete(request);
+          response = await this.handleDelete(request, authInfo);
           break;
         default:
           response = new Response("Method Not Allowed", { status: 405 });
       }
 
-      if (this.options.enableCircuitBreaker) {
-        this.circuitBreaker.recordSuccess();
-      }
-
       log(LogLevel.DEBUG, "Request completed", {
         method: request.method,
         path,
@@ -419,84 +561,121 @@ export class StreamableHttpTransport {
 
       return response;
     } catch (error) {
-      if (this.options.enableCircuitBreaker) {
-        this.circuitBreaker.recordFailure();
-      }
       log(LogLevel.ERROR, "Request failed", {
         method: request.method,
         error: error.message,
       });
-      return this.jsonResponse({ error: error.message }, 500);
+      return this.rpcError(500, ErrorCode.INTERNAL_ERROR, error.message);
     }
   }
 
-  async handlePost(request) {
+  async handlePost(request, authInfo) {
     const sessionId = request.headers.get("Mcp-Session-Id");
     const accept = request.headers.get("Accept") || "";
     const wantsSSE = accept.includes("text/event-stream");
 
-    let body;
-    try {
-      body = await request.json();
-    } catch {
-      return this.jsonResponse({ error: "Invalid JSON" }, 400);
+    const text = await readBody(request, this.options.maxBodyBytes);
+    if (text === null) {
+      return this.rpcError(
+        413,
+        ErrorCode.INVALID_REQUEST,
+        `Request body exceeds ${this.options.maxBodyBytes} bytes`
+      );
     }
 
-    // Validate JSON-RPC structure
-    const messages = Array.isArray(body) ? body : [body];
-    for (const msg of messages) {
-      if (!msg.jsonrpc || msg.jsonrpc !== "2.0") {
-        return this.jsonResponse({ error: "Invalid JSON-RPC version" }, 400);
-      }
+    // Every message must be valid, or none is handled
+    const parsed = parseMessages(text, { maxBatchSize: this.options.maxBatchSize });
+    if (parsed.errors) {
+      this.metrics.invalidMessages += parsed.errors.length;
+      return this.jsonResponse(parsed.batch ? parsed.errors : parsed.errors[0], 400);
     }
+    const { messages } = parsed;
 
-    const isInitialize =
-      body.method === "initialize" ||
-      (Array.isArray(body) && body.some((m) => m.method === "initialize"));
+    const initialize = messages.find((m) => m.method === "initialize");
 
     let session;
-    if (isInitialize) {
-      session = this.sessions.create();
+    if (initialize) {
+      if (initialize.id === undefined) {
+        return this.rpcError(400, ErrorCode.INVALID_REQUEST, "initialize must be a request");
+      }
+      session = await this.createSession(authInfo?.clientId, initialize.params);
     } else {
       if (!sessionId) {
-        return this.jsonResponse({ error: "Missing Mcp-Session-Id header" }, 400);
+        return this.rpcError(400, ErrorCode.INVALID_REQUEST, "Missing Mcp-Session-Id header");
       }
-      session = this.sessions.get(sessionId);
+      session = await this.findSession(sessionId, authInfo);
       if (!session) {
-        return this.jsonResponse({ error: "Session not found" }, 404);
+        return this.rpcError(404, ErrorCode.SESSION_NOT_FOUND, "Session not found");
+      }
+
+      const versionError = this.checkProtocolVersion(request, session);
+      if (versionError) {
+        return versionError;
+      }
+      if (parsed.batch && !this.options.protocol.supports(session.protocolVersion, "batching")) {
+        return this.rpcError(
+          400,
+          ErrorCode.INVALID_REQUEST,
+          `Protocol version ${session.protocolVersion} does not support JSON-RPC batches`
+        );
       }
 
       // Rate limiting
       if (this.options.enableRateLimiting && !this.rateLimiter.isAllowed(sessionId)) {
+        this.metrics.rateLimited++;
         log(LogLevel.WARN, "Rate limit exceeded", { sessionId });
-        return this.jsonResponse({ error: "Rate limit exceeded" }, 429);
+        return this.rpcError(429, ErrorCode.RATE_LIMITED, "Rate limit exceeded");
+      }
+
+      // A request ID may not be reused while that request is in progress
+      const busy = messages.find(
+        (m) => m.method !== undefined && m.id !== undefined && session.transport.routes.has(m.id)
+      );
+      if (busy) {
+        const message = `Request ${JSON.stringify(busy.id)} is still in progress`;
+        return this.jsonResponse(
+          errorResponse(busy.id, ErrorCode.INVALID_REQUEST, message),
+          400,
+          session.id
+        );
       }
     }
 
     session.requestCount++;
-    const responses = [];
+    this.metrics.requests++;
 
+    // Notifications and responses to server requests need no reply
+    const requests = messages.filter((msg) => msg.method !== undefined && msg.id !== undefined);
     for (const message of messages) {
-      if (this.messageHandler) {
-        try {
-          const response = await this.messageHandler(message);
-          if (response !== undefined) {
-            responses.push(response);
-          }
-        } catch (error) {
-          session.errorCount++;
-          responses.push({
-            jsonrpc: "2.0",
-            id: message.id,
-            error: {
-              code: -32603,
-              message: error.message,
-            },
-          });
-        }
+      if (!requests.includes(message)) {
+        session.transport.notify(message, authInfo);
       }
     }
 
+    if (requests.length === 0) {
+      return this.acceptedResponse(session.id);
+    }
+
+    // A client that asked for progress gets the SSE stream straight away so
+    // notifications sent while a tool runs arrive before its result. So does
+    // a tool call from a client with elicitation: the server may ask it to
+    // confirm the call before answering.
+    const wantsProgress = requests.some(
+      (msg) => msg.params?._meta?.progressToken !== undefined
+    );
+    const mayElicit = session.clientCapabilities.elicitation !== undefined &&
+      requests.some((msg) => msg.method === "tools/call");
+    if (wantsSSE && (wantsProgress || mayElicit)) {
+      return this.streamingResponse(session, requests, authInfo);
+    }
+
+    // Otherwise notifications go out on the session's GET stream
+    const deliver = (notification) => this.deliver(session, notification);
+
+    const responses = (
+      await Promise.all(requests.map((msg) => this.dispatch(session, msg, deliver, authInfo)))
+    ).filter((response) => response !== undefined);
+
     if (responses.length === 0) {
       return this.acceptedResponse(session.id);
     }
@@ -509,25 +688,341 @@ export class StreamableHttpTransport {
     return this.jsonResponse(result, 200, session.id);
   }
 
-  async handleGet(request) {
+  /**
+   * Start a session. Its record keeps the initialize parameters, so that a
+   * process taking the session over can bring its server to the same state.
+   */
+  async createSession(owner = null, initialize = undefined, { legacy = false } = {}) {
+    const now = Date.now();
+    const record = {
+      id: generateSessionId(),
+      owner,
+      createdAt: now,
+      lastAccess: now,
+      initialize,
+      legacy,
+    };
+    await this.store.create(record, this.options.sessionTtlMs);
+    const session = liveSession(record);
+    await this.connectSession(session);
+    this.sessions.set(session.id, session);
+    log(LogLevel.DEBUG, "Session created", { sessionId: session.id });
+    return session;
+  }
+
+  /**
+   * Serve a session this process does not hold yet (created by another
+   * instance, or before a restart): connect a new server and replay the
+   * client's initialize handshake to it
+   */
+  restoreSession(record) {
+    let restoring = this.restoring.get(record.id);
+    if (!restoring) {
+      restoring = (async () => {
+        const session = liveSession(record);
+        await this.connectSession(session);
+        if (record.initialize) {
+          const response = await session.transport.request(
+            { jsonrpc: "2.0", id: `restore-${record.id}`, method: "initialize", params: record.initialize },
+            () => {}
+          );
+          session.protocolVersion = response?.result?.protocolVersion ?? PROTOCOL_VERSION;
+          session.transport.notify({ jsonrpc: "2.0", method: "notifications/initialized" });
+        }
+        this.sessions.set(session.id, session);
+        log(LogLevel.INFO, "Session restored from store", { sessionId: session.id });
+        return session;
+      })().finally(() => this.restoring.delete(record.id));
+      this.restoring.set(record.id, restoring);
+    }
+    return restoring;
+  }
+
+  // Give a session its own server, connected through a SessionTransport
+  async connectSession(session) {
+    const server = this.createServer();
+    session.transport = new SessionTransport(session, (message) =>
+      this.deliver(session, message)
+    );
+    session.close = () => {
+      this.closeStream(session);
+      return server.close();
+    };
+    await server.connect(session.transport);
+  }
+
+  // Run one JSON-RPC request through the session's server; notifications
+  // related to it are passed to sink
+  async dispatch(session, message, sink, authInfo) {
+    const response = await this.timed(
+      session,
+      message,
+      session.transport.request(message, sink, authInfo)
+    );
+    if (message.method === "initialize" && response?.result) {
+      session.protocolVersion = response.result.protocolVersion;
+    }
+    if (response?.error) {
+      session.errorCount++;
+      this.metrics.errors++;
+    }
+    return response;
+  }
+
+  // Requests get requestTimeoutMs to answer. A tool call is left to its own
+  // timeout (timeoutSeconds), which also kills the command's process tree.
+  // A request that runs out of time is cancelled in the server, as if the
+  // client had sent notifications/cancelled, and answered with an error.
+  timed(session, message, pending) {
+    if (message.method === "tools/call") {
+      return pending;
+    }
+    let timer;
+    const expired = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        resolve(errorResponse(message.id, ErrorCode.INTERNAL_ERROR, "Request processing timeout"));
+        session.transport.notify({
+          jsonrpc: "2.0",
+          method: "notifications/cancelled",
+          params: { requestId: message.id, reason: "Request processing timeout" },
+        });
+      }, this.options.requestTimeoutMs);
+    });
+    return Promise.race([pending, expired]).finally(() => clearTimeout(timer));
+  }
+
+  // SSE response that stays open while messages are handled, carrying their
+  // notifications and then their results. If the client loses the
+  // connection, a GET with Last-Event-ID resumes it (see resumeStream).
+  streamingResponse(session, messages, authInfo) {
+    const key = `post-${++session.streamCounter}`;
+    const stream = { sse: createSSEChannel({ maxBacklog: this.options.maxQueuedMessages }) };
+    session.requestStreams.set(key, stream);
+    const sse = stream.sse;
+    const emit = (message) => {
+      this.sendEvent(session, key, stream.sse, message);
+    };
+
+    (async () => {
+      await Promise.all(
+        messages.map(async (message) => {
+          const response = await this.dispatch(session, message, emit, authInfo);
+          if (response !== undefined) {
+            emit(response);
+          }
+        })
+      );
+      session.requestStreams.delete(key);
+      stream.sse.close();
+    })();
+
+    const headers = {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Mcp-Session-Id": session.id,
+      "MCP-Protocol-Version": session.protocolVersion,
+    };
+    if (this.options.enableCors) {
+      headers["Access-Control-Allow-Origin"] = "*";
+      headers["Access-Control-Expose-Headers"] =
+        "Mcp-Session-Id, MCP-Protocol-Version";
+    }
+
+    return new Response(sse.stream, { status: 200, headers });
+  }
+
+  async handleGet(request, authInfo) {
     const sessionId = request.headers.get("Mcp-Session-Id");
+    const accept = request.headers.get("Accept") || "";
+
+    if (!accept.includes("text/event-stream")) {
+      return new Response("Method Not Allowed: GET requires Accept: text/event-stream", {
+        status: 405,
+      });
+    }
 
     if (!sessionId) {
-      return this.jsonResponse({ error: "Missing Mcp-Session-Id header" }, 400);
+      return this.rpcError(400, ErrorCode.INVALID_REQUEST, "Missing Mcp-Session-Id header");
     }
 
-    const session = this.sessions.get(sessionId);
+    const session = await this.findSession(sessionId, authInfo);
     if (!session) {
-      return this.jsonResponse({ error: "Session not found" }, 404);
+      return this.rpcError(404, ErrorCode.SESSION_NOT_FOUND, "Session not found");
+    }
+    const versionError = this.checkProtocolVersion(request, session);
+    if (versionError) {
+      return versionError;
     }
 
-    const sse = createSSEStream();
+    const lastEventId = request.headers.get("Last-Event-ID");
+    const sse = lastEventId
+      ? await this.resumeStream(session, lastEventId)
+      : await this.openStream(session);
+
+    return this.corsResponse(
+      request,
+      200,
+      {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "Mcp-Session-Id": session.id,
+        "MCP-Protocol-Version": session.protocolVersion,
+      },
+      sse.stream
+    );
+  }
 
-    for (const msg of session.pendingMessages) {
-      sse.send(msg, this.sessions.nextEventId(session));
+  /**
+   * Open the session's server-to-client stream, replacing any previous one
+   * (a message is only ever sent on one stream). Messages queued while no
+   * stream was open are sent first; heartbeats keep it alive until the
+   * client disconnects or the session ends.
+   */
+  async openStream(session, missed = [], onCancel = undefined) {
+    const queued = await this.store.takePending(session.id);
+    this.closeStream(session);
+
+    const sse = createSSEChannel({
+      maxBacklog: this.options.maxQueuedMessages,
+      onCancel: () => {
+        this.detachStream(session, sse);
+        onCancel?.();
+      },
+    });
+    sse.heartbeatTimer = setInterval(() => sse.heartbeat(), this.options.heartbeatMs);
+    session.stream = sse;
+    this.replay(sse, missed);
+
+    for (const message of queued) {
+      this.deliver(session, message);
     }
-    session.pendingMessages = [];
-    sse.close();
+    return sse;
+  }
+
+  /**
+   * Reopen a stream the client lost: replay the events after lastEventId on
+   * that stream, in order and with their original IDs. A POST response still
+   * in progress continues on the new stream; one that has finished ends
+   * after the replay. If the event has left the log, the client gets a fresh
+   * GET stream and the miss is counted.
+   */
+  async resumeStream(session, lastEventId) {
+    const missed = await this.store.eventsAfter(session.id, lastEventId, this.eventLogLimits());
+    if (!missed) {
+      this.metrics.replayMisses++;
+      log(LogLevel.WARN, "Cannot replay events after Last-Event-ID", {
+        sessionId: session.id,
+        lastEventId,
+      });
+      return this.openStream(session);
+    }
+    if (missed.streamKey === "get") {
+      return this.openStream(session, missed.events);
+    }
+
+    const sse = createSSEChannel({ maxBacklog: this.options.maxQueuedMessages });
+    this.replay(sse, missed.events);
+    const live = session.requestStreams.get(missed.streamKey);
+    if (live) {
+      live.sse = sse;
+    } else {
+      sse.close();
+    }
+    return sse;
+  }
+
+  replay(sse, events) {
+    for (const event of events) {
+      sse.send(event.message, event.id);
+      this.metrics.eventsReplayed++;
+    }
+  }
+
+  eventLogLimits() {
+    return { maxEvents: this.options.eventLogSize, maxAgeMs: this.options.eventLogMaxAgeMs };
+  }
+
+  // Send an event, recording it in the session's event log first so it can
+  // be replayed even if this send fails
+  sendEvent(session, streamKey, sse, message) {
+    const seq = nextSequence();
+    const event = { id: `${session.id}-${seq}`, seq, streamKey, message, at: Date.now() };
+    this.metrics.eventsLogged++;
+    this.settle(this.store.appendEvent(session.id, event, this.eventLogLimits()), (evicted) => {
+      this.metrics.eventsEvicted += evicted;
+    });
+    return sse.send(message, event.id);
+  }
+
+  // Apply a store result that may be a promise; store failures are logged,
+  // the message concerned cannot be replayed or queued
+  settle(result, apply) {
+    Promise.resolve(result).then(apply, (error) =>
+      log(LogLevel.ERROR, "Session store write failed", { error: error.message })
+    );
+  }
+
+  // Forget a stream the client has disconnected from
+  detachStream(session, sse) {
+    clearInterval(sse.heartbeatTimer);
+    if (session.stream === sse) {
+      session.stream = null;
+    }
+  }
+
+  closeStream(session) {
+    const sse = session.stream;
+    if (sse) {
+      this.detachStream(session, sse);
+      sse.close();
+    }
+  }
+
+  /**
+   * Send a server-to-client message on the session's GET stream, or queue it
+   * until the client opens one. Both are bounded by maxQueuedMessages; a
+   * client that falls further behind loses messages, counted in
+   * session.droppedMessages.
+   */
+  deliver(session, message) {
+    if (session.stream && !session.stream.closed) {
+      if (this.sendEvent(session, "get", session.stream, message)) {
+        return;
+      }
+      session.droppedMessages++;
+      this.metrics.messagesDropped++;
+      log(LogLevel.WARN, "SSE stream backlog full, dropping message", {
+        sessionId: session.id,
+        dropped: session.droppedMessages,
+      });
+      return;
+    }
+    const limits = { maxPending: this.options.maxQueuedMessages, ttlMs: this.options.sessionTtlMs };
+    this.settle(this.store.pushPending(session.id, message, limits), (dropped) => {
+      session.droppedMessages += dropped;
+      this.metrics.messagesDropped += dropped;
+    });
+  }
+
+  // ==========================================================================
+  // Legacy HTTP+SSE Transport
+  // ==========================================================================
+  // https://modelcontextprotocol.io/specification/2024-11-05/basic/transports#http-with-sse
+  // The client opens GET /sse, whose first event names the URL to POST its
+  // messages to; every response and notification comes back on that stream.
+  // The session is an ordinary one (same servers, store and limits) that
+  // ends when the stream closes.
+
+  async handleLegacyStream(request, authInfo) {
+    const session = await this.createSession(authInfo?.clientId, undefined, { legacy: true });
+    const sse = await this.openStream(session, [], () => {
+      log(LogLevel.DEBUG, "Legacy SSE stream closed", { sessionId: session.id });
+      this.endSession(session).catch((error) =>
+        log(LogLevel.ERROR, "Session close failed", { sessionId: session.id, error: error.message })
+      );
+    });
+    sse.sendText("endpoint", `${this.options.legacyMessagesPath}?sessionId=${session.id}`);
 
     return this.corsResponse(
       request,
@@ -536,52 +1031,236 @@ export class StreamableHttpTransport {
         "Content-Type": "text/event-stream",
         "Cache-Control": "no-cache",
         Connection: "keep-alive",
-        "Mcp-Session-Id": session.id,
-        "MCP-Protocol-Version": PROTOCOL_VERSION,
       },
       sse.stream
     );
   }
 
-  async handleDelete(request) {
+  // Accepted at once (202); the outcome is sent on the session's stream
+  async handleLegacyMessage(request, authInfo) {
+    const sessionId = new URL(request.url).searchParams.get("sessionId");
+    if (!sessionId) {
+      return this.rpcError(400, ErrorCode.INVALID_REQUEST, "Missing sessionId parameter");
+    }
+    const session = await this.findSession(sessionId, authInfo);
+    if (!session?.legacy) {
+      return this.rpcError(404, ErrorCode.SESSION_NOT_FOUND, "Session not found");
+    }
+
+    const text = await readBody(request, this.options.maxBodyBytes);
+    if (text === null) {
+      return this.rpcError(
+        413,
+        ErrorCode.INVALID_REQUEST,
+        `Request body exceeds ${this.options.maxBodyBytes} bytes`
+      );
+    }
+    const parsed = parseMessages(text, { maxBatchSize: this.options.maxBatchSize });
+    if (parsed.errors) {
+      this.metrics.invalidMessages += parsed.errors.length;
+      return this.jsonResponse(parsed.batch ? parsed.errors : parsed.errors[0], 400);
+    }
+    if (parsed.batch && !this.options.protocol.supports(session.protocolVersion, "batching")) {
+      return this.rpcError(
+        400,
+        ErrorCode.INVALID_REQUEST,
+        `Protocol version ${session.protocolVersion} does not support JSON-RPC batches`
+      );
+    }
+    if (this.options.enableRateLimiting && !this.rateLimiter.isAllowed(sessionId)) {
+      this.metrics.rateLimited++;
+      log(LogLevel.WARN, "Rate limit exceeded", { sessionId });
+      return this.rpcError(429, ErrorCode.RATE_LIMITED, "Rate limit exceeded");
+    }
+
+    session.requestCount++;
+    this.metrics.requests++;
+
+    const deliver = (message) => this.deliver(session, message);
+    for (const message of parsed.messages) {
+      if (message.method === undefined || message.id === undefined) {
+        session.transport.notify(message, authInfo);
+        continue;
+      }
+      // Kept so that another process can restore the session's server
+      if (message.method === "initialize") {
+        this.settle(
+          this.store.update(session.id, { initialize: message.params }, this.options.sessionTtlMs),
+          () => {}
+        );
+      }
+      this.dispatch(session, message, deliver, authInfo).then((response) => {
+        if (response !== undefined) {
+          deliver(response);
+        }
+      });
+    }
+
+    return new Response("Accepted", {
+      status: 202,
+      headers: this.options.enableCors ? { "Access-Control-Allow-Origin": "*" } : {},
+    });
+  }
+
+  async handleDelete(request, authInfo) {
     const sessionId = request.headers.get("Mcp-Session-Id");
 
     if (!sessionId) {
-      return this.jsonResponse({ error: "Missing Mcp-Session-Id header" }, 400);
+      return this.rpcError(400, ErrorCode.INVALID_REQUEST, "Missing Mcp-Session-Id header");
     }
 
-    const deleted = this.sessions.delete(sessionId);
-    if (!deleted) {
-      return this.jsonResponse({ error: "Session not found" }, 404);
+    const session = await this.findSession(sessionId, authInfo);
+    if (!session) {
+      return this.rpcError(404, ErrorCode.SESSION_NOT_FOUND, "Session not found");
+    }
+    const versionError = this.checkProtocolVersion(request, session);
+    if (versionError) {
+      return versionError;
     }
+    await this.endSession(session);
+    return new Response(null, { status: 204 });
+  }
+
+  // End a session for good: here, in the store and for its server
+  async endSession(session) {
+    this.sessions.delete(session.id);
+    await this.store.delete(session.id);
+    await session.close();
 
     if (this.closeHandler) {
       this.closeHandler();
     }
+  }
 
-    return new Response(null, { status: 204 });
+  /**
+   * The live session for a request, restoring it from the store if another
+   * process created it. A session another client created is reported as
+   * not found rather than forbidden, so session IDs cannot be probed.
+   */
+  async findSession(sessionId, authInfo) {
+    const record = await this.store.touch(sessionId, this.options.sessionTtlMs);
+    if (!record) {
+      this.dropSession(sessionId);
+      return undefined;
+    }
+    if (record.owner !== (authInfo?.clientId ?? null)) {
+      return undefined;
+    }
+    return this.sessions.get(sessionId) ?? await this.restoreSession(record);
+  }
+
+  // Close this process's side of a session that has ended
+  dropSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      this.sessions.delete(sessionId);
+      session.close();
+    }
+  }
+
+  /**
+   * Remove expired sessions from the store (whichever process created them)
+   * and close the ones held here whose record is gone
+   */
+  async cleanupSessions() {
+    const expired = await this.store.cleanup(this.options.sessionTtlMs);
+    for (const id of this.sessions.keys()) {
+      if (expired.includes(id) || !(await this.store.get(id))) {
+        this.dropSession(id);
+      }
+    }
+    if (expired.length > 0) {
+      log(LogLevel.DEBUG, "Sessions cleaned up", { count: expired.length });
+    }
   }
 
   sendToSession(sessionId, message) {
     const session = this.sessions.get(sessionId);
     if (session) {
-      session.pendingMessages.push(message);
+      this.deliver(session, message);
+    }
+  }
+
+  // Send a message to every session served by this process, e.g.
+  // notifications/tools/list_changed
+  broadcast(message) {
+    for (const session of this.sessions.values()) {
+      this.deliver(session, message);
     }
   }
 
   // Health check data
-  getHealth() {
+  async getHealth() {
+    const tools = this.options.health?.() ?? null;
+    const local = [...this.sessions.values()];
     return {
-      status: this.circuitBreaker.state === "OPEN" ? "degraded" : "healthy",
-      circuitBreaker: this.circuitBreaker.getState(),
-      sessions: this.sessions.getStats(),
+      status: tools?.status ?? "healthy",
+      tools,
+      sessions: {
+        activeSessions: await this.store.count(),
+        localSessions: local.length,
+        openStreams: local.filter((s) => s.stream).length,
+        oldestSession: Math.min(...local.map((s) => s.createdAt)),
+      },
+      events: { ...this.metrics },
     };
   }
 
+  /**
+   * Session and request series in the Prometheus text format, for the
+   * server's /metrics endpoint to append to its tool metrics
+   * @returns {Promise<string>}
+   */
+  async prometheusMetrics() {
+    const local = [...this.sessions.values()];
+    const families = [
+      ["mcp_sessions_active", "gauge", "Sessions in the session store", await this.store.count()],
+      ["mcp_sessions_local", "gauge", "Sessions served by this process", local.length],
+      ["mcp_open_streams", "gauge", "Open GET streams", local.filter((s) => s.stream).length],
+      ["mcp_http_requests_total", "counter", "POST requests", this.metrics.requests],
+      ["mcp_jsonrpc_errors_total", "counter", "JSON-RPC error responses", this.metrics.errors],
+      ["mcp_invalid_messages_total", "counter", "Messages rejected by JSON-RPC validation", this.metrics.invalidMessages],
+      ["mcp_rate_limited_total", "counter", "Requests rejected by the rate limiter", this.metrics.rateLimited],
+      ["mcp_unauthorized_total", "counter", "Requests rejected for a missing or invalid token", this.metrics.unauthorized],
+      ["mcp_events_replayed_total", "counter", "SSE events replayed after Last-Event-ID", this.metrics.eventsReplayed],
+      ["mcp_replay_misses_total", "counter", "Last-Event-ID no longer in the event log", this.metrics.replayMisses],
+      ["mcp_messages_dropped_total", "counter", "Messages dropped for clients too far behind", this.metrics.messagesDropped],
+    ];
+    return families
+      .map(([name, type, help, value]) => `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n${name} ${value}\n`)
+      .join("");
+  }
+
+  /**
+   * 400 if the request's MCP-Protocol-Version is unknown or not the
+   * session's. Without the header the session's revision is assumed.
+   */
+  checkProtocolVersion(request, session) {
+    const version = request.headers.get("MCP-Protocol-Version");
+    if (version === null || version === session.protocolVersion) {
+      return null;
+    }
+    const message = this.options.protocol.versions.includes(version)
+      ? `MCP-Protocol-Version ${version} does not match the session's ${session.protocolVersion}`
+      : `Unsupported MCP-Protocol-Version ${version} (supported: ${this.options.protocol.versions.join(", ")})`;
+    log(LogLevel.WARN, "Protocol version mismatch", { sessionId: session.id, version });
+    return this.rpcError(400, ErrorCode.INVALID_REQUEST, message);
+  }
+
+  // Revision to name in a response's MCP-Protocol-Version header
+  protocolVersionOf(sessionId) {
+    return this.sessions.get(sessionId)?.protocolVersion ?? PROTOCOL_VERSION;
+  }
+
+  // JSON-RPC error that is not an answer to a particular request (id null)
+  rpcError(status, code, message) {
+    return this.jsonResponse(errorResponse(null, code, message), status);
+  }
+
   jsonResponse(data, status = 200, sessionId = null) {
     const headers = {
       "Content-Type": "application/json",
-      "MCP-Protocol-Version": PROTOCOL_VERSION,
+      "MCP-Protocol-Version": this.protocolVersionOf(sessionId),
     };
     if (sessionId) {
       headers["Mcp-Session-Id"] = sessionId;
@@ -589,7 +1268,7 @@ export class StreamableHttpTransport {
     if (this.options.enableCors) {
       headers["Access-Control-Allow-Origin"] = "*";
       headers["Access-Control-Allow-Headers"] =
-        "Content-Type, Mcp-Session-Id, MCP-Protocol-Version, Accept";
+        "Content-Type, Mcp-Session-Id, MCP-Protocol-Version, Accept, Authorization";
       headers["Access-Control-Expose-Headers"] =
         "Mcp-Session-Id, MCP-Protocol-Version";
     }
@@ -598,7 +1277,7 @@ export class StreamableHttpTransport {
 
   acceptedResponse(sessionId) {
     const headers = {
-      "MCP-Protocol-Version": PROTOCOL_VERSION,
+      "MCP-Protocol-Version": this.protocolVersionOf(sessionId),
     };
     if (sessionId) {
       headers["Mcp-Session-Id"] = sessionId;
@@ -610,10 +1289,11 @@ export class StreamableHttpTransport {
   }
 
   sseResponse(session, messages) {
-    const sse = createSSEStream();
+    const key = `post-${++session.streamCounter}`;
+    const sse = createSSEChannel({ maxBacklog: messages.length });
 
     for (const msg of messages) {
-      sse.send(msg, this.sessions.nextEventId(session));
+      this.sendEvent(session, key, sse, msg);
     }
     sse.close();
 
@@ -621,7 +1301,7 @@ export class StreamableHttpTransport {
       "Content-Type": "text/event-stream",
       "Cache-Control": "no-cache",
       "Mcp-Session-Id": session.id,
-      "MCP-Protocol-Version": PROTOCOL_VERSION,
+      "MCP-Protocol-Version": session.protocolVersion,
     };
     if (this.options.enableCors) {
       headers["Access-Control-Allow-Origin"] = "*";
@@ -640,7 +1320,7 @@ export class StreamableHttpTransport {
       responseHeaders["Access-Control-Allow-Methods"] =
         "GET, POST, DELETE, OPTIONS";
       responseHeaders["Access-Control-Allow-Headers"] =
-        "Content-Type, Mcp-Session-Id, MCP-Protocol-Version, Accept, Last-Event-ID";
+        "Content-Type, Mcp-Session-Id, MCP-Protocol-Version, Accept, Last-Event-ID, Authorization";
       responseHeaders["Access-Control-Expose-Headers"] =
         "Mcp-Session-Id, MCP-Protocol-Version";
       responseHeaders["Access-Control-Max-Age"] = "86400";
@@ -649,100 +1329,6 @@ export class StreamableHttpTransport {
   }
 }
 
-/**
- * McpHttpAdapter - Bridges MCP Server to HTTP transport
- * Wraps an MCP server instance to handle HTTP requests
- */
-export class McpHttpAdapter {
-  constructor(mcpServer) {
-    this.server = mcpServer;
-    this.sessions = new Map();
-  }
-
-  /**
-   * Handle an incoming JSON-RPC request
-   * @param {Object} message - JSON-RPC message
-   * @param {string} sessionId - Session identifier
-   * @returns {Promise<Object>} JSON-RPC response
-   */
-  async handleRequest(message, sessionId = "default") {
-    // Try to use the server's internal handler if available
-    if (this.server._handleRequest) {
-      return await this.server._handleRequest(message);
-    }
-
-    // Handle standard MCP methods
-    const { method, params, id } = message;
-
-    try {
-      let result;
-
-      switch (method) {
-        case "initialize":
-          result = await this.handleInitialize(params);
-          break;
-        case "tools/list":
-          result = await this.handleToolsList();
-          break;
-        case "tools/call":
-          result = await this.handleToolsCall(params);
-          break;
-        case "ping":
-          result = {};
-          break;
-        default:
-          return {
-            jsonrpc: "2.0",
-            id,
-            error: {
-              code: -32601,
-              message: `Method not found: ${method}`,
-            },
-          };
-      }
-
-      return { jsonrpc: "2.0", id, result };
-    } catch (error) {
-      return {
-        jsonrpc: "2.0",
-        id,
-        error: {
-          code: -32603,
-          message: error.message || "Internal error",
-        },
-      };
-    }
-  }
-
-  async handleInitialize(params) {
-    return {
-      protocolVersion: "2025-06-18",
-      capabilities: {
-        tools: { listChanged: true },
-      },
-      serverInfo: {
-        name: this.server.name || "mcp-server",
-        version: this.server.version || "1.0.0",
-      },
-    };
-  }
-
-  async handleToolsList() {
-    if (this.server.getTools) {
-      return { tools: await this.server.getTools() };
-    }
-    return { tools: [] };
-  }
-
-  async handleToolsCall(params) {
-    const { name, arguments: args } = params;
-    if (this.server.callTool) {
-      return await this.server.callTool(name, args);
-    }
-    throw new Error(`Tool not found: ${name}`);
-  }
-}
-
 // Export utilities for external use
 export {
   CircuitBreaker,
@@ -753,4 +1339,4 @@ export {
   LogLevel,
 };
 
-export default { StreamableHttpTransport, CircuitBreaker, RateLimiter, McpHttpAdapter };
+export default { StreamableHttpTransport, CircuitBreaker, RateLimiter };